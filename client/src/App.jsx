@@ -6,6 +6,17 @@ import CategoriesPage from './pages/CategoriesPage.jsx';
 import PagesPage from './pages/PagesPage.jsx';
 import SettingsPage from './pages/SettingsPage.jsx';
 import FixedExpensesPage from './pages/FixedExpensesPage.jsx';
+import TransactionsPage from './pages/TransactionsPage.jsx';
+import BankImportPage from './pages/BankImportPage.jsx';
+import RulesPage from './pages/RulesPage.jsx';
+import DuplicatesPage from './pages/DuplicatesPage.jsx';
+import CancellationsPage from './pages/CancellationsPage.jsx';
+import RemindersPage from './pages/RemindersPage.jsx';
+import ScenariosPage from './pages/ScenariosPage.jsx';
+import CostSplitPage from './pages/CostSplitPage.jsx';
+import SettleUpPage from './pages/SettleUpPage.jsx';
+import NetWorthPage from './pages/NetWorthPage.jsx';
+import BudgetPage from './pages/BudgetPage.jsx';
 
 const getInitialTheme = () => {
   if (typeof window === 'undefined') return 'light';
@@ -191,8 +202,18 @@ const App = () => {
           )}
           <div className="nav-links">
             <NavLink to="/faste-utgifter">Faste utgifter</NavLink>
+            <NavLink to="/oppsigelser">Oppsigelser</NavLink>
+            <NavLink to="/scenarier">Scenarier</NavLink>
+            <NavLink to="/fordeling">Fordeling</NavLink>
+            <NavLink to="/transaksjoner">Transaksjoner</NavLink>
+            <NavLink to="/budsjett">Budsjett</NavLink>
+            <NavLink to="/oppgjor">Oppgjør</NavLink>
             <NavLink to="/sparemal">Sparemål</NavLink>
+            <NavLink to="/pages">Sider</NavLink>
+            <NavLink to="/formue">Formue</NavLink>
             <NavLink to="/categories">Kategorier</NavLink>
+            <NavLink to="/regler">Regler</NavLink>
+            <NavLink to="/varsler">Varsler</NavLink>
             <NavLink to="/innstillinger">Innstillinger</NavLink>
           </div>
           <button type="button" className="theme-toggle" onClick={toggleTheme}>
@@ -204,9 +225,20 @@ const App = () => {
         <Routes>
           <Route path="/" element={<Navigate to="/faste-utgifter" replace />} />
           <Route path="/faste-utgifter" element={<FixedExpensesPage />} />
+          <Route path="/oppsigelser" element={<CancellationsPage />} />
+          <Route path="/scenarier" element={<ScenariosPage />} />
+          <Route path="/fordeling" element={<CostSplitPage />} />
+          <Route path="/transaksjoner" element={<TransactionsPage />} />
+          <Route path="/transaksjoner/import" element={<BankImportPage />} />
+          <Route path="/transaksjoner/duplikater" element={<DuplicatesPage />} />
+          <Route path="/budsjett" element={<BudgetPage />} />
+          <Route path="/oppgjor" element={<SettleUpPage />} />
           <Route path="/sparemal" element={<SavingsGoalsPage />} />
           <Route path="/categories" element={<CategoriesPage />} />
+          <Route path="/regler" element={<RulesPage />} />
+          <Route path="/varsler" element={<RemindersPage />} />
           <Route path="/pages" element={<PagesPage />} />
+          <Route path="/formue" element={<NetWorthPage />} />
           <Route path="/innstillinger" element={<SettingsPage />} />
         </Routes>
       </main>
@@ -24,6 +24,28 @@ export const api = {
   updateTransaction: (id, payload) =>
     request(`/transactions/${id}`, { method: 'PUT', body: JSON.stringify(payload) }),
   deleteTransaction: (id) => request(`/transactions/${id}`, { method: 'DELETE' }),
+  deleteTransactions: (ids) =>
+    request('/transactions/bulk-delete', { method: 'POST', body: JSON.stringify({ ids }) }),
+  getDuplicateTransactions: () => request('/transactions/duplicates'),
+  dismissDuplicate: (ids) =>
+    request('/transactions/duplicates/dismiss', { method: 'POST', body: JSON.stringify({ ids }) }),
+  mergeTransactions: (keepId, removeId) =>
+    request('/transactions/merge', { method: 'POST', body: JSON.stringify({ keepId, removeId }) }),
+
+  getBankImportProfiles: () => request('/bank-import/profiles'),
+  createBankImportProfile: (payload) =>
+    request('/bank-import/profiles', { method: 'POST', body: JSON.stringify(payload) }),
+  deleteBankImportProfile: (id) => request(`/bank-import/profiles/${id}`, { method: 'DELETE' }),
+  previewBankImport: (payload) =>
+    request('/bank-import/preview', { method: 'POST', body: JSON.stringify(payload) }),
+  commitBankImport: (payload) => request('/bank-import/commit', { method: 'POST', body: JSON.stringify(payload) }),
+
+  getRules: () => request('/rules'),
+  createRule: (payload) => request('/rules', { method: 'POST', body: JSON.stringify(payload) }),
+  updateRule: (id, payload) => request(`/rules/${id}`, { method: 'PUT', body: JSON.stringify(payload) }),
+  deleteRule: (id) => request(`/rules/${id}`, { method: 'DELETE' }),
+  previewRules: (payload) => request('/rules/preview', { method: 'POST', body: JSON.stringify(payload) }),
+  applyRules: (payload) => request('/rules/apply', { method: 'POST', body: JSON.stringify(payload) }),
 
   getFixedExpenses: () => request('/faste-utgifter'),
   createFixedExpense: (payload) => request('/faste-utgifter', { method: 'POST', body: JSON.stringify(payload) }),
@@ -33,16 +55,69 @@ export const api = {
     request('/faste-utgifter/bulk-owners', { method: 'POST', body: JSON.stringify({ owners }) }),
   resetFixedExpensePriceHistory: (id) =>
     request(`/faste-utgifter/${id}/reset-price-history`, { method: 'POST' }),
+  getCancellations: () => request('/oppsigelser'),
+  getPriceGrowth: (kpi = '') => request(`/prisutvikling${kpi !== '' ? `?kpi=${encodeURIComponent(kpi)}` : ''}`),
+  getCalendarFeed: () => request('/calendar'),
+  createCalendarFeed: () => request('/calendar', { method: 'POST' }),
+  deleteCalendarFeed: () => request('/calendar', { method: 'DELETE' }),
+  calendarFeedUrl: (token) => new URL(`${API_BASE}/calendar/feed/${token}.ics`, window.location.href).toString(),
+  getFixedExpensePostings: (id) => request(`/faste-utgifter/${id}/postings`),
+  updateFixedExpensePosting: (id, month, payload) =>
+    request(`/faste-utgifter/${id}/postings/${month}`, { method: 'PUT', body: JSON.stringify(payload) }),
+
+  getCostSplit: () => request('/fordeling'),
+  getSettleUp: () => request('/oppgjor'),
+  createSettlement: (payload) => request('/oppgjor', { method: 'POST', body: JSON.stringify(payload) }),
+  deleteSettlement: (id) => request(`/oppgjor/${id}`, { method: 'DELETE' }),
+  getSavingsGoals: () => request('/sparemal'),
+  createSavingsGoal: (payload) => request('/sparemal', { method: 'POST', body: JSON.stringify(payload) }),
+  updateSavingsGoal: (id, payload) => request(`/sparemal/${id}`, { method: 'PUT', body: JSON.stringify(payload) }),
+  deleteSavingsGoal: (id) => request(`/sparemal/${id}`, { method: 'DELETE' }),
+  importSavingsGoals: (goals) => request('/sparemal/import', { method: 'POST', body: JSON.stringify({ goals }) }),
+  addSavingsContribution: (id, payload) =>
+    request(`/sparemal/${id}/innskudd`, { method: 'POST', body: JSON.stringify(payload) }),
+  deleteSavingsContribution: (id, contributionId) =>
+    request(`/sparemal/${id}/innskudd/${contributionId}`, { method: 'DELETE' }),
+  getNetWorth: () => request('/formue'),
+  recordNetWorth: () => request('/formue/oversikt', { method: 'POST' }),
+  getDashboard: () => request('/dashboard'),
+  getScenarios: () => request('/scenarios'),
+  createScenario: (payload) => request('/scenarios', { method: 'POST', body: JSON.stringify(payload) }),
+  updateScenario: (id, payload) => request(`/scenarios/${id}`, { method: 'PUT', body: JSON.stringify(payload) }),
+  deleteScenario: (id) => request(`/scenarios/${id}`, { method: 'DELETE' }),
+  previewScenario: (payload) => request('/scenarios/preview', { method: 'POST', body: JSON.stringify(payload) }),
+  getReminders: () => request('/reminders'),
+  createReminder: (payload) => request('/reminders', { method: 'POST', body: JSON.stringify(payload) }),
+  updateReminder: (id, payload) => request(`/reminders/${id}`, { method: 'PUT', body: JSON.stringify(payload) }),
+  deleteReminder: (id) => request(`/reminders/${id}`, { method: 'DELETE' }),
+  runReminders: () => request('/reminders/run', { method: 'POST' }),
+  getDeliveryLog: () => request('/reminders/log'),
+  getNotificationSettings: () => request('/notifications/settings'),
+  updateNotificationSettings: (payload) =>
+    request('/notifications/settings', { method: 'PUT', body: JSON.stringify(payload) }),
+  testNotification: (channel) => request('/notifications/test', { method: 'POST', body: JSON.stringify({ channel }) }),
+  getPushPublicKey: () => request('/push/public-key'),
+  savePushSubscription: (subscription) =>
+    request('/push/subscriptions', { method: 'POST', body: JSON.stringify(subscription) }),
+  deletePushSubscription: (endpoint) =>
+    request('/push/subscriptions', { method: 'DELETE', body: JSON.stringify({ endpoint }) }),
 
   getCategories: () => request('/categories'),
   createCategory: (payload) => request('/categories', { method: 'POST', body: JSON.stringify(payload) }),
   updateCategory: (id, payload) => request(`/categories/${id}`, { method: 'PUT', body: JSON.stringify(payload) }),
   deleteCategory: (id) => request(`/categories/${id}`, { method: 'DELETE' }),
+  getBudget: (month) => request(`/budsjett${month ? `?month=${month}` : ''}`),
 
   getPages: () => request('/pages'),
   createPage: (payload) => request('/pages', { method: 'POST', body: JSON.stringify(payload) }),
   updatePage: (id, payload) => request(`/pages/${id}`, { method: 'PUT', body: JSON.stringify(payload) }),
   deletePage: (id) => request(`/pages/${id}`, { method: 'DELETE' }),
+  getLoanSchedule: (id) => request(`/pages/${id}/nedbetalingsplan`),
+  getPortfolio: (id) => request(`/pages/${id}/portefolje`),
+  addValuation: (id, payload) => request(`/pages/${id}/kurser`, { method: 'POST', body: JSON.stringify(payload) }),
+  importValuations: (id, content) =>
+    request(`/pages/${id}/kurser/import`, { method: 'POST', body: JSON.stringify({ content }) }),
+  deleteValuation: (id, snapshotId) => request(`/pages/${id}/kurser/${snapshotId}`, { method: 'DELETE' }),
 
   getSettings: () => request('/settings'),
   updateSettings: (payload) => request('/settings', { method: 'PUT', body: JSON.stringify(payload) }),
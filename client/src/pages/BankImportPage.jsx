@@ -0,0 +1,409 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../api.js';
+import { formatCurrency, formatDate } from '../utils/format.js';
+
+const CUSTOM_PROFILE = 'custom';
+
+const emptyCustomProfile = {
+  name: '',
+  delimiter: '',
+  amountMode: 'signed',
+  columns: { date: '', description: '', extraDescription: '', amount: '', inflow: '', outflow: '', reference: '' }
+};
+
+const delimiterOptions = [
+  { value: '', label: 'Finn automatisk' },
+  { value: ';', label: 'Semikolon (;)' },
+  { value: ',', label: 'Komma (,)' },
+  { value: '\t', label: 'Tabulator' }
+];
+
+// Nettbankene eksporterer ofte i Windows-1252 i stedet for UTF-8, så æ, ø og å må reddes.
+const decodeFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (err) {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+};
+
+const toProfilePayload = (custom) => ({
+  name: custom.name,
+  delimiter: custom.delimiter,
+  columns: {
+    date: custom.columns.date,
+    description: [custom.columns.description, custom.columns.extraDescription].filter(Boolean),
+    amount: custom.amountMode === 'signed' ? custom.columns.amount : '',
+    inflow: custom.amountMode === 'split' ? custom.columns.inflow : '',
+    outflow: custom.amountMode === 'split' ? custom.columns.outflow : '',
+    reference: custom.columns.reference
+  }
+});
+
+const isCustomProfileComplete = (custom) =>
+  Boolean(
+    custom.columns.date &&
+      custom.columns.description &&
+      (custom.amountMode === 'signed' ? custom.columns.amount : custom.columns.inflow || custom.columns.outflow)
+  );
+
+const BankImportPage = () => {
+  const [profiles, setProfiles] = useState({ builtIn: [], custom: [] });
+  const [pages, setPages] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [content, setContent] = useState('');
+  const [profileChoice, setProfileChoice] = useState('');
+  const [customProfile, setCustomProfile] = useState(emptyCustomProfile);
+  const [preview, setPreview] = useState(null);
+  const [excludedLines, setExcludedLines] = useState([]);
+  const [pageId, setPageId] = useState('');
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+
+  const loadProfiles = useCallback(async () => {
+    try {
+      setProfiles(await api.getBankImportProfiles());
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+    api
+      .getPages()
+      .then(setPages)
+      .catch((err) => setError(err.message));
+  }, [loadProfiles]);
+
+  const profileRequest = useMemo(() => {
+    if (profileChoice === CUSTOM_PROFILE) {
+      return isCustomProfileComplete(customProfile) ? { profile: toProfilePayload(customProfile) } : null;
+    }
+    return profileChoice ? { profileId: profileChoice } : {};
+  }, [profileChoice, customProfile]);
+
+  useEffect(() => {
+    if (!content) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        // Et uferdig egendefinert oppsett trenger bare kolonneoverskriftene fra filen.
+        const result = await api.previewBankImport({ content, fileName, ...(profileRequest || {}) });
+        if (cancelled) return;
+        const headersOnly = !profileRequest && result.format === 'csv';
+        setPreview(headersOnly ? { ...result, profile: null, rows: [] } : result);
+        // Mulige duplikater er valgt bort til brukeren eventuelt krysser dem av igjen.
+        setExcludedLines(result.rows.filter((row) => row.possibleDuplicate).map((row) => row.line));
+        setError('');
+        if (result.format === 'csv' && !result.profile && !profileChoice) {
+          setProfileChoice(CUSTOM_PROFILE);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [content, fileName, profileRequest, profileChoice]);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    setStatus('');
+    setPreview(null);
+    if (!file) {
+      setContent('');
+      setFileName('');
+      return;
+    }
+    try {
+      setContent(await decodeFile(file));
+      setFileName(file.name);
+    } catch (err) {
+      setError('Kunne ikke lese filen: ' + err.message);
+    }
+  };
+
+  const updateColumn = (key, value) =>
+    setCustomProfile((current) => ({ ...current, columns: { ...current.columns, [key]: value } }));
+
+  const handleSaveProfile = async () => {
+    if (!customProfile.name.trim()) {
+      setError('Gi profilen et navn før du lagrer den.');
+      return;
+    }
+    try {
+      const saved = await api.createBankImportProfile(toProfilePayload(customProfile));
+      await loadProfiles();
+      setProfileChoice(saved.id);
+      setCustomProfile(emptyCustomProfile);
+      setStatus(`Profilen «${saved.name}» er lagret.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteProfile = async () => {
+    const profile = profiles.custom.find((item) => item.id === profileChoice);
+    if (!profile || !confirm(`Slette profilen «${profile.name}»?`)) return;
+    try {
+      await api.deleteBankImportProfile(profile.id);
+      setProfileChoice('');
+      await loadProfiles();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const rows = preview?.rows || [];
+  const isCsv = !preview || preview.format === 'csv';
+  const importableRows = rows.filter(
+    (row) => !row.error && !row.duplicate && !excludedLines.includes(row.line)
+  );
+  const duplicateCount = rows.filter((row) => row.duplicate).length;
+  const suspectedCount = rows.filter((row) => row.possibleDuplicate).length;
+
+  const toggleLine = (line) =>
+    setExcludedLines((current) =>
+      current.includes(line) ? current.filter((value) => value !== line) : [...current, line]
+    );
+
+  const handleImport = async () => {
+    if (!importableRows.length || (isCsv && !profileRequest)) return;
+    setIsImporting(true);
+    try {
+      const result = await api.commitBankImport({
+        content,
+        fileName,
+        ...(profileRequest || {}),
+        excludeLines: excludedLines,
+        pageId: pageId || null
+      });
+      const notes = [
+        result.duplicates ? `${result.duplicates} var importert fra før` : '',
+        result.suspectedDuplicates ? `${result.suspectedDuplicates} mulige duplikater ble importert` : '',
+        result.skipped - result.duplicates > 0 ? `${result.skipped - result.duplicates} hoppet over` : ''
+      ].filter(Boolean);
+      setStatus(
+        `Importerte ${result.imported} transaksjoner fra ${fileName}` +
+          (notes.length ? ` (${notes.join(', ')}).` : '.')
+      );
+      setContent('');
+      setFileName('');
+      setPreview(null);
+      setExcludedLines([]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const headers = preview?.headers || [];
+  const renderColumnSelect = (key, placeholder) => (
+    <select value={customProfile.columns[key]} onChange={(e) => updateColumn(key, e.target.value)}>
+      <option value="">{placeholder}</option>
+      {headers.map((header) => (
+        <option key={header} value={header}>
+          {header}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="bank-import-page">
+      <div className="section-header">
+        <h2>Importer kontoutskrift</h2>
+        <Link to="/transaksjoner">Tilbake til transaksjoner</Link>
+      </div>
+      {error && <p className="error-text">{error}</p>}
+      {status && <p className="muted">{status}</p>}
+
+      <div className="card stacked-form">
+        <label htmlFor="bank-import-file">Kontoutskrift fra nettbanken (CSV, camt.053 eller OFX)</label>
+        <input
+          id="bank-import-file"
+          type="file"
+          accept=".csv,.txt,.xml,.ofx,.qfx,text/csv,application/xml"
+          onChange={handleFileChange}
+        />
+        {isCsv && (
+          <>
+            <label htmlFor="bank-import-profile">Bank / kolonneoppsett</label>
+            <div className="section-actions">
+              <select
+                id="bank-import-profile"
+                value={profileChoice}
+                onChange={(e) => setProfileChoice(e.target.value)}
+              >
+                <option value="">Gjenkjenn automatisk</option>
+                {profiles.builtIn.map((profile) => (
+                  <option key={profile.id} value={profile.id}>
+                    {profile.name}
+                  </option>
+                ))}
+                {profiles.custom.map((profile) => (
+                  <option key={profile.id} value={profile.id}>
+                    {profile.name} (egen)
+                  </option>
+                ))}
+                <option value={CUSTOM_PROFILE}>Egendefinert oppsett…</option>
+              </select>
+              {profiles.custom.some((profile) => profile.id === profileChoice) && (
+                <button type="button" className="secondary" onClick={handleDeleteProfile}>
+                  Slett profil
+                </button>
+              )}
+            </div>
+          </>
+        )}
+        {(!isCsv || (preview?.profile && profileChoice !== CUSTOM_PROFILE)) && (
+          <p className="muted">
+            Leser filen som {preview.label}
+            {preview.missingColumns?.length ? ` – mangler kolonnene ${preview.missingColumns.join(', ')}` : ''}.
+          </p>
+        )}
+      </div>
+
+      {isCsv && profileChoice === CUSTOM_PROFILE && (
+        <div className="card stacked-form" style={{ marginTop: '1rem' }}>
+          <h3>Egendefinert kolonneoppsett</h3>
+          {!headers.length && <p className="muted">Velg en fil for å se kolonnene.</p>}
+          <div className="filter-grid">
+            <select
+              value={customProfile.delimiter}
+              onChange={(e) => setCustomProfile({ ...customProfile, delimiter: e.target.value })}
+            >
+              {delimiterOptions.map((option) => (
+                <option key={option.label} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            {renderColumnSelect('date', 'Kolonne for dato')}
+            {renderColumnSelect('description', 'Kolonne for beskrivelse')}
+            {renderColumnSelect('extraDescription', 'Ekstra tekst (valgfritt)')}
+            <select
+              value={customProfile.amountMode}
+              onChange={(e) => setCustomProfile({ ...customProfile, amountMode: e.target.value })}
+            >
+              <option value="signed">Ett beløp med fortegn</option>
+              <option value="split">Egne kolonner for inn og ut</option>
+            </select>
+            {customProfile.amountMode === 'signed' ? (
+              renderColumnSelect('amount', 'Kolonne for beløp')
+            ) : (
+              <>
+                {renderColumnSelect('inflow', 'Kolonne for inn')}
+                {renderColumnSelect('outflow', 'Kolonne for ut')}
+              </>
+            )}
+            {renderColumnSelect('reference', 'Referanse (valgfritt)')}
+          </div>
+          <div className="inline-form">
+            <input
+              placeholder="Navn på profilen, f.eks. «Felleskonto Bulder»"
+              value={customProfile.name}
+              onChange={(e) => setCustomProfile({ ...customProfile, name: e.target.value })}
+            />
+            <button
+              type="button"
+              className="secondary"
+              onClick={handleSaveProfile}
+              disabled={!isCustomProfileComplete(customProfile)}
+            >
+              Lagre som profil
+            </button>
+          </div>
+        </div>
+      )}
+
+      {(preview?.profile || !isCsv) && (
+        <div className="table-section" style={{ marginTop: '1.5rem' }}>
+          <div className="section-header">
+            <div>
+              <h2>Forhåndsvisning</h2>
+              {duplicateCount > 0 && (
+                <p className="muted">{duplicateCount} rader er allerede importert og hoppes over.</p>
+              )}
+              {suspectedCount > 0 && (
+                <p className="muted">
+                  {suspectedCount} rader ligner transaksjoner du allerede har, og er ikke valgt. Kryss dem av for å
+                  importere likevel.
+                </p>
+              )}
+            </div>
+            <div className="section-actions">
+              <select value={pageId} onChange={(e) => setPageId(e.target.value)}>
+                <option value="">Ingen side</option>
+                {pages.map((page) => (
+                  <option key={page.id} value={page.id}>
+                    {page.name}
+                  </option>
+                ))}
+              </select>
+              <button onClick={handleImport} disabled={isImporting || !importableRows.length}>
+                Importer {importableRows.length} av {rows.length}
+              </button>
+            </div>
+          </div>
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th className="table-actions-cell" />
+                  <th>Nr.</th>
+                  <th>Dato</th>
+                  <th>Tekst</th>
+                  <th>Beløp</th>
+                  <th>Referanse</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.line}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        aria-label={`Importer linje ${row.line}`}
+                        checked={!row.error && !row.duplicate && !excludedLines.includes(row.line)}
+                        disabled={Boolean(row.error || row.duplicate)}
+                        onChange={() => toggleLine(row.line)}
+                      />
+                    </td>
+                    <td className="muted">{row.line}</td>
+                    <td>{row.occurredOn ? formatDate(row.occurredOn) : '–'}</td>
+                    <td>
+                      <strong>{row.title}</strong>
+                      {row.notes && <div className="muted subtle-label">{row.notes}</div>}
+                      {row.error && <div className="error-text subtle-label">{row.error}</div>}
+                      {row.duplicate && <div className="muted subtle-label">Allerede importert</div>}
+                      {row.possibleDuplicate && (
+                        <div className="error-text subtle-label">
+                          Ligner «{row.possibleDuplicate.title}» fra {formatDate(row.possibleDuplicate.occurredOn)}
+                        </div>
+                      )}
+                    </td>
+                    <td className={row.type === 'income' ? 'amount-income' : 'amount-expense'}>
+                      {row.type === 'income' ? '+' : '−'}
+                      {formatCurrency(row.amount)}
+                    </td>
+                    <td className="muted">{row.reference || '–'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BankImportPage;
@@ -0,0 +1,131 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../api.js';
+import { formatCurrency, formatMonth } from '../utils/format.js';
+
+const STATUS = {
+  ok: { label: 'Innenfor', className: 'success' },
+  warning: { label: 'Nær grensen', className: 'warning' },
+  over: { label: 'Over budsjett', className: 'danger' }
+};
+
+const shiftMonth = (month, count) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const date = new Date(year, monthIndex - 1 + count, 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const thisMonth = () => new Date().toISOString().slice(0, 7);
+
+const BudgetPage = () => {
+  const [month, setMonth] = useState(thisMonth);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setError('');
+    api
+      .getBudget(month)
+      .then(setReport)
+      .catch((err) => setError(err.message));
+  }, [month]);
+
+  return (
+    <div>
+      <div className="section-header">
+        <h2>Budsjett for {formatMonth(month)}</h2>
+        <div className="section-actions">
+          <button className="secondary" onClick={() => setMonth(shiftMonth(month, -1))}>
+            Forrige
+          </button>
+          <input type="month" value={month} onChange={(e) => e.target.value && setMonth(e.target.value)} />
+          <button className="secondary" onClick={() => setMonth(shiftMonth(month, 1))}>
+            Neste
+          </button>
+        </div>
+      </div>
+      {error && <p className="error-text">{error}</p>}
+      {report && !report.categories.length && (
+        <div className="card">
+          <p className="muted">
+            Ingen kategorier har budsjett ennå. Sett et månedsbeløp på utgiftskategoriene under{' '}
+            <Link to="/categories">Kategorier</Link>.
+          </p>
+        </div>
+      )}
+      {report && report.categories.length > 0 && (
+        <>
+          <div className="card">
+            <div className="page-totals">
+              <span>
+                Disponibelt: <strong>{formatCurrency(report.totals.available)}</strong>
+              </span>
+              <span>
+                Brukt: <strong>{formatCurrency(report.totals.spent)}</strong>
+              </span>
+              <span>
+                Igjen:{' '}
+                <strong style={{ color: report.totals.remaining >= 0 ? '#16a34a' : '#dc2626' }}>
+                  {formatCurrency(report.totals.remaining)}
+                </strong>
+              </span>
+            </div>
+            <p className="muted">
+              Brukt er transaksjonene i kategorien pluss faste utgifter med samme kategori som ikke er bokført ennå.
+              Kategorier med konvoluttbudsjett tar med seg det som er igjen, eller brukt for mye, fra forrige måned.
+            </p>
+          </div>
+          <div className="card">
+            <div className="table-wrapper">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Kategori</th>
+                    <th>Budsjett</th>
+                    <th>Overført</th>
+                    <th>Transaksjoner</th>
+                    <th>Faste utgifter</th>
+                    <th>Igjen</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.categories.map((row) => (
+                    <tr key={row.categoryId}>
+                      <td>
+                        <span style={{ color: row.color }}>●</span> {row.name}
+                        <div className="progress-track">
+                          <div
+                            className={`progress-fill ${row.status === 'ok' ? '' : row.status}`}
+                            style={{ width: `${Math.min(100, row.percent ?? (row.spent > 0 ? 100 : 0))}%` }}
+                          />
+                        </div>
+                      </td>
+                      <td>{formatCurrency(row.budget)}</td>
+                      <td>{row.rollover ? formatCurrency(row.carriedOver) : <span className="muted">-</span>}</td>
+                      <td>{formatCurrency(row.transactions)}</td>
+                      <td>{formatCurrency(row.fixedExpenses)}</td>
+                      <td style={{ color: row.remaining >= 0 ? undefined : '#dc2626' }}>
+                        {formatCurrency(row.remaining)}
+                      </td>
+                      <td>
+                        <span className={`badge ${STATUS[row.status].className}`}>{STATUS[row.status].label}</span>
+                        {row.percent !== null && <span className="muted"> {row.percent} %</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+          <p className="muted">
+            Få varsel når en kategori nærmer seg grensen med en påminnelse av typen «Kategoribudsjett» under{' '}
+            <Link to="/varsler">Varsler</Link>.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BudgetPage;
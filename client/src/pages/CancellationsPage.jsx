@@ -0,0 +1,178 @@
+import { useEffect, useState } from 'react';
+import { api } from '../api.js';
+import { formatCurrency, formatDate, formatNotice } from '../utils/format.js';
+
+const STATUS_LABELS = {
+  urgent: 'Haster',
+  upcoming: 'Kommende',
+  missed: 'Fristen er passert',
+  open: 'Ingen binding'
+};
+
+const describeDays = (days) => {
+  if (days === null || days === undefined) return '';
+  if (days === 0) return 'i dag';
+  if (days < 0) return `for ${Math.abs(days)} dager siden`;
+  return `om ${days} dager`;
+};
+
+// Nøkkelen kan bare vises rett etter at den er laget; serveren lagrer kun en hash av den.
+const CalendarFeed = () => {
+  const [feed, setFeed] = useState(null);
+  const [feedUrl, setFeedUrl] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api
+      .getCalendarFeed()
+      .then(setFeed)
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const createFeed = async () => {
+    if (feed?.active && !confirm('Den gamle adressen slutter å virke. Lage en ny?')) return;
+    try {
+      const created = await api.createCalendarFeed();
+      setFeed(created);
+      setFeedUrl(api.calendarFeedUrl(created.token));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const deleteFeed = async () => {
+    if (!confirm('Slette kalenderfeeden? Kalendere som abonnerer slutter å oppdateres.')) return;
+    try {
+      await api.deleteCalendarFeed();
+      setFeed({ active: false, createdAt: null });
+      setFeedUrl('');
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3>Kalender</h3>
+      <p className="muted">
+        Abonner på forfallsdatoer, slutt på bindingstid og oppsigelsesfrister i mobilkalenderen. Feeden viser
+        bare utgiftene du har tilgang til.
+      </p>
+      {error && <p className="error-text">{error}</p>}
+      {feedUrl ? (
+        <div className="inline-form">
+          <label htmlFor="calendar-feed-url">Adresse til kalenderen</label>
+          <input id="calendar-feed-url" readOnly value={feedUrl} onFocus={(event) => event.target.select()} />
+          <p className="muted subtle-label">
+            Kopier adressen nå og legg den til som abonnement i kalenderappen. Den vises ikke igjen.
+          </p>
+          <a href={feedUrl.replace(/^https?:/, 'webcal:')}>Åpne i kalenderappen</a>
+        </div>
+      ) : (
+        feed?.active && (
+          <p className="muted subtle-label">Feeden ble laget {formatDate(feed.createdAt)}.</p>
+        )
+      )}
+      <div className="form-actions">
+        <button onClick={createFeed}>{feed?.active ? 'Lag ny adresse' : 'Lag kalenderfeed'}</button>
+        {feed?.active && (
+          <button className="danger" onClick={deleteFeed}>
+            Slett feed
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const CancellationsPage = () => {
+  const [items, setItems] = useState([]);
+  const [totals, setTotals] = useState({ monthlySavings: 0, yearlySavings: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api
+      .getCancellations()
+      .then((data) => {
+        setItems(data.items);
+        setTotals(data.totals);
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const urgentCount = items.filter((item) => item.status === 'urgent').length;
+
+  return (
+    <div className="table-section">
+      <div className="section-header">
+        <div>
+          <h2>Oppsigelser</h2>
+          <p className="muted">
+            Siste frist er bindingstidens slutt minus oppsigelsestiden. Sier du opp senere, løper avtalen videre.
+          </p>
+        </div>
+        {urgentCount > 0 && <span className="badge">{urgentCount} frister innen 30 dager</span>}
+      </div>
+      {error && <p className="error-text">{error}</p>}
+      <CalendarFeed />
+      {isLoading ? (
+        <p className="muted">Laster…</p>
+      ) : items.length === 0 ? (
+        <p className="muted">Ingen faste utgifter å si opp.</p>
+      ) : (
+        <div className="card">
+          <p className="muted filter-indicator">
+            Sier du opp alt, sparer dere {formatCurrency(totals.monthlySavings)} i måneden og{' '}
+            {formatCurrency(totals.yearlySavings)} i året.
+          </p>
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Utgift</th>
+                  <th>Binding til</th>
+                  <th>Oppsigelsestid</th>
+                  <th>Siste frist</th>
+                  <th>Slutter tidligst</th>
+                  <th>Sparer per måned</th>
+                  <th>Sparer per år</th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((item) => (
+                  <tr key={item.id} className={item.status === 'urgent' ? 'row-urgent' : undefined}>
+                    <td>
+                      <strong>{item.name}</strong>
+                      <div className="muted subtle-label">{item.category}</div>
+                    </td>
+                    <td>{formatDate(item.bindingEndDate)}</td>
+                    <td>{formatNotice(item.noticePeriodMonths)}</td>
+                    <td>
+                      {item.lastNoticeDate ? formatDate(item.lastNoticeDate) : '–'}
+                      <div className={item.status === 'urgent' ? 'error-text subtle-label' : 'muted subtle-label'}>
+                        {STATUS_LABELS[item.status]}
+                        {item.lastNoticeDate ? ` · ${describeDays(item.daysUntilDeadline)}` : ''}
+                      </div>
+                    </td>
+                    <td>
+                      {formatDate(item.earliestEndDate)}
+                      <div className="muted subtle-label">Ved oppsigelse i dag</div>
+                    </td>
+                    <td>{formatCurrency(item.monthlySavings)}</td>
+                    <td>{formatCurrency(item.yearlySavings)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CancellationsPage;
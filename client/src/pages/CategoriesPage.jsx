@@ -1,7 +1,15 @@
 import { useEffect, useMemo, useState } from 'react';
 import { api } from '../api.js';
+import { formatCurrency } from '../utils/format.js';
 
-const emptyCategory = { name: '', type: 'expense', color: '#4f46e5', description: '' };
+const emptyBudget = { amount: '', rollover: false, warnAt: 80 };
+const emptyCategory = { name: '', type: 'expense', color: '#4f46e5', description: '', budget: emptyBudget };
+
+// Uten beløp sendes ingen budsjett, og et eksisterende budsjett fjernes.
+const toBudgetPayload = (category) =>
+  category.type === 'expense' && Number(category.budget.amount) > 0
+    ? { ...category.budget, amount: Number(category.budget.amount), warnAt: Number(category.budget.warnAt) }
+    : null;
 const paletteOptions = [
   { value: 'analogous', label: 'Analog' },
   { value: 'complementary', label: 'Komplementær' },
@@ -161,11 +169,12 @@ const CategoriesPage = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    const payload = { ...form, budget: toBudgetPayload(form) };
     try {
       if (editingId) {
-        await api.updateCategory(editingId, form);
+        await api.updateCategory(editingId, payload);
       } else {
-        await api.createCategory(form);
+        await api.createCategory(payload);
       }
       reset();
       load();
@@ -198,7 +207,7 @@ const CategoriesPage = () => {
     setCategories(updatedCategories);
     if (editingId) {
       const edited = updatedCategories.find((cat) => cat.id === editingId);
-      if (edited) setForm(edited);
+      if (edited) setForm({ ...edited, budget: edited.budget || emptyBudget });
     }
 
     try {
@@ -228,7 +237,7 @@ const CategoriesPage = () => {
     setCategories(updatedCategories);
     if (editingId) {
       const edited = updatedCategories.find((cat) => cat.id === editingId);
-      if (edited) setForm(edited);
+      if (edited) setForm({ ...edited, budget: edited.budget || emptyBudget });
     }
 
     try {
@@ -272,6 +281,36 @@ const CategoriesPage = () => {
           value={form.description}
           onChange={(e) => setForm({ ...form, description: e.target.value })}
         />
+        {form.type === 'expense' && (
+          <div className="form-row">
+            <input
+              type="number"
+              min="0"
+              step="1"
+              placeholder="Budsjett per måned"
+              value={form.budget.amount}
+              onChange={(e) => setForm({ ...form, budget: { ...form.budget, amount: e.target.value } })}
+            />
+            <input
+              type="number"
+              min="1"
+              max="100"
+              step="1"
+              placeholder="Varsle ved % brukt"
+              title="Varsle når så mange prosent av budsjettet er brukt"
+              value={form.budget.warnAt}
+              onChange={(e) => setForm({ ...form, budget: { ...form.budget, warnAt: e.target.value } })}
+            />
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={form.budget.rollover}
+                onChange={(e) => setForm({ ...form, budget: { ...form.budget, rollover: e.target.checked } })}
+              />
+              Ta med rest til neste måned
+            </label>
+          </div>
+        )}
         <button type="submit">{editingId ? 'Oppdater' : 'Lagre'}</button>
       </form>
 
@@ -349,10 +388,16 @@ const CategoriesPage = () => {
             </span>
             <h3>{category.name}</h3>
             <p>{category.description}</p>
+            {category.budget && (
+              <p className="muted">
+                Budsjett: {formatCurrency(category.budget.amount)} per måned
+                {category.budget.rollover ? ', resten tas med videre' : ''}
+              </p>
+            )}
             <button
               className="secondary"
               onClick={() => {
-                setForm({ ...category });
+                setForm({ ...category, budget: category.budget || emptyBudget });
                 setEditingId(category.id);
               }}
             >
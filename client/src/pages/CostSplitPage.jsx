@@ -0,0 +1,268 @@
+import { useEffect, useState } from 'react';
+import { api } from '../api.js';
+import { formatCurrency } from '../utils/format.js';
+
+const ACCOUNT_FALLBACK = 'Uten konto';
+
+const sharesTotal = (shares) => Object.values(shares).reduce((sum, value) => sum + (Number(value) || 0), 0);
+
+// Velger fordelingsmåte, og prosent per person når det er egne prosenter.
+const SplitEditor = ({ split, owners, methods, inheritLabel, onSave }) => {
+  const [method, setMethod] = useState(split?.method || '');
+  const [shares, setShares] = useState(split?.shares || {});
+
+  useEffect(() => {
+    setMethod(split?.method || '');
+    setShares(split?.shares || {});
+  }, [split]);
+
+  const handleMethod = (value) => {
+    setMethod(value);
+    if (value !== 'custom') onSave(value ? { method: value } : null);
+  };
+
+  const total = sharesTotal(shares);
+
+  return (
+    <div className="quick-add-form">
+      <select value={method} onChange={(e) => handleMethod(e.target.value)}>
+        {inheritLabel && <option value="">{inheritLabel}</option>}
+        {Object.entries(methods).map(([value, label]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {method === 'custom' && (
+        <>
+          {owners.map((owner) => (
+            <input
+              key={owner}
+              type="number"
+              min="0"
+              max="100"
+              step="1"
+              aria-label={`Prosent for ${owner}`}
+              placeholder={`${owner} %`}
+              value={shares[owner] ?? ''}
+              onChange={(e) => setShares({ ...shares, [owner]: e.target.value })}
+            />
+          ))}
+          <button type="button" disabled={total !== 100} onClick={() => onSave({ method, shares })}>
+            Lagre ({total} %)
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+const CostSplitPage = () => {
+  const [report, setReport] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  const load = async () => {
+    try {
+      const [splitReport, currentSettings] = await Promise.all([api.getCostSplit(), api.getSettings()]);
+      setReport(splitReport);
+      setSettings(currentSettings);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const run = async (action, message) => {
+    setError('');
+    try {
+      await action();
+      setStatus(message);
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const saveAccountSplit = (account, split) =>
+    run(
+      () => api.updateSettings({ accountSplits: { ...settings.accountSplits, [account]: split } }),
+      `Fordelingen for ${account} er lagret.`
+    );
+
+  const saveExpenseSplit = (expense, split) =>
+    run(() => api.updateFixedExpense(expense.id, { split }), `Fordelingen for ${expense.name} er lagret.`);
+
+  // Setter bidraget per konto på hver person til den anbefalte overføringen, rundet opp til hele kroner.
+  const applyRecommendation = () => {
+    const recommended = new Map();
+    report.accounts
+      .filter((entry) => entry.account)
+      .forEach((entry) =>
+        entry.transfers.forEach((transfer) => {
+          recommended.set(transfer.owner, {
+            ...recommended.get(transfer.owner),
+            [entry.account]: Math.ceil(transfer.recommended)
+          });
+        })
+      );
+    const ownerProfiles = settings.ownerProfiles.map((profile) => ({
+      ...profile,
+      bankContributions: { ...profile.bankContributions, ...recommended.get(profile.name) }
+    }));
+    run(() => api.updateSettings({ ownerProfiles }), 'Bidragene er oppdatert.');
+  };
+
+  const owners = report?.owners.map((owner) => owner.name) || [];
+  const canApply = settings?.bankModeEnabled && report?.accounts.some((entry) => entry.account && entry.total);
+
+  return (
+    <div className="rules-page">
+      {error && <p className="error-text">{error}</p>}
+      {status && <p className="muted">{status}</p>}
+
+      {report && (
+        <>
+          <div className="section-header">
+            <h2>Hvem betaler hva</h2>
+            {canApply && (
+              <div className="section-actions">
+                <button onClick={applyRecommendation}>Bruk som bidrag</button>
+              </div>
+            )}
+          </div>
+          <p className="muted">
+            Faste utgifter for {formatCurrency(report.total)} per måned fordelt etter reglene under. Hver konto har
+            en fordelingsmåte, og en utgift kan ha sin egen. Likt og etter inntekt deler mellom utgiftens eiere.
+          </p>
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Person</th>
+                  <th>Netto inntekt</th>
+                  <th>Anbefalt overføring</th>
+                  <th>Andel av inntekt</th>
+                  <th>Bidrar i dag</th>
+                  <th>Forskjell</th>
+                </tr>
+              </thead>
+              <tbody>
+                {!report.owners.length && (
+                  <tr>
+                    <td colSpan={6} className="muted">
+                      Legg inn personer under innstillinger for å fordele utgiftene.
+                    </td>
+                  </tr>
+                )}
+                {report.owners.map((owner) => (
+                  <tr key={owner.name}>
+                    <td>
+                      <strong>{owner.name}</strong>
+                    </td>
+                    <td>{formatCurrency(owner.monthlyNetIncome)}</td>
+                    <td>{formatCurrency(owner.recommended)}</td>
+                    <td>{owner.shareOfIncome === null ? '–' : `${owner.shareOfIncome.toLocaleString('no-NO')} %`}</td>
+                    <td>{formatCurrency(owner.current)}</td>
+                    <td>
+                      {owner.difference > 0 ? '+' : ''}
+                      {formatCurrency(owner.difference)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {report.accounts.map((entry) => (
+            <div key={entry.account || ACCOUNT_FALLBACK} className="card stacked-form" style={{ marginTop: '1.5rem' }}>
+              <div className="section-header">
+                <h3>{entry.account || ACCOUNT_FALLBACK}</h3>
+                <strong>{formatCurrency(entry.total)} / mnd</strong>
+              </div>
+              {entry.account ? (
+                <SplitEditor
+                  split={entry.split}
+                  owners={owners}
+                  methods={report.methods}
+                  onSave={(split) => saveAccountSplit(entry.account, split)}
+                />
+              ) : (
+                <p className="muted">Utgifter uten konto deles likt med mindre utgiften har en egen fordeling.</p>
+              )}
+              <div className="table-wrapper">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Person</th>
+                      <th>Anbefalt per måned</th>
+                      {entry.account && <th>Bidrar i dag</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {entry.transfers.map((transfer) => (
+                      <tr key={transfer.owner}>
+                        <td>{transfer.owner}</td>
+                        <td>{formatCurrency(transfer.recommended)}</td>
+                        {entry.account && <td>{transfer.current === null ? '–' : formatCurrency(transfer.current)}</td>}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {entry.unassigned > 0 && (
+                <p className="error-text">
+                  {formatCurrency(entry.unassigned)} har ingen å fordeles på. Gi utgiftene eiere eller legg inn personer.
+                </p>
+              )}
+              {entry.expenses.length > 0 && (
+                <div className="table-wrapper">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Utgift</th>
+                        <th>Per måned</th>
+                        <th>Fordeling</th>
+                        <th>Andeler</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {entry.expenses.map((expense) => (
+                        <tr key={expense.id}>
+                          <td>
+                            <strong>{expense.name}</strong>
+                            <br />
+                            <span className="muted">{expense.owners.join(', ') || 'Ingen eiere'}</span>
+                          </td>
+                          <td>{formatCurrency(expense.amountPerMonth)}</td>
+                          <td>
+                            <SplitEditor
+                              split={expense.split}
+                              owners={owners}
+                              methods={report.methods}
+                              inheritLabel={entry.account ? 'Som kontoen' : 'Likt (standard)'}
+                              onSave={(split) => saveExpenseSplit(expense, split)}
+                            />
+                          </td>
+                          <td className="muted">
+                            {expense.shares.map((share) => `${share.owner}: ${formatCurrency(share.amount)}`).join(', ')}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CostSplitPage;
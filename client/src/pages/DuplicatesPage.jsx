@@ -0,0 +1,151 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../api.js';
+import { formatCurrency, formatDate } from '../utils/format.js';
+
+const REASON_LABELS = {
+  sameReference: 'Samme bankreferanse',
+  sameAmount: 'Samme beløp',
+  sameDate: 'Samme dato',
+  closeDates: 'Nære datoer',
+  sameTitle: 'Lik tittel',
+  similarTitle: 'Lignende tittel'
+};
+
+const TransactionSummary = ({ transaction }) => (
+  <div>
+    <strong>{transaction.title}</strong>
+    <div className="muted">
+      {formatDate(transaction.occurredOn)} · {transaction.type === 'income' ? '+' : '−'}
+      {formatCurrency(transaction.amount)}
+    </div>
+    {transaction.categoryName && <div className="muted subtle-label">{transaction.categoryName}</div>}
+    {transaction.metadata?.bankReference && (
+      <div className="muted subtle-label">Ref. {transaction.metadata.bankReference}</div>
+    )}
+    {transaction.tags?.length > 0 && (
+      <div>
+        {transaction.tags.map((tag) => (
+          <span key={tag} className="tag">
+            {tag}
+          </span>
+        ))}
+      </div>
+    )}
+    {transaction.notes && <div className="muted subtle-label">{transaction.notes}</div>}
+  </div>
+);
+
+const DuplicatesPage = () => {
+  const [pairs, setPairs] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  const load = async () => {
+    try {
+      setPairs(await api.getDuplicateTransactions());
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const handleMerge = async (keep, remove) => {
+    if (!confirm(`Slå sammen og slette «${remove.title}»? Tagger og notater flyttes til transaksjonen du beholder.`)) {
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await api.mergeTransactions(keep.id, remove.id);
+      setStatus(`«${keep.title}» ble beholdt.`);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDismiss = async (pair) => {
+    setIsSaving(true);
+    try {
+      await api.dismissDuplicate([pair.a.id, pair.b.id]);
+      setStatus('Paret blir ikke foreslått igjen.');
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="table-section">
+      <div className="section-header">
+        <h2>Mulige duplikater</h2>
+        <Link to="/transaksjoner">Tilbake til transaksjoner</Link>
+      </div>
+      {error && <p className="error-text">{error}</p>}
+      {status && <p className="muted">{status}</p>}
+      {isLoading ? (
+        <p className="muted">Laster…</p>
+      ) : pairs.length === 0 ? (
+        <p className="muted">Fant ingen transaksjoner som ser ut til å være registrert to ganger.</p>
+      ) : (
+        <div className="table-wrapper">
+          <table>
+            <thead>
+              <tr>
+                <th>Transaksjon</th>
+                <th>Mulig duplikat</th>
+                <th>Hvorfor</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {pairs.map((pair) => (
+                <tr key={pair.key}>
+                  <td>
+                    <TransactionSummary transaction={pair.a} />
+                    <button className="secondary" disabled={isSaving} onClick={() => handleMerge(pair.a, pair.b)}>
+                      Behold denne
+                    </button>
+                  </td>
+                  <td>
+                    <TransactionSummary transaction={pair.b} />
+                    <button className="secondary" disabled={isSaving} onClick={() => handleMerge(pair.b, pair.a)}>
+                      Behold denne
+                    </button>
+                  </td>
+                  <td>
+                    {pair.reasons.map((reason) => (
+                      <span key={reason} className="chip">
+                        {REASON_LABELS[reason] || reason}
+                      </span>
+                    ))}
+                    <div className="muted subtle-label">Likhet {Math.round(pair.score * 100)} %</div>
+                  </td>
+                  <td className="table-actions-cell">
+                    <button className="secondary" disabled={isSaving} onClick={() => handleDismiss(pair)}>
+                      Ikke duplikat
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DuplicatesPage;
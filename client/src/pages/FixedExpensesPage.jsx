@@ -1,9 +1,10 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { createPortal } from 'react-dom';
+import { Link } from 'react-router-dom';
 import { Chart as ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, PointElement, LineElement } from 'chart.js';
 import { Doughnut, Line } from 'react-chartjs-2';
 import { api } from '../api.js';
-import { formatCurrency, formatDate, formatNotice } from '../utils/format.js';
+import { formatCurrency, formatDate, formatMonth, formatNotice } from '../utils/format.js';
 
 ChartJS.register(ArcElement, Tooltip, Legend, CategoryScale, LinearScale, PointElement, LineElement);
 
@@ -16,6 +17,27 @@ const FALLBACK_CATEGORY_COLORS = {
   Annet: '#94a3b8'
 };
 const LEVEL_OPTIONS = ['Må-ha', 'Kjekt å ha', 'Luksus'];
+const BILLING_INTERVAL_OPTIONS = [
+  { value: 'weekly', label: 'Ukentlig', suffix: 'per uke' },
+  { value: 'monthly', label: 'Månedlig', suffix: 'per måned' },
+  { value: 'quarterly', label: 'Kvartalsvis', suffix: 'per kvartal' },
+  { value: 'yearly', label: 'Årlig', suffix: 'per år' },
+  { value: 'custom', label: 'Hver N. måned', suffix: null }
+];
+const WEEKS_PER_MONTH = 52 / 12;
+const INTERVAL_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+const monthlyEquivalent = (amount, interval, intervalMonths) => {
+  const value = Number(amount) || 0;
+  if (interval === 'weekly') return value * WEEKS_PER_MONTH;
+  return value / (INTERVAL_MONTHS[interval] || Number(intervalMonths) || 1);
+};
+
+const describeCharge = (expense) => {
+  const option = BILLING_INTERVAL_OPTIONS.find((item) => item.value === expense.billingInterval);
+  const suffix = option?.suffix || `hver ${expense.intervalMonths}. måned`;
+  return `${formatCurrency(expense.chargedAmount ?? expense.amountPerMonth)} ${suffix}`;
+};
 const CATEGORY_SORT_STORAGE_KEY = 'fixed-expense-category-sort';
 const CATEGORY_SORT_OPTIONS = [
   { value: 'total-desc', label: 'Størst sum' },
@@ -38,7 +60,9 @@ const hexToRgba = (hex, alpha = 1) => {
 
 const createEmptyForm = (category = FALLBACK_CATEGORY_OPTIONS[0], owners = [], account = '') => ({
   name: '',
-  amountPerMonth: '',
+  chargedAmount: '',
+  billingInterval: 'monthly',
+  intervalMonths: '',
   category,
   owners: Array.isArray(owners) ? [...owners] : [],
   account,
@@ -46,9 +70,257 @@ const createEmptyForm = (category = FALLBACK_CATEGORY_OPTIONS[0], owners = [], a
   startDate: '',
   bindingEndDate: '',
   noticePeriodMonths: '',
+  dueDay: '',
   note: ''
 });
 
+const POSTING_STATUS_LABELS = {
+  posted: 'Bokført',
+  due: 'Forfalt',
+  planned: 'Planlagt',
+  skipped: 'Hoppet over'
+};
+
+// Månedene en fast utgift bokføres som transaksjon, med mulighet for å hoppe over eller endre beløp.
+const PostingSchedule = ({ expense }) => {
+  const [months, setMonths] = useState([]);
+  const [amounts, setAmounts] = useState({});
+  const [error, setError] = useState('');
+  const [savingMonth, setSavingMonth] = useState('');
+
+  useEffect(() => {
+    api
+      .getFixedExpensePostings(expense.id)
+      .then(setMonths)
+      .catch((err) => setError(err.message));
+  }, [expense.id, expense.updatedAt]);
+
+  const updateMonth = async (month, payload) => {
+    setSavingMonth(month);
+    try {
+      setMonths(await api.updateFixedExpensePosting(expense.id, month, payload));
+      setAmounts((current) => ({ ...current, [month]: undefined }));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSavingMonth('');
+    }
+  };
+
+  return (
+    <div className="price-adjustment posting-schedule">
+      <div className="price-adjustment-header">
+        <div>
+          <span className="muted subtle-label">Bokføring</span>
+          <p className="price-adjustment-title">Transaksjon den {expense.dueDay}. hver måned</p>
+        </div>
+      </div>
+      {error && <p className="error-text">{error}</p>}
+      {months.map((entry) => {
+        const draft = amounts[entry.month];
+        return (
+          <div className="posting-row" key={entry.month}>
+            <div>
+              <strong>{formatMonth(entry.month)}</strong>
+              <div className="muted subtle-label">
+                {POSTING_STATUS_LABELS[entry.status]} · {formatDate(entry.dueDate)}
+              </div>
+            </div>
+            {entry.status === 'skipped' ? (
+              <>
+                <span className="muted">–</span>
+                <button
+                  type="button"
+                  className="secondary"
+                  disabled={savingMonth === entry.month}
+                  onClick={() => updateMonth(entry.month, { skipped: false })}
+                >
+                  Angre
+                </button>
+              </>
+            ) : (
+              <>
+                <div className="inline-form">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    aria-label={`Beløp for ${formatMonth(entry.month)}`}
+                    value={draft ?? entry.amount}
+                    onChange={(e) => setAmounts((current) => ({ ...current, [entry.month]: e.target.value }))}
+                  />
+                  {draft !== undefined && Number(draft) !== entry.amount && (
+                    <button
+                      type="button"
+                      disabled={savingMonth === entry.month}
+                      onClick={() => updateMonth(entry.month, { amount: draft })}
+                    >
+                      Lagre
+                    </button>
+                  )}
+                </div>
+                <button
+                  type="button"
+                  className="secondary"
+                  disabled={savingMonth === entry.month}
+                  onClick={() => {
+                    if (entry.status === 'posted' && !window.confirm('Slette transaksjonen for denne måneden?')) {
+                      return;
+                    }
+                    updateMonth(entry.month, { skipped: true });
+                  }}
+                >
+                  Hopp over
+                </button>
+              </>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const formatGrowth = (rate) =>
+  rate === null || rate === undefined ? '–' : `${rate >= 0 ? '+' : ''}${(rate * 100).toFixed(1)} % i året`;
+
+// Årlig prisvekst per utgift og kategori mot KPI. Satsen kan prøves ut her og lagres som standard.
+const PriceGrowth = ({ expenses }) => {
+  const [report, setReport] = useState(null);
+  const [kpi, setKpi] = useState('');
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    api
+      .getPriceGrowth(kpi)
+      .then((data) => {
+        setReport(data);
+        setError('');
+      })
+      .catch((err) => setError(err.message));
+  }, [expenses, kpi]);
+
+  const saveKpi = async () => {
+    try {
+      await api.updateSettings({ inflationRate: Number(kpi) });
+      setStatus(`KPI på ${kpi} % er lagret som standard.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!report) return error ? <p className="error-text">{error}</p> : null;
+  const measured = report.expenses.filter((item) => item.changes > 0 || item.annualGrowth !== null);
+
+  return (
+    <div className="card insight-card chart-card">
+      <div className="section-header" style={{ marginTop: 0 }}>
+        <div>
+          <h2>Prisvekst mot KPI</h2>
+          <p className="muted">
+            Gjennomsnittlig årlig prisøkning siden første registrerte pris. Utgifter med kortere historikk enn tre
+            måneder får ikke årlig vekst.
+          </p>
+        </div>
+        {report.totals.aboveInflation > 0 && (
+          <span className="badge">{report.totals.aboveInflation} over KPI</span>
+        )}
+      </div>
+      {error && <p className="error-text">{error}</p>}
+      {status && <p className="muted">{status}</p>}
+      <div className="form-actions">
+        <label htmlFor="price-growth-kpi" className="muted">
+          KPI per år (%)
+        </label>
+        <input
+          id="price-growth-kpi"
+          type="number"
+          step="0.1"
+          placeholder={String(report.inflationRate)}
+          value={kpi}
+          onChange={(e) => {
+            setKpi(e.target.value);
+            setStatus('');
+          }}
+        />
+        {kpi !== '' && (
+          <button type="button" className="secondary" onClick={saveKpi}>
+            Lagre som standard
+          </button>
+        )}
+      </div>
+      <p className="muted filter-indicator">
+        Prisøkningene har kostet dere {formatCurrency(report.totals.extraCostSinceFirst)} ekstra siden første
+        registrerte pris, og dere betaler nå {formatCurrency(report.totals.monthlyAboveInflation)} mer i måneden enn
+        om prisene hadde fulgt KPI.
+      </p>
+      <div className="table-wrapper">
+        <table>
+          <thead>
+            <tr>
+              <th>Kategori</th>
+              <th>Utgifter</th>
+              <th>Nå per måned</th>
+              <th>Årlig vekst</th>
+              <th>Merkostnad totalt</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.categories.map((row) => (
+              <tr key={row.category} className={row.aboveInflation ? 'row-urgent' : undefined}>
+                <td>{row.category}</td>
+                <td>{row.expenses}</td>
+                <td>{formatCurrency(row.currentAmount)}</td>
+                <td>{formatGrowth(row.annualGrowth)}</td>
+                <td>{formatCurrency(row.extraCostSinceFirst)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {measured.length > 0 && (
+        <div className="table-wrapper">
+          <table>
+            <thead>
+              <tr>
+                <th>Utgift</th>
+                <th>Første pris</th>
+                <th>Nå</th>
+                <th>Årlig vekst</th>
+                <th>Med KPI ville den kostet</th>
+                <th>Merkostnad totalt</th>
+              </tr>
+            </thead>
+            <tbody>
+              {measured.map((row) => (
+                <tr key={row.id} className={row.aboveInflation ? 'row-urgent' : undefined}>
+                  <td>
+                    <strong>{row.name}</strong>
+                    <div className="muted subtle-label">{row.category}</div>
+                  </td>
+                  <td>
+                    {formatCurrency(row.firstAmount)}
+                    <div className="muted subtle-label">{formatDate(row.firstRecordedOn)}</div>
+                  </td>
+                  <td>{formatCurrency(row.currentAmount)}</td>
+                  <td>
+                    {formatGrowth(row.annualGrowth)}
+                    {row.aboveInflation && <div className="error-text subtle-label">Over KPI</div>}
+                  </td>
+                  <td>{formatCurrency(row.inflationAdjustedAmount)}</td>
+                  <td>{formatCurrency(row.extraCostSinceFirst)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
 const Modal = ({ children, onClose }) => {
   const elRef = useRef(null);
   if (typeof document !== 'undefined' && !elRef.current) {
@@ -710,7 +982,9 @@ const FixedExpensesPage = () => {
       setEditingId(expense.id);
       setForm({
         name: expense.name,
-        amountPerMonth: expense.amountPerMonth,
+        chargedAmount: expense.chargedAmount ?? expense.amountPerMonth,
+        billingInterval: expense.billingInterval || 'monthly',
+        intervalMonths: expense.billingInterval === 'custom' ? expense.intervalMonths : '',
         category: expense.category || categoryOptions[0] || FALLBACK_CATEGORY_OPTIONS[0],
         owners: Array.isArray(expense.owners) ? expense.owners : [],
         account: expense.account || '',
@@ -718,6 +992,7 @@ const FixedExpensesPage = () => {
         startDate: expense.startDate || '',
         bindingEndDate: expense.bindingEndDate || '',
         noticePeriodMonths: expense.noticePeriodMonths ?? '',
+        dueDay: expense.dueDay ?? '',
         note: expense.note || ''
       });
     } else {
@@ -794,7 +1069,9 @@ const FixedExpensesPage = () => {
       : categoryOptions[0] || FALLBACK_CATEGORY_OPTIONS[0];
     const payload = {
       name: form.name,
-      amountPerMonth: Number(form.amountPerMonth),
+      chargedAmount: Number(form.chargedAmount),
+      billingInterval: form.billingInterval,
+      intervalMonths: form.billingInterval === 'custom' ? Number(form.intervalMonths) : null,
       category: normalizedCategory,
       owners: Array.from(
         new Set(
@@ -808,6 +1085,7 @@ const FixedExpensesPage = () => {
       startDate: form.startDate || '',
       bindingEndDate: form.bindingEndDate || '',
       noticePeriodMonths: form.noticePeriodMonths === '' ? null : Number(form.noticePeriodMonths),
+      dueDay: form.dueDay === '' ? null : Number(form.dueDay),
       note: form.note
     };
     try {
@@ -895,13 +1173,13 @@ const FixedExpensesPage = () => {
         setPriceErrors((current) => ({ ...current, [expense.id]: 'Skriv inn en gyldig pris.' }));
         return;
       }
-      if (nextAmount === expense.amountPerMonth) {
+      if (nextAmount === (expense.chargedAmount ?? expense.amountPerMonth)) {
         setPriceErrors((current) => ({ ...current, [expense.id]: 'Prisen er uendret.' }));
         return;
       }
       try {
         setIsUpdatingPriceId(expense.id);
-        await api.updateFixedExpense(expense.id, { amountPerMonth: nextAmount });
+        await api.updateFixedExpense(expense.id, { chargedAmount: nextAmount });
         setPriceErrors((current) => ({ ...current, [expense.id]: '' }));
         setPriceInputs((current) => ({ ...current, [expense.id]: '' }));
         fetchExpenses();
@@ -1262,6 +1540,9 @@ const FixedExpensesPage = () => {
                           <div className="expense-row-amount">
                             <span className="muted subtle-label">Per måned</span>
                             <strong>{formatCurrency(expense.amountPerMonth)}</strong>
+                            {expense.billingInterval && expense.billingInterval !== 'monthly' && (
+                              <span className="muted subtle-label">{describeCharge(expense)}</span>
+                            )}
                           </div>
                           <span className={`chevron${isExpanded ? ' open' : ''}`} aria-hidden />
                         </button>
@@ -1331,7 +1612,7 @@ const FixedExpensesPage = () => {
                                   </div>
                                   <div className="price-adjustment-meta">
                                     <span className="muted subtle-label">Siste registrerte</span>
-                                    <strong>{formatCurrency(expense.amountPerMonth)}</strong>
+                                    <strong>{describeCharge(expense)}</strong>
                                   </div>
                                 </div>
                                 <div className="inline-form">
@@ -1363,6 +1644,7 @@ const FixedExpensesPage = () => {
                                 {priceErrors[expense.id] && <p className="error-text">{priceErrors[expense.id]}</p>}
                               </div>
                             )}
+                            {expense.dueDay && <PostingSchedule expense={expense} />}
                           </div>
                         )}
                       </article>
@@ -1476,6 +1758,8 @@ const FixedExpensesPage = () => {
         )}
       </div>
 
+      <PriceGrowth expenses={expenses} />
+
       {showForm && (
         <Modal onClose={closeForm}>
           <h3>{editingId ? 'Oppdater fast utgift' : 'Ny fast utgift'}</h3>
@@ -1491,10 +1775,39 @@ const FixedExpensesPage = () => {
               type="number"
               min="0"
               step="1"
-              placeholder="Beløp per måned"
-              value={form.amountPerMonth}
-              onChange={(e) => setForm({ ...form, amountPerMonth: e.target.value })}
+              placeholder="Beløp per trekk"
+              value={form.chargedAmount}
+              onChange={(e) => setForm({ ...form, chargedAmount: e.target.value })}
             />
+            <select
+              value={form.billingInterval}
+              onChange={(e) => setForm({ ...form, billingInterval: e.target.value })}
+            >
+              {BILLING_INTERVAL_OPTIONS.map((option) => (
+                <option value={option.value} key={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            {form.billingInterval === 'custom' && (
+              <input
+                required
+                type="number"
+                min="1"
+                max="120"
+                step="1"
+                placeholder="Antall måneder mellom hvert trekk"
+                value={form.intervalMonths}
+                onChange={(e) => setForm({ ...form, intervalMonths: e.target.value })}
+              />
+            )}
+            {form.billingInterval !== 'monthly' && form.chargedAmount !== '' && (
+              <p className="muted subtle-label">
+                Tilsvarer{' '}
+                {formatCurrency(monthlyEquivalent(form.chargedAmount, form.billingInterval, form.intervalMonths))} per
+                måned
+              </p>
+            )}
             <select
               value={form.category}
               onChange={(e) => setForm({ ...form, category: e.target.value })}
@@ -1601,6 +1914,14 @@ const FixedExpensesPage = () => {
               value={form.noticePeriodMonths}
               onChange={(e) => setForm({ ...form, noticePeriodMonths: e.target.value })}
             />
+            <input
+              type="number"
+              min="1"
+              max="31"
+              placeholder="Forfallsdag (tom = bokføres ikke)"
+              value={form.dueDay}
+              onChange={(e) => setForm({ ...form, dueDay: e.target.value })}
+            />
             <textarea
               placeholder="Notat"
               value={form.note}
@@ -1640,6 +1961,9 @@ const FixedExpensesPage = () => {
               <strong>{formatCurrency(simulation.savedYearly)}</strong>
             </div>
           </div>
+          <div className="form-actions">
+            <Link to={`/scenarier?fjern=${simulatedExpense.id}`}>Se hva det betyr for hver av dere i et scenario →</Link>
+          </div>
         </Modal>
       )}
     </div>
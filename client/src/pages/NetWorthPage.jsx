@@ -0,0 +1,209 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Chart as ChartJS, CategoryScale, Legend, LinearScale, LineElement, PointElement, Tooltip } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { api } from '../api.js';
+import { formatCurrency, formatDate, formatMonth } from '../utils/format.js';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+// Formuen per måned sammen med månedens resultat (inntekter minus utgifter) fra oversikten.
+const NetWorthChart = ({ history, monthly }) => {
+  const months = Array.from(
+    new Set([...history.map((item) => item.month), ...monthly.map((item) => item.period)])
+  ).sort();
+  const byMonth = new Map(history.map((item) => [item.month, item]));
+  const resultByMonth = new Map(monthly.map((item) => [item.period, item.income - item.expenses]));
+  const data = {
+    labels: months.map(formatMonth),
+    datasets: [
+      {
+        label: 'Formue',
+        data: months.map((month) => byMonth.get(month)?.netWorth ?? null),
+        borderColor: '#4f46e5',
+        backgroundColor: 'rgba(79, 70, 229, 0.2)',
+        spanGaps: true,
+        tension: 0.25,
+        yAxisID: 'y'
+      },
+      {
+        label: 'Månedens resultat',
+        data: months.map((month) => resultByMonth.get(month) ?? null),
+        borderColor: '#059669',
+        backgroundColor: 'rgba(5, 150, 105, 0.2)',
+        borderDash: [6, 4],
+        tension: 0.25,
+        yAxisID: 'result'
+      }
+    ]
+  };
+  const options = {
+    responsive: true,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { position: 'bottom' },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+        }
+      }
+    },
+    scales: {
+      y: {
+        position: 'left',
+        ticks: {
+          callback: (value) => formatCurrency(value)
+        }
+      },
+      result: {
+        position: 'right',
+        grid: { drawOnChartArea: false },
+        ticks: {
+          callback: (value) => formatCurrency(value)
+        }
+      }
+    }
+  };
+  return <Line data={data} options={options} />;
+};
+
+const PageList = ({ title, pages, label }) => (
+  <div className="card">
+    <h3>{title}</h3>
+    {pages.length ? (
+      <ul className="pill-list">
+        {pages.map((page) => (
+          <li className="pill-row" key={page.pageId}>
+            <span>{page.name}</span>
+            <strong>{formatCurrency(page.amount)}</strong>
+          </li>
+        ))}
+      </ul>
+    ) : (
+      <p className="muted">Ingen sider er klassifisert som {label.toLowerCase()}.</p>
+    )}
+  </div>
+);
+
+const NetWorthPage = () => {
+  const [netWorth, setNetWorth] = useState(null);
+  const [monthly, setMonthly] = useState([]);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  const load = async () => {
+    try {
+      const [netWorthData, dashboard] = await Promise.all([api.getNetWorth(), api.getDashboard()]);
+      setNetWorth(netWorthData);
+      setMonthly(dashboard.monthly || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const record = async () => {
+    setError('');
+    try {
+      const snapshot = await api.recordNetWorth();
+      setStatus(`Lagret formuen for ${formatMonth(snapshot.month)}.`);
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!netWorth) {
+    return error ? <p className="error-text">{error}</p> : <p className="muted">Laster formue …</p>;
+  }
+
+  const { current, history, classes } = netWorth;
+  const stored = history.filter((item) => item.recordedAt && item.month !== current.month);
+
+  return (
+    <div>
+      <div className="section-header">
+        <h2>Formue</h2>
+        <button className="secondary" onClick={record}>
+          Lagre oversikt nå
+        </button>
+      </div>
+      {error && <p className="error-text">{error}</p>}
+      {status && <p className="muted">{status}</p>}
+      <div className="card">
+        <div className="page-totals">
+          <span>
+            Eiendeler: <strong>{formatCurrency(current.assets)}</strong>
+          </span>
+          <span>
+            Gjeld: <strong>{formatCurrency(current.liabilities)}</strong>
+          </span>
+          <span>
+            Formue:{' '}
+            <strong style={{ color: current.netWorth >= 0 ? '#16a34a' : '#dc2626' }}>
+              {formatCurrency(current.netWorth)}
+            </strong>
+          </span>
+        </div>
+        <p className="muted">
+          Lån telles med restgjelden, investeringer med siste kursverdi og egne sider med saldoen. Velg om en side er{' '}
+          {classes.asset.toLowerCase()} eller {classes.liability.toLowerCase()} under <Link to="/pages">Sider</Link>.
+          Formuen lagres én gang i måneden.
+        </p>
+      </div>
+
+      <div className="analysis-grid">
+        <PageList
+          title="Eiendeler"
+          label={classes.asset}
+          pages={current.pages.filter((page) => page.netWorthClass === 'asset')}
+        />
+        <PageList
+          title="Gjeld"
+          label={classes.liability}
+          pages={current.pages.filter((page) => page.netWorthClass === 'liability')}
+        />
+      </div>
+
+      <div className="card">
+        <h3>Utvikling</h3>
+        <NetWorthChart history={history} monthly={monthly} />
+      </div>
+
+      {stored.length > 0 && (
+        <div className="card">
+          <h3>Tidligere måneder</h3>
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Måned</th>
+                  <th>Eiendeler</th>
+                  <th>Gjeld</th>
+                  <th>Formue</th>
+                  <th>Lagret</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...stored].reverse().map((item) => (
+                  <tr key={item.month}>
+                    <td>{formatMonth(item.month)}</td>
+                    <td>{formatCurrency(item.assets)}</td>
+                    <td>{formatCurrency(item.liabilities)}</td>
+                    <td>{formatCurrency(item.netWorth)}</td>
+                    <td className="muted">{formatDate(item.recordedAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NetWorthPage;
@@ -1,7 +1,534 @@
 import { useEffect, useMemo, useState } from 'react';
+import { Chart as ChartJS, CategoryScale, Legend, LinearScale, LineElement, PointElement, Tooltip } from 'chart.js';
+import { Line } from 'react-chartjs-2';
 import { api } from '../api.js';
+import { formatCurrency, formatDate, formatMonth } from '../utils/format.js';
+import { todayDateInputValue } from '../utils/dates.js';
 
-const emptyPage = { name: '', description: '', color: '#059669', metadata: { type: 'custom' } };
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+const emptyLoan = {
+  principal: '',
+  nominalRate: '',
+  termMonths: '',
+  monthlyFee: '',
+  repaymentType: 'annuity',
+  startDate: '',
+  rateChanges: []
+};
+
+const emptyInvestment = { holdings: [] };
+
+const emptyPage = {
+  name: '',
+  description: '',
+  color: '#059669',
+  type: 'custom',
+  loan: emptyLoan,
+  investment: emptyInvestment,
+  netWorthClass: 'none',
+  metadata: {}
+};
+
+const PAYMENT_STATUS = {
+  paid: 'Betalt',
+  partial: 'Delvis betalt',
+  assumed: 'Antatt betalt',
+  planned: ''
+};
+
+const PAGE_TYPE_LABELS = {
+  loan: 'Lån',
+  investment: 'Investering'
+};
+
+// Samme standard som på serveren: lån er gjeld, investeringer eiendeler og egne sider telles ikke.
+const DEFAULT_NET_WORTH_CLASS = {
+  custom: 'none',
+  loan: 'liability',
+  investment: 'asset'
+};
+
+const toLoanPayload = (loan) => ({
+  ...loan,
+  principal: Number(loan.principal),
+  nominalRate: Number(loan.nominalRate),
+  termMonths: Number(loan.termMonths),
+  monthlyFee: Number(loan.monthlyFee) || 0,
+  rateChanges: loan.rateChanges
+    .filter((change) => change.from)
+    .map((change) => ({ from: change.from, rate: Number(change.rate) }))
+});
+
+const toInvestmentPayload = (investment) => ({
+  holdings: investment.holdings.map((holding) => ({
+    ...holding,
+    units: Number(holding.units) || 0,
+    costBasis: Number(holding.costBasis) || 0
+  }))
+});
+
+const formatPercent = (value) =>
+  value === null || value === undefined ? '-' : `${value.toLocaleString('no-NO', { maximumFractionDigits: 2 })} %`;
+
+// Lånevilkår med rentendringer. Hver endring gjelder fra terminen i måneden den er datert.
+const LoanFields = ({ loan, onChange }) => {
+  const updateChange = (index, changes) =>
+    onChange({
+      ...loan,
+      rateChanges: loan.rateChanges.map((change, i) => (i === index ? { ...change, ...changes } : change))
+    });
+
+  return (
+    <>
+      <div className="form-row">
+        <input
+          required
+          type="number"
+          min="0"
+          step="1000"
+          placeholder="Lånebeløp"
+          value={loan.principal}
+          onChange={(e) => onChange({ ...loan, principal: e.target.value })}
+        />
+        <input
+          required
+          type="number"
+          min="0"
+          max="30"
+          step="0.01"
+          placeholder="Nominell rente %"
+          value={loan.nominalRate}
+          onChange={(e) => onChange({ ...loan, nominalRate: e.target.value })}
+        />
+      </div>
+      <div className="form-row">
+        <input
+          required
+          type="number"
+          min="1"
+          max="600"
+          step="1"
+          placeholder="Løpetid i måneder"
+          value={loan.termMonths}
+          onChange={(e) => onChange({ ...loan, termMonths: e.target.value })}
+        />
+        <input
+          type="number"
+          min="0"
+          step="1"
+          placeholder="Termingebyr"
+          value={loan.monthlyFee}
+          onChange={(e) => onChange({ ...loan, monthlyFee: e.target.value })}
+        />
+      </div>
+      <div className="form-row">
+        <select value={loan.repaymentType} onChange={(e) => onChange({ ...loan, repaymentType: e.target.value })}>
+          <option value="annuity">Annuitetslån</option>
+          <option value="serial">Serielån</option>
+        </select>
+        <input
+          required
+          type="date"
+          aria-label="Utbetalt"
+          value={loan.startDate}
+          onChange={(e) => onChange({ ...loan, startDate: e.target.value })}
+        />
+      </div>
+      {loan.rateChanges.map((change, index) => (
+        <div key={index} className="form-row">
+          <input
+            type="date"
+            aria-label="Ny rente fra"
+            value={change.from}
+            onChange={(e) => updateChange(index, { from: e.target.value })}
+          />
+          <input
+            type="number"
+            min="0"
+            max="30"
+            step="0.01"
+            placeholder="Ny rente %"
+            value={change.rate}
+            onChange={(e) => updateChange(index, { rate: e.target.value })}
+          />
+          <button
+            type="button"
+            className="secondary"
+            onClick={() => onChange({ ...loan, rateChanges: loan.rateChanges.filter((_, i) => i !== index) })}
+          >
+            Fjern
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="secondary"
+        onClick={() => onChange({ ...loan, rateChanges: [...loan.rateChanges, { from: '', rate: '' }] })}
+      >
+        Legg til rentendring
+      </button>
+    </>
+  );
+};
+
+const LoanSchedule = ({ page, onClose }) => {
+  const [schedule, setSchedule] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api
+      .getLoanSchedule(page.id)
+      .then(setSchedule)
+      .catch((err) => setError(err.message));
+  }, [page]);
+
+  return (
+    <div className="card" style={{ marginTop: '1.5rem' }}>
+      <div className="section-header">
+        <h3>Nedbetalingsplan for {page.name}</h3>
+        <button className="secondary" onClick={onClose}>
+          Lukk
+        </button>
+      </div>
+      {error && <p className="error-text">{error}</p>}
+      {schedule && (
+        <>
+          <p className="muted">
+            Samlede renter over lånets levetid: {formatCurrency(schedule.summary.totalInterest)}. Terminer uten
+            registrert betaling regnes som betalt etter planen når de er passert.
+          </p>
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Termin</th>
+                  <th>Måned</th>
+                  <th>Rente</th>
+                  <th>Terminbeløp</th>
+                  <th>Renter</th>
+                  <th>Avdrag</th>
+                  <th>Betalt</th>
+                  <th>Restgjeld</th>
+                </tr>
+              </thead>
+              <tbody>
+                {schedule.rows.map((row) => (
+                  <tr key={row.period}>
+                    <td>{row.period}</td>
+                    <td>{formatMonth(row.month)}</td>
+                    <td>{row.rate.toLocaleString('no-NO')} %</td>
+                    <td>{formatCurrency(row.payment)}</td>
+                    <td>{formatCurrency(row.interest)}</td>
+                    <td>{formatCurrency(row.principal)}</td>
+                    <td>
+                      {row.paid !== null && formatCurrency(row.paid)}{' '}
+                      <span className="muted">{PAYMENT_STATUS[row.status]}</span>
+                    </td>
+                    <td>{formatCurrency(row.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Beholdninger på en investeringsside. Kostprisen er det du har betalt totalt for beholdningen.
+const InvestmentFields = ({ investment, onChange }) => {
+  const updateHolding = (index, changes) =>
+    onChange({
+      ...investment,
+      holdings: investment.holdings.map((holding, i) => (i === index ? { ...holding, ...changes } : holding))
+    });
+
+  return (
+    <>
+      {investment.holdings.map((holding, index) => (
+        <div className="form-row" key={holding.id || `ny-${index}`}>
+          <input
+            placeholder="Fond eller aksje"
+            value={holding.name}
+            onChange={(e) => updateHolding(index, { name: e.target.value })}
+          />
+          <input
+            placeholder="Ticker"
+            value={holding.ticker}
+            onChange={(e) => updateHolding(index, { ticker: e.target.value })}
+          />
+          <input
+            type="number"
+            min="0"
+            step="any"
+            placeholder="Antall"
+            value={holding.units}
+            onChange={(e) => updateHolding(index, { units: e.target.value })}
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="Kostpris"
+            value={holding.costBasis}
+            onChange={(e) => updateHolding(index, { costBasis: e.target.value })}
+          />
+          <button
+            type="button"
+            className="secondary"
+            onClick={() => onChange({ ...investment, holdings: investment.holdings.filter((_, i) => i !== index) })}
+          >
+            Fjern
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="secondary"
+        onClick={() =>
+          onChange({
+            ...investment,
+            holdings: [...investment.holdings, { name: '', ticker: '', units: '', costBasis: '' }]
+          })
+        }
+      >
+        Legg til beholdning
+      </button>
+    </>
+  );
+};
+
+const PortfolioChart = ({ series }) => {
+  const data = {
+    labels: series.map((point) => formatDate(point.date)),
+    datasets: [
+      {
+        label: 'Verdi',
+        data: series.map((point) => point.value),
+        borderColor: '#059669',
+        backgroundColor: 'rgba(5, 150, 105, 0.2)',
+        tension: 0.25
+      },
+      ...(series.some((point) => point.invested !== null)
+        ? [
+            {
+              label: 'Netto innskudd',
+              data: series.map((point) => point.invested),
+              borderColor: '#94a3b8',
+              borderDash: [6, 4],
+              stepped: true
+            }
+          ]
+        : [])
+    ]
+  };
+  const options = {
+    responsive: true,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { position: 'bottom' },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+        }
+      }
+    },
+    scales: {
+      y: {
+        ticks: {
+          callback: (value) => formatCurrency(value)
+        }
+      }
+    }
+  };
+  return <Line data={data} options={options} />;
+};
+
+// Kurser legges inn for hånd eller leses fra en CSV-fil med dato, verdipapir og kurs. Ingenting
+// hentes fra nettet, så siden virker uten nett.
+const Portfolio = ({ page, onClose, onChange }) => {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const [valuationDate, setValuationDate] = useState(todayDateInputValue());
+  const [prices, setPrices] = useState({});
+
+  useEffect(() => {
+    api
+      .getPortfolio(page.id)
+      .then(setReport)
+      .catch((err) => setError(err.message));
+  }, [page]);
+
+  const updated = (nextReport) => {
+    setReport(nextReport);
+    onChange();
+  };
+
+  const handleValuation = async (e) => {
+    e.preventDefault();
+    setError('');
+    setStatus('');
+    const positions = Object.entries(prices)
+      .filter(([, price]) => price !== '')
+      .map(([holdingId, price]) => ({ holdingId: Number(holdingId), price: Number(price) }));
+    try {
+      updated(await api.addValuation(page.id, { date: valuationDate, positions }));
+      setPrices({});
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setError('');
+    setStatus('');
+    try {
+      const result = await api.importValuations(page.id, await file.text());
+      updated(result.report);
+      setStatus(
+        `Importerte ${result.imported} kurser.` +
+          (result.errors.length ? ` Hoppet over ${result.errors.length}: ${result.errors.join(' ')}` : '')
+      );
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteValuation = async (snapshotId) => {
+    if (!confirm('Slette kursene for denne datoen?')) return;
+    try {
+      updated(await api.deleteValuation(page.id, snapshotId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="card" style={{ marginTop: '1.5rem' }}>
+      <div className="section-header">
+        <h3>Portefølje for {page.name}</h3>
+        <button className="secondary" onClick={onClose}>
+          Lukk
+        </button>
+      </div>
+      {error && <p className="error-text">{error}</p>}
+      {status && <p className="muted">{status}</p>}
+      {report && (
+        <>
+          <div className="page-totals">
+            <span>
+              Verdi: <strong>{formatCurrency(report.value)}</strong>
+            </span>
+            <span>
+              Urealisert gevinst:{' '}
+              <strong style={{ color: report.gain >= 0 ? '#16a34a' : '#dc2626' }}>
+                {formatCurrency(report.gain)} ({formatPercent(report.gainPercent)})
+              </strong>
+            </span>
+            <span>
+              Tidsvektet avkastning: <strong>{formatPercent(report.timeWeightedReturn)}</strong>
+            </span>
+            <span>
+              Per år: <strong>{formatPercent(report.annualizedReturn)}</strong>
+            </span>
+          </div>
+          <p className="muted">
+            Den tidsvektede avkastningen regnes mellom kursdatoene og trekker fra innskudd og uttak, som er
+            transaksjonene på siden.
+          </p>
+          {report.series.length > 1 && <PortfolioChart series={report.series} />}
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Beholdning</th>
+                  <th>Antall</th>
+                  <th>Kurs</th>
+                  <th>Verdi</th>
+                  <th>Kostpris</th>
+                  <th>Gevinst</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.holdings.map((holding) => (
+                  <tr key={holding.id}>
+                    <td>
+                      {holding.name || holding.ticker}
+                      {holding.name && holding.ticker && <span className="muted"> {holding.ticker}</span>}
+                    </td>
+                    <td>{holding.units.toLocaleString('no-NO')}</td>
+                    <td>
+                      {holding.price === null ? (
+                        <span className="muted">Ingen kurs</span>
+                      ) : (
+                        <>
+                          {holding.price.toLocaleString('no-NO')}{' '}
+                          <span className="muted">{formatDate(holding.priceDate)}</span>
+                        </>
+                      )}
+                    </td>
+                    <td>{holding.value === null ? '-' : formatCurrency(holding.value)}</td>
+                    <td>{formatCurrency(holding.costBasis)}</td>
+                    <td>
+                      {holding.gain === null
+                        ? '-'
+                        : `${formatCurrency(holding.gain)} (${formatPercent(holding.gainPercent)})`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h4>Nye kurser</h4>
+          <form className="quick-add-form" onSubmit={handleValuation}>
+            <input type="date" required value={valuationDate} onChange={(e) => setValuationDate(e.target.value)} />
+            {report.holdings.map((holding) => (
+              <input
+                key={holding.id}
+                type="number"
+                min="0"
+                step="any"
+                placeholder={`Kurs ${holding.ticker || holding.name}`}
+                value={prices[holding.id] ?? ''}
+                onChange={(e) => setPrices({ ...prices, [holding.id]: e.target.value })}
+              />
+            ))}
+            <button type="submit">Lagre kurser</button>
+          </form>
+          <label className="subtle-label">
+            Eller importer en CSV-fil med kolonnene dato, verdipapir (ticker eller navn), kurs og eventuelt antall
+            <input type="file" accept=".csv,.txt,text/csv" onChange={handleFile} />
+          </label>
+
+          {report.series.length > 0 && (
+            <details>
+              <summary>Kurshistorikk ({report.series.length})</summary>
+              <ul className="pill-list">
+                {[...report.series].reverse().map((point) => (
+                  <li className="pill-row" key={point.id}>
+                    <span>
+                      {formatDate(point.date)}: {formatCurrency(point.value)}
+                    </span>
+                    <button type="button" className="secondary" onClick={() => handleDeleteValuation(point.id)}>
+                      Slett
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
 
 const PagesPage = () => {
   const [pages, setPages] = useState([]);
@@ -9,6 +536,8 @@ const PagesPage = () => {
   const [form, setForm] = useState(emptyPage);
   const [editingId, setEditingId] = useState(null);
   const [error, setError] = useState('');
+  const [schedulePage, setSchedulePage] = useState(null);
+  const [portfolioPage, setPortfolioPage] = useState(null);
 
   const load = async () => {
     try {
@@ -31,13 +560,21 @@ const PagesPage = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    setError('');
+    const payload = {
+      ...form,
+      loan: form.type === 'loan' ? toLoanPayload(form.loan) : null,
+      investment: form.type === 'investment' ? toInvestmentPayload(form.investment) : null
+    };
     try {
       if (editingId) {
-        await api.updatePage(editingId, form);
+        await api.updatePage(editingId, payload);
       } else {
-        await api.createPage(form);
+        await api.createPage(payload);
       }
       reset();
+      setSchedulePage(null);
+      setPortfolioPage(null);
       load();
     } catch (err) {
       setError(err.message);
@@ -47,9 +584,29 @@ const PagesPage = () => {
   const handleDelete = async (id) => {
     if (!confirm('Slette side?')) return;
     await api.deletePage(id);
+    if (schedulePage?.id === id) setSchedulePage(null);
+    if (portfolioPage?.id === id) setPortfolioPage(null);
     load();
   };
 
+  // Neste terminbeløp bokføres som en utgift på lånesiden, datert i dag.
+  const registerLoanPayment = async (page) => {
+    setError('');
+    try {
+      await api.createTransaction({
+        title: `Terminbeløp ${page.name}`,
+        amount: page.loanSummary.nextPayment.amount,
+        type: 'expense',
+        pageId: page.id,
+        occurredOn: todayDateInputValue()
+      });
+      load();
+      if (schedulePage?.id === page.id) setSchedulePage({ ...page });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const totalsByPage = useMemo(() => {
     const totals = {};
     transactions.forEach((tx) => {
@@ -89,6 +646,31 @@ const PagesPage = () => {
           value={form.description}
           onChange={(e) => setForm({ ...form, description: e.target.value })}
         />
+        <select
+          value={form.type}
+          onChange={(e) =>
+            setForm({ ...form, type: e.target.value, netWorthClass: DEFAULT_NET_WORTH_CLASS[e.target.value] })
+          }
+        >
+          <option value="custom">Egen side</option>
+          <option value="loan">Lån</option>
+          <option value="investment">Investering</option>
+        </select>
+        {form.type === 'loan' && <LoanFields loan={form.loan} onChange={(loan) => setForm({ ...form, loan })} />}
+        {form.type === 'investment' && (
+          <InvestmentFields
+            investment={form.investment}
+            onChange={(investment) => setForm({ ...form, investment })}
+          />
+        )}
+        <label className="subtle-label">
+          I formuen
+          <select value={form.netWorthClass} onChange={(e) => setForm({ ...form, netWorthClass: e.target.value })}>
+            <option value="asset">Eiendel</option>
+            <option value="liability">Gjeld</option>
+            <option value="none">Telles ikke med</option>
+          </select>
+        </label>
         <input
           type="color"
           value={form.color}
@@ -110,10 +692,57 @@ const PagesPage = () => {
         {pages.map((page) => (
           <div className="card page-card" key={page.id} style={{ borderColor: page.color }}>
             <span className="badge" style={{ background: page.color, color: '#fff' }}>
-              {page.metadata?.tag || 'Tilpasset'}
+              {page.metadata?.tag || PAGE_TYPE_LABELS[page.type] || 'Tilpasset'}
             </span>
             <h3>{page.name}</h3>
             <p>{page.description}</p>
+            {page.loanSummary && (
+              <div className="page-totals">
+                <span>
+                  Restgjeld: <strong>{formatCurrency(page.loanSummary.remainingBalance)}</strong>
+                </span>
+                <span>
+                  Renter i år: <strong>{formatCurrency(page.loanSummary.interestPaidThisYear)}</strong>
+                </span>
+                <span>
+                  Rente nå: <strong>{page.loanSummary.currentRate.toLocaleString('no-NO')} %</strong>
+                </span>
+                <span>
+                  Nedbetalt:{' '}
+                  <strong>{page.loanSummary.payoffMonth ? formatMonth(page.loanSummary.payoffMonth) : '-'}</strong>
+                </span>
+                {page.loanSummary.nextPayment && (
+                  <span>
+                    Neste termin: <strong>{formatCurrency(page.loanSummary.nextPayment.amount)}</strong> (
+                    {formatMonth(page.loanSummary.nextPayment.month)})
+                  </span>
+                )}
+              </div>
+            )}
+            {page.investmentSummary && (
+              <div className="page-totals">
+                <span>
+                  Verdi: <strong>{formatCurrency(page.investmentSummary.value)}</strong>
+                </span>
+                <span>
+                  Gevinst:{' '}
+                  <strong style={{ color: page.investmentSummary.gain >= 0 ? '#16a34a' : '#dc2626' }}>
+                    {formatCurrency(page.investmentSummary.gain)}
+                  </strong>
+                </span>
+                <span>
+                  Avkastning: <strong>{formatPercent(page.investmentSummary.timeWeightedReturn)}</strong>
+                </span>
+                <span>
+                  Siste kurs:{' '}
+                  <strong>
+                    {page.investmentSummary.lastValuationDate
+                      ? formatDate(page.investmentSummary.lastValuationDate)
+                      : '-'}
+                  </strong>
+                </span>
+              </div>
+            )}
             <p>
               Saldo:{' '}
               <strong style={{ color: page.balance >= 0 ? '#16a34a' : '#dc2626' }}>
@@ -148,6 +777,10 @@ const PagesPage = () => {
                   name: page.name,
                   description: page.description,
                   color: page.color,
+                  type: page.type,
+                  loan: page.loan || emptyLoan,
+                  investment: page.investment || emptyInvestment,
+                  netWorthClass: page.netWorthClass,
                   metadata: page.metadata || {}
                 });
                 setEditingId(page.id);
@@ -155,10 +788,33 @@ const PagesPage = () => {
             >
               Endre
             </button>{' '}
+            {page.loanSummary && (
+              <>
+                <button className="secondary" onClick={() => setSchedulePage(page)}>
+                  Nedbetalingsplan
+                </button>{' '}
+                {page.loanSummary.nextPayment && (
+                  <>
+                    <button className="secondary" onClick={() => registerLoanPayment(page)}>
+                      Registrer betaling
+                    </button>{' '}
+                  </>
+                )}
+              </>
+            )}
+            {page.investmentSummary && (
+              <>
+                <button className="secondary" onClick={() => setPortfolioPage(page)}>
+                  Portefølje
+                </button>{' '}
+              </>
+            )}
             <button onClick={() => handleDelete(page.id)}>Slett</button>
           </div>
         ))}
       </div>
+      {schedulePage && <LoanSchedule page={schedulePage} onClose={() => setSchedulePage(null)} />}
+      {portfolioPage && <Portfolio page={portfolioPage} onClose={() => setPortfolioPage(null)} onChange={load} />}
     </div>
   );
 };
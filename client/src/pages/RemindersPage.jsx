@@ -0,0 +1,526 @@
+import { useEffect, useState } from 'react';
+import { api } from '../api.js';
+import { formatCurrency } from '../utils/format.js';
+
+const CHANNEL_LABELS = { email: 'E-post', webhook: 'Webhook', push: 'Push' };
+
+const emptyReminder = { name: '', type: 'binding-ending', days: '', amount: '', categoryId: '', channels: [] };
+
+const toForm = (reminder) => ({
+  name: reminder.name,
+  type: reminder.type,
+  days: reminder.days ?? '',
+  amount: reminder.amount ?? '',
+  categoryId: reminder.categoryId ? String(reminder.categoryId) : '',
+  channels: reminder.channels
+});
+
+const formatTimestamp = (value) =>
+  value
+    ? new Intl.DateTimeFormat('no-NO', { dateStyle: 'short', timeStyle: 'short' }).format(new Date(value))
+    : '–';
+
+// applicationServerKey må være rå bytes, mens serveren gir nøkkelen som base64url.
+const urlBase64ToUint8Array = (value) => {
+  const padded = `${value}${'='.repeat((4 - (value.length % 4)) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+};
+
+const supportsPush = () => typeof window !== 'undefined' && 'serviceWorker' in navigator && 'PushManager' in window;
+
+// Push per enhet er tilgjengelig for alle brukere; resten av siden er bare for administrator.
+const DevicePush = () => {
+  const [pushKey, setPushKey] = useState(null);
+  const [subscription, setSubscription] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!supportsPush()) return;
+    api
+      .getPushPublicKey()
+      .then(setPushKey)
+      .catch((err) => setError(err.message));
+    navigator.serviceWorker.ready
+      .then((registration) => registration.pushManager.getSubscription())
+      .then(setSubscription)
+      .catch(() => setSubscription(null));
+  }, []);
+
+  const subscribe = async () => {
+    setError('');
+    try {
+      if ((await Notification.requestPermission()) !== 'granted') {
+        setError('Nettleseren har ikke gitt tillatelse til varsler.');
+        return;
+      }
+      const registration = await navigator.serviceWorker.ready;
+      const created = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(pushKey.publicKey)
+      });
+      await api.savePushSubscription(created.toJSON());
+      setSubscription(created);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const unsubscribe = async () => {
+    setError('');
+    try {
+      await api.deletePushSubscription(subscription.endpoint);
+      await subscription.unsubscribe();
+      setSubscription(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3>Varsler på denne enheten</h3>
+      {error && <p className="error-text">{error}</p>}
+      {!supportsPush() ? (
+        <p className="muted">Nettleseren støtter ikke push-varsler. Installer appen først på mobil.</p>
+      ) : !pushKey?.enabled ? (
+        <p className="muted">Push er ikke slått på av administrator.</p>
+      ) : subscription ? (
+        <div className="form-actions">
+          <span className="muted">Enheten får push-varsler.</span>
+          <button className="secondary" onClick={unsubscribe}>
+            Slå av
+          </button>
+        </div>
+      ) : (
+        <div className="form-actions">
+          <button onClick={subscribe}>Få varsler her</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ChannelSettings = ({ settings, onSaved }) => {
+  const [form, setForm] = useState(settings);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  useEffect(() => setForm(settings), [settings]);
+
+  const update = (channel, key, value) =>
+    setForm((current) => ({ ...current, [channel]: { ...current[channel], [key]: value } }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+    try {
+      onSaved(await api.updateNotificationSettings(form));
+      setStatus('Kanalene er lagret.');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleTest = async (channel) => {
+    setError('');
+    setStatus('');
+    try {
+      await api.testNotification(channel);
+      setStatus(`Testvarsel sendt med ${CHANNEL_LABELS[channel].toLowerCase()}.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form className="card stacked-form" onSubmit={handleSubmit}>
+      <h3>Kanaler</h3>
+      {error && <p className="error-text">{error}</p>}
+      {status && <p className="muted">{status}</p>}
+
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          checked={form.email.enabled}
+          onChange={(e) => update('email', 'enabled', e.target.checked)}
+        />
+        E-post (SMTP)
+      </label>
+      <div className="quick-add-form">
+        <input placeholder="SMTP-server" value={form.email.host} onChange={(e) => update('email', 'host', e.target.value)} />
+        <input
+          type="number"
+          min="1"
+          placeholder="Port"
+          value={form.email.port}
+          onChange={(e) => update('email', 'port', e.target.value)}
+        />
+        <input placeholder="Brukernavn" value={form.email.user} onChange={(e) => update('email', 'user', e.target.value)} />
+        <input
+          type="password"
+          placeholder={form.email.hasPassword ? 'Passord (lagret)' : 'Passord'}
+          value={form.email.pass}
+          onChange={(e) => update('email', 'pass', e.target.value)}
+        />
+        <input placeholder="Fra" value={form.email.from} onChange={(e) => update('email', 'from', e.target.value)} />
+        <input placeholder="Til" value={form.email.to} onChange={(e) => update('email', 'to', e.target.value)} />
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={form.email.secure}
+            onChange={(e) => update('email', 'secure', e.target.checked)}
+          />
+          TLS fra start (port 465)
+        </label>
+      </div>
+
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          checked={form.webhook.enabled}
+          onChange={(e) => update('webhook', 'enabled', e.target.checked)}
+        />
+        Webhook
+      </label>
+      <div className="quick-add-form">
+        <input
+          type="url"
+          placeholder="https://…"
+          value={form.webhook.url}
+          onChange={(e) => update('webhook', 'url', e.target.value)}
+        />
+        <input
+          type="password"
+          placeholder={form.webhook.hasSecret ? 'Hemmelighet for signatur (lagret)' : 'Hemmelighet for signatur'}
+          value={form.webhook.secret}
+          onChange={(e) => update('webhook', 'secret', e.target.value)}
+        />
+      </div>
+
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          checked={form.push.enabled}
+          onChange={(e) => update('push', 'enabled', e.target.checked)}
+        />
+        Push til installert app
+      </label>
+      <div className="quick-add-form">
+        <input
+          placeholder="Kontaktadresse, f.eks. mailto:oss@example.com"
+          value={form.push.subject}
+          onChange={(e) => update('push', 'subject', e.target.value)}
+        />
+      </div>
+
+      <div className="form-actions">
+        {Object.keys(CHANNEL_LABELS)
+          .filter((channel) => settings[channel].enabled)
+          .map((channel) => (
+            <button key={channel} type="button" className="secondary" onClick={() => handleTest(channel)}>
+              Test {CHANNEL_LABELS[channel].toLowerCase()}
+            </button>
+          ))}
+        <button type="submit">Lagre kanaler</button>
+      </div>
+    </form>
+  );
+};
+
+const RemindersPage = () => {
+  const [reminders, setReminders] = useState(null);
+  const [types, setTypes] = useState({});
+  const [settings, setSettings] = useState(null);
+  const [log, setLog] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [form, setForm] = useState(emptyReminder);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const [isRunning, setIsRunning] = useState(false);
+
+  const load = async () => {
+    try {
+      const [reminderData, channelSettings, deliveryLog, categoryList] = await Promise.all([
+        api.getReminders(),
+        api.getNotificationSettings(),
+        api.getDeliveryLog(),
+        api.getCategories()
+      ]);
+      setReminders(reminderData.reminders);
+      setTypes(reminderData.types);
+      setSettings(channelSettings);
+      setLog(deliveryLog);
+      setCategories(categoryList);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const reset = () => {
+    setForm(emptyReminder);
+    setEditingId(null);
+  };
+
+  const toggleChannel = (channel) =>
+    setForm((current) => ({
+      ...current,
+      channels: current.channels.includes(channel)
+        ? current.channels.filter((item) => item !== channel)
+        : [...current.channels, channel]
+    }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+    try {
+      if (editingId) {
+        await api.updateReminder(editingId, form);
+        setStatus('Påminnelsen er oppdatert.');
+      } else {
+        await api.createReminder(form);
+        setStatus('Påminnelsen er lagret. Serveren sjekker hver time.');
+      }
+      reset();
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setError('');
+    try {
+      const result = await api.runReminders();
+      setStatus(`${result.sent} varsler sendt, ${result.failed} feilet.`);
+      load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const handleToggle = async (reminder) => {
+    try {
+      await api.updateReminder(reminder.id, { enabled: !reminder.enabled });
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (reminder) => {
+    if (!confirm(`Slette påminnelsen «${reminder.name}»?`)) return;
+    try {
+      await api.deleteReminder(reminder.id);
+      if (editingId === reminder.id) reset();
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const describeReminder = (reminder) => {
+    if (reminder.type === 'binding-ending') return `Når det er ${reminder.days} dager eller mindre igjen av bindingen`;
+    if (reminder.type === 'price-increased') return `Prisøkninger de siste ${reminder.days} dagene`;
+    if (reminder.type === 'category-budget') return 'Når en kategori passerer varselgrensen eller budsjettet sitt';
+    if (reminder.type === 'savings-goal-behind') return 'Når et sparemål ikke ser ut til å nås innen fristen';
+    const category = categories.find((item) => item.id === reminder.categoryId);
+    return `Når forbruket${category ? ` i ${category.name}` : ''} passerer ${formatCurrency(reminder.amount)} i en måned`;
+  };
+
+  const selectedType = types[form.type];
+
+  return (
+    <div className="rules-page">
+      <DevicePush />
+      {error && <p className="error-text">{error}</p>}
+      {status && <p className="muted">{status}</p>}
+
+      {reminders && (
+        <>
+          <div className="section-header" style={{ marginTop: '1.5rem' }}>
+            <h2>{editingId ? 'Oppdater påminnelse' : 'Ny påminnelse'}</h2>
+            {editingId && (
+              <button className="secondary" onClick={reset}>
+                Avbryt
+              </button>
+            )}
+          </div>
+          <form className="card stacked-form" onSubmit={handleSubmit}>
+            <div className="quick-add-form">
+              <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+                {Object.entries(types).map(([type, { label }]) => (
+                  <option key={type} value={type}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <input
+                placeholder={selectedType?.label || 'Navn'}
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+              />
+              {selectedType?.defaultDays !== null && (
+                <input
+                  type="number"
+                  min="0"
+                  max="365"
+                  step="1"
+                  placeholder={`Dager (standard ${selectedType?.defaultDays})`}
+                  value={form.days}
+                  onChange={(e) => setForm({ ...form, days: e.target.value })}
+                />
+              )}
+              {form.type === 'budget-exceeded' && (
+                <>
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    required
+                    placeholder="Grense per måned"
+                    value={form.amount}
+                    onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                  />
+                  <select value={form.categoryId} onChange={(e) => setForm({ ...form, categoryId: e.target.value })}>
+                    <option value="">Alle kategorier</option>
+                    {categories
+                      .filter((category) => category.type === 'expense')
+                      .map((category) => (
+                        <option key={category.id} value={category.id}>
+                          {category.name}
+                        </option>
+                      ))}
+                  </select>
+                </>
+              )}
+            </div>
+            <div className="form-actions">
+              {Object.entries(CHANNEL_LABELS).map(([channel, label]) => (
+                <label key={channel} className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={form.channels.includes(channel)}
+                    onChange={() => toggleChannel(channel)}
+                  />
+                  {label}
+                </label>
+              ))}
+              <button type="submit">{editingId ? 'Oppdater' : 'Lagre'}</button>
+            </div>
+          </form>
+
+          <div className="section-header" style={{ marginTop: '1.5rem' }}>
+            <h2>Påminnelser</h2>
+            <div className="section-actions">
+              <button onClick={handleRun} disabled={isRunning || !reminders.length}>
+                Sjekk nå
+              </button>
+            </div>
+          </div>
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Aktiv</th>
+                  <th>Navn</th>
+                  <th>Varsler</th>
+                  <th>Kanaler</th>
+                  <th>Sendt</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {!reminders.length && (
+                  <tr>
+                    <td colSpan={6} className="muted">
+                      Ingen påminnelser ennå.
+                    </td>
+                  </tr>
+                )}
+                {reminders.map((reminder) => (
+                  <tr key={reminder.id}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        aria-label={`Aktiver ${reminder.name}`}
+                        checked={reminder.enabled}
+                        onChange={() => handleToggle(reminder)}
+                      />
+                    </td>
+                    <td>
+                      <strong>{reminder.name}</strong>
+                    </td>
+                    <td className="muted">{describeReminder(reminder)}</td>
+                    <td>{reminder.channels.map((channel) => CHANNEL_LABELS[channel]).join(', ')}</td>
+                    <td>{reminder.sentCount}</td>
+                    <td className="table-actions-cell">
+                      <div className="table-actions">
+                        <button
+                          className="secondary"
+                          onClick={() => {
+                            setForm(toForm(reminder));
+                            setEditingId(reminder.id);
+                          }}
+                        >
+                          Endre
+                        </button>
+                        <button onClick={() => handleDelete(reminder)}>Slett</button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {settings && <ChannelSettings settings={settings} onSaved={setSettings} />}
+
+          <div className="section-header" style={{ marginTop: '1.5rem' }}>
+            <h2>Utsendelseslogg</h2>
+          </div>
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Tidspunkt</th>
+                  <th>Kanal</th>
+                  <th>Melding</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {!log.length && (
+                  <tr>
+                    <td colSpan={4} className="muted">
+                      Ingenting er sendt ennå.
+                    </td>
+                  </tr>
+                )}
+                {log.map((entry) => (
+                  <tr key={entry.id}>
+                    <td>{formatTimestamp(entry.sentAt)}</td>
+                    <td>{CHANNEL_LABELS[entry.channel]}</td>
+                    <td>{entry.title}</td>
+                    <td className={entry.status === 'failed' ? 'error-text' : undefined}>
+                      {entry.status === 'sent' ? 'Sendt' : `Feilet: ${entry.error}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RemindersPage;
@@ -0,0 +1,412 @@
+import { useEffect, useMemo, useState } from 'react';
+import { api } from '../api.js';
+import { formatCurrency, formatDate } from '../utils/format.js';
+
+const emptyRule = {
+  name: '',
+  priority: 0,
+  enabled: true,
+  conditions: { text: '', matchMode: 'contains', counterparty: '', type: '', minAmount: '', maxAmount: '' },
+  actions: { categoryId: '', pageId: '', tags: '', notes: '' }
+};
+
+const toForm = (rule) => ({
+  name: rule.name,
+  priority: rule.priority,
+  enabled: rule.enabled,
+  conditions: {
+    ...rule.conditions,
+    minAmount: rule.conditions.minAmount ?? '',
+    maxAmount: rule.conditions.maxAmount ?? ''
+  },
+  actions: {
+    categoryId: rule.actions.categoryId ? String(rule.actions.categoryId) : '',
+    pageId: rule.actions.pageId ? String(rule.actions.pageId) : '',
+    tags: rule.actions.tags.join(', '),
+    notes: rule.actions.notes
+  }
+});
+
+const TYPE_LABELS = { income: 'Inntekt', expense: 'Utgift' };
+
+const RulesPage = () => {
+  const [rules, setRules] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [pages, setPages] = useState([]);
+  const [form, setForm] = useState(emptyRule);
+  const [editingId, setEditingId] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [overwrite, setOverwrite] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const [isRunning, setIsRunning] = useState(false);
+
+  const load = async () => {
+    try {
+      const [ruleList, categoryList, pageList] = await Promise.all([
+        api.getRules(),
+        api.getCategories(),
+        api.getPages()
+      ]);
+      setRules(ruleList);
+      setCategories(categoryList);
+      setPages(pageList);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const categoryName = (id) => categories.find((category) => category.id === id)?.name || '–';
+  const pageName = (id) => pages.find((page) => page.id === id)?.name || '–';
+
+  const sortedRules = useMemo(
+    () => rules.slice().sort((a, b) => a.priority - b.priority || a.id - b.id),
+    [rules]
+  );
+
+  const updateConditions = (key, value) =>
+    setForm((current) => ({ ...current, conditions: { ...current.conditions, [key]: value } }));
+  const updateActions = (key, value) =>
+    setForm((current) => ({ ...current, actions: { ...current.actions, [key]: value } }));
+
+  const reset = () => {
+    setForm(emptyRule);
+    setEditingId(null);
+    setPreview(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+    try {
+      if (editingId) {
+        await api.updateRule(editingId, form);
+        setStatus('Regelen er oppdatert.');
+      } else {
+        await api.createRule(form);
+        setStatus('Regelen er lagret. Nye og importerte transaksjoner kategoriseres automatisk.');
+      }
+      reset();
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handlePreview = async (payload, label) => {
+    setError('');
+    try {
+      const result = await api.previewRules({ ...payload, overwrite });
+      setPreview({ ...result, label });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleApply = async () => {
+    setIsRunning(true);
+    setError('');
+    try {
+      const result = await api.applyRules({ overwrite });
+      setStatus(`Gikk gjennom ${result.examined} transaksjoner og oppdaterte ${result.updated}.`);
+      setPreview(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await api.updateRule(rule.id, { enabled: !rule.enabled });
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!confirm(`Slette regelen «${rule.name}»?`)) return;
+    try {
+      await api.deleteRule(rule.id);
+      if (editingId === rule.id) reset();
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const describeConditions = (conditions) =>
+    [
+      conditions.text &&
+        (conditions.matchMode === 'regex'
+          ? `tekst matcher /${conditions.text}/`
+          : `tekst inneholder «${conditions.text}»`),
+      conditions.counterparty && `motpart «${conditions.counterparty}»`,
+      conditions.type && TYPE_LABELS[conditions.type].toLowerCase(),
+      conditions.minAmount !== null && `minst ${formatCurrency(conditions.minAmount)}`,
+      conditions.maxAmount !== null && `høyst ${formatCurrency(conditions.maxAmount)}`
+    ]
+      .filter(Boolean)
+      .join(', ');
+
+  const describeActions = (actions) =>
+    [
+      actions.categoryId && `kategori ${categoryName(actions.categoryId)}`,
+      actions.pageId && `side ${pageName(actions.pageId)}`,
+      actions.tags.length > 0 && `tagger ${actions.tags.join(', ')}`,
+      actions.notes && `notat «${actions.notes}»`
+    ]
+      .filter(Boolean)
+      .join(', ');
+
+  const describeChange = (field, { from, to }) => {
+    if (field === 'categoryId') return `Kategori: ${from ? categoryName(from) : '–'} → ${categoryName(to)}`;
+    if (field === 'pageId') return `Side: ${from ? pageName(from) : '–'} → ${pageName(to)}`;
+    if (field === 'tags') return `Tagger: ${to.filter((tag) => !(from || []).includes(tag)).join(', ')}`;
+    return `Notat: «${to}»`;
+  };
+
+  return (
+    <div className="rules-page">
+      <div className="section-header">
+        <h2>{editingId ? 'Oppdater regel' : 'Ny regel'}</h2>
+        {editingId && (
+          <button className="secondary" onClick={reset}>
+            Avbryt
+          </button>
+        )}
+      </div>
+      {error && <p className="error-text">{error}</p>}
+      {status && <p className="muted">{status}</p>}
+
+      <form className="card stacked-form" onSubmit={handleSubmit}>
+        <div className="quick-add-form">
+          <input
+            required
+            placeholder="Navn på regelen"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+          />
+          <input
+            type="number"
+            step="1"
+            title="Lavest tall kjøres først"
+            placeholder="Prioritet"
+            value={form.priority}
+            onChange={(e) => setForm({ ...form, priority: e.target.value })}
+          />
+        </div>
+
+        <h3>Når transaksjonen …</h3>
+        <div className="quick-add-form">
+          <input
+            placeholder="har tekst i tittel eller notat"
+            value={form.conditions.text}
+            onChange={(e) => updateConditions('text', e.target.value)}
+          />
+          <select value={form.conditions.matchMode} onChange={(e) => updateConditions('matchMode', e.target.value)}>
+            <option value="contains">Inneholder teksten</option>
+            <option value="regex">Regulært uttrykk</option>
+          </select>
+          <input
+            placeholder="har motpart"
+            value={form.conditions.counterparty}
+            onChange={(e) => updateConditions('counterparty', e.target.value)}
+          />
+          <select value={form.conditions.type} onChange={(e) => updateConditions('type', e.target.value)}>
+            <option value="">Alle typer</option>
+            <option value="expense">Er en utgift</option>
+            <option value="income">Er en inntekt</option>
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="Beløp fra"
+            value={form.conditions.minAmount}
+            onChange={(e) => updateConditions('minAmount', e.target.value)}
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="Beløp til"
+            value={form.conditions.maxAmount}
+            onChange={(e) => updateConditions('maxAmount', e.target.value)}
+          />
+        </div>
+
+        <h3>… så</h3>
+        <div className="quick-add-form">
+          <select value={form.actions.categoryId} onChange={(e) => updateActions('categoryId', e.target.value)}>
+            <option value="">Ikke endre kategori</option>
+            {categories.map((category) => (
+              <option key={category.id} value={category.id}>
+                {category.name}
+              </option>
+            ))}
+          </select>
+          <select value={form.actions.pageId} onChange={(e) => updateActions('pageId', e.target.value)}>
+            <option value="">Ikke endre side</option>
+            {pages.map((page) => (
+              <option key={page.id} value={page.id}>
+                {page.name}
+              </option>
+            ))}
+          </select>
+          <input
+            placeholder="Legg til tagger, skilt med komma"
+            value={form.actions.tags}
+            onChange={(e) => updateActions('tags', e.target.value)}
+          />
+          <input
+            placeholder="Sett notat"
+            value={form.actions.notes}
+            onChange={(e) => updateActions('notes', e.target.value)}
+          />
+        </div>
+
+        <div className="form-actions">
+          <button
+            type="button"
+            className="secondary"
+            onClick={() => handlePreview({ rule: { ...form, id: editingId } }, form.name || 'Ny regel')}
+          >
+            Forhåndsvis
+          </button>
+          <button type="submit">{editingId ? 'Oppdater' : 'Lagre'}</button>
+        </div>
+      </form>
+
+      <div className="section-header" style={{ marginTop: '1.5rem' }}>
+        <h2>Regler</h2>
+        <div className="section-actions">
+          <label className="muted" style={{ display: 'flex', gap: '0.4rem', alignItems: 'center' }}>
+            <input type="checkbox" checked={overwrite} onChange={(e) => setOverwrite(e.target.checked)} />
+            Overskriv verdier som allerede er satt
+          </label>
+          <button className="secondary" onClick={() => handlePreview({}, 'Alle regler')} disabled={!rules.length}>
+            Forhåndsvis alle
+          </button>
+          <button onClick={handleApply} disabled={isRunning || !rules.length}>
+            Kjør på eksisterende transaksjoner
+          </button>
+        </div>
+      </div>
+      <div className="table-wrapper">
+        <table>
+          <thead>
+            <tr>
+              <th>Aktiv</th>
+              <th>Prioritet</th>
+              <th>Navn</th>
+              <th>Vilkår</th>
+              <th>Handling</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {!sortedRules.length && (
+              <tr>
+                <td colSpan={6} className="muted">
+                  Ingen regler ennå.
+                </td>
+              </tr>
+            )}
+            {sortedRules.map((rule) => (
+              <tr key={rule.id}>
+                <td>
+                  <input
+                    type="checkbox"
+                    aria-label={`Aktiver ${rule.name}`}
+                    checked={rule.enabled}
+                    onChange={() => handleToggle(rule)}
+                  />
+                </td>
+                <td>{rule.priority}</td>
+                <td>
+                  <strong>{rule.name}</strong>
+                </td>
+                <td className="muted">{describeConditions(rule.conditions)}</td>
+                <td>{describeActions(rule.actions) || <span className="muted">–</span>}</td>
+                <td className="table-actions-cell">
+                  <div className="table-actions">
+                    <button className="secondary" onClick={() => handlePreview({ rule }, rule.name)}>
+                      Forhåndsvis
+                    </button>
+                    <button
+                      className="secondary"
+                      onClick={() => {
+                        setForm(toForm(rule));
+                        setEditingId(rule.id);
+                        setPreview(null);
+                      }}
+                    >
+                      Endre
+                    </button>
+                    <button onClick={() => handleDelete(rule)}>Slett</button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {preview && (
+        <div className="table-section" style={{ marginTop: '1.5rem' }}>
+          <div className="section-header">
+            <h2>Forhåndsvisning: {preview.label}</h2>
+            <span>
+              {preview.total} {preview.total === 1 ? 'transaksjon' : 'transaksjoner'} endres
+              {preview.total > preview.rows.length ? ` (viser ${preview.rows.length})` : ''}
+            </span>
+          </div>
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Dato</th>
+                  <th>Tittel</th>
+                  <th>Beløp</th>
+                  <th>Endringer</th>
+                </tr>
+              </thead>
+              <tbody>
+                {!preview.rows.length && (
+                  <tr>
+                    <td colSpan={4} className="muted">
+                      Ingen transaksjoner ville blitt endret.
+                    </td>
+                  </tr>
+                )}
+                {preview.rows.map(({ transaction, changes }) => (
+                  <tr key={transaction.id}>
+                    <td>{formatDate(transaction.occurredOn)}</td>
+                    <td>{transaction.title}</td>
+                    <td className={transaction.type === 'income' ? 'amount-income' : 'amount-expense'}>
+                      {formatCurrency(transaction.amount)}
+                    </td>
+                    <td>
+                      {Object.entries(changes).map(([field, change]) => (
+                        <div key={field}>{describeChange(field, change)}</div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RulesPage;
@@ -1,6 +1,13 @@
 import { useEffect, useMemo, useState } from 'react';
-import { formatCurrency, formatDate } from '../utils/format.js';
-import { loadSavingsGoals, saveSavingsGoals, summarizeSavingsGoals } from '../utils/savings.js';
+import { Chart as ChartJS, CategoryScale, Legend, LinearScale, LineElement, PointElement, Tooltip } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { Link } from 'react-router-dom';
+import { api } from '../api.js';
+import { formatCurrency, formatDate, formatMonth } from '../utils/format.js';
+import { todayDateInputValue } from '../utils/dates.js';
+import { clearStoredSavingsGoals, loadStoredSavingsGoals, summarizeSavingsGoals } from '../utils/savings.js';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
 
 const createEmptyGoal = () => ({
   title: '',
@@ -9,26 +16,106 @@ const createEmptyGoal = () => ({
   monthlyContribution: '',
   dueDate: '',
   owner: '',
-  motivation: ''
+  motivation: '',
+  expectedReturnRate: '',
+  pageId: ''
 });
 
-const createId = () => {
-  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
-    return crypto.randomUUID();
-  }
-  return String(Date.now());
+const projectionStatus = (projection) => {
+  if (projection.reached) return { label: 'Nådd', className: 'badge success' };
+  if (projection.overdue) return { label: 'Fristen er passert', className: 'badge warning' };
+  if (projection.onTrack === true) return { label: 'I rute', className: 'badge success' };
+  if (projection.onTrack === false) return { label: 'Henger etter', className: 'badge warning' };
+  return null;
+};
+
+// Faktisk spart per måned mot prognosen videre, med målbeløpet som en flat linje.
+const GoalProjectionChart = ({ goal }) => {
+  const { series } = goal.projection;
+  const data = {
+    labels: series.map((point) => formatMonth(point.month)),
+    datasets: [
+      {
+        label: 'Faktisk',
+        data: series.map((point) => point.actual),
+        borderColor: '#059669',
+        backgroundColor: 'rgba(5, 150, 105, 0.2)',
+        tension: 0.25
+      },
+      {
+        label: 'Prognose',
+        data: series.map((point) => point.projected),
+        borderColor: '#4f46e5',
+        backgroundColor: 'rgba(79, 70, 229, 0.2)',
+        borderDash: [6, 4],
+        tension: 0.25
+      },
+      {
+        label: 'Mål',
+        data: series.map(() => goal.targetAmount),
+        borderColor: '#94a3b8',
+        pointRadius: 0,
+        borderWidth: 1
+      }
+    ]
+  };
+  const options = {
+    responsive: true,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { position: 'bottom' },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+        }
+      }
+    },
+    scales: {
+      y: {
+        ticks: {
+          callback: (value) => formatCurrency(value)
+        }
+      }
+    }
+  };
+  return <Line data={data} options={options} />;
 };
 
 const SavingsGoalsPage = () => {
-  const [goals, setGoals] = useState(() => loadSavingsGoals());
+  const [goals, setGoals] = useState([]);
+  const [pages, setPages] = useState([]);
   const [form, setForm] = useState(createEmptyGoal());
   const [editingId, setEditingId] = useState(null);
   const [contributionValues, setContributionValues] = useState({});
   const [filter, setFilter] = useState('all');
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const [chartGoalId, setChartGoalId] = useState(null);
 
+  // Mål som fortsatt ligger i nettleseren lastes opp første gang siden åpnes på enheten.
   useEffect(() => {
-    saveSavingsGoals(goals);
-  }, [goals]);
+    const load = async () => {
+      try {
+        setPages(await api.getPages());
+        const stored = loadStoredSavingsGoals();
+        if (stored.length) {
+          const result = await api.importSavingsGoals(stored);
+          clearStoredSavingsGoals();
+          if (result.imported) {
+            setStatus(`${result.imported} sparemål fra denne enheten er flyttet til serveren.`);
+          }
+          setGoals(result.goals);
+        } else {
+          setGoals(await api.getSavingsGoals());
+        }
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    load();
+  }, []);
+
+  const replaceGoal = (updated) => setGoals((prev) => prev.map((goal) => (goal.id === updated.id ? updated : goal)));
 
   const stats = useMemo(() => {
     const summary = summarizeSavingsGoals(goals);
@@ -54,26 +141,31 @@ const SavingsGoalsPage = () => {
     setEditingId(null);
   };
 
-  const handleSubmit = (event) => {
+  const handleSubmit = async (event) => {
     event.preventDefault();
+    setError('');
     const payload = {
-      id: editingId ?? createId(),
       title: form.title.trim() || 'Nytt mål',
       targetAmount: Number(form.targetAmount) || 0,
-      savedAmount: Math.min(Number(form.targetAmount) || 0, Number(form.savedAmount) || 0),
       monthlyContribution: Number(form.monthlyContribution) || 0,
       dueDate: form.dueDate,
       owner: form.owner.trim(),
-      motivation: form.motivation.trim()
+      motivation: form.motivation.trim(),
+      expectedReturnRate: Number(form.expectedReturnRate) || 0,
+      pageId: form.pageId ? Number(form.pageId) : null
     };
 
-    setGoals((prev) => {
+    try {
       if (editingId) {
-        return prev.map((goal) => (goal.id === editingId ? payload : goal));
+        replaceGoal(await api.updateSavingsGoal(editingId, payload));
+      } else {
+        const created = await api.createSavingsGoal({ ...payload, savedAmount: Number(form.savedAmount) || 0 });
+        setGoals((prev) => [...prev, created]);
       }
-      return [...prev, payload];
-    });
-    resetForm();
+      resetForm();
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
   const startEdit = (goal) => {
@@ -81,31 +173,51 @@ const SavingsGoalsPage = () => {
     setForm({
       title: goal.title,
       targetAmount: goal.targetAmount?.toString() ?? '',
-      savedAmount: goal.savedAmount?.toString() ?? '',
+      savedAmount: '',
       monthlyContribution: goal.monthlyContribution?.toString() ?? '',
       dueDate: goal.dueDate || '',
       owner: goal.owner || '',
-      motivation: goal.motivation || ''
+      motivation: goal.motivation || '',
+      expectedReturnRate: goal.expectedReturnRate ? goal.expectedReturnRate.toString() : '',
+      pageId: goal.pageId ? goal.pageId.toString() : ''
     });
   };
 
-  const handleContribution = (goalId) => {
-    const amount = Number(contributionValues[goalId]);
-    if (!amount || amount <= 0) return;
-    setGoals((prev) =>
-      prev.map((goal) => {
-        if (goal.id !== goalId) return goal;
-        const target = Number(goal.targetAmount) || 0;
-        const updated = Math.min(target, (Number(goal.savedAmount) || 0) + amount);
-        return { ...goal, savedAmount: updated };
-      })
-    );
-    setContributionValues((prev) => ({ ...prev, [goalId]: '' }));
+  const contributionFor = (goalId) => contributionValues[goalId] || { amount: '', occurredOn: todayDateInputValue() };
+
+  const updateContribution = (goalId, changes) =>
+    setContributionValues((prev) => ({ ...prev, [goalId]: { ...contributionFor(goalId), ...changes } }));
+
+  const handleContribution = async (goalId) => {
+    const { amount, occurredOn } = contributionFor(goalId);
+    if (!Number(amount)) return;
+    setError('');
+    try {
+      replaceGoal(await api.addSavingsContribution(goalId, { amount: Number(amount), occurredOn }));
+      setContributionValues((prev) => ({ ...prev, [goalId]: undefined }));
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
-  const handleDelete = (goalId) => {
+  const handleDeleteContribution = async (goalId, contribution) => {
+    if (!window.confirm(`Slette innskuddet på ${formatCurrency(contribution.amount)}?`)) return;
+    try {
+      replaceGoal(await api.deleteSavingsContribution(goalId, contribution.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (goalId) => {
     if (!window.confirm('Slette sparemål?')) return;
-    setGoals((prev) => prev.filter((goal) => goal.id !== goalId));
+    try {
+      await api.deleteSavingsGoal(goalId);
+      setGoals((prev) => prev.filter((goal) => goal.id !== goalId));
+      if (editingId === goalId) resetForm();
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
   const formatProgress = (goal) => {
@@ -120,6 +232,8 @@ const SavingsGoalsPage = () => {
         <h2>Sparemål</h2>
         {goals.length > 0 && <span>{goals.length} mål</span>}
       </div>
+      {error && <p className="error-text">{error}</p>}
+      {status && <p className="muted">{status}</p>}
 
       <div className="savings-layout">
         <section className="card savings-form-card">
@@ -151,15 +265,32 @@ const SavingsGoalsPage = () => {
                 value={form.targetAmount}
                 onChange={(event) => setForm({ ...form, targetAmount: event.target.value })}
               />
-              <input
-                type="number"
-                min="0"
-                step="100"
-                placeholder="Allerede spart (kr)"
-                value={form.savedAmount}
-                onChange={(event) => setForm({ ...form, savedAmount: event.target.value })}
-              />
+              {!editingId && !form.pageId && (
+                <input
+                  type="number"
+                  min="0"
+                  step="100"
+                  placeholder="Allerede spart (kr)"
+                  value={form.savedAmount}
+                  onChange={(event) => setForm({ ...form, savedAmount: event.target.value })}
+                />
+              )}
             </div>
+            <select value={form.pageId} onChange={(event) => setForm({ ...form, pageId: event.target.value })}>
+              <option value="">Registrer sparing manuelt</option>
+              {pages.map((page) => (
+                <option key={page.id} value={page.id}>
+                  Følg saldoen på {page.name}
+                </option>
+              ))}
+            </select>
+            {form.pageId ? (
+              <p className="muted">
+                Spart beløp er saldoen på siden, regnet ut fra transaksjonene som er koblet til den.
+              </p>
+            ) : (
+              editingId && <p className="muted">Spart beløp endres ved å registrere eller slette innskudd.</p>
+            )}
             <input
               type="number"
               min="0"
@@ -173,6 +304,15 @@ const SavingsGoalsPage = () => {
               value={form.dueDate}
               onChange={(event) => setForm({ ...form, dueDate: event.target.value })}
             />
+            <input
+              type="number"
+              min="0"
+              max="30"
+              step="0.1"
+              placeholder="Forventet avkastning % per år (for fond)"
+              value={form.expectedReturnRate}
+              onChange={(event) => setForm({ ...form, expectedReturnRate: event.target.value })}
+            />
             <input
               placeholder="Hvem eier målet?"
               value={form.owner}
@@ -261,10 +401,15 @@ const SavingsGoalsPage = () => {
             {filteredGoals.map((goal) => {
               const progress = formatProgress(goal);
               const remaining = Math.max(0, (Number(goal.targetAmount) || 0) - (Number(goal.savedAmount) || 0));
+              const { projection } = goal;
+              const projectionBadge = projectionStatus(projection);
               return (
                 <article key={goal.id} className={`goal-card ${progress >= 100 ? 'completed' : ''}`}>
                   <header>
-                    <h4>{goal.title}</h4>
+                    <h4>
+                      {goal.title}{' '}
+                      {projectionBadge && <span className={projectionBadge.className}>{projectionBadge.label}</span>}
+                    </h4>
                     {goal.motivation && <p className="muted">{goal.motivation}</p>}
                   </header>
                   <div className="goal-progress">
@@ -293,26 +438,113 @@ const SavingsGoalsPage = () => {
                       <span>Igjen å spare</span>
                       <strong>{formatCurrency(remaining)}</strong>
                     </div>
+                    {!projection.reached && (
+                      <div>
+                        <span>Ferdig spart</span>
+                        <strong>
+                          {projection.completionMonth
+                            ? formatMonth(projection.completionMonth)
+                            : 'Ikke med dette tempoet'}
+                        </strong>
+                      </div>
+                    )}
+                    {projection.requiredMonthly !== null && (
+                      <div>
+                        <span>Trengs per måned</span>
+                        <strong>{formatCurrency(projection.requiredMonthly)}</strong>
+                      </div>
+                    )}
                   </div>
-                  {progress < 100 && (
+                  {!projection.reached && (
+                    <p className="muted">
+                      Prognosen bruker {formatCurrency(projection.monthlyAmount)} i måneden
+                      {goal.monthlyContribution ? ' (planlagt sparing)' : ' (tempoet så langt)'}
+                      {goal.expectedReturnRate
+                        ? ` og ${goal.expectedReturnRate.toLocaleString('no-NO')} % avkastning i året`
+                        : ''}
+                      .
+                      {projection.observedMonthly !== null &&
+                        goal.monthlyContribution > 0 &&
+                        ` Så langt har dere spart ${formatCurrency(projection.observedMonthly)} i måneden.`}
+                    </p>
+                  )}
+                  {goal.page && (
+                    <div className="pill-list">
+                      <span className="muted">
+                        Følger saldoen på <strong>{goal.page.name}</strong>. Registrer sparing som transaksjoner under{' '}
+                        <Link to="/transaksjoner">Transaksjoner</Link>.
+                      </span>
+                      {goal.pageTransactions.map((transaction) => (
+                        <div key={transaction.id} className="pill-row">
+                          <div>
+                            <strong>{formatCurrency(transaction.amount)}</strong>
+                            <span className="muted">
+                              {' '}
+                              {formatDate(transaction.occurredOn)} · {transaction.note}
+                            </span>
+                          </div>
+                        </div>
+                      ))}
+                      {!goal.pageTransactions.length && (
+                        <span className="muted">Ingen transaksjoner på siden ennå.</span>
+                      )}
+                    </div>
+                  )}
+                  {!goal.page && progress < 100 && (
                     <div className="contribution-row">
                       <input
                         type="number"
-                        min="0"
                         step="100"
-                        placeholder="Registrer sparing"
-                        value={contributionValues[goal.id] ?? ''}
-                        onChange={(event) => {
-                          const { value } = event.target;
-                          setContributionValues((prev) => ({ ...prev, [goal.id]: value }));
-                        }}
+                        placeholder="Registrer sparing (minus for uttak)"
+                        value={contributionFor(goal.id).amount}
+                        onChange={(event) => updateContribution(goal.id, { amount: event.target.value })}
+                      />
+                      <input
+                        type="date"
+                        aria-label={`Dato for innskudd til ${goal.title}`}
+                        value={contributionFor(goal.id).occurredOn}
+                        onChange={(event) => updateContribution(goal.id, { occurredOn: event.target.value })}
                       />
                       <button type="button" onClick={() => handleContribution(goal.id)}>
                         Legg til beløp
                       </button>
                     </div>
                   )}
+                  {!goal.page && goal.contributions.length > 0 && (
+                    <details>
+                      <summary className="muted">Historikk ({goal.contributions.length})</summary>
+                      <div className="pill-list">
+                        {goal.contributions.map((contribution) => (
+                          <div key={contribution.id} className="pill-row">
+                            <div>
+                              <strong>{formatCurrency(contribution.amount)}</strong>
+                              <span className="muted">
+                                {' '}
+                                {formatDate(contribution.occurredOn)}
+                                {contribution.note && ` · ${contribution.note}`}
+                              </span>
+                            </div>
+                            <button
+                              type="button"
+                              className="secondary"
+                              onClick={() => handleDeleteContribution(goal.id, contribution)}
+                            >
+                              Slett
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    </details>
+                  )}
+                  {chartGoalId === goal.id && <GoalProjectionChart goal={goal} />}
                   <div className="goal-actions">
+                    <button
+                      type="button"
+                      className="secondary"
+                      onClick={() => setChartGoalId(chartGoalId === goal.id ? null : goal.id)}
+                    >
+                      {chartGoalId === goal.id ? 'Skjul graf' : 'Vis graf'}
+                    </button>
                     <button type="button" className="secondary" onClick={() => startEdit(goal)}>
                       Rediger
                     </button>
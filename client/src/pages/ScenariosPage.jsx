@@ -0,0 +1,479 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { api } from '../api.js';
+import { formatCurrency } from '../utils/format.js';
+
+const emptyNewExpense = { name: '', amountPerMonth: '', owners: '', category: '' };
+
+const emptyScenario = { name: '', description: '', changes: {}, newExpenses: [], incomes: {}, monthlyNetIncome: '' };
+
+// Skjemaet holder endringene som oppslag per utgift og person; API-et vil ha lister.
+const toForm = (scenario) => ({
+  name: scenario.name,
+  description: scenario.description,
+  changes: Object.fromEntries(
+    scenario.expenseChanges.map((change) => [
+      change.expenseId,
+      { removed: change.removed, amountPerMonth: change.amountPerMonth ?? '' }
+    ])
+  ),
+  newExpenses: scenario.newExpenses.map((expense) => ({ ...expense, owners: expense.owners.join(', ') })),
+  incomes: Object.fromEntries(
+    scenario.incomeChanges.map((change) => [
+      change.owner,
+      { monthlyNetIncome: change.monthlyNetIncome ?? '', sharedContribution: change.sharedContribution ?? '' }
+    ])
+  ),
+  monthlyNetIncome: scenario.monthlyNetIncome ?? ''
+});
+
+const toPayload = (form, expenseIds) => ({
+  name: form.name,
+  description: form.description,
+  expenseChanges: Object.entries(form.changes)
+    .filter(([expenseId]) => expenseIds.has(Number(expenseId)))
+    .map(([expenseId, change]) => ({ expenseId: Number(expenseId), ...change })),
+  newExpenses: form.newExpenses,
+  incomeChanges: Object.entries(form.incomes).map(([owner, change]) => ({ owner, ...change })),
+  monthlyNetIncome: form.monthlyNetIncome
+});
+
+const formatDifference = (value) => {
+  if (!value) return '±0';
+  return `${value > 0 ? '+' : '−'}${formatCurrency(Math.abs(value))}`;
+};
+
+// Mer penger igjen er bra, høyere faste utgifter er det motsatte.
+const Difference = ({ value, inverse = false }) => {
+  const good = inverse ? value < 0 : value > 0;
+  return (
+    <span className={`scenario-difference ${!value ? 'flat' : good ? 'up' : 'down'}`}>{formatDifference(value)}</span>
+  );
+};
+
+const comparisonRows = (baseline) => [
+  { label: 'Faste utgifter', value: (result) => result.fixedExpenseTotal, inverse: true },
+  { label: 'Inntekt som regnes med', value: (result) => result.income },
+  { label: 'Fritt etter faste utgifter', value: (result) => result.freeAfterFixed, strong: true },
+  ...baseline.owners.map((owner) => ({
+    label: `Igjen for ${owner.name}`,
+    value: (result) => result.owners.find((item) => item.name === owner.name)?.remaining ?? 0
+  }))
+];
+
+const ComparisonTable = ({ baseline, columns }) => (
+  <div className="table-wrapper">
+    <table>
+      <thead>
+        <tr>
+          <th />
+          <th>Dagens</th>
+          {columns.map((column) => (
+            <th key={column.key}>{column.name}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {comparisonRows(baseline).map((row) => (
+          <tr key={row.label}>
+            <td>{row.strong ? <strong>{row.label}</strong> : row.label}</td>
+            <td>{formatCurrency(row.value(baseline))}</td>
+            {columns.map((column) => (
+              <td key={column.key}>
+                {formatCurrency(row.value(column.result))}
+                <br />
+                <Difference value={row.value(column.result) - row.value(baseline)} inverse={row.inverse} />
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const ScenariosPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [data, setData] = useState(null);
+  const [expenses, setExpenses] = useState([]);
+  const [ownerProfiles, setOwnerProfiles] = useState([]);
+  const [form, setForm] = useState(emptyScenario);
+  const [editingId, setEditingId] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  const load = async () => {
+    try {
+      const [scenarioData, expenseList, settings] = await Promise.all([
+        api.getScenarios(),
+        api.getFixedExpenses(),
+        api.getSettings()
+      ]);
+      setData(scenarioData);
+      setExpenses(expenseList);
+      setOwnerProfiles((settings.ownerProfiles || []).filter((profile) => profile.name));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // «Simuler oppsigelse» på faste utgifter lenker hit med ?fjern=<id> for å starte et scenario.
+  useEffect(() => {
+    const removeId = Number(searchParams.get('fjern'));
+    if (!removeId) return;
+    setForm((current) => ({
+      ...current,
+      changes: { ...current.changes, [removeId]: { removed: true, amountPerMonth: '' } }
+    }));
+    setSearchParams({}, { replace: true });
+  }, [searchParams, setSearchParams]);
+
+  const expenseIds = useMemo(() => new Set(expenses.map((expense) => expense.id)), [expenses]);
+  const payload = useMemo(() => toPayload(form, expenseIds), [form, expenseIds]);
+  const hasChanges =
+    payload.expenseChanges.length > 0 ||
+    payload.newExpenses.length > 0 ||
+    payload.incomeChanges.length > 0 ||
+    payload.monthlyNetIncome !== '';
+
+  useEffect(() => {
+    if (!data || !hasChanges) {
+      setPreview(null);
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      api
+        .previewScenario(payload)
+        .then((result) => {
+          setPreview(result);
+          setError('');
+        })
+        .catch((err) => setError(err.message));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [data, hasChanges, payload]);
+
+  const reset = () => {
+    setForm(emptyScenario);
+    setEditingId(null);
+  };
+
+  const updateChange = (expenseId, patch) =>
+    setForm((current) => {
+      const next = { removed: false, amountPerMonth: '', ...current.changes[expenseId], ...patch };
+      const changes = { ...current.changes };
+      if (!next.removed && next.amountPerMonth === '') {
+        delete changes[expenseId];
+      } else {
+        changes[expenseId] = next;
+      }
+      return { ...current, changes };
+    });
+
+  const updateIncome = (owner, key, value) =>
+    setForm((current) => {
+      const next = { monthlyNetIncome: '', sharedContribution: '', ...current.incomes[owner], [key]: value };
+      const incomes = { ...current.incomes };
+      if (next.monthlyNetIncome === '' && next.sharedContribution === '') {
+        delete incomes[owner];
+      } else {
+        incomes[owner] = next;
+      }
+      return { ...current, incomes };
+    });
+
+  const updateNewExpense = (index, key, value) =>
+    setForm((current) => ({
+      ...current,
+      newExpenses: current.newExpenses.map((expense, i) => (i === index ? { ...expense, [key]: value } : expense))
+    }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+    try {
+      if (editingId) {
+        await api.updateScenario(editingId, payload);
+        setStatus('Scenariet er oppdatert.');
+      } else {
+        await api.createScenario(payload);
+        setStatus('Scenariet er lagret.');
+      }
+      reset();
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (scenario) => {
+    if (!confirm(`Slette scenariet «${scenario.name}»?`)) return;
+    try {
+      await api.deleteScenario(scenario.id);
+      if (editingId === scenario.id) reset();
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="rules-page">
+      {error && <p className="error-text">{error}</p>}
+      {status && <p className="muted">{status}</p>}
+
+      {data && (
+        <>
+          <div className="section-header">
+            <h2>{editingId ? 'Endre scenario' : 'Nytt scenario'}</h2>
+            {editingId && (
+              <button className="secondary" onClick={reset}>
+                Avbryt
+              </button>
+            )}
+          </div>
+          <form className="card stacked-form" onSubmit={handleSubmit}>
+            <div className="quick-add-form">
+              <input
+                placeholder="Navn, f.eks. «Permisjon»"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+              />
+              <input
+                placeholder="Beskrivelse"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+              />
+            </div>
+
+            <h3>Faste utgifter</h3>
+            <div className="table-wrapper">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Ta med</th>
+                    <th>Utgift</th>
+                    <th>Per måned i dag</th>
+                    <th>Nytt beløp</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {!expenses.length && (
+                    <tr>
+                      <td colSpan={4} className="muted">
+                        Ingen faste utgifter ennå.
+                      </td>
+                    </tr>
+                  )}
+                  {expenses.map((expense) => {
+                    const change = form.changes[expense.id];
+                    return (
+                      <tr key={expense.id}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            aria-label={`Ta med ${expense.name}`}
+                            checked={!change?.removed}
+                            onChange={(e) => updateChange(expense.id, { removed: !e.target.checked })}
+                          />
+                        </td>
+                        <td className={change?.removed ? 'muted' : undefined}>
+                          <strong>{expense.name}</strong>
+                          <br />
+                          <span className="muted">{(expense.owners || []).join(', ')}</span>
+                        </td>
+                        <td>{formatCurrency(expense.amountPerMonth)}</td>
+                        <td>
+                          <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            placeholder="Uendret"
+                            disabled={change?.removed}
+                            value={change?.amountPerMonth ?? ''}
+                            onChange={(e) => updateChange(expense.id, { amountPerMonth: e.target.value })}
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <h3>Nye utgifter</h3>
+            {form.newExpenses.map((expense, index) => (
+              <div key={index} className="quick-add-form">
+                <input
+                  placeholder="Navn"
+                  value={expense.name}
+                  onChange={(e) => updateNewExpense(index, 'name', e.target.value)}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  placeholder="Per måned"
+                  value={expense.amountPerMonth}
+                  onChange={(e) => updateNewExpense(index, 'amountPerMonth', e.target.value)}
+                />
+                <input
+                  placeholder="Eiere (standard hvis tomt)"
+                  value={expense.owners}
+                  onChange={(e) => updateNewExpense(index, 'owners', e.target.value)}
+                />
+                <button
+                  type="button"
+                  className="secondary"
+                  onClick={() =>
+                    setForm({ ...form, newExpenses: form.newExpenses.filter((item, i) => i !== index) })
+                  }
+                >
+                  Fjern
+                </button>
+              </div>
+            ))}
+            <div className="form-actions">
+              <button
+                type="button"
+                className="secondary"
+                onClick={() => setForm({ ...form, newExpenses: [...form.newExpenses, emptyNewExpense] })}
+              >
+                Legg til utgift
+              </button>
+            </div>
+
+            {!ownerProfiles.length && (
+              <>
+                <h3>Inntekt</h3>
+                <div className="quick-add-form">
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    placeholder={`Netto per måned i dag: ${formatCurrency(data.baseline.income)}`}
+                    value={form.monthlyNetIncome}
+                    onChange={(e) => setForm({ ...form, monthlyNetIncome: e.target.value })}
+                  />
+                </div>
+              </>
+            )}
+            {ownerProfiles.length > 0 && (
+              <>
+                <h3>Inntekt per person</h3>
+                {ownerProfiles.map(({ name: owner, monthlyNetIncome, sharedContribution }) => (
+                  <div key={owner} className="quick-add-form">
+                    <strong>{owner}</strong>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      placeholder={`Netto i dag: ${formatCurrency(monthlyNetIncome || 0)}`}
+                      value={form.incomes[owner]?.monthlyNetIncome ?? ''}
+                      onChange={(e) => updateIncome(owner, 'monthlyNetIncome', e.target.value)}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      placeholder={`Bidrag i dag: ${formatCurrency(sharedContribution || 0)}`}
+                      value={form.incomes[owner]?.sharedContribution ?? ''}
+                      onChange={(e) => updateIncome(owner, 'sharedContribution', e.target.value)}
+                    />
+                  </div>
+                ))}
+              </>
+            )}
+
+            {preview && (
+              <>
+                <h3>Forhåndsvisning</h3>
+                <ComparisonTable
+                  baseline={preview.baseline}
+                  columns={[{ key: 'preview', name: form.name || 'Dette scenariet', result: preview.scenario }]}
+                />
+              </>
+            )}
+
+            <div className="form-actions">
+              <button type="submit" disabled={!hasChanges}>
+                {editingId ? 'Oppdater' : 'Lagre scenario'}
+              </button>
+            </div>
+          </form>
+
+          <div className="section-header" style={{ marginTop: '1.5rem' }}>
+            <h2>Sammenligning</h2>
+          </div>
+          {!data.scenarios.length ? (
+            <p className="muted">Ingen lagrede scenarier ennå.</p>
+          ) : (
+            <>
+              <ComparisonTable
+                baseline={data.baseline}
+                columns={data.scenarios.map((scenario) => ({
+                  key: scenario.id,
+                  name: scenario.name,
+                  result: scenario.comparison.scenario
+                }))}
+              />
+              <div className="table-wrapper">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Scenario</th>
+                      <th>Endringer</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.scenarios.map((scenario) => (
+                      <tr key={scenario.id}>
+                        <td>
+                          <strong>{scenario.name}</strong>
+                          {scenario.description && (
+                            <>
+                              <br />
+                              <span className="muted">{scenario.description}</span>
+                            </>
+                          )}
+                        </td>
+                        <td className="muted">
+                          {scenario.expenseChanges.filter((change) => change.removed).length} fjernet,{' '}
+                          {scenario.expenseChanges.filter((change) => !change.removed).length} endret,{' '}
+                          {scenario.newExpenses.length} nye, {scenario.incomeChanges.length} inntektsendringer
+                        </td>
+                        <td className="table-actions-cell">
+                          <div className="table-actions">
+                            <button
+                              className="secondary"
+                              onClick={() => {
+                                setForm(toForm(scenario));
+                                setEditingId(scenario.id);
+                                window.scrollTo({ top: 0, behavior: 'smooth' });
+                              }}
+                            >
+                              Endre
+                            </button>
+                            <button onClick={() => handleDelete(scenario)}>Slett</button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ScenariosPage;
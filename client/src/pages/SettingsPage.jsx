@@ -737,8 +737,13 @@ const SettingsPage = () => {
     const text = await file.text();
     try {
       const json = JSON.parse(text);
-      await api.importData(json);
-      setStatus('Import fullført! Last siden på nytt for å se endringene.');
+      const result = await api.importData(json);
+      const upgraded = result?.migrations?.length
+        ? ` Filen ble oppgradert til skjemaversjon ${result.schemaVersion} (${result.migrations
+            .map((migration) => migration.description)
+            .join(' ')}).`
+        : '';
+      setStatus(`Import fullført!${upgraded} Last siden på nytt for å se endringene.`);
     } catch (err) {
       setStatus('Import feilet: ' + err.message);
     }
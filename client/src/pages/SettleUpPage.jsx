@@ -0,0 +1,218 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../api.js';
+import { formatCurrency, formatDate } from '../utils/format.js';
+import { todayDateInputValue } from '../utils/dates.js';
+
+const emptySettlement = () => ({ from: '', to: '', amount: '', occurredOn: todayDateInputValue(), note: '' });
+
+const describeBalance = (balance) => {
+  if (balance > 0) return `har ${formatCurrency(balance)} til gode`;
+  if (balance < 0) return `skylder ${formatCurrency(-balance)}`;
+  return 'er i null';
+};
+
+const SettleUpPage = () => {
+  const [ledger, setLedger] = useState(null);
+  const [form, setForm] = useState(emptySettlement);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  const load = async () => {
+    try {
+      setLedger(await api.getSettleUp());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const saveSettlement = async (payload) => {
+    setError('');
+    try {
+      await api.createSettlement(payload);
+      setStatus(`${payload.from} betalte ${formatCurrency(payload.amount)} til ${payload.to}.`);
+      setForm(emptySettlement());
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    saveSettlement({ ...form, amount: Number(form.amount) });
+  };
+
+  const handleDelete = async (entry) => {
+    if (!confirm(`Slette oppgjøret fra ${entry.from} til ${entry.to}?`)) return;
+    try {
+      await api.deleteSettlement(entry.id);
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="rules-page">
+      {error && <p className="error-text">{error}</p>}
+      {status && <p className="muted">{status}</p>}
+
+      {ledger && (
+        <>
+          <div className="section-header">
+            <h2>Oppgjør</h2>
+          </div>
+          {ledger.owners.length < 2 ? (
+            <p className="muted">Legg inn minst to personer under innstillinger for å føre oppgjør.</p>
+          ) : (
+            <div className="analysis-grid">
+              {ledger.balances.map((item) => (
+                <div key={item.owner}>
+                  <span className="muted">{item.owner}</span>
+                  <strong>{describeBalance(item.balance)}</strong>
+                  <span className="muted subtle-label">
+                    Lagt ut for andre {formatCurrency(item.paidForOthers)} · andre for {item.owner}{' '}
+                    {formatCurrency(item.paidByOthers)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {ledger.suggestions.length > 0 && (
+            <div className="card stacked-form" style={{ marginTop: '1.5rem' }}>
+              <h3>Slik går dere i null</h3>
+              {ledger.suggestions.map((suggestion) => (
+                <div key={`${suggestion.from}-${suggestion.to}`} className="form-actions">
+                  <span>
+                    <strong>{suggestion.from}</strong> betaler {formatCurrency(suggestion.amount)} til{' '}
+                    <strong>{suggestion.to}</strong>
+                  </span>
+                  <button onClick={() => saveSettlement({ ...suggestion, occurredOn: todayDateInputValue() })}>
+                    Registrer som betalt
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {ledger.owners.length >= 2 && (
+            <>
+              <div className="section-header" style={{ marginTop: '1.5rem' }}>
+                <h2>Registrer oppgjør</h2>
+              </div>
+              <form className="card quick-add-form" onSubmit={handleSubmit}>
+                <select required value={form.from} onChange={(e) => setForm({ ...form, from: e.target.value })}>
+                  <option value="">Fra</option>
+                  {ledger.owners.map((owner) => (
+                    <option key={owner} value={owner}>
+                      {owner}
+                    </option>
+                  ))}
+                </select>
+                <select required value={form.to} onChange={(e) => setForm({ ...form, to: e.target.value })}>
+                  <option value="">Til</option>
+                  {ledger.owners
+                    .filter((owner) => owner !== form.from)
+                    .map((owner) => (
+                      <option key={owner} value={owner}>
+                        {owner}
+                      </option>
+                    ))}
+                </select>
+                <input
+                  required
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  placeholder="Beløp"
+                  value={form.amount}
+                  onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                />
+                <input
+                  required
+                  type="date"
+                  value={form.occurredOn}
+                  onChange={(e) => setForm({ ...form, occurredOn: e.target.value })}
+                />
+                <input placeholder="Notat" value={form.note} onChange={(e) => setForm({ ...form, note: e.target.value })} />
+                <button type="submit">Lagre</button>
+              </form>
+            </>
+          )}
+
+          <div className="section-header" style={{ marginTop: '1.5rem' }}>
+            <h2>Historikk</h2>
+          </div>
+          <p className="muted">
+            Marker en utgift som lagt ut for andre under <Link to="/transaksjoner">Transaksjoner</Link> for å få den
+            med her.
+          </p>
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Dato</th>
+                  <th>Hva</th>
+                  <th>Beløp</th>
+                  {ledger.owners.map((owner) => (
+                    <th key={owner}>Saldo {owner}</th>
+                  ))}
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {!ledger.entries.length && (
+                  <tr>
+                    <td colSpan={ledger.owners.length + 4} className="muted">
+                      Ingen utlegg eller oppgjør ennå.
+                    </td>
+                  </tr>
+                )}
+                {ledger.entries.map((entry) => (
+                  <tr key={`${entry.kind}-${entry.id}`}>
+                    <td>{formatDate(entry.occurredOn)}</td>
+                    {entry.kind === 'expense' ? (
+                      <td>
+                        <strong>{entry.title}</strong>
+                        <div className="muted subtle-label">
+                          {entry.paidBy} betalte for{' '}
+                          {entry.shares.map((share) => `${share.owner} (${formatCurrency(share.amount)})`).join(', ')}
+                        </div>
+                      </td>
+                    ) : (
+                      <td>
+                        <strong>
+                          Oppgjør: {entry.from} → {entry.to}
+                        </strong>
+                        {entry.note && <div className="muted subtle-label">{entry.note}</div>}
+                      </td>
+                    )}
+                    <td>{formatCurrency(entry.amount)}</td>
+                    {ledger.owners.map((owner) => (
+                      <td key={owner}>{formatCurrency(entry.balances[owner] ?? 0)}</td>
+                    ))}
+                    <td className="table-actions-cell">
+                      {entry.kind === 'settlement' && (
+                        <div className="table-actions">
+                          <button onClick={() => handleDelete(entry)}>Slett</button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SettleUpPage;
@@ -0,0 +1,706 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../api.js';
+import { formatCurrency, formatDate } from '../utils/format.js';
+import { todayDateInputValue } from '../utils/dates.js';
+
+const emptyFilters = { type: '', categoryId: '', pageId: '', tag: '', search: '', from: '', to: '' };
+
+const emptyTransaction = () => ({
+  title: '',
+  amount: '',
+  type: 'expense',
+  occurredOn: todayDateInputValue(),
+  categoryId: '',
+  pageId: '',
+  tags: '',
+  notes: '',
+  splits: [],
+  paidBy: '',
+  paidFor: [],
+  sharing: null
+});
+
+const emptySplitLine = (amount = '') => ({ amount: String(amount), categoryId: '', pageId: '', tags: '' });
+
+const sortColumns = [
+  { key: 'occurredOn', label: 'Dato' },
+  { key: 'title', label: 'Tittel' },
+  { key: 'amount', label: 'Beløp' }
+];
+
+const parseTags = (value) =>
+  Array.from(
+    new Set(
+      String(value || '')
+        .split(',')
+        .map((tag) => tag.trim())
+        .filter(Boolean)
+    )
+  );
+
+// Utgifter legges inn med lik deling; en eksisterende ulik deling beholdes så lenge de samme
+// personene er valgt.
+const toSharing = (form, amount) => {
+  if (!form.paidBy || form.type !== 'expense') return null;
+  const original = form.sharing;
+  const samePeople =
+    original &&
+    original.shares.length === form.paidFor.length &&
+    original.shares.every((share) => form.paidFor.includes(share.owner));
+  const originalTotal = original ? original.shares.reduce((sum, share) => sum + share.amount, 0) : 0;
+  if (samePeople && Math.abs(originalTotal - amount) < 0.005) {
+    return { paidBy: form.paidBy, shares: original.shares };
+  }
+  return { paidBy: form.paidBy, shares: form.paidFor };
+};
+
+const toPayload = (form) => ({
+  title: form.title.trim(),
+  amount: Number(form.amount),
+  type: form.type,
+  occurredOn: form.occurredOn,
+  categoryId: form.categoryId ? Number(form.categoryId) : null,
+  pageId: form.pageId ? Number(form.pageId) : null,
+  tags: parseTags(form.tags),
+  notes: form.notes.trim(),
+  splits: form.splits.map((line) => ({
+    amount: Number(line.amount),
+    categoryId: line.categoryId ? Number(line.categoryId) : null,
+    pageId: line.pageId ? Number(line.pageId) : null,
+    tags: parseTags(line.tags)
+  })),
+  sharing: toSharing(form, Number(form.amount))
+});
+
+const toForm = (transaction) => ({
+  title: transaction.title || '',
+  amount: String(transaction.amount ?? ''),
+  type: transaction.type || 'expense',
+  occurredOn: (transaction.occurredOn || todayDateInputValue()).slice(0, 10),
+  categoryId: transaction.categoryId ? String(transaction.categoryId) : '',
+  pageId: transaction.pageId ? String(transaction.pageId) : '',
+  tags: (transaction.tags || []).join(', '),
+  notes: transaction.notes || '',
+  splits: (transaction.splits || []).map((line) => ({
+    amount: String(line.amount),
+    categoryId: line.categoryId ? String(line.categoryId) : '',
+    pageId: line.pageId ? String(line.pageId) : '',
+    tags: (line.tags || []).join(', ')
+  })),
+  paidBy: transaction.sharing?.paidBy || '',
+  paidFor: (transaction.sharing?.shares || []).map((share) => share.owner),
+  sharing: transaction.sharing || null
+});
+
+const transactionTags = (transaction) =>
+  Array.from(new Set([...(transaction.tags || []), ...(transaction.splits || []).flatMap((line) => line.tags)]));
+
+const splitRemainder = (form) => {
+  const allocated = form.splits.reduce((sum, line) => sum + (Number(line.amount) || 0), 0);
+  return Math.round(((Number(form.amount) || 0) - allocated) * 100) / 100;
+};
+
+const TransactionsPage = () => {
+  const [transactions, setTransactions] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [pages, setPages] = useState([]);
+  const [owners, setOwners] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [sort, setSort] = useState({ sortBy: 'occurredOn', order: 'DESC' });
+  const [quickForm, setQuickForm] = useState(emptyTransaction);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState(emptyTransaction);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const [duplicateCount, setDuplicateCount] = useState(0);
+
+  const filtersActive = Object.values(filters).some(Boolean);
+
+  const loadTransactions = useCallback(async () => {
+    const params = Object.fromEntries(
+      Object.entries({ ...filters, ...sort }).filter(([, value]) => value !== '')
+    );
+    try {
+      const data = await api.getTransactions(params);
+      setTransactions(data);
+      api
+        .getDuplicateTransactions()
+        .then((pairs) => setDuplicateCount(pairs.length))
+        .catch(() => setDuplicateCount(0));
+      setSelectedIds((current) => current.filter((id) => data.some((tx) => tx.id === id)));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, sort]);
+
+  useEffect(() => {
+    Promise.all([api.getCategories(), api.getPages(), api.getSettings()])
+      .then(([categoryList, pageList, settings]) => {
+        setCategories(categoryList);
+        setPages(pageList);
+        setOwners((settings.ownerProfiles || []).map((profile) => profile.name));
+      })
+      .catch((err) => setError(err.message));
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(loadTransactions, 250);
+    return () => clearTimeout(timer);
+  }, [loadTransactions]);
+
+  const totals = useMemo(
+    () =>
+      transactions.reduce(
+        (acc, tx) => {
+          if (tx.type === 'income') acc.income += Number(tx.amount) || 0;
+          else acc.expense += Number(tx.amount) || 0;
+          return acc;
+        },
+        { income: 0, expense: 0 }
+      ),
+    [transactions]
+  );
+
+  const updateFilter = (key, value) => setFilters((current) => ({ ...current, [key]: value }));
+
+  const toggleSort = (key) =>
+    setSort((current) =>
+      current.sortBy === key
+        ? { sortBy: key, order: current.order === 'ASC' ? 'DESC' : 'ASC' }
+        : { sortBy: key, order: key === 'title' ? 'ASC' : 'DESC' }
+    );
+
+  const categoriesForType = (type) => categories.filter((category) => !type || category.type === type);
+
+  const handleQuickAdd = async (event) => {
+    event.preventDefault();
+    const payload = toPayload(quickForm);
+    if (!payload.title || !payload.amount || !payload.occurredOn) {
+      setError('Tittel, beløp og dato er påkrevd.');
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await api.createTransaction(payload);
+      setQuickForm({ ...emptyTransaction(), type: quickForm.type, occurredOn: quickForm.occurredOn });
+      setStatus(`«${payload.title}» ble lagt til.`);
+      await loadTransactions();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const startEdit = (transaction) => {
+    setEditingId(transaction.id);
+    setEditForm(toForm(transaction));
+    setStatus('');
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setEditForm(emptyTransaction());
+  };
+
+  const handleSaveEdit = async () => {
+    const payload = toPayload(editForm);
+    if (!payload.title || !payload.amount || !payload.occurredOn) {
+      setError('Tittel, beløp og dato er påkrevd.');
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await api.updateTransaction(editingId, payload);
+      cancelEdit();
+      await loadTransactions();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (transaction) => {
+    if (!confirm(`Slette «${transaction.title}»?`)) return;
+    try {
+      await api.deleteTransaction(transaction.id);
+      await loadTransactions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleBulkDelete = async () => {
+    if (!selectedIds.length) return;
+    if (!confirm(`Slette ${selectedIds.length} transaksjoner?`)) return;
+    try {
+      const { deleted } = await api.deleteTransactions(selectedIds);
+      setSelectedIds([]);
+      setStatus(`${deleted} transaksjoner ble slettet.`);
+      await loadTransactions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleSelected = (id) =>
+    setSelectedIds((current) =>
+      current.includes(id) ? current.filter((value) => value !== id) : [...current, id]
+    );
+
+  const allSelected = transactions.length > 0 && selectedIds.length === transactions.length;
+
+  const toggleAll = () => setSelectedIds(allSelected ? [] : transactions.map((tx) => tx.id));
+
+  const updateSplitLine = (form, setForm, index, changes) =>
+    setForm({
+      ...form,
+      splits: form.splits.map((line, lineIndex) => (lineIndex === index ? { ...line, ...changes } : line))
+    });
+
+  // Første oppdeling starter med hele beløpet på linjen med transaksjonens kategori og side.
+  const startSplit = (form, setForm) =>
+    setForm({
+      ...form,
+      splits: [
+        { ...emptySplitLine(form.amount), categoryId: form.categoryId, pageId: form.pageId, tags: form.tags },
+        emptySplitLine()
+      ],
+      categoryId: '',
+      pageId: ''
+    });
+
+  const renderSplitEditor = (form, setForm) => {
+    if (!form.splits.length) {
+      return (
+        <div className="form-actions">
+          <button type="button" className="secondary" onClick={() => startSplit(form, setForm)}>
+            Del opp på flere kategorier
+          </button>
+        </div>
+      );
+    }
+    const remainder = splitRemainder(form);
+    return (
+      <div className="split-editor">
+        {form.splits.map((line, index) => (
+          <div className="split-line" key={index}>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              placeholder="Beløp"
+              value={line.amount}
+              onChange={(e) => updateSplitLine(form, setForm, index, { amount: e.target.value })}
+            />
+            <select
+              value={line.categoryId}
+              onChange={(e) => updateSplitLine(form, setForm, index, { categoryId: e.target.value })}
+            >
+              <option value="">Uten kategori</option>
+              {categoriesForType(form.type).map((category) => (
+                <option key={category.id} value={category.id}>
+                  {category.name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={line.pageId}
+              onChange={(e) => updateSplitLine(form, setForm, index, { pageId: e.target.value })}
+            >
+              <option value="">Ingen side</option>
+              {pages.map((page) => (
+                <option key={page.id} value={page.id}>
+                  {page.name}
+                </option>
+              ))}
+            </select>
+            <input
+              placeholder="Tagger"
+              value={line.tags}
+              onChange={(e) => updateSplitLine(form, setForm, index, { tags: e.target.value })}
+            />
+            <button
+              type="button"
+              className="secondary"
+              onClick={() => setForm({ ...form, splits: form.splits.filter((_, lineIndex) => lineIndex !== index) })}
+            >
+              Fjern
+            </button>
+          </div>
+        ))}
+        <div className="form-actions">
+          <span className={remainder === 0 ? 'muted' : 'error-text'}>
+            {remainder === 0 ? 'Hele beløpet er fordelt' : `${formatCurrency(remainder)} er ikke fordelt`}
+          </span>
+          <button
+            type="button"
+            className="secondary"
+            onClick={() =>
+              setForm({ ...form, splits: [...form.splits, emptySplitLine(remainder > 0 ? remainder : '')] })
+            }
+          >
+            Legg til linje
+          </button>
+          <button type="button" className="secondary" onClick={() => setForm({ ...form, splits: [] })}>
+            Ikke del opp
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const togglePaidFor = (form, setForm, owner) =>
+    setForm({
+      ...form,
+      paidFor: form.paidFor.includes(owner) ? form.paidFor.filter((item) => item !== owner) : [...form.paidFor, owner]
+    });
+
+  // Hvem som la ut for en felles utgift, til oppgjøret mellom personene.
+  const renderSharingFields = (form, setForm) => {
+    if (form.type !== 'expense' || owners.length < 2) return null;
+    return (
+      <div className="form-actions">
+        <select
+          value={form.paidBy}
+          onChange={(e) =>
+            setForm({ ...form, paidBy: e.target.value, paidFor: form.paidFor.length ? form.paidFor : owners })
+          }
+        >
+          <option value="">Ikke lagt ut for andre</option>
+          {owners.map((owner) => (
+            <option key={owner} value={owner}>
+              Betalt av {owner}
+            </option>
+          ))}
+        </select>
+        {form.paidBy &&
+          owners.map((owner) => (
+            <label key={owner} className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={form.paidFor.includes(owner)}
+                onChange={() => togglePaidFor(form, setForm, owner)}
+              />
+              {owner}
+            </label>
+          ))}
+      </div>
+    );
+  };
+
+  const renderTransactionFields = (form, setForm) => (
+    <>
+      <select
+        value={form.type}
+        onChange={(e) => setForm({ ...form, type: e.target.value, categoryId: '' })}
+      >
+        <option value="expense">Utgift</option>
+        <option value="income">Inntekt</option>
+      </select>
+      <input
+        required
+        type="number"
+        min="0"
+        step="0.01"
+        placeholder="Beløp"
+        value={form.amount}
+        onChange={(e) => setForm({ ...form, amount: e.target.value })}
+      />
+      <input
+        required
+        type="date"
+        value={form.occurredOn}
+        onChange={(e) => setForm({ ...form, occurredOn: e.target.value })}
+      />
+      <select
+        value={form.categoryId}
+        disabled={form.splits.length > 0}
+        onChange={(e) => setForm({ ...form, categoryId: e.target.value })}
+      >
+        <option value="">{form.splits.length ? 'Fordelt på linjer' : 'Uten kategori'}</option>
+        {categoriesForType(form.type).map((category) => (
+          <option key={category.id} value={category.id}>
+            {category.name}
+          </option>
+        ))}
+      </select>
+      <select
+        value={form.pageId}
+        disabled={form.splits.length > 0}
+        onChange={(e) => setForm({ ...form, pageId: e.target.value })}
+      >
+        <option value="">{form.splits.length ? 'Fordelt på linjer' : 'Ingen side'}</option>
+        {pages.map((page) => (
+          <option key={page.id} value={page.id}>
+            {page.name}
+          </option>
+        ))}
+      </select>
+      <input
+        placeholder="Tagger, skilt med komma"
+        value={form.tags}
+        onChange={(e) => setForm({ ...form, tags: e.target.value })}
+      />
+    </>
+  );
+
+  return (
+    <div className="transactions-page">
+      <div className="section-header">
+        <h2>Ny transaksjon</h2>
+        <div className="section-actions">
+          {duplicateCount > 0 && (
+            <Link to="/transaksjoner/duplikater">Mulige duplikater ({duplicateCount})</Link>
+          )}
+          <Link to="/transaksjoner/import">Importer kontoutskrift</Link>
+        </div>
+      </div>
+      <form className="card quick-add-form" onSubmit={handleQuickAdd}>
+        <input
+          required
+          placeholder="Tittel"
+          value={quickForm.title}
+          onChange={(e) => setQuickForm({ ...quickForm, title: e.target.value })}
+        />
+        {renderTransactionFields(quickForm, setQuickForm)}
+        <textarea
+          placeholder="Notat"
+          value={quickForm.notes}
+          onChange={(e) => setQuickForm({ ...quickForm, notes: e.target.value })}
+        />
+        {renderSharingFields(quickForm, setQuickForm)}
+        {renderSplitEditor(quickForm, setQuickForm)}
+        <div className="form-actions">
+          <button type="submit" disabled={isSaving}>
+            Legg til
+          </button>
+        </div>
+      </form>
+
+      <div className="section-header" style={{ marginTop: '1.5rem' }}>
+        <h2>Transaksjoner</h2>
+        <div className="section-actions">
+          {filtersActive && (
+            <button className="secondary" onClick={() => setFilters(emptyFilters)}>
+              Fjern filter
+            </button>
+          )}
+          <button className="danger" onClick={handleBulkDelete} disabled={!selectedIds.length}>
+            Slett valgte{selectedIds.length ? ` (${selectedIds.length})` : ''}
+          </button>
+        </div>
+      </div>
+      {error && <p className="error-text">{error}</p>}
+      {status && <p className="muted">{status}</p>}
+
+      <div className="card table-section">
+        <div className="filter-grid" style={{ marginTop: 0 }}>
+          <input
+            type="search"
+            placeholder="Søk i tittel og notat"
+            value={filters.search}
+            onChange={(e) => updateFilter('search', e.target.value)}
+          />
+          <select value={filters.type} onChange={(e) => updateFilter('type', e.target.value)}>
+            <option value="">Alle typer</option>
+            <option value="expense">Utgifter</option>
+            <option value="income">Inntekter</option>
+          </select>
+          <select value={filters.categoryId} onChange={(e) => updateFilter('categoryId', e.target.value)}>
+            <option value="">Alle kategorier</option>
+            {categoriesForType(filters.type).map((category) => (
+              <option key={category.id} value={category.id}>
+                {category.name}
+              </option>
+            ))}
+          </select>
+          <select value={filters.pageId} onChange={(e) => updateFilter('pageId', e.target.value)}>
+            <option value="">Alle sider</option>
+            {pages.map((page) => (
+              <option key={page.id} value={page.id}>
+                {page.name}
+              </option>
+            ))}
+          </select>
+          <input placeholder="Tagg" value={filters.tag} onChange={(e) => updateFilter('tag', e.target.value)} />
+          <input
+            type="date"
+            aria-label="Fra dato"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+          />
+          <input
+            type="date"
+            aria-label="Til dato"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+          />
+        </div>
+        <p className="muted filter-indicator">
+          {transactions.length} transaksjoner · Inntekter {formatCurrency(totals.income)} · Utgifter{' '}
+          {formatCurrency(totals.expense)}
+        </p>
+
+        <div className="table-wrapper">
+          <table>
+            <thead>
+              <tr>
+                <th className="table-actions-cell">
+                  <input
+                    type="checkbox"
+                    aria-label="Velg alle"
+                    checked={allSelected}
+                    onChange={toggleAll}
+                    disabled={!transactions.length}
+                  />
+                </th>
+                {sortColumns.map((column) => (
+                  <th key={column.key}>
+                    <button type="button" className="sort-button" onClick={() => toggleSort(column.key)}>
+                      {column.label}
+                      {sort.sortBy === column.key ? (sort.order === 'ASC' ? ' ▲' : ' ▼') : ''}
+                    </button>
+                  </th>
+                ))}
+                <th>Kategori</th>
+                <th>Side</th>
+                <th>Tagger</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {isLoading && (
+                <tr>
+                  <td colSpan={8} className="muted">
+                    Laster…
+                  </td>
+                </tr>
+              )}
+              {!isLoading && !transactions.length && (
+                <tr>
+                  <td colSpan={8} className="muted">
+                    {filtersActive ? 'Ingen transaksjoner matcher filteret.' : 'Ingen transaksjoner ennå.'}
+                  </td>
+                </tr>
+              )}
+              {transactions.map((tx) =>
+                tx.id === editingId ? (
+                  <tr key={tx.id} className="editing-row">
+                    <td />
+                    <td colSpan={6}>
+                      <div className="inline-edit-grid">
+                        <input
+                          required
+                          placeholder="Tittel"
+                          value={editForm.title}
+                          onChange={(e) => setEditForm({ ...editForm, title: e.target.value })}
+                        />
+                        {renderTransactionFields(editForm, setEditForm)}
+                        <textarea
+                          placeholder="Notat"
+                          value={editForm.notes}
+                          onChange={(e) => setEditForm({ ...editForm, notes: e.target.value })}
+                        />
+                      </div>
+                      {renderSharingFields(editForm, setEditForm)}
+                      {renderSplitEditor(editForm, setEditForm)}
+                    </td>
+                    <td className="table-actions-cell">
+                      <div className="table-actions">
+                        <button onClick={handleSaveEdit} disabled={isSaving}>
+                          Lagre
+                        </button>
+                        <button className="secondary" onClick={cancelEdit}>
+                          Avbryt
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ) : (
+                  <tr key={tx.id}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        aria-label={`Velg ${tx.title}`}
+                        checked={selectedIds.includes(tx.id)}
+                        onChange={() => toggleSelected(tx.id)}
+                      />
+                    </td>
+                    <td>{formatDate(tx.occurredOn)}</td>
+                    <td>
+                      <strong>{tx.title}</strong>
+                      {tx.notes && <div className="muted subtle-label">{tx.notes}</div>}
+                      {tx.sharing && (
+                        <div className="muted subtle-label">
+                          Betalt av {tx.sharing.paidBy} for {tx.sharing.shares.map((share) => share.owner).join(', ')}
+                        </div>
+                      )}
+                    </td>
+                    <td className={tx.type === 'income' ? 'amount-income' : 'amount-expense'}>
+                      {tx.type === 'income' ? '+' : '−'}
+                      {formatCurrency(tx.amount)}
+                    </td>
+                    {tx.splits?.length ? (
+                      <>
+                        <td>
+                          {tx.splits.map((line, index) => (
+                            <div key={index} className="subtle-label">
+                              {line.categoryName || 'Uten kategori'} · {formatCurrency(line.amount)}
+                            </div>
+                          ))}
+                        </td>
+                        <td>
+                          {tx.splits.map((line, index) => (
+                            <div key={index} className="subtle-label">
+                              {line.pageName || <span className="muted">–</span>}
+                            </div>
+                          ))}
+                        </td>
+                      </>
+                    ) : (
+                      <>
+                        <td>{tx.categoryName || <span className="muted">–</span>}</td>
+                        <td>{tx.pageName || <span className="muted">–</span>}</td>
+                      </>
+                    )}
+                    <td>
+                      {transactionTags(tx).map((tag) => (
+                        <button
+                          type="button"
+                          key={tag}
+                          className="tag tag-button"
+                          onClick={() => updateFilter('tag', tag)}
+                        >
+                          {tag}
+                        </button>
+                      ))}
+                    </td>
+                    <td className="table-actions-cell">
+                      <div className="table-actions">
+                        <button className="secondary" onClick={() => startEdit(tx)}>
+                          Endre
+                        </button>
+                        <button onClick={() => handleDelete(tx)}>Slett</button>
+                      </div>
+                    </td>
+                  </tr>
+                )
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TransactionsPage;
@@ -28,6 +28,9 @@ export const fromDateTimeInputValue = (value) => {
 
 export const nowDateTimeInputValue = () => toDateTimeInputValue(new Date());
 
+// Dagens dato i lokal tid (ÅÅÅÅ-MM-DD), ikke UTC-datoen som toISOString gir rett etter midnatt.
+export const todayDateInputValue = () => toDateTimeInputValue(new Date()).slice(0, 10);
+
 export const formatOsloDateTime = (value) => {
   const date = parseDateLike(value);
   if (!date) return value || '-';
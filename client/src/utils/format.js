@@ -16,6 +16,18 @@ export const formatDate = (value) => {
   }
 };
 
+export const formatMonth = (value) => {
+  if (!value) return '-';
+  try {
+    return new Intl.DateTimeFormat('no-NO', {
+      year: 'numeric',
+      month: 'long'
+    }).format(new Date(`${value}-01T00:00:00`));
+  } catch (err) {
+    return value;
+  }
+};
+
 export const formatNotice = (value) => {
   if (value === null || value === undefined || value === '') return '-';
   return `${value} mnd`;
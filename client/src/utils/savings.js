@@ -1,6 +1,8 @@
 export const SAVINGS_STORAGE_KEY = 'budsjett-savings-goals';
 
-export const loadSavingsGoals = () => {
+// Sparemål ble tidligere lagret bare i nettleseren. Lagringen leses nå bare for å laste opp
+// gamle mål til serveren én gang, og tømmes etterpå.
+export const loadStoredSavingsGoals = () => {
   if (typeof window === 'undefined') return [];
   try {
     const stored = window.localStorage.getItem(SAVINGS_STORAGE_KEY);
@@ -11,12 +13,12 @@ export const loadSavingsGoals = () => {
   }
 };
 
-export const saveSavingsGoals = (goals) => {
+export const clearStoredSavingsGoals = () => {
   if (typeof window === 'undefined') return;
   try {
-    window.localStorage.setItem(SAVINGS_STORAGE_KEY, JSON.stringify(goals));
+    window.localStorage.removeItem(SAVINGS_STORAGE_KEY);
   } catch (err) {
-    console.error('Kunne ikke lagre sparemål', err);
+    console.error('Kunne ikke tømme lagrede sparemål', err);
   }
 };
 
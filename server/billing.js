@@ -0,0 +1,83 @@
+// Betalingsintervaller for faste utgifter. Utgiften lagrer beløpet som faktisk trekkes
+// (chargedAmount) og hvor ofte, og amountPerMonth er alltid det avledede månedsbeløpet som
+// summer og grafer bruker.
+
+const WEEKS_PER_MONTH = 52 / 12;
+
+const BILLING_INTERVALS = {
+  weekly: { label: 'Ukentlig', months: null },
+  monthly: { label: 'Månedlig', months: 1 },
+  quarterly: { label: 'Kvartalsvis', months: 3 },
+  yearly: { label: 'Årlig', months: 12 },
+  custom: { label: 'Hver N. måned', months: null }
+};
+
+const MAX_CUSTOM_INTERVAL_MONTHS = 120;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const normalizeInterval = (value) => (BILLING_INTERVALS[value] ? value : 'monthly');
+
+const normalizeIntervalMonths = (interval, value) => {
+  if (interval !== 'custom') return BILLING_INTERVALS[interval].months;
+  const months = Number(value);
+  return Number.isInteger(months) && months >= 1 && months <= MAX_CUSTOM_INTERVAL_MONTHS ? months : 1;
+};
+
+const validateBilling = ({ billingInterval, intervalMonths, chargedAmount }) => {
+  if (billingInterval !== undefined && !BILLING_INTERVALS[billingInterval]) {
+    return 'Ugyldig betalingsintervall.';
+  }
+  if (billingInterval === 'custom') {
+    const months = Number(intervalMonths);
+    if (!Number.isInteger(months) || months < 1 || months > MAX_CUSTOM_INTERVAL_MONTHS) {
+      return `Antall måneder mellom hvert trekk må være et heltall fra 1 til ${MAX_CUSTOM_INTERVAL_MONTHS}.`;
+    }
+  }
+  if (chargedAmount !== undefined && Number.isNaN(Number(chargedAmount))) {
+    return 'Beløpet som trekkes må være et tall.';
+  }
+  return null;
+};
+
+const monthlyEquivalent = (chargedAmount, interval, intervalMonths) => {
+  const amount = Number(chargedAmount) || 0;
+  if (interval === 'weekly') return roundAmount(amount * WEEKS_PER_MONTH);
+  return roundAmount(amount / (intervalMonths || 1));
+};
+
+const chargedFromMonthly = (amountPerMonth, interval, intervalMonths) => {
+  const amount = Number(amountPerMonth) || 0;
+  if (interval === 'weekly') return roundAmount(amount / WEEKS_PER_MONTH);
+  return roundAmount(amount * (intervalMonths || 1));
+};
+
+// Felles for nye og endrede utgifter. Et oppgitt chargedAmount vinner; ellers regnes det
+// tilbake fra amountPerMonth, slik at eldre klienter som bare sender månedsbeløpet fungerer.
+const resolveBilling = (payload = {}, current = {}) => {
+  const billingInterval = normalizeInterval(payload.billingInterval ?? current.billingInterval);
+  const intervalMonths = normalizeIntervalMonths(billingInterval, payload.intervalMonths ?? current.intervalMonths);
+  let chargedAmount;
+  if (payload.chargedAmount !== undefined && payload.chargedAmount !== null && payload.chargedAmount !== '') {
+    chargedAmount = Number(payload.chargedAmount) || 0;
+  } else if (payload.amountPerMonth !== undefined) {
+    chargedAmount = chargedFromMonthly(payload.amountPerMonth, billingInterval, intervalMonths);
+  } else if (current.chargedAmount !== undefined) {
+    chargedAmount = Number(current.chargedAmount) || 0;
+  } else {
+    chargedAmount = chargedFromMonthly(current.amountPerMonth, billingInterval, intervalMonths);
+  }
+  return {
+    billingInterval,
+    intervalMonths,
+    chargedAmount,
+    amountPerMonth: monthlyEquivalent(chargedAmount, billingInterval, intervalMonths)
+  };
+};
+
+module.exports = {
+  BILLING_INTERVALS,
+  monthlyEquivalent,
+  resolveBilling,
+  validateBilling
+};
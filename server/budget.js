@@ -0,0 +1,84 @@
+// Husholdningens månedsbudsjett slik oversikten regner det: hvilke faste utgifter som teller,
+// hvilken inntekt de trekkes fra og hva som er igjen, totalt og per person. Brukes av
+// /api/dashboard og av scenariene, slik at begge alltid regner likt.
+
+const amountOf = (expense) => Number(expense.amountPerMonth) || 0;
+
+const numberMap = (profiles, key) =>
+  profiles.reduce((map, profile) => {
+    if (profile?.name) {
+      const value = Number(profile[key]);
+      if (Number.isFinite(value)) map.set(profile.name, value);
+    }
+    return map;
+  }, new Map());
+
+// En utgift med flere eiere deles likt mellom dem.
+const fixedShareOf = (owner, expenses) =>
+  expenses.reduce((sum, expense) => {
+    const owners = expense.owners || [];
+    return owners.includes(owner) ? sum + amountOf(expense) / owners.length : sum;
+  }, 0);
+
+const householdBudget = (fixedExpenses, settings) => {
+  const ownerProfiles = settings.ownerProfiles || [];
+  const ownerIncomeMap = numberMap(ownerProfiles, 'monthlyNetIncome');
+  const ownerContributionMap = numberMap(ownerProfiles, 'sharedContribution');
+  const defaultOwners = Array.isArray(settings.defaultFixedExpensesOwners)
+    ? settings.defaultFixedExpensesOwners.filter(Boolean)
+    : [];
+  const bankModeEnabled = Boolean(settings.bankModeEnabled);
+  const participatingOwners = defaultOwners.length
+    ? defaultOwners
+    : Array.from(new Set(ownerProfiles.map((profile) => profile.name).filter(Boolean)));
+  const filteredFixedExpenses = defaultOwners.length
+    ? fixedExpenses.filter((expense) => (expense.owners || []).some((owner) => defaultOwners.includes(owner)))
+    : fixedExpenses;
+  const effectiveFixedExpenseTotal = filteredFixedExpenses.reduce((sum, expense) => sum + amountOf(expense), 0);
+
+  const monthlyNetIncome = Number(settings.monthlyNetIncome) || 0;
+  const ownersHaveCompleteIncome = defaultOwners.every((owner) => ownerIncomeMap.has(owner));
+  const ownerIncome = defaultOwners.reduce((sum, owner) => sum + (ownerIncomeMap.get(owner) || 0), 0);
+  const ownerStats = participatingOwners.map((owner) => {
+    const income = ownerIncomeMap.get(owner) || 0;
+    const sharedContribution = ownerContributionMap.get(owner) || 0;
+    const fixedShare = fixedShareOf(owner, filteredFixedExpenses);
+    return {
+      name: owner,
+      monthlyNetIncome: income,
+      sharedContribution,
+      fixedShare,
+      // Med bankmodus betales de faste utgiftene fra felleskontoen, og det personlige er det som
+      // er igjen etter bidraget. Ellers er det inntekten minus personens andel av utgiftene.
+      remaining: bankModeEnabled ? income - sharedContribution : income - fixedShare,
+      remainingPersonal: income - sharedContribution
+    };
+  });
+  const totalIncome = ownerStats.reduce((sum, owner) => sum + owner.monthlyNetIncome, 0);
+  const totalContribution = ownerStats.reduce((sum, owner) => sum + owner.sharedContribution, 0);
+  const activeMonthlyNetIncome = bankModeEnabled
+    ? totalContribution
+    : defaultOwners.length && ownersHaveCompleteIncome
+    ? ownerIncome
+    : monthlyNetIncome;
+
+  return {
+    filteredFixedExpenses,
+    effectiveFixedExpenseTotal,
+    monthlyNetIncome,
+    activeMonthlyNetIncome,
+    freeAfterFixed: activeMonthlyNetIncome - effectiveFixedExpenseTotal,
+    owners: ownerStats,
+    bankMode: {
+      enabled: bankModeEnabled,
+      totalIncome,
+      totalContribution,
+      freeAfterFixed: totalContribution - effectiveFixedExpenseTotal,
+      remainingPersonal: ownerStats.reduce((sum, owner) => sum + owner.remainingPersonal, 0)
+    }
+  };
+};
+
+module.exports = {
+  householdBudget
+};
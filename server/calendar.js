@@ -0,0 +1,155 @@
+// iCalendar-feed (RFC 5545) med forfallsdatoer for faste utgifter, slutt på bindingstid, siste
+// frist for oppsigelse og frister for sparemål. Alle hendelser er heldagshendelser.
+
+const { addMonths, monthOf, postingSchedule, toDateString } = require('./recurring');
+const { cancellationInfo } = require('./cancellation');
+
+const PRODUCT_ID = '-//Budsjett//Kalender//NO';
+const UID_DOMAIN = 'budsjett.local';
+const MONTHS_BACK = 1;
+const MONTHS_AHEAD = 12;
+const NOTICE_REMINDER = '-P7D';
+
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Linjer over 75 byte brettes med linjeskift og ett mellomrom, uten å dele tegn i UTF-8.
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = chunks.length ? 74 : 75;
+    if (size + charSize > limit) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+const toIcsDate = (date) => date.replace(/-/g, '');
+
+const nextDay = (date) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+};
+
+const toIcsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatAmount = (value) =>
+  `${(Number(value) || 0).toLocaleString('no-NO', { maximumFractionDigits: 2 })} kr`;
+
+const renderEvent = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${toIcsDate(event.date)}`,
+    `DTEND;VALUE=DATE:${toIcsDate(nextDay(event.date))}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.categories) lines.push(`CATEGORIES:${escapeText(event.categories)}`);
+  lines.push('TRANSP:TRANSPARENT');
+  if (event.reminder) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      `TRIGGER:${event.reminder}`,
+      'END:VALARM'
+    );
+  }
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+const buildCalendar = ({ name, events }, now = new Date()) => {
+  const stamp = toIcsTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap((event) => renderEvent(event, stamp)),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+const fixedExpenseEvents = (expenses, today = new Date()) => {
+  const from = addMonths(monthOf(toDateString(today)), -MONTHS_BACK);
+  return expenses.flatMap((expense) => {
+    const events = postingSchedule(expense, today, { monthsAhead: MONTHS_AHEAD })
+      .filter((entry) => entry.month >= from && entry.status !== 'skipped')
+      .map((entry) => ({
+        uid: `fixed-${expense.id}-due-${entry.month}`,
+        date: entry.dueDate,
+        summary: `${expense.name} trekkes (${formatAmount(entry.amount)})`,
+        description: expense.account ? `Betales fra ${expense.account}` : '',
+        categories: 'Faste utgifter'
+      }));
+    const { bindingEndDate, lastNoticeDate, noticePeriodMonths } = cancellationInfo(expense, today);
+    if (bindingEndDate) {
+      events.push({
+        uid: `fixed-${expense.id}-binding`,
+        date: bindingEndDate,
+        summary: `Bindingstiden for ${expense.name} utløper`,
+        categories: 'Binding'
+      });
+    }
+    if (lastNoticeDate) {
+      events.push({
+        uid: `fixed-${expense.id}-notice`,
+        date: lastNoticeDate,
+        summary: `Siste frist for å si opp ${expense.name}`,
+        description: `Oppsigelsestid ${noticePeriodMonths ?? 0} mnd. Sparer ${formatAmount(
+          expense.amountPerMonth
+        )} i måneden.`,
+        categories: 'Oppsigelse',
+        reminder: NOTICE_REMINDER
+      });
+    }
+    return events;
+  });
+};
+
+// Fristen for hvert sparemål som ikke er nådd. Målene kommer fra presentSavingsGoal, så spart beløp
+// og prognose er regnet ut (også for mål som følger en side).
+const savingsGoalEvents = (goals) =>
+  goals
+    .filter((goal) => goal.dueDate && !goal.projection?.reached)
+    .map((goal) => {
+      const required = goal.projection?.requiredMonthly;
+      return {
+        uid: `goal-${goal.id}-due`,
+        date: goal.dueDate,
+        summary: `Frist for sparemålet ${goal.title}`,
+        description:
+          `Spart ${formatAmount(goal.savedAmount)} av ${formatAmount(goal.targetAmount)}.` +
+          (required ? ` Trengs ${formatAmount(required)} i måneden.` : ''),
+        categories: 'Sparemål',
+        reminder: NOTICE_REMINDER
+      };
+    });
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  fixedExpenseEvents,
+  foldLine,
+  savingsGoalEvents
+};
@@ -0,0 +1,78 @@
+// Frister for oppsigelse av faste utgifter. Siste frist er bindingstidens slutt minus
+// oppsigelsestiden; sies avtalen opp senere, løper den videre etter bindingstiden.
+// Tidligste sluttdato er dagens dato pluss oppsigelsestiden, men aldri før bindingen utløper.
+
+const { toDateString } = require('./recurring');
+
+const URGENT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDateOnly = (value) => (DATE_REGEX.test(String(value || '')) ? String(value).slice(0, 10) : null);
+
+// Legger til måneder og bruker siste dag i måneden når dagen ikke finnes (31. januar + 1 = 28./29. februar).
+const addMonthsToDate = (date, months) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  return `${target.getUTCFullYear()}-${pad(target.getUTCMonth() + 1)}-${pad(Math.min(day, lastDay))}`;
+};
+
+const daysBetween = (from, to) =>
+  Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+const cancellationStatus = (daysUntilDeadline) => {
+  if (daysUntilDeadline === null) return 'open';
+  if (daysUntilDeadline < 0) return 'missed';
+  if (daysUntilDeadline <= URGENT_DAYS) return 'urgent';
+  return 'upcoming';
+};
+
+const cancellationInfo = (expense, today = new Date()) => {
+  const todayString = toDateString(today);
+  const bindingEndDate = toDateOnly(expense.bindingEndDate);
+  const noticeMonths = Number.isFinite(Number(expense.noticePeriodMonths)) ? Number(expense.noticePeriodMonths) : 0;
+  const bindingActive = Boolean(bindingEndDate && bindingEndDate >= todayString);
+  const lastNoticeDate = bindingActive ? addMonthsToDate(bindingEndDate, -noticeMonths) : null;
+  const noticeEnd = addMonthsToDate(todayString, noticeMonths);
+  const earliestEndDate = bindingActive && bindingEndDate > noticeEnd ? bindingEndDate : noticeEnd;
+  const daysUntilDeadline = lastNoticeDate ? daysBetween(todayString, lastNoticeDate) : null;
+  const monthlySavings = Number(expense.amountPerMonth) || 0;
+  return {
+    id: expense.id,
+    name: expense.name,
+    category: expense.category,
+    owners: expense.owners || [],
+    bindingEndDate,
+    noticePeriodMonths: expense.noticePeriodMonths ?? null,
+    lastNoticeDate,
+    daysUntilDeadline,
+    earliestEndDate,
+    daysUntilEnd: daysBetween(todayString, earliestEndDate),
+    status: cancellationStatus(daysUntilDeadline),
+    monthlySavings,
+    yearlySavings: Math.round(monthlySavings * 12 * 100) / 100
+  };
+};
+
+const STATUS_ORDER = { urgent: 0, upcoming: 1, missed: 2, open: 3 };
+
+// Nærmeste frist først; utgifter uten frist sorteres etter når de tidligst kan avsluttes.
+const upcomingCancellations = (expenses, today = new Date()) =>
+  expenses
+    .map((expense) => cancellationInfo(expense, today))
+    .sort(
+      (a, b) =>
+        STATUS_ORDER[a.status] - STATUS_ORDER[b.status] ||
+        (a.daysUntilDeadline ?? a.daysUntilEnd) - (b.daysUntilDeadline ?? b.daysUntilEnd) ||
+        b.monthlySavings - a.monthlySavings
+    );
+
+module.exports = {
+  addMonthsToDate,
+  cancellationInfo,
+  daysBetween,
+  upcomingCancellations
+};
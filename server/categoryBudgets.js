@@ -0,0 +1,126 @@
+// Månedsbudsjett per utgiftskategori. Forbruket i en måned er utgiftslinjene i kategorien pluss faste
+// utgifter med samme kategorinavn som ikke er bokført ennå; bokførte faste utgifter er allerede
+// transaksjoner. Med konvoluttbudsjett tas det som er igjen (eller brukt for mye) med til neste
+// måned, regnet fra måneden budsjettet ble satt.
+
+const { addMonths, chargeForMonth, isMonth, monthOf, toDateString } = require('./recurring');
+const { transactionLines } = require('./splits');
+
+const DEFAULT_WARN_AT = 80;
+const MAX_WARN_AT = 100;
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const currentMonth = (today = new Date()) => toDateString(today).slice(0, 7);
+
+// Uten beløp har kategorien ikke budsjett.
+const normalizeCategoryBudget = (raw, today = new Date()) => {
+  const amount = roundAmount(raw?.amount);
+  if (!(amount > 0)) return null;
+  const warnAt = Number(raw.warnAt);
+  return {
+    amount,
+    rollover: Boolean(raw.rollover),
+    startMonth: isMonth(raw.startMonth) ? raw.startMonth : currentMonth(today),
+    warnAt: Number.isFinite(warnAt) && raw.warnAt !== null && raw.warnAt !== '' ? warnAt : DEFAULT_WARN_AT
+  };
+};
+
+const validateCategoryBudget = (budget, type) => {
+  if (!budget) return null;
+  if (type !== 'expense') return 'Budsjett kan bare settes på utgiftskategorier.';
+  if (!(budget.warnAt >= 1 && budget.warnAt <= MAX_WARN_AT)) {
+    return `Varselgrensen må være mellom 1 og ${MAX_WARN_AT} %.`;
+  }
+  return null;
+};
+
+// Det en fast utgift ennå ikke har bokført i måneden. Hoppede og bokførte måneder gir null.
+const unpostedFixedAmount = (expense, month) => {
+  if (isMonth(monthOf(expense.startDate)) && monthOf(expense.startDate) > month) return 0;
+  const entry = expense.postings?.[month] || {};
+  if (entry.transactionId || entry.skipped) return 0;
+  return entry.amount ?? chargeForMonth(expense, month);
+};
+
+const spendingByMonth = (category, { lines, fixedExpenses }) => {
+  const name = category.name.toLowerCase();
+  const expenses = fixedExpenses.filter((expense) => (expense.category || '').toLowerCase() === name);
+  const byMonth = new Map();
+  lines
+    .filter((line) => line.type === 'expense' && line.categoryId === category.id)
+    .forEach((line) => {
+      const month = monthOf(line.occurredOn);
+      byMonth.set(month, (byMonth.get(month) || 0) + (Number(line.amount) || 0));
+    });
+  return {
+    transactions: (month) => roundAmount(byMonth.get(month) || 0),
+    fixed: (month) => roundAmount(expenses.reduce((sum, expense) => sum + unpostedFixedAmount(expense, month), 0))
+  };
+};
+
+const budgetStatus = (spent, available, warnAt) => {
+  if (spent > available) return 'over';
+  if (available > 0 && (spent / available) * 100 >= warnAt) return 'warning';
+  return 'ok';
+};
+
+const categoryBudgetLine = (category, spending, month) => {
+  const { budget } = category;
+  let carriedOver = 0;
+  if (budget.rollover) {
+    for (let m = budget.startMonth; m < month; m = addMonths(m, 1)) {
+      carriedOver += budget.amount - spending.transactions(m) - spending.fixed(m);
+    }
+  }
+  const available = roundAmount(budget.amount + carriedOver);
+  const transactions = spending.transactions(month);
+  const fixedExpenses = spending.fixed(month);
+  const spent = roundAmount(transactions + fixedExpenses);
+  return {
+    categoryId: category.id,
+    name: category.name,
+    color: category.color,
+    budget: budget.amount,
+    rollover: budget.rollover,
+    warnAt: budget.warnAt,
+    carriedOver: roundAmount(carriedOver),
+    available,
+    transactions,
+    fixedExpenses,
+    spent,
+    remaining: roundAmount(available - spent),
+    percent: available > 0 ? Math.round((spent / available) * 100) : null,
+    status: month < budget.startMonth ? 'ok' : budgetStatus(spent, available, budget.warnAt)
+  };
+};
+
+// Budsjett mot faktisk forbruk for alle kategorier med budsjett i én måned.
+const budgetReport = (categories, { transactions = [], fixedExpenses = [], month, today = new Date() } = {}) => {
+  const reportMonth = isMonth(month) ? month : currentMonth(today);
+  const lines = transactions.flatMap((tx) =>
+    transactionLines(tx).map((line) => ({ ...line, occurredOn: tx.occurredOn }))
+  );
+  const rows = categories
+    .filter((category) => category.type === 'expense' && category.budget)
+    .map((category) =>
+      categoryBudgetLine(category, spendingByMonth(category, { lines, fixedExpenses }), reportMonth)
+    );
+  const sum = (field) => roundAmount(rows.reduce((total, row) => total + row[field], 0));
+  return {
+    month: reportMonth,
+    categories: rows,
+    totals: {
+      budget: sum('budget'),
+      available: sum('available'),
+      spent: sum('spent'),
+      remaining: sum('remaining')
+    }
+  };
+};
+
+module.exports = {
+  budgetReport,
+  normalizeCategoryBudget,
+  validateCategoryBudget
+};
@@ -1,37 +1,80 @@
-const fs = require('fs');
-const path = require('path');
-
-const dataDir = path.join(__dirname, 'data');
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
-}
-const dataPath = path.join(dataDir, 'store.json');
+const { createStorage } = require('./storage');
+const { CURRENT_SCHEMA_VERSION, pendingMigrations, runMigrations } = require('./migrations');
+const { applyRules, describeChanges, normalizeRule } = require('./rules');
+const { findDuplicatePairs, pairKey, referencesOf } = require('./duplicates');
+const { normalizeSplits, withSplits } = require('./splits');
+const { resolveBilling } = require('./billing');
+const { CHANNELS, normalizeReminder, pruneSent } = require('./reminders');
+const { normalizeScenario } = require('./scenarios');
+const { normalizeSettlement, normalizeSharing, renameSharingOwner } = require('./ledger');
+const { nextContributionId, normalizeContribution, normalizeSavingsGoal } = require('./savings');
+const { mergeSnapshots } = require('./investments');
+const { normalizeCategoryBudget } = require('./categoryBudgets');
+const { isValidSnapshot, normalizeNetWorthSnapshot } = require('./networth');
+const { normalizePage } = require('./pages');
+const {
+  normalizeAccountSplits,
+  normalizeSplit,
+  removeSplitOwner,
+  renameSplitOwner
+} = require('./splitting');
+const { DEFAULT_NOTIFICATION_SETTINGS, normalizeNotificationSettings } = require('./notifications');
+const {
+  duePostings,
+  monthOf,
+  normalizeDueDay,
+  normalizePostings,
+  postingSchedule,
+  toDateString
+} = require('./recurring');
 
 const DEFAULT_SETTINGS = {
   monthlyNetIncome: 0,
+  inflationRate: 3,
   ownerProfiles: [],
   defaultFixedExpensesOwner: '',
   defaultFixedExpensesOwners: [],
   defaultFixedExpensesBankAccount: '',
   bankAccounts: [],
   bankModeEnabled: false,
+  accountSplits: {},
   lockEnabled: false,
   lockSalt: '',
   lockHash: '',
   sharedUsers: []
 };
 
+const DELIVERY_LOG_LIMIT = 500;
+
 const defaultData = {
+  schemaVersion: CURRENT_SCHEMA_VERSION,
   categories: [],
   pages: [],
-  transactions: [],
   fixedExpenses: [],
+  importProfiles: [],
+  rules: [],
+  duplicateDismissals: [],
+  calendarFeeds: [],
+  reminders: [],
+  notificationSettings: DEFAULT_NOTIFICATION_SETTINGS,
+  pushSubscriptions: [],
+  deliveryLog: [],
+  scenarios: [],
+  settlements: [],
+  savingsGoals: [],
+  netWorthSnapshots: [],
   settings: { ...DEFAULT_SETTINGS },
   counters: {
     categories: 0,
     pages: 0,
     transactions: 0,
-    fixedExpenses: 0
+    fixedExpenses: 0,
+    rules: 0,
+    reminders: 0,
+    deliveries: 0,
+    scenarios: 0,
+    settlements: 0,
+    savingsGoals: 0
   }
 };
 
@@ -45,31 +88,112 @@ const uniqueOwnerList = (owners = []) =>
     )
   );
 
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// Kalenderfeeder, push-abonnementer og leveringslogg i en sikkerhetskopi kan være håndredigert eller gamle.
+// Bare fullstendige oppføringer tas inn, slik at varslings- og kalenderkjøringene ikke feiler på dem.
+const importCalendarFeeds = (feeds) =>
+  (Array.isArray(feeds) ? feeds : [])
+    .filter(
+      (feed) =>
+        feed && isNonEmptyString(feed.userId) && isNonEmptyString(feed.tokenHash) && isTimestamp(feed.createdAt)
+    )
+    .map((feed) => ({ userId: feed.userId, tokenHash: feed.tokenHash, createdAt: feed.createdAt }));
+
+const importPushSubscriptions = (subscriptions) =>
+  (Array.isArray(subscriptions) ? subscriptions : [])
+    .filter(
+      (subscription) =>
+        subscription &&
+        isNonEmptyString(subscription.endpoint) &&
+        /^https:\/\//.test(subscription.endpoint) &&
+        isNonEmptyString(subscription.keys?.p256dh) &&
+        isNonEmptyString(subscription.keys?.auth) &&
+        isTimestamp(subscription.createdAt)
+    )
+    .map((subscription) => ({
+      endpoint: subscription.endpoint,
+      keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+      userId: isNonEmptyString(subscription.userId) ? subscription.userId : null,
+      createdAt: subscription.createdAt
+    }));
+
+const importDeliveryLog = (entries) =>
+  (Array.isArray(entries) ? entries : [])
+    .filter(
+      (entry) =>
+        entry &&
+        Number.isFinite(entry.id) &&
+        CHANNELS.includes(entry.channel) &&
+        ['sent', 'failed'].includes(entry.status) &&
+        isTimestamp(entry.sentAt)
+    )
+    .map((entry) => ({
+      id: entry.id,
+      reminderId: entry.reminderId ?? null,
+      channel: entry.channel,
+      key: typeof entry.key === 'string' ? entry.key : '',
+      title: typeof entry.title === 'string' ? entry.title : '',
+      status: entry.status,
+      error: typeof entry.error === 'string' ? entry.error : '',
+      sentAt: entry.sentAt
+    }))
+    .slice(-DELIVERY_LOG_LIMIT);
+
 class Store {
   constructor() {
+    this.backend = createStorage();
     this.state = this.load();
+    this.lastMigration = this.migrate();
     this.ensureDefaults();
   }
 
   getState() {
-    return this.state;
+    return { ...this.state, transactions: this.getTransactions() };
   }
 
   load() {
-    if (!fs.existsSync(dataPath)) {
+    const documents = this.backend.load();
+    if (!documents) {
       return JSON.parse(JSON.stringify(defaultData));
     }
-    try {
-      const raw = fs.readFileSync(dataPath, 'utf8');
-      return JSON.parse(raw);
-    } catch (error) {
-      console.error('Klarte ikke å lese lagringsfil, bruker default.', error);
-      return JSON.parse(JSON.stringify(defaultData));
+    return documents;
+  }
+
+  save(op = 'save') {
+    this.backend.saveDocuments(this.state, op);
+  }
+
+  migrate() {
+    if (!pendingMigrations(this.state).length) {
+      return null;
     }
+    const { data, applied, fromVersion, toVersion } = runMigrations({
+      ...this.state,
+      transactions: this.getTransactions()
+    });
+    const { transactions, ...documents } = data;
+    this.backend.batch(() => {
+      this.backend.replaceTransactions(transactions, 'migrate');
+      this.state = documents;
+      this.save('migrate');
+    });
+    console.log(
+      `Oppgraderte dataene fra skjemaversjon ${fromVersion} til ${toVersion}: ${applied
+        .map((migration) => migration.name)
+        .join(', ')}`
+    );
+    return { source: 'load', fromVersion, toVersion, applied, ranAt: new Date().toISOString() };
   }
 
-  save() {
-    fs.writeFileSync(dataPath, JSON.stringify(this.state, null, 2));
+  getSchemaStatus() {
+    return {
+      schemaVersion: this.state.schemaVersion ?? 0,
+      latestVersion: CURRENT_SCHEMA_VERSION,
+      lastMigration: this.lastMigration
+    };
   }
 
   ensureDefaults() {
@@ -81,6 +205,9 @@ class Store {
       this.state.settings = { ...DEFAULT_SETTINGS };
     } else {
       this.state.settings.monthlyNetIncome = Number(this.state.settings.monthlyNetIncome) || 0;
+      if (!Number.isFinite(this.state.settings.inflationRate)) {
+        this.state.settings.inflationRate = DEFAULT_SETTINGS.inflationRate;
+      }
       this.state.settings.ownerProfiles = this.normalizeOwnerProfiles(this.state.settings.ownerProfiles || []);
       if (!Array.isArray(this.state.settings.defaultFixedExpensesOwners)) {
         this.state.settings.defaultFixedExpensesOwners = [];
@@ -91,13 +218,6 @@ class Store {
       this.state.settings.defaultFixedExpensesOwners = this.normalizeDefaultOwnerList(
         this.state.settings.defaultFixedExpensesOwners
       );
-      const legacyDefault =
-        typeof this.state.settings.defaultFixedExpensesOwner === 'string'
-          ? this.state.settings.defaultFixedExpensesOwner.trim()
-          : '';
-      if (legacyDefault && !this.state.settings.defaultFixedExpensesOwners.length) {
-        this.state.settings.defaultFixedExpensesOwners = [legacyDefault];
-      }
 
       if (typeof this.state.settings.bankModeEnabled !== 'boolean') {
         this.state.settings.bankModeEnabled = false;
@@ -122,6 +242,11 @@ class Store {
         this.state.settings.defaultFixedExpensesBankAccount = '';
       }
 
+      this.state.settings.accountSplits = normalizeAccountSplits(
+        this.state.settings.accountSplits,
+        this.state.settings.bankAccounts
+      );
+
       if (typeof this.state.settings.lockEnabled !== 'boolean') {
         this.state.settings.lockEnabled = false;
       }
@@ -155,6 +280,76 @@ class Store {
       this.state.fixedExpenses = [];
     }
 
+    if (!Array.isArray(this.state.importProfiles)) {
+      this.state.importProfiles = [];
+    }
+
+    if (!Array.isArray(this.state.duplicateDismissals)) {
+      this.state.duplicateDismissals = [];
+    }
+
+    if (!Array.isArray(this.state.calendarFeeds)) {
+      this.state.calendarFeeds = [];
+    }
+
+    if (!Array.isArray(this.state.rules)) {
+      this.state.rules = [];
+    }
+    this.state.rules = this.state.rules.map((rule, index) => normalizeRule(rule, index + 1));
+    const highestRuleId = Math.max(0, ...this.state.rules.map((rule) => rule.id || 0));
+    this.state.counters.rules = Math.max(this.state.counters.rules || 0, highestRuleId);
+
+    if (!Array.isArray(this.state.reminders)) {
+      this.state.reminders = [];
+    }
+    this.state.reminders = this.state.reminders.map((reminder, index) => normalizeReminder(reminder, index + 1));
+    const highestReminderId = Math.max(0, ...this.state.reminders.map((reminder) => reminder.id || 0));
+    this.state.counters.reminders = Math.max(this.state.counters.reminders || 0, highestReminderId);
+
+    this.state.notificationSettings = normalizeNotificationSettings({}, this.state.notificationSettings || {});
+
+    if (!Array.isArray(this.state.pushSubscriptions)) {
+      this.state.pushSubscriptions = [];
+    }
+
+    if (!Array.isArray(this.state.deliveryLog)) {
+      this.state.deliveryLog = [];
+    }
+    const highestDeliveryId = Math.max(0, ...this.state.deliveryLog.map((entry) => entry.id || 0));
+    this.state.counters.deliveries = Math.max(this.state.counters.deliveries || 0, highestDeliveryId);
+
+    if (!Array.isArray(this.state.scenarios)) {
+      this.state.scenarios = [];
+    }
+    this.state.scenarios = this.state.scenarios.map((scenario, index) => normalizeScenario(scenario, index + 1));
+    const highestScenarioId = Math.max(0, ...this.state.scenarios.map((scenario) => scenario.id || 0));
+    this.state.counters.scenarios = Math.max(this.state.counters.scenarios || 0, highestScenarioId);
+
+    if (!Array.isArray(this.state.settlements)) {
+      this.state.settlements = [];
+    }
+    this.state.settlements = this.state.settlements.map((settlement, index) =>
+      normalizeSettlement(settlement, index + 1)
+    );
+    const highestSettlementId = Math.max(0, ...this.state.settlements.map((settlement) => settlement.id || 0));
+    this.state.counters.settlements = Math.max(this.state.counters.settlements || 0, highestSettlementId);
+
+    this.state.pages = (Array.isArray(this.state.pages) ? this.state.pages : []).map((page, index) =>
+      normalizePage(page, index + 1)
+    );
+
+    if (!Array.isArray(this.state.savingsGoals)) {
+      this.state.savingsGoals = [];
+    }
+    this.state.savingsGoals = this.state.savingsGoals.map((goal, index) => normalizeSavingsGoal(goal, index + 1));
+    const highestSavingsGoalId = Math.max(0, ...this.state.savingsGoals.map((goal) => goal.id || 0));
+    this.state.counters.savingsGoals = Math.max(this.state.counters.savingsGoals || 0, highestSavingsGoalId);
+
+    this.state.netWorthSnapshots = (Array.isArray(this.state.netWorthSnapshots) ? this.state.netWorthSnapshots : [])
+      .map(normalizeNetWorthSnapshot)
+      .filter(isValidSnapshot)
+      .sort((a, b) => a.month.localeCompare(b.month));
+
     this.state.fixedExpenses = this.state.fixedExpenses.map((expense, index) =>
       this.normalizeFixedExpense(expense, index + 1)
     );
@@ -162,6 +357,11 @@ class Store {
     const highestFixedId = Math.max(0, ...this.state.fixedExpenses.map((exp) => exp.id || 0));
     this.state.counters.fixedExpenses = Math.max(this.state.counters.fixedExpenses || 0, highestFixedId);
 
+    this.state.categories = this.state.categories.map((category) => ({
+      ...category,
+      budget: normalizeCategoryBudget(category.budget)
+    }));
+
     if (!this.state.categories.length) {
       const defaults = [
         { name: 'Lønn', type: 'income', color: '#22c55e', description: 'Inntekter og lønn' },
@@ -186,12 +386,13 @@ class Store {
     };
 
     const now = new Date().toISOString();
-    const amount = Number(raw.amountPerMonth ?? raw.beløp_per_mnd ?? raw.amount_per_mnd ?? raw.amount ?? 0) || 0;
+    const billing = resolveBilling(raw);
+    const amount = billing.amountPerMonth;
     const priceHistory = Array.isArray(raw.priceHistory)
       ? raw.priceHistory
           .map((entry) => ({
-            amount: Number(entry?.amount ?? entry?.price ?? entry?.beløp ?? entry?.value),
-            changedAt: entry?.changedAt || entry?.date || entry?.timestamp
+            amount: Number(entry?.amount),
+            changedAt: entry?.changedAt
           }))
           .filter((entry) => Number.isFinite(entry.amount) && entry.changedAt)
           .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt))
@@ -205,20 +406,24 @@ class Store {
         priceHistory.push({ amount, changedAt: lastChanged });
       }
     }
-    const notice = raw.noticePeriodMonths ?? raw.oppsigelsestid_mnd;
+    const notice = raw.noticePeriodMonths;
     return {
       id: raw.id ?? fallbackId,
-      name: raw.name || raw.navn || 'Uten navn',
-      amountPerMonth: amount,
-      category: raw.category || raw.kategori || 'Annet',
-      owners: toOwners(raw.owners || raw.eier || raw.eiere),
+      name: raw.name || 'Uten navn',
+      ...billing,
+      category: raw.category || 'Annet',
+      owners: toOwners(raw.owners),
       account: typeof raw.account === 'string' ? raw.account.trim() : '',
-      level: raw.level || raw.nivå || 'Må-ha',
-      startDate: raw.startDate || raw.startdato || '',
-      bindingEndDate: raw.bindingEndDate || raw.binding_utløper || raw.sluttdato || '',
+      split: normalizeSplit(raw.split),
+      level: raw.level || 'Må-ha',
+      startDate: raw.startDate || '',
+      bindingEndDate: raw.bindingEndDate || '',
       noticePeriodMonths:
         notice === null || notice === undefined || notice === '' ? null : Number(notice) || 0,
-      note: raw.note || raw.notat || '',
+      note: raw.note || '',
+      dueDay: normalizeDueDay(raw.dueDay),
+      postingStartMonth: typeof raw.postingStartMonth === 'string' ? raw.postingStartMonth : '',
+      postings: normalizePostings(raw.postings),
       createdAt: raw.createdAt || now,
       updatedAt: raw.updatedAt || now,
       priceHistory
@@ -234,7 +439,7 @@ class Store {
       if (!name) return;
       const incomeValue = Number(profile.monthlyNetIncome);
       const income = Number.isFinite(incomeValue) && incomeValue >= 0 ? incomeValue : 0;
-      const sharedValue = Number(profile.sharedContribution ?? profile.sharedContributionPerMonth);
+      const sharedValue = Number(profile.sharedContribution);
       const sharedContribution = Number.isFinite(sharedValue) && sharedValue >= 0 ? sharedValue : 0;
       const bankContributions = {};
       if (profile && typeof profile.bankContributions === 'object') {
@@ -311,7 +516,8 @@ class Store {
       type: payload.type || 'expense',
       color: payload.color || '#4f46e5',
       description: payload.description || '',
-      ownerId: payload.ownerId || null
+      ownerId: payload.ownerId || null,
+      budget: normalizeCategoryBudget(payload.budget)
     };
     const existingIdx = this.state.categories.findIndex((cat) => cat.id === category.id);
     if (existingIdx >= 0) {
@@ -319,7 +525,7 @@ class Store {
     } else {
       this.state.categories.push(category);
     }
-    this.save();
+    this.save('addCategory');
     return category;
   }
 
@@ -334,6 +540,7 @@ class Store {
     if (index === -1) return null;
     const current = this.state.categories[index];
     const updatedCategory = { ...current, ...payload };
+    updatedCategory.budget = normalizeCategoryBudget(updatedCategory.budget);
     if (typeof updatedCategory.name === 'string') {
       updatedCategory.name = updatedCategory.name.trim();
     }
@@ -356,18 +563,19 @@ class Store {
       });
     }
 
-    this.save();
+    this.save('updateCategory');
     return this.state.categories[index];
   }
 
   deleteCategory(id) {
     const categoryId = Number(id);
-    this.state.transactions = this.state.transactions.map((tx) =>
-      tx.categoryId === categoryId ? { ...tx, categoryId: null } : tx
-    );
     const originalLength = this.state.categories.length;
-    this.state.categories = this.state.categories.filter((cat) => cat.id !== categoryId);
-    this.save();
+    this.backend.batch(() => {
+      this.backend.reassignTransactions('categoryId', categoryId, null, 'deleteCategory');
+      this.state.categories = this.state.categories.filter((cat) => cat.id !== categoryId);
+      this.clearRuleReference('categoryId', categoryId);
+      this.save('deleteCategory');
+    });
     return originalLength !== this.state.categories.length;
   }
 
@@ -376,94 +584,528 @@ class Store {
   }
 
   addPage(payload) {
-    const page = {
-      id: payload.id ?? this.nextId('pages'),
-      name: payload.name,
-      description: payload.description || '',
-      color: payload.color || '#059669',
-      metadata: payload.metadata || {}
-    };
+    const page = normalizePage({ ...payload, id: payload.id ?? this.nextId('pages') });
     const existingIdx = this.state.pages.findIndex((p) => p.id === page.id);
     if (existingIdx >= 0) {
       this.state.pages[existingIdx] = page;
     } else {
       this.state.pages.push(page);
     }
-    this.save();
+    this.save('addPage');
     return page;
   }
 
   updatePage(id, payload) {
     const index = this.state.pages.findIndex((p) => p.id === Number(id));
     if (index === -1) return null;
-    this.state.pages[index] = { ...this.state.pages[index], ...payload };
-    this.save();
+    this.state.pages[index] = normalizePage({ ...this.state.pages[index], ...payload, id: this.state.pages[index].id });
+    this.save('updatePage');
     return this.state.pages[index];
   }
 
+  addValuations(pageId, snapshots) {
+    const page = this.state.pages.find((p) => p.id === Number(pageId));
+    if (!page?.investment) return null;
+    page.investment = mergeSnapshots(page.investment, snapshots);
+    this.save('addValuations');
+    return page;
+  }
+
+  deleteValuation(pageId, snapshotId) {
+    const page = this.state.pages.find((p) => p.id === Number(pageId));
+    if (!page?.investment) return false;
+    const originalLength = page.investment.snapshots.length;
+    page.investment.snapshots = page.investment.snapshots.filter((snapshot) => snapshot.id !== Number(snapshotId));
+    if (originalLength === page.investment.snapshots.length) return false;
+    this.save('deleteValuation');
+    return true;
+  }
+
   deletePage(id) {
     const pageId = Number(id);
-    this.state.transactions = this.state.transactions.map((tx) =>
-      tx.pageId === pageId ? { ...tx, pageId: null } : tx
-    );
     const originalLength = this.state.pages.length;
-    this.state.pages = this.state.pages.filter((p) => p.id !== pageId);
-    this.save();
+    this.backend.batch(() => {
+      this.backend.reassignTransactions('pageId', pageId, null, 'deletePage');
+      this.state.pages = this.state.pages.filter((p) => p.id !== pageId);
+      this.clearRuleReference('pageId', pageId);
+      this.state.savingsGoals = this.getSavingsGoals().map((goal) =>
+        goal.pageId === pageId ? { ...goal, pageId: null } : goal
+      );
+      this.save('deletePage');
+    });
     return originalLength !== this.state.pages.length;
   }
 
   getTransactions() {
-    return this.state.transactions;
+    return this.backend.listTransactions();
+  }
+
+  queryTransactions(query = {}) {
+    return this.backend.listTransactions(query);
+  }
+
+  getTransactionById(id) {
+    const transactionId = Number(id);
+    if (!Number.isFinite(transactionId)) return null;
+    return this.backend.getTransaction(transactionId);
+  }
+
+  getPageTotals() {
+    return this.backend.transactionTotalsByPage();
   }
 
   addTransaction(payload) {
-    const transaction = {
-      id: payload.id ?? this.nextId('transactions'),
-      title: payload.title,
-      amount: Number(payload.amount),
-      type: payload.type,
-      categoryId: payload.categoryId ?? null,
-      pageId: payload.pageId ?? null,
-      tags: payload.tags || [],
-      occurredOn: payload.occurredOn,
-      notes: payload.notes || '',
-      metadata: payload.metadata || {}
-    };
-    const existingIdx = this.state.transactions.findIndex((tx) => tx.id === transaction.id);
-    if (existingIdx >= 0) {
-      this.state.transactions[existingIdx] = transaction;
-    } else {
-      this.state.transactions.push(transaction);
-    }
-    this.save();
-    return transaction;
+    const transaction = withSplits(
+      {
+        id: payload.id ?? this.nextId('transactions'),
+        title: payload.title,
+        amount: Number(payload.amount),
+        type: payload.type,
+        categoryId: payload.categoryId ?? null,
+        pageId: payload.pageId ?? null,
+        tags: payload.tags || [],
+        occurredOn: payload.occurredOn,
+        notes: payload.notes || '',
+        sharing: payload.sharing || null,
+        metadata: payload.metadata || {}
+      },
+      payload.splits
+    );
+    const { transaction: categorized } = applyRules(transaction, this.getRules());
+    this.backend.batch(() => {
+      this.backend.saveTransaction(categorized, 'addTransaction');
+      this.save('addTransaction');
+    });
+    return categorized;
   }
 
   updateTransaction(id, payload) {
-    const index = this.state.transactions.findIndex((tx) => tx.id === Number(id));
-    if (index === -1) return null;
-    this.state.transactions[index] = {
-      ...this.state.transactions[index],
-      ...payload,
-      amount: Number(payload.amount ?? this.state.transactions[index].amount)
-    };
-    this.save();
-    return this.state.transactions[index];
+    const current = this.getTransactionById(id);
+    if (!current) return null;
+    const updated = withSplits(
+      {
+        ...current,
+        ...payload,
+        amount: Number(payload.amount ?? current.amount)
+      },
+      payload.splits ?? current.splits
+    );
+    this.backend.saveTransaction(updated, 'updateTransaction');
+    return updated;
   }
 
   deleteTransaction(id) {
     const transactionId = Number(id);
-    const originalLength = this.state.transactions.length;
-    this.state.transactions = this.state.transactions.filter((tx) => tx.id !== transactionId);
-    this.save();
-    return originalLength !== this.state.transactions.length;
+    return this.backend.deleteTransaction(transactionId, 'deleteTransaction');
+  }
+
+  deleteTransactions(ids = []) {
+    return this.backend.batch(() =>
+      ids.filter((id) => this.backend.deleteTransaction(Number(id), 'deleteTransactions')).length
+    );
   }
 
   clearTransactions() {
-    const deleted = this.state.transactions.length;
-    this.state.transactions = [];
-    this.save();
-    return deleted;
+    return this.backend.clearTransactions('clearTransactions');
+  }
+
+  getBankReferences() {
+    return new Set(this.getTransactions().flatMap(referencesOf));
+  }
+
+  getDuplicatePairs() {
+    return findDuplicatePairs(this.getTransactions(), { dismissed: this.state.duplicateDismissals });
+  }
+
+  dismissDuplicatePair(firstId, secondId) {
+    const key = pairKey(firstId, secondId);
+    if (!this.state.duplicateDismissals.includes(key)) {
+      this.state.duplicateDismissals = [...this.state.duplicateDismissals, key];
+      this.save('dismissDuplicatePair');
+    }
+    return key;
+  }
+
+  // Beholder den ene transaksjonen og tar med tagger, notater og referanser fra den andre, slik
+  // at en ny import av samme bankrad fortsatt gjenkjennes som importert.
+  mergeTransactions(keepId, removeId) {
+    const keep = this.getTransactionById(keepId);
+    const remove = this.getTransactionById(removeId);
+    if (!keep || !remove || keep.id === remove.id) return null;
+    const notes = Array.from(
+      new Set([keep.notes, remove.notes].map((note) => (note || '').trim()).filter(Boolean))
+    );
+    const [bankReference, ...mergedReferences] = Array.from(
+      new Set([...referencesOf(keep), ...referencesOf(remove)])
+    );
+    const merged = {
+      ...keep,
+      categoryId: keep.categoryId ?? remove.categoryId ?? null,
+      pageId: keep.pageId ?? remove.pageId ?? null,
+      tags: Array.from(new Set([...(keep.tags || []), ...(remove.tags || [])])),
+      notes: notes.join('\n'),
+      metadata: {
+        ...(remove.metadata || {}),
+        ...(keep.metadata || {}),
+        ...(bankReference ? { bankReference } : {}),
+        ...(mergedReferences.length ? { mergedReferences } : {}),
+        mergedFrom: [...(keep.metadata?.mergedFrom || []), remove.id]
+      }
+    };
+    this.backend.batch(() => {
+      this.backend.saveTransaction(merged, 'mergeTransactions');
+      this.backend.deleteTransaction(remove.id, 'mergeTransactions');
+      this.state.duplicateDismissals = this.state.duplicateDismissals.filter(
+        (key) => !key.split(':').includes(String(remove.id))
+      );
+      this.save('mergeTransactions');
+    });
+    return merged;
+  }
+
+  importTransactions(payloads = []) {
+    return this.backend.batch(() => payloads.map((payload) => this.addTransaction(payload)));
+  }
+
+  getRules() {
+    return this.state.rules || [];
+  }
+
+  getRuleById(id) {
+    return this.getRules().find((rule) => rule.id === Number(id)) || null;
+  }
+
+  addRule(payload) {
+    const rule = normalizeRule({ ...payload, id: this.nextId('rules') });
+    this.state.rules = [...this.getRules(), rule];
+    this.save('addRule');
+    return rule;
+  }
+
+  updateRule(id, payload) {
+    const current = this.getRuleById(id);
+    if (!current) return null;
+    const rule = normalizeRule({ ...current, ...payload, id: current.id });
+    this.state.rules = this.getRules().map((item) => (item.id === rule.id ? rule : item));
+    this.save('updateRule');
+    return rule;
+  }
+
+  deleteRule(id) {
+    const before = this.getRules().length;
+    this.state.rules = this.getRules().filter((rule) => rule.id !== Number(id));
+    if (this.state.rules.length === before) return false;
+    this.save('deleteRule');
+    return true;
+  }
+
+  clearRuleReference(field, id) {
+    this.state.rules = this.getRules().map((rule) =>
+      rule.actions[field] === id ? { ...rule, actions: { ...rule.actions, [field]: null } } : rule
+    );
+  }
+
+  previewRules(rules, options = {}) {
+    return this.getTransactions().reduce((rows, tx) => {
+      const { transaction } = applyRules(tx, rules, options);
+      const changes = describeChanges(tx, transaction);
+      if (Object.keys(changes).length) rows.push({ transaction: tx, changes });
+      return rows;
+    }, []);
+  }
+
+  rerunRules({ ruleIds = null, overwrite = false } = {}) {
+    const rules = ruleIds ? this.getRules().filter((rule) => ruleIds.includes(rule.id)) : this.getRules();
+    const transactions = this.getTransactions();
+    let updated = 0;
+    this.backend.batch(() => {
+      transactions.forEach((tx) => {
+        const { transaction } = applyRules(tx, rules, { overwrite });
+        if (!Object.keys(describeChanges(tx, transaction)).length) return;
+        this.backend.saveTransaction(transaction, 'rerunRules');
+        updated += 1;
+      });
+    });
+    return { examined: transactions.length, updated };
+  }
+
+  getReminders() {
+    return this.state.reminders || [];
+  }
+
+  getReminderById(id) {
+    return this.getReminders().find((reminder) => reminder.id === Number(id)) || null;
+  }
+
+  addReminder(payload) {
+    const reminder = normalizeReminder({ ...payload, id: this.nextId('reminders'), sent: {} });
+    this.state.reminders = [...this.getReminders(), reminder];
+    this.save('addReminder');
+    return reminder;
+  }
+
+  updateReminder(id, payload) {
+    const current = this.getReminderById(id);
+    if (!current) return null;
+    const reminder = normalizeReminder({ ...current, ...payload, id: current.id, sent: current.sent });
+    this.state.reminders = this.getReminders().map((item) => (item.id === reminder.id ? reminder : item));
+    this.save('updateReminder');
+    return reminder;
+  }
+
+  deleteReminder(id) {
+    const before = this.getReminders().length;
+    this.state.reminders = this.getReminders().filter((reminder) => reminder.id !== Number(id));
+    if (this.state.reminders.length === before) return false;
+    this.save('deleteReminder');
+    return true;
+  }
+
+  // Nøklene er «<hendelse>|<kanal>» og lagres på påminnelsen, slik at loggen kan ryddes fritt.
+  // Kalles etter hver planlagte kjøring, så det lagres bare når noe faktisk ble sendt.
+  markRemindersSent(sentKeys, now = new Date()) {
+    if (!sentKeys.length) return;
+    const sentAt = now.toISOString();
+    let changed = false;
+    this.state.reminders = this.getReminders().map((reminder) => {
+      const keys = sentKeys.filter((entry) => entry.reminderId === reminder.id).map((entry) => entry.key);
+      if (!keys.length) return reminder;
+      changed = true;
+      const sent = pruneSent(reminder.sent, now);
+      keys.forEach((key) => {
+        sent[key] = sentAt;
+      });
+      return { ...reminder, sent };
+    });
+    if (changed) this.save('markRemindersSent');
+  }
+
+  getNotificationSettings() {
+    return this.state.notificationSettings;
+  }
+
+  replaceNotificationSettings(settings) {
+    this.state.notificationSettings = settings;
+    this.save('replaceNotificationSettings');
+    return settings;
+  }
+
+  getPushSubscriptions() {
+    return this.state.pushSubscriptions || [];
+  }
+
+  // Samme endepunkt registrert på nytt (f.eks. etter innlogging som en annen bruker) erstatter det gamle.
+  savePushSubscription({ endpoint, keys }, userId) {
+    const subscription = { endpoint, keys, userId, createdAt: new Date().toISOString() };
+    this.state.pushSubscriptions = [
+      ...this.getPushSubscriptions().filter((item) => item.endpoint !== endpoint),
+      subscription
+    ];
+    this.save('savePushSubscription');
+    return subscription;
+  }
+
+  deletePushSubscriptions(endpoints = []) {
+    const before = this.getPushSubscriptions().length;
+    this.state.pushSubscriptions = this.getPushSubscriptions().filter((item) => !endpoints.includes(item.endpoint));
+    if (this.state.pushSubscriptions.length === before) return false;
+    this.save('deletePushSubscriptions');
+    return true;
+  }
+
+  getDeliveryLog(limit = DELIVERY_LOG_LIMIT) {
+    return (this.state.deliveryLog || []).slice(-limit).reverse();
+  }
+
+  logDeliveries(entries = []) {
+    if (!entries.length) return [];
+    const logged = entries.map((entry) => ({ ...entry, id: this.nextId('deliveries') }));
+    this.state.deliveryLog = [...(this.state.deliveryLog || []), ...logged].slice(-DELIVERY_LOG_LIMIT);
+    this.save('logDeliveries');
+    return logged;
+  }
+
+  getSettlements() {
+    return this.state.settlements || [];
+  }
+
+  addSettlement(payload) {
+    const settlement = normalizeSettlement({ ...payload, id: this.nextId('settlements'), createdAt: undefined });
+    this.state.settlements = [...this.getSettlements(), settlement];
+    this.save('addSettlement');
+    return settlement;
+  }
+
+  deleteSettlement(id) {
+    const before = this.getSettlements().length;
+    this.state.settlements = this.getSettlements().filter((settlement) => settlement.id !== Number(id));
+    if (this.state.settlements.length === before) return false;
+    this.save('deleteSettlement');
+    return true;
+  }
+
+  getSavingsGoals() {
+    return this.state.savingsGoals || [];
+  }
+
+  getSavingsGoalById(id) {
+    return this.getSavingsGoals().find((goal) => goal.id === Number(id)) || null;
+  }
+
+  addSavingsGoal(payload) {
+    const now = new Date().toISOString();
+    const goal = normalizeSavingsGoal({ ...payload, id: this.nextId('savingsGoals'), createdAt: now, updatedAt: now });
+    this.state.savingsGoals = [...this.getSavingsGoals(), goal];
+    this.save('addSavingsGoal');
+    return goal;
+  }
+
+  // Innskuddene endres bare gjennom egne metoder, så de følger ikke med fra payload.
+  updateSavingsGoal(id, payload) {
+    const current = this.getSavingsGoalById(id);
+    if (!current) return null;
+    const goal = normalizeSavingsGoal({
+      ...current,
+      ...payload,
+      id: current.id,
+      contributions: current.contributions,
+      legacyId: current.legacyId,
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+    this.state.savingsGoals = this.getSavingsGoals().map((item) => (item.id === goal.id ? goal : item));
+    this.save('updateSavingsGoal');
+    return goal;
+  }
+
+  deleteSavingsGoal(id) {
+    const before = this.getSavingsGoals().length;
+    this.state.savingsGoals = this.getSavingsGoals().filter((goal) => goal.id !== Number(id));
+    if (this.state.savingsGoals.length === before) return false;
+    this.save('deleteSavingsGoal');
+    return true;
+  }
+
+  addSavingsContribution(goalId, payload) {
+    const current = this.getSavingsGoalById(goalId);
+    if (!current) return null;
+    const contribution = normalizeContribution({ ...payload, createdAt: undefined }, nextContributionId(current));
+    const goal = {
+      ...current,
+      contributions: [...current.contributions, contribution],
+      updatedAt: new Date().toISOString()
+    };
+    this.state.savingsGoals = this.getSavingsGoals().map((item) => (item.id === goal.id ? goal : item));
+    this.save('addSavingsContribution');
+    return goal;
+  }
+
+  deleteSavingsContribution(goalId, contributionId) {
+    const current = this.getSavingsGoalById(goalId);
+    if (!current) return null;
+    const contributions = current.contributions.filter((item) => item.id !== Number(contributionId));
+    if (contributions.length === current.contributions.length) return null;
+    const goal = { ...current, contributions, updatedAt: new Date().toISOString() };
+    this.state.savingsGoals = this.getSavingsGoals().map((item) => (item.id === goal.id ? goal : item));
+    this.save('deleteSavingsContribution');
+    return goal;
+  }
+
+  // Engangsopplasting fra nettleseren. Mål som allerede er lastet opp fra en annen enhet hoppes over.
+  importSavingsGoals(goals) {
+    const known = new Set(this.getSavingsGoals().map((goal) => goal.legacyId).filter(Boolean));
+    const now = new Date().toISOString();
+    const imported = goals
+      .filter((goal) => !goal.legacyId || !known.has(goal.legacyId))
+      .map((goal) => normalizeSavingsGoal({ ...goal, id: this.nextId('savingsGoals'), createdAt: now, updatedAt: now }));
+    if (imported.length) {
+      this.state.savingsGoals = [...this.getSavingsGoals(), ...imported];
+      this.save('importSavingsGoals');
+    }
+    return { imported: imported.length, skipped: goals.length - imported.length };
+  }
+
+  getNetWorthSnapshots() {
+    return this.state.netWorthSnapshots || [];
+  }
+
+  // Én oversikt per måned: en ny oversikt samme måned erstatter den forrige. Den planlagte kjøringen
+  // går hver time, så en uendret oversikt lagres ikke på nytt.
+  recordNetWorthSnapshot(payload) {
+    const snapshot = normalizeNetWorthSnapshot(payload);
+    const existing = this.getNetWorthSnapshots().find((item) => item.month === snapshot.month);
+    if (
+      existing &&
+      existing.assets === snapshot.assets &&
+      existing.liabilities === snapshot.liabilities &&
+      existing.netWorth === snapshot.netWorth &&
+      JSON.stringify(existing.pages) === JSON.stringify(snapshot.pages)
+    ) {
+      return existing;
+    }
+    this.state.netWorthSnapshots = [
+      ...this.getNetWorthSnapshots().filter((item) => item.month !== snapshot.month),
+      snapshot
+    ].sort((a, b) => a.month.localeCompare(b.month));
+    this.save('recordNetWorthSnapshot');
+    return snapshot;
+  }
+
+  getScenarios() {
+    return this.state.scenarios || [];
+  }
+
+  getScenarioById(id) {
+    return this.getScenarios().find((scenario) => scenario.id === Number(id)) || null;
+  }
+
+  addScenario(payload) {
+    const now = new Date().toISOString();
+    const scenario = normalizeScenario({ ...payload, id: this.nextId('scenarios'), createdAt: now, updatedAt: now });
+    this.state.scenarios = [...this.getScenarios(), scenario];
+    this.save('addScenario');
+    return scenario;
+  }
+
+  updateScenario(id, payload) {
+    const current = this.getScenarioById(id);
+    if (!current) return null;
+    const scenario = normalizeScenario({
+      ...current,
+      ...payload,
+      id: current.id,
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+    this.state.scenarios = this.getScenarios().map((item) => (item.id === scenario.id ? scenario : item));
+    this.save('updateScenario');
+    return scenario;
+  }
+
+  deleteScenario(id) {
+    const before = this.getScenarios().length;
+    this.state.scenarios = this.getScenarios().filter((scenario) => scenario.id !== Number(id));
+    if (this.state.scenarios.length === before) return false;
+    this.save('deleteScenario');
+    return true;
+  }
+
+  getImportProfiles() {
+    return this.state.importProfiles || [];
+  }
+
+  addImportProfile(profile) {
+    this.state.importProfiles = [...this.getImportProfiles(), profile];
+    this.save('addImportProfile');
+    return profile;
+  }
+
+  deleteImportProfile(id) {
+    const before = this.getImportProfiles().length;
+    this.state.importProfiles = this.getImportProfiles().filter((profile) => profile.id !== id);
+    if (this.state.importProfiles.length === before) return false;
+    this.save('deleteImportProfile');
+    return true;
   }
 
   getFixedExpenses() {
@@ -472,15 +1114,17 @@ class Store {
 
   addFixedExpense(payload) {
     const now = new Date().toISOString();
+    const billing = resolveBilling(payload);
     const expense = {
       id: payload.id ?? this.nextId('fixedExpenses'),
       name: payload.name,
-      amountPerMonth: Number(payload.amountPerMonth) || 0,
+      ...billing,
       category: payload.category || 'Annet',
       owners: Array.isArray(payload.owners)
         ? payload.owners.map((owner) => owner.trim()).filter(Boolean)
         : [],
       account: typeof payload.account === 'string' ? payload.account.trim() : '',
+      split: normalizeSplit(payload.split),
       level: payload.level || 'Må-ha',
       startDate: payload.startDate || '',
       bindingEndDate: payload.bindingEndDate || '',
@@ -489,14 +1133,17 @@ class Store {
           ? null
           : Number(payload.noticePeriodMonths) || 0,
       note: payload.note || '',
+      dueDay: normalizeDueDay(payload.dueDay),
+      postingStartMonth: normalizeDueDay(payload.dueDay) ? monthOf(toDateString(new Date())) : '',
+      postings: {},
       createdAt: payload.createdAt || now,
       updatedAt: payload.updatedAt || now,
       priceHistory: Array.isArray(payload.priceHistory) && payload.priceHistory.length
         ? payload.priceHistory
-        : [{ amount: Number(payload.amountPerMonth) || 0, changedAt: now }]
+        : [{ amount: billing.amountPerMonth, changedAt: now }]
     };
     this.state.fixedExpenses.push(expense);
-    this.save();
+    this.save('addFixedExpense');
     return expense;
   }
 
@@ -525,7 +1172,7 @@ class Store {
     });
 
     if (updatedCount > 0) {
-      this.save();
+      this.save('bulkAddOwnersToFixedExpenses');
     }
 
     return { updated: updatedCount, fixedExpenses: this.state.fixedExpenses };
@@ -548,10 +1195,8 @@ class Store {
         : typeof payload.account === 'string'
         ? payload.account.trim()
         : '';
-    const nextAmount =
-      payload.amountPerMonth !== undefined
-        ? Number(payload.amountPerMonth) || 0
-        : current.amountPerMonth;
+    const billing = resolveBilling(payload, current);
+    const nextAmount = billing.amountPerMonth;
     let priceHistory = Array.isArray(current.priceHistory) ? [...current.priceHistory] : [];
     if (payload.resetPriceHistory) {
       priceHistory = [{ amount: nextAmount, changedAt: now }];
@@ -563,12 +1208,19 @@ class Store {
         priceHistory = [...priceHistory, { amount: nextAmount, changedAt: now }];
       }
     }
+    const dueDay = payload.dueDay === undefined ? current.dueDay ?? null : normalizeDueDay(payload.dueDay);
     const updated = {
       ...current,
       ...payload,
       owners,
       account,
-      amountPerMonth: nextAmount,
+      split: payload.split === undefined ? current.split ?? null : normalizeSplit(payload.split),
+      ...billing,
+      dueDay,
+      // Bokføringen starter fra måneden forfallsdagen ble satt, ikke bakover i tid.
+      postingStartMonth:
+        dueDay && !current.dueDay ? monthOf(toDateString(new Date())) : current.postingStartMonth || '',
+      postings: current.postings || {},
       noticePeriodMonths:
         payload.noticePeriodMonths === undefined
           ? current.noticePeriodMonths
@@ -579,7 +1231,7 @@ class Store {
       priceHistory
     };
     this.state.fixedExpenses[index] = updated;
-    this.save();
+    this.save('updateFixedExpense');
     return updated;
   }
 
@@ -599,7 +1251,7 @@ class Store {
       updatedAt: now
     };
     this.state.fixedExpenses[index] = reset;
-    this.save();
+    this.save('resetFixedExpensePriceHistory');
     return reset;
   }
 
@@ -607,10 +1259,83 @@ class Store {
     const expenseId = Number(id);
     const originalLength = this.state.fixedExpenses.length;
     this.state.fixedExpenses = this.state.fixedExpenses.filter((exp) => exp.id !== expenseId);
-    this.save();
+    this.save('deleteFixedExpense');
     return originalLength !== this.state.fixedExpenses.length;
   }
 
+  getFixedExpenseById(id) {
+    return this.state.fixedExpenses.find((expense) => expense.id === Number(id)) || null;
+  }
+
+  getFixedExpenseSchedule(id, today = new Date()) {
+    const expense = this.getFixedExpenseById(id);
+    return expense ? postingSchedule(expense, today) : null;
+  }
+
+  setFixedExpensePosting(expense, month, entry) {
+    const postings = { ...(expense.postings || {}) };
+    if (entry) postings[month] = entry;
+    else delete postings[month];
+    const updated = { ...expense, postings };
+    const index = this.state.fixedExpenses.findIndex((item) => item.id === expense.id);
+    this.state.fixedExpenses[index] = updated;
+    return updated;
+  }
+
+  // Lager transaksjoner for alle måneder som har passert forfallsdagen og ikke er bokført eller hoppet over.
+  postFixedExpenses(today = new Date()) {
+    const due = duePostings(this.state.fixedExpenses, today);
+    if (!due.length) return [];
+    return this.backend.batch(() => {
+      const created = due.map(({ expense, month, dueDate, amount }) => {
+        const categoryName = (expense.category || '').toLowerCase();
+        const category = this.state.categories.find(
+          (item) => item.type === 'expense' && item.name.toLowerCase() === categoryName
+        );
+        const transaction = this.addTransaction({
+          title: expense.name,
+          amount,
+          type: 'expense',
+          categoryId: category?.id ?? null,
+          occurredOn: dueDate,
+          metadata: { fixedExpense: { id: expense.id, month } }
+        });
+        this.setFixedExpensePosting(this.getFixedExpenseById(expense.id), month, {
+          transactionId: transaction.id
+        });
+        return transaction;
+      });
+      this.save('postFixedExpenses');
+      return created;
+    });
+  }
+
+  // Hopper over en måned, angrer det, eller gir måneden et eget beløp. En bokført måned som
+  // hoppes over får transaksjonen sin slettet, og et nytt beløp oppdaterer transaksjonen.
+  updateFixedExpenseMonth(id, month, { skipped = false, amount = null } = {}) {
+    const expense = this.getFixedExpenseById(id);
+    if (!expense) return null;
+    const entry = expense.postings?.[month] || {};
+    const hasAmount = amount !== null && amount !== undefined && amount !== '';
+    this.backend.batch(() => {
+      if (entry.transactionId) {
+        if (skipped) {
+          this.backend.deleteTransaction(entry.transactionId, 'updateFixedExpenseMonth');
+          this.setFixedExpensePosting(expense, month, { skipped: true });
+        } else if (hasAmount && this.getTransactionById(entry.transactionId)) {
+          this.updateTransaction(entry.transactionId, { amount: Number(amount) });
+        }
+      } else if (skipped) {
+        this.setFixedExpensePosting(expense, month, { skipped: true });
+      } else {
+        this.setFixedExpensePosting(expense, month, hasAmount ? { amount: Number(amount) } : null);
+      }
+      this.save('updateFixedExpenseMonth');
+    });
+    this.postFixedExpenses();
+    return this.getFixedExpenseSchedule(id);
+  }
+
   getSettings() {
     if (!this.state.settings) {
       this.state.settings = { ...DEFAULT_SETTINGS };
@@ -633,14 +1358,6 @@ class Store {
     if (typeof this.state.settings.bankModeEnabled !== 'boolean') {
       this.state.settings.bankModeEnabled = false;
     }
-    if (
-      !this.state.settings.defaultFixedExpensesOwners.length &&
-      this.state.settings.defaultFixedExpensesOwner.trim()
-    ) {
-      this.state.settings.defaultFixedExpensesOwners = [
-        this.state.settings.defaultFixedExpensesOwner.trim()
-      ];
-    }
     this.state.settings.defaultFixedExpensesOwner =
       this.state.settings.defaultFixedExpensesOwners[0] || '';
     this.state.settings.bankAccounts = this.normalizeBankAccounts(
@@ -657,6 +1374,10 @@ class Store {
         Number(payload.monthlyNetIncome ?? current.monthlyNetIncome ?? DEFAULT_SETTINGS.monthlyNetIncome) || 0
     };
 
+    if (payload.inflationRate !== undefined) {
+      next.inflationRate = Number(payload.inflationRate);
+    }
+
     if (payload.bankModeEnabled !== undefined) {
       next.bankModeEnabled = Boolean(payload.bankModeEnabled);
     }
@@ -731,6 +1452,11 @@ class Store {
       next.defaultFixedExpensesBankAccount = '';
     }
 
+    next.accountSplits = normalizeAccountSplits(
+      payload.accountSplits !== undefined ? payload.accountSplits : next.accountSplits,
+      next.bankAccounts
+    );
+
     const now = new Date().toISOString();
     this.state.fixedExpenses = this.state.fixedExpenses.map((expense) => {
       if (expense.account && !validAccounts.has(expense.account)) {
@@ -768,7 +1494,7 @@ class Store {
     }
 
     this.state.settings = next;
-    this.save();
+    this.save('updateSettings');
     return this.state.settings;
   }
 
@@ -824,6 +1550,12 @@ class Store {
       changed = true;
     }
 
+    const { [from]: renamedSplit, ...otherSplits } = this.state.settings.accountSplits || {};
+    if (renamedSplit) {
+      this.state.settings.accountSplits = { ...otherSplits, [to]: renamedSplit };
+      changed = true;
+    }
+
     this.state.fixedExpenses = this.state.fixedExpenses.map((expense) => {
       if (expense.account !== from) return expense;
       changed = true;
@@ -863,7 +1595,7 @@ class Store {
     }
 
     if (changed) {
-      this.save();
+      this.save('renameBankAccount');
     }
 
     return {
@@ -907,6 +1639,38 @@ class Store {
       return expense;
     });
 
+    // Egne prosenter følger personen, også på utgifter personen ikke er eier av.
+    this.state.fixedExpenses = this.state.fixedExpenses.map((expense) => {
+      const split = renameSplitOwner(expense.split, from, to);
+      if (split === expense.split) return expense;
+      changed = true;
+      return { ...expense, split, updatedAt: now };
+    });
+    Object.entries(this.state.settings.accountSplits || {}).forEach(([account, split]) => {
+      const renamed = renameSplitOwner(split, from, to);
+      if (renamed === split) return;
+      changed = true;
+      this.state.settings.accountSplits = { ...this.state.settings.accountSplits, [account]: renamed };
+    });
+
+    // Oppgjørsposter beholder navnet, ellers ville saldoen delt seg på gammelt og nytt navn.
+    const sharedTransactions = this.getTransactions()
+      .filter((tx) => renameSharingOwner(tx.sharing, from, to) !== tx.sharing)
+      .map((tx) => ({ ...tx, sharing: renameSharingOwner(tx.sharing, from, to) }));
+    this.backend.batch(() =>
+      sharedTransactions.forEach((tx) => this.backend.saveTransaction(tx, 'renameOwner'))
+    );
+    changed = changed || sharedTransactions.length > 0;
+    this.state.settlements = this.getSettlements().map((settlement) => {
+      if (settlement.from !== from && settlement.to !== from) return settlement;
+      changed = true;
+      return {
+        ...settlement,
+        from: settlement.from === from ? to : settlement.from,
+        to: settlement.to === from ? to : settlement.to
+      };
+    });
+
     const ownerProfiles = Array.isArray(this.state.settings.ownerProfiles)
       ? this.state.settings.ownerProfiles
       : [];
@@ -940,7 +1704,7 @@ class Store {
     }
 
     if (changed) {
-      this.save();
+      this.save('renameOwner');
     }
 
     return {
@@ -984,7 +1748,7 @@ class Store {
       hash: payload.hash || ''
     };
     this.state.settings.sharedUsers = [...(this.state.settings.sharedUsers || []), user];
-    this.save();
+    this.save('addSharedUser');
     return user;
   }
 
@@ -1013,7 +1777,7 @@ class Store {
     this.state.settings.sharedUsers = (this.state.settings.sharedUsers || []).map((user) =>
       user.id === existing.id ? next : user
     );
-    this.save();
+    this.save('updateSharedUser');
     return next;
   }
 
@@ -1022,7 +1786,33 @@ class Store {
     const filtered = before.filter((user) => user.id !== id);
     if (filtered.length === before.length) return false;
     this.state.settings.sharedUsers = filtered;
-    this.save();
+    this.state.calendarFeeds = this.state.calendarFeeds.filter((feed) => feed.userId !== id);
+    this.state.pushSubscriptions = this.getPushSubscriptions().filter((item) => item.userId !== id);
+    this.save('deleteSharedUser');
+    return true;
+  }
+
+  // Én kalenderfeed per bruker. Bare hashen av nøkkelen lagres; selve nøkkelen vises én gang.
+  getCalendarFeed(userId) {
+    return this.state.calendarFeeds.find((feed) => feed.userId === userId) || null;
+  }
+
+  findCalendarFeedByHash(tokenHash) {
+    return this.state.calendarFeeds.find((feed) => feed.tokenHash === tokenHash) || null;
+  }
+
+  setCalendarFeed(userId, tokenHash) {
+    const feed = { userId, tokenHash, createdAt: new Date().toISOString() };
+    this.state.calendarFeeds = [...this.state.calendarFeeds.filter((item) => item.userId !== userId), feed];
+    this.save('setCalendarFeed');
+    return feed;
+  }
+
+  deleteCalendarFeed(userId) {
+    const before = this.state.calendarFeeds.length;
+    this.state.calendarFeeds = this.state.calendarFeeds.filter((feed) => feed.userId !== userId);
+    if (this.state.calendarFeeds.length === before) return false;
+    this.save('deleteCalendarFeed');
     return true;
   }
 
@@ -1046,13 +1836,22 @@ class Store {
         ? expense.owners.map((owner) => owner.trim()).filter(Boolean)
         : [];
       const filtered = owners.filter((owner) => owner !== target);
-      if (filtered.length !== owners.length) {
+      const split = removeSplitOwner(expense.split, target);
+      if (filtered.length !== owners.length || split !== expense.split) {
         changed = true;
-        return { ...expense, owners: filtered, updatedAt: now };
+        return { ...expense, owners: filtered, split, updatedAt: now };
       }
       return expense;
     });
 
+    Object.entries(this.state.settings.accountSplits || {}).forEach(([account, split]) => {
+      const remaining = removeSplitOwner(split, target);
+      if (remaining === split) return;
+      changed = true;
+      const { [account]: removed, ...others } = this.state.settings.accountSplits;
+      this.state.settings.accountSplits = remaining ? { ...others, [account]: remaining } : others;
+    });
+
     const beforeProfiles = Array.isArray(this.state.settings.ownerProfiles)
       ? this.state.settings.ownerProfiles.length
       : 0;
@@ -1076,7 +1875,7 @@ class Store {
     }
 
     if (changed) {
-      this.save();
+      this.save('deleteOwner');
     }
 
     return {
@@ -1087,56 +1886,57 @@ class Store {
     };
   }
 
+  importData(raw) {
+    const { data, applied, fromVersion, toVersion } = runMigrations(raw);
+    this.replaceAll(data);
+    this.ensureDefaults();
+    this.lastMigration = { source: 'import', fromVersion, toVersion, applied, ranAt: new Date().toISOString() };
+    return this.lastMigration;
+  }
+
   replaceAll(data) {
     const categories = (data.categories || []).map((cat, index) => ({
       id: cat.id ?? index + 1,
       name: cat.name,
       type: cat.type || 'expense',
       color: cat.color || '#4f46e5',
-      description: cat.description || ''
+      description: cat.description || '',
+      budget: normalizeCategoryBudget(cat.budget)
     }));
 
-    const pages = (data.pages || []).map((page, index) => ({
-      id: page.id ?? index + 1,
-      name: page.name,
-      description: page.description || '',
-      color: page.color || '#059669',
-      metadata: page.metadata || {}
-    }));
+    const pages = (data.pages || []).map((page, index) => normalizePage(page, index + 1));
 
     const transactions = (data.transactions || []).map((tx, index) => ({
       id: tx.id ?? index + 1,
       title: tx.title,
       amount: Number(tx.amount) || 0,
       type: tx.type || 'expense',
-      categoryId: tx.categoryId ?? tx.category_id ?? null,
-      pageId: tx.pageId ?? tx.page_id ?? null,
+      categoryId: tx.categoryId ?? null,
+      pageId: tx.pageId ?? null,
       tags: tx.tags || [],
-      occurredOn: tx.occurredOn || tx.occurred_on || new Date().toISOString().slice(0, 10),
+      occurredOn: tx.occurredOn || new Date().toISOString().slice(0, 10),
       notes: tx.notes || '',
-      metadata: tx.metadata || {}
+      metadata: tx.metadata || {},
+      splits: normalizeSplits(tx.splits),
+      sharing: normalizeSharing(tx.sharing, tx.amount)
     }));
 
-    const fixedExpensesRaw = data.fixedExpenses || data['faste_utgifter'] || [];
-    const fixedExpenses = fixedExpensesRaw.map((expense, index) =>
+    const fixedExpenses = (data.fixedExpenses || []).map((expense, index) =>
       this.normalizeFixedExpense(expense, expense.id ?? index + 1)
     );
 
     const settingsPayload = data.settings || {};
-    const defaultOwnersFromPayload = Array.isArray(settingsPayload.defaultFixedExpensesOwners)
-      ? this.normalizeDefaultOwnerList(settingsPayload.defaultFixedExpensesOwners)
-      : typeof settingsPayload.defaultFixedExpensesOwner === 'string'
-      ? this.normalizeDefaultOwnerList([settingsPayload.defaultFixedExpensesOwner])
-      : [];
+    const defaultOwnersFromPayload = this.normalizeDefaultOwnerList(settingsPayload.defaultFixedExpensesOwners);
 
     const settings = {
       monthlyNetIncome: Number(settingsPayload.monthlyNetIncome) || 0,
-      ownerProfiles: this.normalizeOwnerProfiles(settingsPayload.ownerProfiles || settingsPayload.ownerprofiles),
+      inflationRate: Number.isFinite(Number(settingsPayload.inflationRate))
+        ? Number(settingsPayload.inflationRate)
+        : DEFAULT_SETTINGS.inflationRate,
+      ownerProfiles: this.normalizeOwnerProfiles(settingsPayload.ownerProfiles),
       defaultFixedExpensesOwner: defaultOwnersFromPayload[0] || '',
       defaultFixedExpensesOwners: defaultOwnersFromPayload,
-      bankAccounts: this.normalizeBankAccounts(
-        settingsPayload.bankAccounts || settingsPayload.bankaccounts || []
-      ),
+      bankAccounts: this.normalizeBankAccounts(settingsPayload.bankAccounts || []),
       bankModeEnabled: Boolean(settingsPayload.bankModeEnabled),
       lockEnabled: Boolean(settingsPayload.lockEnabled),
       lockSalt: typeof settingsPayload.lockSalt === 'string' ? settingsPayload.lockSalt : '',
@@ -1155,6 +1955,7 @@ class Store {
     };
 
     const accountSet = new Set(settings.bankAccounts);
+    settings.accountSplits = normalizeAccountSplits(settingsPayload.accountSplits, settings.bankAccounts);
     settings.ownerProfiles = settings.ownerProfiles.map((profile) => {
       const contributions = {};
       Object.entries(profile.bankContributions || {}).forEach(([account, value]) => {
@@ -1179,15 +1980,30 @@ class Store {
       fixedExpenses: Math.max(0, ...fixedExpenses.map((f) => f.id || 0))
     };
 
-    this.state = {
-      categories,
-      pages,
-      transactions,
-      fixedExpenses,
-      settings,
-      counters
-    };
-    this.save();
+    this.backend.batch(() => {
+      this.backend.replaceTransactions(transactions, 'replaceAll');
+      this.state = {
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        categories,
+        pages,
+        fixedExpenses,
+        importProfiles: Array.isArray(data.importProfiles) ? data.importProfiles : [],
+        rules: Array.isArray(data.rules) ? data.rules : [],
+        duplicateDismissals: Array.isArray(data.duplicateDismissals) ? data.duplicateDismissals : [],
+        calendarFeeds: importCalendarFeeds(data.calendarFeeds),
+        reminders: Array.isArray(data.reminders) ? data.reminders : [],
+        notificationSettings: data.notificationSettings || DEFAULT_NOTIFICATION_SETTINGS,
+        pushSubscriptions: importPushSubscriptions(data.pushSubscriptions),
+        deliveryLog: importDeliveryLog(data.deliveryLog),
+        scenarios: Array.isArray(data.scenarios) ? data.scenarios : [],
+        settlements: Array.isArray(data.settlements) ? data.settlements : [],
+        savingsGoals: Array.isArray(data.savingsGoals) ? data.savingsGoals : [],
+        netWorthSnapshots: Array.isArray(data.netWorthSnapshots) ? data.netWorthSnapshots : [],
+        settings,
+        counters
+      };
+      this.save('replaceAll');
+    });
   }
 }
 
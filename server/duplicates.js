@@ -0,0 +1,127 @@
+// Finner transaksjoner som trolig er registrert to ganger: samme type og beløp, datoer tett på
+// hverandre og lignende tittel, eller samme bankreferanse.
+
+const MAX_DAYS_APART = 3;
+const MIN_TITLE_SIMILARITY = 0.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeTitle = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9æøå]+/g, ' ')
+    .trim();
+
+const bigrams = (value) => {
+  const text = normalizeTitle(value).replace(/\s+/g, ' ');
+  const pairs = [];
+  for (let i = 0; i < text.length - 1; i += 1) {
+    pairs.push(text.slice(i, i + 2));
+  }
+  return pairs;
+};
+
+// Dice-koeffisient på tegnpar: 1 er lik tekst, 0 er ingenting felles.
+const titleSimilarity = (a, b) => {
+  const left = bigrams(a);
+  const right = bigrams(b);
+  if (!left.length || !right.length) return normalizeTitle(a) === normalizeTitle(b) ? 1 : 0;
+  const counts = new Map();
+  left.forEach((pair) => counts.set(pair, (counts.get(pair) || 0) + 1));
+  let shared = 0;
+  right.forEach((pair) => {
+    const count = counts.get(pair) || 0;
+    if (count > 0) {
+      shared += 1;
+      counts.set(pair, count - 1);
+    }
+  });
+  return (2 * shared) / (left.length + right.length);
+};
+
+const referencesOf = (tx) =>
+  [tx.metadata?.bankReference, ...(tx.metadata?.mergedReferences || [])].filter(Boolean);
+
+const daysApart = (a, b) => {
+  const diff = Math.abs(new Date(a.occurredOn) - new Date(b.occurredOn));
+  return Number.isFinite(diff) ? Math.round(diff / DAY_MS) : Infinity;
+};
+
+const amountKey = (tx) => `${tx.type}:${Math.abs(Number(tx.amount) || 0).toFixed(2)}`;
+
+const compareTransactions = (a, b) => {
+  if (amountKey(a) !== amountKey(b)) return null;
+  const leftRefs = referencesOf(a);
+  const rightRefs = referencesOf(b);
+  if (leftRefs.some((ref) => rightRefs.includes(ref))) {
+    return { score: 1, reasons: ['sameReference'] };
+  }
+  if (leftRefs.length && rightRefs.length) return null;
+  const days = daysApart(a, b);
+  if (days > MAX_DAYS_APART) return null;
+  const similarity = titleSimilarity(a.title, b.title);
+  if (similarity < MIN_TITLE_SIMILARITY) return null;
+  const reasons = ['sameAmount', days === 0 ? 'sameDate' : 'closeDates'];
+  if (similarity === 1) reasons.push('sameTitle');
+  else reasons.push('similarTitle');
+  const score = Math.round((0.5 * similarity + 0.5 * (1 - days / (MAX_DAYS_APART + 1))) * 100) / 100;
+  return { score, reasons };
+};
+
+const pairKey = (a, b) => [Number(a), Number(b)].sort((x, y) => x - y).join(':');
+
+const findDuplicatePairs = (transactions, { dismissed = [] } = {}) => {
+  const dismissedKeys = new Set(dismissed);
+  const groups = new Map();
+  transactions.forEach((tx) => {
+    const key = amountKey(tx);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(tx);
+  });
+  const pairs = [];
+  groups.forEach((group) => {
+    for (let i = 0; i < group.length; i += 1) {
+      for (let j = i + 1; j < group.length; j += 1) {
+        const [a, b] = [group[i], group[j]].sort((x, y) => x.id - y.id);
+        if (dismissedKeys.has(pairKey(a.id, b.id))) continue;
+        const match = compareTransactions(a, b);
+        if (match) pairs.push({ key: pairKey(a.id, b.id), a, b, ...match });
+      }
+    }
+  });
+  return pairs.sort((x, y) => y.score - x.score || y.b.id - x.b.id);
+};
+
+const findDuplicatesOf = (candidate, transactions) =>
+  transactions
+    .map((tx) => ({ transaction: tx, match: compareTransactions(candidate, tx) }))
+    .filter((item) => item.match)
+    .sort((x, y) => y.match.score - x.match.score);
+
+// Rader fra en kontoutskrift som ligner en lagret transaksjon uten å ha samme bankreferanse.
+const flagSuspectedDuplicates = (rows, transactions) =>
+  rows.map((row) => {
+    if (row.error || row.duplicate) return row;
+    const candidate = { ...row, metadata: row.reference ? { bankReference: row.reference } : {} };
+    const [best] = findDuplicatesOf(candidate, transactions);
+    if (!best) return row;
+    const { transaction, match } = best;
+    return {
+      ...row,
+      possibleDuplicate: {
+        id: transaction.id,
+        title: transaction.title,
+        occurredOn: transaction.occurredOn,
+        score: match.score
+      }
+    };
+  });
+
+module.exports = {
+  compareTransactions,
+  findDuplicatePairs,
+  findDuplicatesOf,
+  flagSuspectedDuplicates,
+  pairKey,
+  referencesOf,
+  titleSimilarity
+};
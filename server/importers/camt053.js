@@ -0,0 +1,65 @@
+// ISO 20022 camt.053 (kontoutskrift som XML). Leser bare det vi trenger fra hver <Ntry>, så
+// vi slipper en full XML-parser.
+
+const decodeEntities = (value) =>
+  String(value || '')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const elements = (xml, path) => {
+  const [name, ...rest] = path.split('/');
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'g');
+  const matches = Array.from(String(xml || '').matchAll(pattern), (match) => match[1]);
+  if (!rest.length) return matches;
+  return matches.flatMap((inner) => elements(inner, rest.join('/')));
+};
+
+const text = (xml, path) => {
+  const [first] = elements(xml, path);
+  return first === undefined ? '' : decodeEntities(first.replace(/<[^>]+>/g, '')).trim();
+};
+
+const isCamt053 = (content) => /<(?:[\w-]+:)?BkToCstmrStmt[\s>]/.test(String(content || ''));
+
+const parseCamt053 = (content) =>
+  elements(content, 'Ntry').map((entry, index) => {
+    const errors = [];
+    const credit = text(entry, 'CdtDbtInd') === 'CRDT';
+    const amount = Number(text(entry, 'Amt'));
+    if (!Number.isFinite(amount) || amount === 0) errors.push('Fant ikke noe beløp.');
+
+    const bookingDate = text(entry, 'BookgDt/Dt') || text(entry, 'BookgDt/DtTm') || text(entry, 'ValDt/Dt');
+    const occurredOn = /^\d{4}-\d{2}-\d{2}/.test(bookingDate) ? bookingDate.slice(0, 10) : null;
+    if (!occurredOn) errors.push('Mangler bokføringsdato.');
+
+    const counterparty = credit
+      ? text(entry, 'RltdPties/Dbtr/Nm') || text(entry, 'RltdPties/Dbtr/Pty/Nm')
+      : text(entry, 'RltdPties/Cdtr/Nm') || text(entry, 'RltdPties/Cdtr/Pty/Nm');
+    const remittance = elements(entry, 'RmtInf/Ustrd').map(decodeEntities);
+    const texts = Array.from(
+      new Set(
+        [counterparty, ...remittance, text(entry, 'AddtlNtryInf')]
+          .map((value) => String(value || '').trim())
+          .filter(Boolean)
+      )
+    );
+
+    return {
+      line: index + 1,
+      occurredOn,
+      title: texts[0] || 'Banktransaksjon',
+      notes: texts.slice(1).join(' · '),
+      amount: Number.isFinite(amount) ? Math.abs(amount) : 0,
+      type: credit ? 'income' : 'expense',
+      counterparty,
+      reference: text(entry, 'AcctSvcrRef') || text(entry, 'Refs/AcctSvcrRef') || text(entry, 'Refs/EndToEndId'),
+      error: errors.join(' ')
+    };
+  });
+
+module.exports = { isCamt053, parseCamt053 };
@@ -0,0 +1,284 @@
+// Lesing av kontoutskrifter i CSV-format fra norske nettbanker. Kolonnene beskrives av en
+// profil; de innebygde dekker vanlige eksportformater, og egne profiler lagres i Store.
+
+const BANK_PROFILES = [
+  {
+    id: 'dnb',
+    name: 'DNB',
+    delimiter: ';',
+    columns: {
+      date: 'Dato',
+      description: ['Forklaring'],
+      outflow: 'Ut fra konto',
+      inflow: 'Inn på konto'
+    }
+  },
+  {
+    id: 'sbanken',
+    name: 'Sbanken',
+    delimiter: ';',
+    columns: {
+      date: 'Bokføringsdato',
+      description: ['Tekst', 'Type'],
+      outflow: 'Ut fra konto',
+      inflow: 'Inn på konto',
+      reference: 'Arkivreferanse'
+    }
+  },
+  {
+    id: 'nordea',
+    name: 'Nordea',
+    delimiter: ';',
+    columns: {
+      date: 'Bokføringsdato',
+      description: ['Tittel', 'Navn'],
+      amount: 'Beløp'
+    }
+  },
+  {
+    id: 'sparebank1',
+    name: 'SpareBank 1',
+    delimiter: ';',
+    columns: {
+      date: 'Dato',
+      description: ['Beskrivelse'],
+      outflow: 'Ut',
+      inflow: 'Inn'
+    }
+  },
+  {
+    id: 'generic',
+    name: 'Enkel (Dato, Tekst, Beløp)',
+    delimiter: '',
+    columns: {
+      date: 'Dato',
+      description: ['Tekst'],
+      amount: 'Beløp'
+    }
+  }
+];
+
+const DELIMITERS = [';', ',', '\t'];
+
+const normalizeHeader = (value) => String(value || '').trim().toLowerCase();
+
+const detectDelimiter = (text) => {
+  const firstLine = String(text || '').split(/\r?\n/).find((line) => line.trim()) || '';
+  let best = ';';
+  let bestCount = 0;
+  DELIMITERS.forEach((delimiter) => {
+    let count = 0;
+    let quoted = false;
+    for (const char of firstLine) {
+      if (char === '"') quoted = !quoted;
+      else if (!quoted && char === delimiter) count += 1;
+    }
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+const parseCsv = (text, delimiter) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter((row) => row.some((value) => value.trim()));
+};
+
+const parseAmount = (value) => {
+  let text = String(value ?? '')
+    .replace(/\s/g, '')
+    .replace(/(kr|nok)/gi, '');
+  if (!text) return null;
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  if (lastComma >= 0 && lastDot >= 0) {
+    const decimal = lastComma > lastDot ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    text = text.split(thousands).join('').replace(decimal, '.');
+  } else if (lastComma >= 0) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (/^[-+]?\d{1,3}(\.\d{3})+$/.test(text)) {
+    text = text.replace(/\./g, '');
+  }
+  const amount = Number(text);
+  return Number.isFinite(amount) ? amount : null;
+};
+
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+const parseDate = (value) => {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    return toIsoDate(year, Number(match[2]), Number(match[1]));
+  }
+  match = text.match(/^(\d{4})[./-](\d{1,2})[./-](\d{1,2})/);
+  if (match) {
+    return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  return null;
+};
+
+const toList = (value) => (Array.isArray(value) ? value : [value]).filter((item) => item && String(item).trim());
+
+const normalizeProfile = (raw = {}) => {
+  const columns = raw.columns || {};
+  const pickColumn = (key) => (typeof columns[key] === 'string' ? columns[key].trim() : '');
+  return {
+    id: raw.id ? String(raw.id) : '',
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : 'Egendefinert',
+    delimiter: DELIMITERS.includes(raw.delimiter) ? raw.delimiter : '',
+    columns: {
+      date: pickColumn('date'),
+      description: toList(columns.description).map((column) => String(column).trim()),
+      amount: pickColumn('amount'),
+      inflow: pickColumn('inflow'),
+      outflow: pickColumn('outflow'),
+      reference: pickColumn('reference')
+    }
+  };
+};
+
+const validateProfile = (profile) => {
+  const { columns } = profile;
+  if (!columns.date) return 'Velg hvilken kolonne som inneholder dato.';
+  if (!columns.description.length) return 'Velg minst én kolonne med beskrivelse.';
+  if (!columns.amount && !columns.inflow && !columns.outflow) {
+    return 'Velg en beløpskolonne eller kolonner for inn og ut.';
+  }
+  return null;
+};
+
+const requiredColumns = (profile) => [
+  profile.columns.date,
+  profile.columns.amount || profile.columns.outflow || profile.columns.inflow
+];
+
+const detectProfile = (headers, profiles) => {
+  const available = new Set(headers.map(normalizeHeader));
+  return (
+    profiles.find((profile) => {
+      const description = profile.columns.description.map(normalizeHeader);
+      return (
+        requiredColumns(profile).every((column) => available.has(normalizeHeader(column))) &&
+        description.some((column) => available.has(column))
+      );
+    }) || null
+  );
+};
+
+const mapRecord = (record, indexOf, profile) => {
+  const read = (column) => {
+    const index = indexOf(column);
+    return index >= 0 ? String(record[index] ?? '').trim() : '';
+  };
+  const { columns } = profile;
+  const errors = [];
+
+  const occurredOn = parseDate(read(columns.date));
+  if (!occurredOn) errors.push(`Ugyldig dato «${read(columns.date)}».`);
+
+  let signed = null;
+  if (columns.amount) {
+    signed = parseAmount(read(columns.amount));
+  } else {
+    const inflow = parseAmount(read(columns.inflow));
+    const outflow = parseAmount(read(columns.outflow));
+    if (inflow !== null || outflow !== null) {
+      signed = Math.abs(inflow || 0) - Math.abs(outflow || 0);
+    }
+  }
+  if (signed === null) errors.push('Fant ikke noe beløp.');
+  else if (signed === 0) errors.push('Beløpet er 0.');
+
+  const texts = Array.from(new Set(columns.description.map(read).filter(Boolean)));
+  return {
+    occurredOn,
+    title: texts[0] || 'Banktransaksjon',
+    notes: texts.slice(1).join(' · '),
+    amount: signed === null ? 0 : Math.abs(signed),
+    type: signed > 0 ? 'income' : 'expense',
+    reference: columns.reference ? read(columns.reference) : '',
+    error: errors.join(' ')
+  };
+};
+
+// Leser en CSV-fil og gjør radene om til transaksjonsutkast. Uten profil forsøkes de kjente
+// profilene i rekkefølge ut fra kolonneoverskriftene.
+const parseCsvStatement = (content, { profile, profiles = BANK_PROFILES } = {}) => {
+  const delimiter = profile?.delimiter || detectDelimiter(content);
+  const [headerRow = [], ...records] = parseCsv(content, delimiter);
+  const headers = headerRow.map((header) => header.trim());
+  const activeProfile = profile || detectProfile(headers, profiles.map(normalizeProfile));
+  if (!activeProfile) {
+    return { delimiter, headers, profile: null, missingColumns: [], rows: [] };
+  }
+  const headerIndex = new Map(headers.map((header, index) => [normalizeHeader(header), index]));
+  const indexOf = (column) => (column ? headerIndex.get(normalizeHeader(column)) ?? -1 : -1);
+  const missing = requiredColumns(activeProfile).filter((column) => indexOf(column) < 0);
+  const rows = records.map((record, index) => ({
+    line: index + 2,
+    ...mapRecord(record, indexOf, activeProfile)
+  }));
+  return {
+    delimiter,
+    headers,
+    profile: activeProfile,
+    missingColumns: missing,
+    rows
+  };
+};
+
+module.exports = {
+  BANK_PROFILES,
+  detectDelimiter,
+  normalizeProfile,
+  parseAmount,
+  parseCsv,
+  parseCsvStatement,
+  parseDate,
+  validateProfile
+};
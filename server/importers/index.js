@@ -0,0 +1,53 @@
+const { BANK_PROFILES, normalizeProfile, parseCsvStatement, validateProfile } = require('./csv');
+const { isCamt053, parseCamt053 } = require('./camt053');
+const { isOfx, parseOfx } = require('./ofx');
+
+const STATEMENT_FORMATS = {
+  csv: 'CSV',
+  camt053: 'camt.053',
+  ofx: 'OFX'
+};
+
+const detectStatementFormat = (content) => {
+  if (isCamt053(content)) return 'camt053';
+  if (isOfx(content)) return 'ofx';
+  return 'csv';
+};
+
+const parseStatement = (content, { format, profile, profiles } = {}) => {
+  const resolved = STATEMENT_FORMATS[format] ? format : detectStatementFormat(content);
+  if (resolved === 'csv') {
+    const statement = parseCsvStatement(content, { profile, profiles });
+    return { format: resolved, label: statement.profile?.name || STATEMENT_FORMATS.csv, ...statement };
+  }
+  const rows = resolved === 'camt053' ? parseCamt053(content) : parseOfx(content);
+  return {
+    format: resolved,
+    label: STATEMENT_FORMATS[resolved],
+    headers: [],
+    profile: null,
+    missingColumns: [],
+    rows
+  };
+};
+
+// Banken gir hver transaksjon en fast referanse. Rader med en referanse vi allerede har lagret,
+// eller som går igjen i samme fil, markeres slik at de ikke importeres to ganger.
+const markDuplicates = (rows, knownReferences = new Set()) => {
+  const seen = new Set(knownReferences);
+  return rows.map((row) => {
+    if (!row.reference) return { ...row, duplicate: false };
+    const duplicate = seen.has(row.reference);
+    seen.add(row.reference);
+    return { ...row, duplicate };
+  });
+};
+
+module.exports = {
+  BANK_PROFILES,
+  STATEMENT_FORMATS,
+  markDuplicates,
+  normalizeProfile,
+  parseStatement,
+  validateProfile
+};
@@ -0,0 +1,51 @@
+// OFX-kontoutskrifter. Versjon 1 er SGML uten sluttagger på verdifeltene, versjon 2 er XML;
+// begge leses ved å plukke ut feltene i hver <STMTTRN>.
+
+const { parseAmount } = require('./csv');
+
+const decodeEntities = (value) =>
+  String(value || '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const isOfx = (content) => /OFXHEADER|<OFX>/i.test(String(content || '').slice(0, 2000));
+
+const field = (block, name) => {
+  const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1]).trim() : '';
+};
+
+const parseOfxDate = (value) => {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const parseOfx = (content) => {
+  const blocks = String(content || '').match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+  return blocks.map((block, index) => {
+    const errors = [];
+    const signed = parseAmount(field(block, 'TRNAMT'));
+    if (signed === null || signed === 0) errors.push('Fant ikke noe beløp.');
+    const occurredOn = parseOfxDate(field(block, 'DTPOSTED'));
+    if (!occurredOn) errors.push('Mangler bokføringsdato.');
+
+    const counterparty = field(block, 'NAME') || field(block, 'PAYEE');
+    const texts = Array.from(new Set([counterparty, field(block, 'MEMO')].filter(Boolean)));
+    return {
+      line: index + 1,
+      occurredOn,
+      title: texts[0] || 'Banktransaksjon',
+      notes: texts.slice(1).join(' · '),
+      amount: signed === null ? 0 : Math.abs(signed),
+      type: signed > 0 ? 'income' : 'expense',
+      counterparty,
+      reference: field(block, 'FITID') || field(block, 'REFNUM'),
+      error: errors.join(' ')
+    };
+  });
+};
+
+module.exports = { isOfx, parseOfx };
@@ -5,8 +5,68 @@ const fs = require('fs');
 const crypto = require('crypto');
 const { nanoid } = require('nanoid');
 const db = require('./db');
+const { SchemaVersionError } = require('./migrations');
+const {
+  BANK_PROFILES,
+  markDuplicates,
+  normalizeProfile,
+  parseStatement,
+  validateProfile
+} = require('./importers');
+const { normalizeRule, validateRule } = require('./rules');
+const { flagSuspectedDuplicates } = require('./duplicates');
+const { normalizeSplits, transactionLines, validateSplits } = require('./splits');
+const { isMonth, normalizeDueDay, toDateString } = require('./recurring');
+const { validateBilling } = require('./billing');
+const { cancellationInfo, upcomingCancellations } = require('./cancellation');
+const { buildCalendar, fixedExpenseEvents, savingsGoalEvents } = require('./calendar');
+const { priceGrowthReport } = require('./priceGrowth');
+const { householdBudget } = require('./budget');
+const { compareScenario, normalizeScenario, validateScenario } = require('./scenarios');
+const { costSplitReport, normalizeSplit, validateSplit } = require('./splitting');
+const {
+  normalizeSettlement,
+  normalizeSharing,
+  settleUpLedger,
+  validateSettlement,
+  validateSharing
+} = require('./ledger');
+const {
+  fromStoredGoal,
+  normalizeContribution,
+  normalizeSavingsGoal,
+  presentSavingsGoal,
+  validateContribution,
+  validateSavingsGoal
+} = require('./savings');
+const {
+  investmentReport,
+  normalizeSnapshot,
+  parseValuationFile,
+  validateSnapshots
+} = require('./investments');
+const { loanSchedule } = require('./loans');
+const { budgetReport, normalizeCategoryBudget, validateCategoryBudget } = require('./categoryBudgets');
+const { NET_WORTH_CLASSES, netWorthSnapshot, pageWorth } = require('./networth');
+const { normalizePage, validatePage } = require('./pages');
+const { CHANNELS, REMINDER_TYPES, evaluateReminders, normalizeReminder, validateReminder } = require('./reminders');
+const {
+  CHANNEL_LABELS,
+  isChannelReady,
+  normalizeNotificationSettings,
+  publicNotificationSettings,
+  sendEmail,
+  sendPush,
+  sendWebhook,
+  validateNotificationSettings,
+  withVapidKeys
+} = require('./notifications');
 
 const FIXED_EXPENSE_LEVELS = ['Må-ha', 'Kjekt å ha', 'Luksus'];
+const FIXED_EXPENSE_POSTING_INTERVAL_MS = 1000 * 60 * 60;
+const REMINDER_INTERVAL_MS = 1000 * 60 * 60;
+const NET_WORTH_INTERVAL_MS = 1000 * 60 * 60;
+const PUBLIC_URL = process.env.BUDSJETT_PUBLIC_URL || '';
 
 const app = express();
 const PORT = process.env.PORT || 4173;
@@ -153,6 +213,8 @@ app.use((req, res, next) => {
   if (!req.path.startsWith('/api')) return next();
   if (!isLockEnabled()) return next();
   if (req.path.startsWith('/api/lock')) return next();
+  // Kalenderapper kan ikke logge inn; feeden autentiseres med nøkkelen i adressen.
+  if (req.path.startsWith('/api/calendar/feed/')) return next();
   const token = readLockToken(req);
   if (isValidLockToken(token)) return next();
   return res.status(401).json({ error: 'Siden er låst. Oppgi passord.' });
@@ -166,10 +228,31 @@ const enrichTransaction = (tx) => {
   return {
     ...tx,
     categoryName: category?.name,
-    pageName: page?.name
+    pageName: page?.name,
+    splits: (tx.splits || []).map((line) => ({
+      ...line,
+      categoryName: categories.find((c) => c.id === line.categoryId)?.name,
+      pageName: pages.find((p) => p.id === line.pageId)?.name
+    }))
   };
 };
 
+const validateSplitInput = (splits, amount) => {
+  const error = validateSplits(splits, amount);
+  if (error) return error;
+  const categories = db.getCategories();
+  const pages = db.getPages();
+  if (splits.some((line) => line.categoryId && !categories.some((c) => c.id === line.categoryId))) {
+    return 'En av linjene har en kategori som ikke finnes.';
+  }
+  if (splits.some((line) => line.pageId && !pages.some((p) => p.id === line.pageId))) {
+    return 'En av linjene har en side som ikke finnes.';
+  }
+  return null;
+};
+
+const householdOwners = () => (db.getSettings().ownerProfiles || []).map((profile) => profile.name);
+
 const normalizeOwnersInput = (owners) => {
   if (!owners) return [];
   if (Array.isArray(owners)) {
@@ -196,6 +279,12 @@ const filterExpensesForUser = (expenses, user) => {
   );
 };
 
+const filterGoalsForUser = (goals, user) => {
+  const name = user?.name?.toLowerCase();
+  if (!name) return goals;
+  return goals.filter((goal) => goal.owner && goal.owner.toLowerCase() === name);
+};
+
 app.get('/api/lock/status', (req, res) => {
   const enabled = isLockEnabled();
   const token = readLockToken(req);
@@ -307,10 +396,12 @@ app.get('/api/categories', (req, res) => {
 
 app.post('/api/categories', (req, res) => {
   const { user, isAdmin } = getActiveUserContext(req);
-  const { name, type = 'expense', color = '#4f46e5', description = '' } = req.body;
+  const { name, type = 'expense', color = '#4f46e5', description = '', budget = null } = req.body;
   if (!name) return res.status(400).json({ error: 'Kategori-navn er påkrevd.' });
+  const invalidBudget = validateCategoryBudget(normalizeCategoryBudget(budget), type);
+  if (invalidBudget) return res.status(400).json({ error: invalidBudget });
   const ownerId = isAdmin ? null : user?.id || null;
-  const category = db.addCategory({ name, type, color, description, ownerId });
+  const category = db.addCategory({ name, type, color, description, ownerId, budget });
   res.status(201).json(category);
 });
 
@@ -323,6 +414,9 @@ app.put('/api/categories/:id', (req, res) => {
     return res.status(403).json({ error: 'Du har ikke tilgang til denne kategorien.' });
   }
   const payload = isAdmin ? req.body : { ...req.body, ownerId: existing.ownerId };
+  const budget = normalizeCategoryBudget('budget' in payload ? payload.budget : existing.budget);
+  const invalidBudget = validateCategoryBudget(budget, payload.type ?? existing.type);
+  if (invalidBudget) return res.status(400).json({ error: invalidBudget });
   const updated = db.updateCategory(id, payload);
   res.json(updated);
 });
@@ -339,41 +433,136 @@ app.delete('/api/categories/:id', (req, res) => {
   res.json({ deleted: removed });
 });
 
+// Budsjett mot forbruk for én måned (standard inneværende), med transaksjoner og faste utgifter.
+app.get('/api/budsjett', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const { month } = req.query;
+  if (month !== undefined && !isMonth(month)) {
+    return res.status(400).json({ error: 'Måned må være på formatet ÅÅÅÅ-MM.' });
+  }
+  res.json(
+    budgetReport(db.getCategories(), {
+      transactions: db.getTransactions(),
+      fixedExpenses: db.getFixedExpenses(),
+      month
+    })
+  );
+});
+
+const scheduleForLoanPage = (page) =>
+  loanSchedule(page.loan, { transactions: db.queryTransactions({ pageId: page.id }), pageId: page.id });
+
+const reportForInvestmentPage = (page) =>
+  investmentReport(page.investment, { transactions: db.queryTransactions({ pageId: page.id }), pageId: page.id });
+
+const summarizeInvestment = ({ series, holdings, ...summary }) => summary;
+
 app.get('/api/pages', (req, res) => {
-  const transactions = db.getTransactions();
-  const pages = db.getPages().map((page) => {
-    const totals = transactions
-      .filter((tx) => tx.pageId === page.id)
-      .reduce(
-        (acc, tx) => {
-          if (tx.type === 'income') {
-            acc.totalIncome += tx.amount;
-            acc.balance += tx.amount;
-          } else {
-            acc.totalExpense += tx.amount;
-            acc.balance -= tx.amount;
-          }
-          return acc;
-        },
-        { totalIncome: 0, totalExpense: 0, balance: 0 }
-      );
-    return { ...page, ...totals };
-  });
+  const { isAdmin } = getActiveUserContext(req);
+  const totalsByPage = db.getPageTotals();
+  const pages = db.getPages().map((page) => ({
+    ...page,
+    ...(totalsByPage.get(page.id) || { totalIncome: 0, totalExpense: 0, balance: 0 }),
+    ...(isAdmin && page.type === 'loan' ? { loanSummary: scheduleForLoanPage(page).summary } : {}),
+    ...(isAdmin && page.type === 'investment'
+      ? { investmentSummary: summarizeInvestment(reportForInvestmentPage(page)) }
+      : {})
+  }));
   res.json(pages);
 });
 
 app.post('/api/pages', (req, res) => {
-  const { name, description = '', color = '#059669', metadata = {} } = req.body;
-  if (!name) return res.status(400).json({ error: 'Navn er påkrevd.' });
-  const page = db.addPage({ name, description, color, metadata });
-  res.status(201).json(page);
+  const page = normalizePage(req.body);
+  const invalid = validatePage(page);
+  if (invalid) return res.status(400).json({ error: invalid });
+  res.status(201).json(db.addPage({ ...page, id: undefined }));
 });
 
 app.put('/api/pages/:id', (req, res) => {
-  const { id } = req.params;
-  const updated = db.updatePage(id, req.body);
-  if (!updated) return res.status(404).json({ error: 'Side ikke funnet' });
-  res.json(updated);
+  const current = db.getPages().find((page) => page.id === Number(req.params.id));
+  if (!current) return res.status(404).json({ error: 'Side ikke funnet' });
+  // Kursbildene har egne ruter, så de beholdes når skjemaet bare sender beholdningene.
+  const investment =
+    req.body.investment && current.investment
+      ? { snapshots: current.investment.snapshots, ...req.body.investment }
+      : req.body.investment ?? current.investment;
+  const page = normalizePage({ ...current, ...req.body, investment, id: current.id });
+  const invalid = validatePage(page);
+  if (invalid) return res.status(400).json({ error: invalid });
+  res.json(db.updatePage(current.id, page));
+});
+
+app.get('/api/pages/:id/nedbetalingsplan', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const page = db.getPages().find((item) => item.id === Number(req.params.id));
+  if (!page) return res.status(404).json({ error: 'Side ikke funnet' });
+  if (page.type !== 'loan') return res.status(400).json({ error: 'Siden er ikke et lån.' });
+  res.json(scheduleForLoanPage(page));
+});
+
+const findInvestmentPage = (req, res) => {
+  const page = db.getPages().find((item) => item.id === Number(req.params.id));
+  if (!page) {
+    res.status(404).json({ error: 'Side ikke funnet' });
+    return null;
+  }
+  if (page.type !== 'investment') {
+    res.status(400).json({ error: 'Siden er ikke en investering.' });
+    return null;
+  }
+  return page;
+};
+
+app.get('/api/pages/:id/portefolje', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const page = findInvestmentPage(req, res);
+  if (!page) return;
+  res.json(reportForInvestmentPage(page));
+});
+
+app.post('/api/pages/:id/kurser', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const page = findInvestmentPage(req, res);
+  if (!page) return;
+  const snapshot = normalizeSnapshot(req.body);
+  const holdingIds = new Set(page.investment.holdings.map((holding) => holding.id));
+  if (snapshot.positions.some((position) => !holdingIds.has(position.holdingId))) {
+    return res.status(400).json({ error: 'Fant ikke beholdningen kursen gjelder.' });
+  }
+  const invalid = validateSnapshots([snapshot]);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const updated = db.addValuations(page.id, [snapshot]);
+  res.status(201).json(reportForInvestmentPage(updated));
+});
+
+// Kursfil lest i nettleseren og sendt som tekst. Rader som ikke kan leses hoppes over og meldes tilbake.
+app.post('/api/pages/:id/kurser/import', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const page = findInvestmentPage(req, res);
+  if (!page) return;
+  const { content } = req.body || {};
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({ error: 'Filinnhold mangler.' });
+  }
+  const { snapshots, errors } = parseValuationFile(content, page.investment.holdings);
+  if (!snapshots.length) {
+    return res.status(400).json({ error: errors[0] || 'Fant ingen kurser i filen.', errors });
+  }
+  const updated = db.addValuations(page.id, snapshots);
+  res.json({
+    imported: snapshots.reduce((sum, snapshot) => sum + snapshot.positions.length, 0),
+    errors,
+    report: reportForInvestmentPage(updated)
+  });
+});
+
+app.delete('/api/pages/:id/kurser/:snapshotId', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const page = findInvestmentPage(req, res);
+  if (!page) return;
+  const removed = db.deleteValuation(page.id, req.params.snapshotId);
+  if (!removed) return res.status(404).json({ error: 'Kursbilde ikke funnet' });
+  res.json(reportForInvestmentPage(db.getPages().find((item) => item.id === page.id)));
 });
 
 app.delete('/api/pages/:id', (req, res) => {
@@ -384,30 +573,32 @@ app.delete('/api/pages/:id', (req, res) => {
 
 app.get('/api/transactions', (req, res) => {
   if (!enforceAdmin(req, res)) return;
-  const { type, categoryId, tag, pageId, search, sortBy = 'occurredOn', order = 'DESC' } = req.query;
-  let transactions = [...db.getTransactions()];
-
-  if (type) transactions = transactions.filter((tx) => tx.type === type);
-  if (categoryId) transactions = transactions.filter((tx) => String(tx.categoryId) === String(categoryId));
-  if (pageId) transactions = transactions.filter((tx) => String(tx.pageId) === String(pageId));
-  if (search) {
-    const q = search.toLowerCase();
-    transactions = transactions.filter(
-      (tx) => tx.title.toLowerCase().includes(q) || tx.notes.toLowerCase().includes(q)
-    );
-  }
-  if (tag) {
-    transactions = transactions.filter((tx) => (tx.tags || []).some((t) => t.includes(tag)));
-  }
-
-  const sortFields = {
-    occurredOn: (a, b) => new Date(a.occurredOn) - new Date(b.occurredOn),
-    amount: (a, b) => a.amount - b.amount,
-    title: (a, b) => a.title.localeCompare(b.title)
-  };
-  const sorter = sortFields[sortBy] || sortFields.occurredOn;
-  transactions.sort(sorter);
-  if (order.toUpperCase() === 'DESC') transactions.reverse();
+  const {
+    type,
+    categoryId,
+    tag,
+    pageId,
+    search,
+    from,
+    to,
+    sortBy = 'occurredOn',
+    order = 'DESC',
+    limit,
+    offset
+  } = req.query;
+  const transactions = db.queryTransactions({
+    type,
+    categoryId,
+    tag,
+    pageId,
+    search,
+    from,
+    to,
+    sortBy,
+    order,
+    limit,
+    offset
+  });
 
   res.json(transactions.map(enrichTransaction));
 });
@@ -428,6 +619,16 @@ app.post('/api/transactions', (req, res) => {
   if (!title || !amount || !type || !occurredOn) {
     return res.status(400).json({ error: 'Tittel, beløp, type og dato er påkrevd.' });
   }
+  const splits = normalizeSplits(req.body.splits);
+  const splitError = validateSplitInput(splits, amount);
+  if (splitError) {
+    return res.status(400).json({ error: splitError });
+  }
+  const sharing = normalizeSharing(req.body.sharing, amount);
+  const sharingError = validateSharing(sharing, { type, amount }, householdOwners());
+  if (sharingError) {
+    return res.status(400).json({ error: sharingError });
+  }
   const transaction = db.addTransaction({
     title,
     amount,
@@ -437,7 +638,9 @@ app.post('/api/transactions', (req, res) => {
     tags,
     occurredOn,
     notes,
-    metadata
+    metadata,
+    splits,
+    sharing
   });
   res.status(201).json(enrichTransaction(transaction));
 });
@@ -445,8 +648,24 @@ app.post('/api/transactions', (req, res) => {
 app.put('/api/transactions/:id', (req, res) => {
   if (!enforceAdmin(req, res)) return;
   const { id } = req.params;
+  const current = db.getTransactionById(id);
+  if (!current) return res.status(404).json({ error: 'Transaksjon ikke funnet' });
+  const splits = req.body.splits === undefined ? current.splits || [] : normalizeSplits(req.body.splits);
+  const splitError = validateSplitInput(splits, req.body.amount ?? current.amount);
+  if (splitError) {
+    return res.status(400).json({ error: splitError });
+  }
+  const amount = req.body.amount ?? current.amount;
+  const sharing =
+    req.body.sharing === undefined ? current.sharing || null : normalizeSharing(req.body.sharing, amount);
+  const sharingError = validateSharing(sharing, { type: req.body.type ?? current.type, amount }, householdOwners());
+  if (sharingError) {
+    return res.status(400).json({ error: sharingError });
+  }
   const updated = db.updateTransaction(id, {
     ...req.body,
+    splits,
+    sharing,
     categoryId: req.body.categoryId ? Number(req.body.categoryId) : null,
     pageId: req.body.pageId ? Number(req.body.pageId) : null
   });
@@ -461,12 +680,551 @@ app.delete('/api/transactions/:id', (req, res) => {
   res.json({ deleted: removed });
 });
 
+app.post('/api/transactions/bulk-delete', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(Number).filter(Number.isFinite) : [];
+  if (!ids.length) {
+    return res.status(400).json({ error: 'Velg minst én transaksjon.' });
+  }
+  const deleted = db.deleteTransactions(ids);
+  res.json({ deleted });
+});
+
+app.get('/api/transactions/duplicates', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const pairs = db.getDuplicatePairs();
+  res.json(pairs.map((pair) => ({ ...pair, a: enrichTransaction(pair.a), b: enrichTransaction(pair.b) })));
+});
+
+app.post('/api/transactions/duplicates/dismiss', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const [firstId, secondId] = Array.isArray(req.body?.ids) ? req.body.ids.map(Number) : [];
+  if (!db.getTransactionById(firstId) || !db.getTransactionById(secondId)) {
+    return res.status(404).json({ error: 'Transaksjon ikke funnet' });
+  }
+  res.json({ dismissed: db.dismissDuplicatePair(firstId, secondId) });
+});
+
+app.post('/api/transactions/merge', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const { keepId, removeId } = req.body || {};
+  if (Number(keepId) === Number(removeId)) {
+    return res.status(400).json({ error: 'Velg to forskjellige transaksjoner.' });
+  }
+  const merged = db.mergeTransactions(keepId, removeId);
+  if (!merged) return res.status(404).json({ error: 'Transaksjon ikke funnet' });
+  res.json(enrichTransaction(merged));
+});
+
 app.delete('/api/transactions', (req, res) => {
   if (!enforceAdmin(req, res)) return;
   const deleted = db.clearTransactions();
   res.json({ deleted });
 });
 
+const listImportProfiles = () => [...db.getImportProfiles(), ...BANK_PROFILES];
+
+const readBankStatement = (body = {}) => {
+  const content = typeof body.content === 'string' ? body.content : '';
+  if (!content.trim()) {
+    return { error: 'Filen er tom.' };
+  }
+  let profile = null;
+  if (body.profile) {
+    profile = normalizeProfile(body.profile);
+    const invalid = validateProfile(profile);
+    if (invalid) return { error: invalid };
+  } else if (body.profileId) {
+    const match = listImportProfiles().find((item) => item.id === body.profileId);
+    if (!match) return { error: 'Fant ikke importprofilen.' };
+    profile = normalizeProfile(match);
+  }
+  const statement = parseStatement(content, {
+    format: body.format,
+    profile,
+    profiles: listImportProfiles()
+  });
+  const rows = flagSuspectedDuplicates(
+    markDuplicates(statement.rows, db.getBankReferences()),
+    db.getTransactions()
+  );
+  return { statement: { ...statement, rows } };
+};
+
+app.get('/api/bank-import/profiles', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  res.json({ builtIn: BANK_PROFILES, custom: db.getImportProfiles() });
+});
+
+app.post('/api/bank-import/profiles', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const profile = normalizeProfile({ ...req.body, id: `custom-${nanoid(8)}` });
+  const invalid = validateProfile(profile);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  res.status(201).json(db.addImportProfile(profile));
+});
+
+app.delete('/api/bank-import/profiles/:id', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  if (!db.deleteImportProfile(req.params.id)) {
+    return res.status(404).json({ error: 'Fant ikke importprofilen.' });
+  }
+  res.json({ deleted: true });
+});
+
+app.post('/api/bank-import/preview', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const { statement, error } = readBankStatement(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(statement);
+});
+
+app.post('/api/bank-import/commit', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const { statement, error } = readBankStatement(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (statement.format === 'csv' && !statement.profile) {
+    return res.status(400).json({ error: 'Velg en importprofil som passer filen.' });
+  }
+  if (statement.missingColumns.length) {
+    return res.status(400).json({ error: `Filen mangler kolonnene ${statement.missingColumns.join(', ')}.` });
+  }
+  const excluded = new Set((req.body.excludeLines || []).map(Number));
+  const fileName = typeof req.body.fileName === 'string' ? req.body.fileName.trim() : '';
+  const pageId = req.body.pageId ? Number(req.body.pageId) : null;
+  const importedAt = new Date().toISOString();
+  const rows = statement.rows.filter((row) => !row.error && !row.duplicate && !excluded.has(row.line));
+  const created = db.importTransactions(
+    rows.map((row) => ({
+      title: row.title,
+      amount: row.amount,
+      type: row.type,
+      occurredOn: row.occurredOn,
+      notes: row.notes,
+      tags: [],
+      categoryId: null,
+      pageId,
+      metadata: {
+        import: {
+          format: statement.format,
+          fileName,
+          ...(statement.profile ? { profile: statement.profile.name } : {}),
+          line: row.line,
+          importedAt
+        },
+        ...(row.reference ? { bankReference: row.reference } : {}),
+        ...(row.counterparty ? { counterparty: row.counterparty } : {})
+      }
+    }))
+  );
+  res.status(201).json({
+    imported: created.length,
+    duplicates: statement.rows.filter((row) => row.duplicate).length,
+    suspectedDuplicates: rows.filter((row) => row.possibleDuplicate).length,
+    skipped: statement.rows.length - created.length,
+    transactions: created.map(enrichTransaction)
+  });
+});
+
+const validateRuleInput = (rule) => {
+  const invalid = validateRule(rule);
+  if (invalid) return invalid;
+  if (rule.actions.categoryId && !db.getCategoryById(rule.actions.categoryId)) {
+    return 'Kategorien finnes ikke.';
+  }
+  if (rule.actions.pageId && !db.getPages().some((page) => page.id === rule.actions.pageId)) {
+    return 'Siden finnes ikke.';
+  }
+  return null;
+};
+
+app.get('/api/rules', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  res.json(db.getRules());
+});
+
+app.post('/api/rules', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const rule = normalizeRule(req.body);
+  const invalid = validateRuleInput(rule);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  res.status(201).json(db.addRule(rule));
+});
+
+app.put('/api/rules/:id', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const current = db.getRuleById(req.params.id);
+  if (!current) {
+    return res.status(404).json({ error: 'Fant ikke regelen.' });
+  }
+  const rule = normalizeRule({ ...current, ...req.body, id: current.id });
+  const invalid = validateRuleInput(rule);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  res.json(db.updateRule(current.id, rule));
+});
+
+app.delete('/api/rules/:id', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  if (!db.deleteRule(req.params.id)) {
+    return res.status(404).json({ error: 'Fant ikke regelen.' });
+  }
+  res.json({ deleted: true });
+});
+
+app.post('/api/rules/preview', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  let rules = db.getRules();
+  if (req.body.rule) {
+    const rule = normalizeRule({ ...req.body.rule, id: req.body.rule.id ?? 0, enabled: true });
+    const invalid = validateRuleInput(rule);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    rules = [rule];
+  }
+  const rows = db.previewRules(rules, { overwrite: Boolean(req.body.overwrite) });
+  res.json({
+    total: rows.length,
+    rows: rows.slice(0, 200).map((row) => ({ ...row, transaction: enrichTransaction(row.transaction) }))
+  });
+});
+
+app.post('/api/rules/apply', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const ruleIds = Array.isArray(req.body.ruleIds) ? req.body.ruleIds.map(Number) : null;
+  res.json(db.rerunRules({ ruleIds, overwrite: Boolean(req.body.overwrite) }));
+});
+
+const validateReminderInput = (reminder) => {
+  const invalid = validateReminder(reminder);
+  if (invalid) return invalid;
+  if (reminder.categoryId && !db.getCategoryById(reminder.categoryId)) {
+    return 'Kategorien finnes ikke.';
+  }
+  return null;
+};
+
+const publicReminder = ({ sent, ...reminder }) => ({ ...reminder, sentCount: Object.keys(sent).length });
+
+// Push går til administrator og til brukerne som eier utgiften meldingen gjelder.
+const pushSubscriptionsFor = (owners) => {
+  const subscriptions = db.getPushSubscriptions();
+  if (!owners) return subscriptions;
+  const names = owners.map((owner) => owner.toLowerCase());
+  return subscriptions.filter((subscription) => {
+    if (subscription.userId === 'admin') return true;
+    const user = db.findSharedUser(subscription.userId);
+    return Boolean(user && names.includes(user.name.toLowerCase()));
+  });
+};
+
+const deliverMessage = async (channel, message) => {
+  const settings = db.getNotificationSettings();
+  if (!isChannelReady(settings, channel)) {
+    throw new Error(`${CHANNEL_LABELS[channel]} er ikke slått på.`);
+  }
+  if (channel === 'email') return sendEmail(settings.email, { ...message, baseUrl: PUBLIC_URL });
+  if (channel === 'webhook') return sendWebhook(settings.webhook, message);
+  const subscriptions = pushSubscriptionsFor(message.owners);
+  if (!subscriptions.length) throw new Error('Ingen enheter abonnerer på varsler.');
+  const { delivered, expired, error } = await sendPush(settings.push, subscriptions, message);
+  if (expired.length) db.deletePushSubscriptions(expired);
+  if (!delivered) throw new Error(error);
+  return null;
+};
+
+const attemptDelivery = async ({ reminderId, channel, message }) => {
+  try {
+    await deliverMessage(channel, message);
+    return { reminderId, channel, key: message.key, title: message.title, status: 'sent', error: '' };
+  } catch (error) {
+    return { reminderId, channel, key: message.key, title: message.title, status: 'failed', error: error.message };
+  }
+};
+
+// Kanaler som ikke er slått på, og push uten mottakere, hoppes over uten å logges. Det som feiler,
+// prøves igjen ved neste kjøring.
+let reminderRun = null;
+const runReminders = () => {
+  if (reminderRun) return reminderRun;
+  reminderRun = (async () => {
+    const settings = db.getNotificationSettings();
+    const pending = evaluateReminders(db.getReminders(), {
+      fixedExpenses: db.getFixedExpenses(),
+      transactions: db.getTransactions(),
+      categories: db.getCategories(),
+      savingsGoals: db.getSavingsGoals().map(presentGoal)
+    })
+      .filter((item) => isChannelReady(settings, item.channel))
+      .filter((item) => item.channel !== 'push' || pushSubscriptionsFor(item.message.owners).length);
+    const results = [];
+    for (const item of pending) {
+      results.push(await attemptDelivery(item));
+    }
+    const sentAt = new Date().toISOString();
+    db.logDeliveries(results.map((result) => ({ ...result, sentAt })));
+    db.markRemindersSent(
+      results
+        .filter((result) => result.status === 'sent')
+        .map((result) => ({ reminderId: result.reminderId, key: `${result.key}|${result.channel}` }))
+    );
+    return {
+      sent: results.filter((result) => result.status === 'sent').length,
+      failed: results.filter((result) => result.status === 'failed').length
+    };
+  })().finally(() => {
+    reminderRun = null;
+  });
+  return reminderRun;
+};
+
+app.get('/api/reminders', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  res.json({ reminders: db.getReminders().map(publicReminder), types: REMINDER_TYPES, channels: CHANNELS });
+});
+
+app.post('/api/reminders', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const reminder = normalizeReminder(req.body);
+  const invalid = validateReminderInput(reminder);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  res.status(201).json(publicReminder(db.addReminder(reminder)));
+});
+
+app.put('/api/reminders/:id', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const current = db.getReminderById(req.params.id);
+  if (!current) {
+    return res.status(404).json({ error: 'Fant ikke påminnelsen.' });
+  }
+  const reminder = normalizeReminder({ ...current, ...req.body, id: current.id });
+  const invalid = validateReminderInput(reminder);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  res.json(publicReminder(db.updateReminder(current.id, reminder)));
+});
+
+app.delete('/api/reminders/:id', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  if (!db.deleteReminder(req.params.id)) {
+    return res.status(404).json({ error: 'Fant ikke påminnelsen.' });
+  }
+  res.json({ deleted: true });
+});
+
+app.post('/api/reminders/run', async (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  try {
+    res.json(await runReminders());
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Kunne ikke sende påminnelser.' });
+  }
+});
+
+app.get('/api/reminders/log', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  res.json(db.getDeliveryLog(Number(req.query.limit) || 100));
+});
+
+app.get('/api/notifications/settings', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  res.json(publicNotificationSettings(db.getNotificationSettings()));
+});
+
+app.put('/api/notifications/settings', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const next = normalizeNotificationSettings(req.body || {}, db.getNotificationSettings());
+  const invalid = validateNotificationSettings(next);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  if (next.push.enabled) next.push = withVapidKeys(next.push);
+  res.json(publicNotificationSettings(db.replaceNotificationSettings(next)));
+});
+
+app.post('/api/notifications/test', async (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const { channel } = req.body || {};
+  if (!CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: 'Ukjent kanal.' });
+  }
+  const message = {
+    key: 'test',
+    title: 'Testvarsel fra Budsjett',
+    body: `${CHANNEL_LABELS[channel]} er satt opp riktig.`,
+    url: '/',
+    owners: null
+  };
+  const result = await attemptDelivery({ reminderId: null, channel, message });
+  db.logDeliveries([{ ...result, sentAt: new Date().toISOString() }]);
+  if (result.status === 'failed') {
+    return res.status(502).json({ error: result.error });
+  }
+  res.json({ sent: true });
+});
+
+// Push-abonnement kan registreres av alle brukere, ikke bare administrator.
+app.get('/api/push/public-key', (req, res) => {
+  const { push } = db.getNotificationSettings();
+  res.json({ enabled: push.enabled, publicKey: push.enabled ? push.publicKey : '' });
+});
+
+app.post('/api/push/subscriptions', (req, res) => {
+  const { user, isAdmin } = getActiveUserContext(req);
+  const { endpoint, keys } = req.body || {};
+  if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint) || !keys?.p256dh || !keys?.auth) {
+    return res.status(400).json({ error: 'Ugyldig push-abonnement.' });
+  }
+  const userId = isAdmin ? 'admin' : user?.id;
+  db.savePushSubscription({ endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } }, userId);
+  res.status(201).json({ subscribed: true });
+});
+
+// Brukere kan bare melde av sine egne enheter; administrator kan fjerne alle.
+app.delete('/api/push/subscriptions', (req, res) => {
+  const { user, isAdmin } = getActiveUserContext(req);
+  const { endpoint } = req.body || {};
+  if (typeof endpoint !== 'string' || !endpoint) {
+    return res.status(400).json({ error: 'Mangler adressen til push-abonnementet.' });
+  }
+  const subscription = db.getPushSubscriptions().find((item) => item.endpoint === endpoint);
+  if (subscription && !isAdmin && subscription.userId !== user?.id) {
+    return res.status(403).json({ error: 'Push-abonnementet tilhører en annen bruker.' });
+  }
+  db.deletePushSubscriptions([endpoint]);
+  res.status(204).end();
+});
+
+app.get('/api/oppgjor', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  res.json(settleUpLedger(db.getTransactions(), db.getSettlements(), householdOwners()));
+});
+
+app.post('/api/oppgjor', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const settlement = normalizeSettlement(req.body);
+  const invalid = validateSettlement(settlement, householdOwners());
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  res.status(201).json(db.addSettlement(settlement));
+});
+
+app.delete('/api/oppgjor/:id', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  if (!db.deleteSettlement(req.params.id)) {
+    return res.status(404).json({ error: 'Fant ikke oppgjøret.' });
+  }
+  res.json({ deleted: true });
+});
+
+// Et mål som følger en side regnes ut fra transaksjonene på siden.
+const linkedPage = (goal) => (goal.pageId ? db.getPages().find((page) => page.id === goal.pageId) || null : null);
+
+const presentGoal = (goal) => {
+  const page = linkedPage(goal);
+  return presentSavingsGoal(goal, {
+    page,
+    pageTransactions: page ? db.queryTransactions({ pageId: page.id }) : []
+  });
+};
+
+app.get('/api/sparemal', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  res.json(db.getSavingsGoals().map(presentGoal));
+});
+
+// Et startbeløp («Allerede spart») blir det første innskuddet på målet.
+app.post('/api/sparemal', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const { savedAmount, ...body } = req.body || {};
+  const opening = normalizeContribution(
+    { amount: savedAmount, occurredOn: toDateString(new Date()), note: 'Startbeløp' },
+    1
+  );
+  const goal = normalizeSavingsGoal({ ...body, contributions: opening.amount ? [opening] : [] });
+  const invalid = validateSavingsGoal(goal, db.getPages());
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  res.status(201).json(presentGoal(db.addSavingsGoal(goal)));
+});
+
+// Laster opp mål som bare finnes i nettleseren (den gamle lagringen). Kjøres én gang per enhet, og
+// målene tas inn som de er, uten validering, så ingenting går tapt.
+app.post('/api/sparemal/import', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const { goals } = req.body || {};
+  if (!Array.isArray(goals)) {
+    return res.status(400).json({ error: 'Sparemål må sendes som en liste.' });
+  }
+  const today = toDateString(new Date());
+  const result = db.importSavingsGoals(goals.map((goal) => fromStoredGoal(goal, today)));
+  res.json({ ...result, goals: db.getSavingsGoals().map(presentGoal) });
+});
+
+app.put('/api/sparemal/:id', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const current = db.getSavingsGoalById(req.params.id);
+  if (!current) {
+    return res.status(404).json({ error: 'Fant ikke sparemålet.' });
+  }
+  const goal = normalizeSavingsGoal({ ...current, ...req.body, id: current.id, contributions: current.contributions });
+  const invalid = validateSavingsGoal(goal, db.getPages());
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  res.json(presentGoal(db.updateSavingsGoal(current.id, goal)));
+});
+
+app.delete('/api/sparemal/:id', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  if (!db.deleteSavingsGoal(req.params.id)) {
+    return res.status(404).json({ error: 'Fant ikke sparemålet.' });
+  }
+  res.json({ deleted: true });
+});
+
+app.post('/api/sparemal/:id/innskudd', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const goal = db.getSavingsGoalById(req.params.id);
+  if (!goal) {
+    return res.status(404).json({ error: 'Fant ikke sparemålet.' });
+  }
+  if (linkedPage(goal)) {
+    return res.status(400).json({ error: 'Målet følger en side. Registrer sparingen som transaksjoner på siden.' });
+  }
+  const contribution = normalizeContribution(req.body);
+  const invalid = validateContribution(contribution);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  res.status(201).json(presentGoal(db.addSavingsContribution(req.params.id, contribution)));
+});
+
+app.delete('/api/sparemal/:id/innskudd/:contributionId', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const goal = db.deleteSavingsContribution(req.params.id, req.params.contributionId);
+  if (!goal) {
+    return res.status(404).json({ error: 'Fant ikke innskuddet.' });
+  }
+  res.json(presentGoal(goal));
+});
+
 app.get('/api/faste-utgifter', (req, res) => {
   const { user, isAdmin } = getActiveUserContext(req);
   const expenses = db.getFixedExpenses();
@@ -481,6 +1239,9 @@ app.post('/api/faste-utgifter', (req, res) => {
   const {
     name,
     amountPerMonth,
+    chargedAmount,
+    billingInterval = 'monthly',
+    intervalMonths = null,
     category = 'Annet',
     owners = [],
     level = 'Må-ha',
@@ -488,13 +1249,19 @@ app.post('/api/faste-utgifter', (req, res) => {
     bindingEndDate = '',
     noticePeriodMonths = null,
     account = '',
-    note = ''
+    split = null,
+    note = '',
+    dueDay = null
   } = req.body;
 
   if (!name) return res.status(400).json({ error: 'Navn er påkrevd.' });
-  if (amountPerMonth === undefined || Number.isNaN(Number(amountPerMonth))) {
+  if (chargedAmount === undefined && (amountPerMonth === undefined || Number.isNaN(Number(amountPerMonth)))) {
     return res.status(400).json({ error: 'Beløp per måned må være et tall.' });
   }
+  const billingError = validateBilling({ billingInterval, intervalMonths, chargedAmount });
+  if (billingError) {
+    return res.status(400).json({ error: billingError });
+  }
   if (!FIXED_EXPENSE_LEVELS.includes(level)) {
     return res.status(400).json({ error: 'Ugyldig nivå.' });
   }
@@ -505,21 +1272,34 @@ app.post('/api/faste-utgifter', (req, res) => {
   if (noticeValue !== null && Number.isNaN(noticeValue)) {
     return res.status(400).json({ error: 'Oppsigelsestid må være et tall eller tom.' });
   }
+  if (dueDay !== null && dueDay !== '' && !normalizeDueDay(dueDay)) {
+    return res.status(400).json({ error: 'Forfallsdag må være et tall fra 1 til 31.' });
+  }
+  const splitError = validateSplit(normalizeSplit(split));
+  if (splitError) {
+    return res.status(400).json({ error: splitError });
+  }
 
   const expenseOwners = isAdmin ? normalizeOwnersInput(owners) : [user?.name].filter(Boolean);
   const expense = db.addFixedExpense({
     name,
     amountPerMonth,
+    chargedAmount,
+    billingInterval,
+    intervalMonths,
     category: typeof category === 'string' && category.trim() ? category.trim() : 'Annet',
     owners: expenseOwners,
     account: typeof account === 'string' ? account.trim() : '',
+    split,
     level,
     startDate,
     bindingEndDate,
     noticePeriodMonths: noticeValue,
-    note
+    note,
+    dueDay
   });
-  res.status(201).json(expense);
+  db.postFixedExpenses();
+  res.status(201).json(db.getFixedExpenseById(expense.id));
 });
 
 app.post('/api/faste-utgifter/bulk-owners', (req, res) => {
@@ -535,20 +1315,38 @@ app.post('/api/faste-utgifter/bulk-owners', (req, res) => {
 app.put('/api/faste-utgifter/:id', (req, res) => {
   const { user, isAdmin, lockEnabled } = getActiveUserContext(req);
   const { id } = req.params;
-  const { category, level, noticePeriodMonths, owners, account } = req.body;
+  const { category, level, noticePeriodMonths, owners, account, dueDay } = req.body;
   if (level && !FIXED_EXPENSE_LEVELS.includes(level)) {
     return res.status(400).json({ error: 'Ugyldig nivå.' });
   }
-  const update = { ...req.body };
+  // Posteringene styres bare via egne endepunkter for måneder.
+  const { postings, postingStartMonth, ...update } = req.body;
+  if (dueDay !== undefined && dueDay !== null && dueDay !== '' && !normalizeDueDay(dueDay)) {
+    return res.status(400).json({ error: 'Forfallsdag må være et tall fra 1 til 31.' });
+  }
   if (category !== undefined) {
     update.category = typeof category === 'string' && category.trim() ? category.trim() : 'Annet';
   }
   if (account !== undefined) {
     update.account = typeof account === 'string' ? account.trim() : '';
   }
+  if (req.body.split !== undefined) {
+    const splitError = validateSplit(normalizeSplit(req.body.split));
+    if (splitError) {
+      return res.status(400).json({ error: splitError });
+    }
+  }
   if (req.body.amountPerMonth !== undefined && Number.isNaN(Number(req.body.amountPerMonth))) {
     return res.status(400).json({ error: 'Beløp per måned må være et tall.' });
   }
+  const billingError = validateBilling({
+    billingInterval: req.body.billingInterval,
+    intervalMonths: req.body.intervalMonths ?? db.getFixedExpenseById(id)?.intervalMonths,
+    chargedAmount: req.body.chargedAmount
+  });
+  if (billingError) {
+    return res.status(400).json({ error: billingError });
+  }
   if (noticePeriodMonths !== undefined) {
     if (noticePeriodMonths === null || noticePeriodMonths === '') {
       update.noticePeriodMonths = null;
@@ -570,7 +1368,8 @@ app.put('/api/faste-utgifter/:id', (req, res) => {
   }
   const updated = db.updateFixedExpense(id, update);
   if (!updated) return res.status(404).json({ error: 'Fast utgift ikke funnet' });
-  res.json(updated);
+  db.postFixedExpenses();
+  res.json(db.getFixedExpenseById(updated.id));
 });
 
 app.post('/api/faste-utgifter/:id/reset-price-history', (req, res) => {
@@ -580,6 +1379,203 @@ app.post('/api/faste-utgifter/:id/reset-price-history', (req, res) => {
   res.json(updated);
 });
 
+const enrichSchedule = (schedule) =>
+  schedule.map((entry) => {
+    const transaction = entry.transactionId ? db.getTransactionById(entry.transactionId) : null;
+    return {
+      ...entry,
+      amount: transaction ? transaction.amount : entry.amount,
+      transaction: transaction ? enrichTransaction(transaction) : null
+    };
+  });
+
+app.get('/api/oppsigelser', (req, res) => {
+  const { user, isAdmin } = getActiveUserContext(req);
+  const expenses = db.getFixedExpenses();
+  const visible = !isAdmin && user ? filterExpensesForUser(expenses, user) : expenses;
+  const items = upcomingCancellations(visible);
+  res.json({
+    items,
+    totals: items.reduce(
+      (sum, item) => ({
+        monthlySavings: sum.monthlySavings + item.monthlySavings,
+        yearlySavings: sum.yearlySavings + item.yearlySavings
+      }),
+      { monthlySavings: 0, yearlySavings: 0 }
+    )
+  });
+});
+
+const CALENDAR_FEED_PREFIX = '/api/calendar/feed/';
+
+const hashCalendarToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const calendarFeedUserId = (req) => {
+  const { user, isAdmin } = getActiveUserContext(req);
+  return isAdmin ? 'admin' : user?.id || null;
+};
+
+const describeCalendarFeed = (feed, token = null) => ({
+  active: Boolean(feed),
+  createdAt: feed?.createdAt || null,
+  token,
+  path: token ? `${CALENDAR_FEED_PREFIX}${token}.ics` : null
+});
+
+app.get('/api/calendar', (req, res) => {
+  const userId = calendarFeedUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Logg inn for å se kalenderfeeden.' });
+  res.json(describeCalendarFeed(db.getCalendarFeed(userId)));
+});
+
+// Lager en ny nøkkel og gjør den gamle ugyldig. Nøkkelen vises bare i dette svaret.
+app.post('/api/calendar', (req, res) => {
+  const userId = calendarFeedUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Logg inn for å lage en kalenderfeed.' });
+  const token = nanoid(32);
+  const feed = db.setCalendarFeed(userId, hashCalendarToken(token));
+  res.status(201).json(describeCalendarFeed(feed, token));
+});
+
+app.delete('/api/calendar', (req, res) => {
+  const userId = calendarFeedUserId(req);
+  if (!userId) return res.status(401).json({ error: 'Logg inn for å slette kalenderfeeden.' });
+  db.deleteCalendarFeed(userId);
+  res.status(204).end();
+});
+
+app.get('/api/calendar/feed/:token', (req, res) => {
+  const token = req.params.token.replace(/\.ics$/, '');
+  const feed = token ? db.findCalendarFeedByHash(hashCalendarToken(token)) : null;
+  if (!feed) return res.status(404).json({ error: 'Kalenderfeeden finnes ikke.' });
+  let expenses = db.getFixedExpenses();
+  let goals = db.getSavingsGoals();
+  let name = 'Budsjett';
+  if (feed.userId !== 'admin') {
+    const user = db.findSharedUser(feed.userId);
+    if (!user) return res.status(404).json({ error: 'Kalenderfeeden finnes ikke.' });
+    expenses = filterExpensesForUser(expenses, user);
+    goals = filterGoalsForUser(goals, user);
+    name = `Budsjett – ${user.name}`;
+  }
+  const events = [
+    ...fixedExpenseEvents(expenses),
+    ...savingsGoalEvents(goals.filter((goal) => goal.dueDate).map(presentGoal))
+  ];
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'no-store');
+  res.send(buildCalendar({ name, events }));
+});
+
+// ?kpi= overstyrer satsen fra innstillingene, slik at man kan prøve andre tall uten å lagre dem.
+app.get('/api/prisutvikling', (req, res) => {
+  const { user, isAdmin } = getActiveUserContext(req);
+  const expenses = db.getFixedExpenses();
+  const visible = !isAdmin && user ? filterExpensesForUser(expenses, user) : expenses;
+  const override = req.query.kpi !== undefined && req.query.kpi !== '' ? Number(req.query.kpi) : null;
+  if (override !== null && !Number.isFinite(override)) {
+    return res.status(400).json({ error: 'KPI må være et tall.' });
+  }
+  const inflationRate = override ?? db.getSettings().inflationRate;
+  res.json(priceGrowthReport(visible, { inflationRate }));
+});
+
+const scenarioData = () => ({ fixedExpenses: db.getFixedExpenses(), settings: db.getSettings() });
+
+const withComparison = (scenario, data = scenarioData()) => ({
+  ...scenario,
+  comparison: compareScenario(scenario, data)
+});
+
+app.get('/api/scenarios', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const data = scenarioData();
+  res.json({
+    baseline: compareScenario(normalizeScenario(), data).baseline,
+    scenarios: db.getScenarios().map((scenario) => withComparison(scenario, data))
+  });
+});
+
+// Regner ut et scenario uten å lagre det, for forhåndsvisning mens det redigeres.
+app.post('/api/scenarios/preview', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const data = scenarioData();
+  const scenario = normalizeScenario(req.body);
+  const invalid = validateScenario(scenario, data);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  res.json(compareScenario(scenario, data));
+});
+
+app.post('/api/scenarios', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const data = scenarioData();
+  const scenario = normalizeScenario(req.body);
+  const invalid = validateScenario(scenario, data);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  res.status(201).json(withComparison(db.addScenario(scenario), data));
+});
+
+app.put('/api/scenarios/:id', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const current = db.getScenarioById(req.params.id);
+  if (!current) {
+    return res.status(404).json({ error: 'Fant ikke scenariet.' });
+  }
+  const data = scenarioData();
+  const scenario = normalizeScenario({ ...current, ...req.body, id: current.id });
+  const invalid = validateScenario(scenario, data);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  res.json(withComparison(db.updateScenario(current.id, scenario), data));
+});
+
+app.delete('/api/scenarios/:id', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  if (!db.deleteScenario(req.params.id)) {
+    return res.status(404).json({ error: 'Fant ikke scenariet.' });
+  }
+  res.json({ deleted: true });
+});
+
+// Anbefalt overføring per person til hver konto ut fra fordelingen på kontoer og utgifter.
+app.get('/api/fordeling', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  res.json(costSplitReport(db.getFixedExpenses(), db.getSettings()));
+});
+
+app.get('/api/faste-utgifter/:id/postings', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const schedule = db.getFixedExpenseSchedule(req.params.id);
+  if (!schedule) return res.status(404).json({ error: 'Fast utgift ikke funnet' });
+  res.json(enrichSchedule(schedule));
+});
+
+app.put('/api/faste-utgifter/:id/postings/:month', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const { month } = req.params;
+  if (!isMonth(month)) {
+    return res.status(400).json({ error: 'Måneden må skrives som ÅÅÅÅ-MM.' });
+  }
+  const { skipped = false, amount = null } = req.body || {};
+  if (amount !== null && amount !== '' && !(Number(amount) >= 0)) {
+    return res.status(400).json({ error: 'Beløpet må være et tall.' });
+  }
+  const schedule = db.updateFixedExpenseMonth(req.params.id, month, { skipped: Boolean(skipped), amount });
+  if (!schedule) return res.status(404).json({ error: 'Fast utgift ikke funnet' });
+  res.json(enrichSchedule(schedule));
+});
+
+app.post('/api/faste-utgifter/post', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const created = db.postFixedExpenses();
+  res.json({ posted: created.length, transactions: created.map(enrichTransaction) });
+});
+
 app.delete('/api/faste-utgifter/:id', (req, res) => {
   const { user, isAdmin, lockEnabled } = getActiveUserContext(req);
   const { id } = req.params;
@@ -606,12 +1602,14 @@ app.put('/api/settings', (req, res) => {
   if (!enforceAdmin(req, res)) return;
   const {
     monthlyNetIncome,
+    inflationRate,
     ownerProfiles,
     defaultFixedExpensesOwner,
     defaultFixedExpensesOwners,
     defaultFixedExpensesBankAccount,
     bankAccounts,
     bankModeEnabled,
+    accountSplits,
     lockPassword,
     lockEnabled,
     lockCurrentPassword
@@ -633,6 +1631,14 @@ app.put('/api/settings', (req, res) => {
     update.monthlyNetIncome = value;
   }
 
+  if (inflationRate !== undefined) {
+    const value = Number(inflationRate);
+    if (inflationRate === '' || !Number.isFinite(value) || value < -20 || value > 100) {
+      return res.status(400).json({ error: 'KPI må være en prosentsats mellom -20 og 100.' });
+    }
+    update.inflationRate = value;
+  }
+
   if (ownerProfiles !== undefined) {
     if (!Array.isArray(ownerProfiles)) {
       return res.status(400).json({ error: 'Personer må sendes som en liste.' });
@@ -753,6 +1759,27 @@ app.put('/api/settings', (req, res) => {
     update.defaultFixedExpensesBankAccount = trimmed;
   }
 
+  if (accountSplits !== undefined) {
+    if (!accountSplits || typeof accountSplits !== 'object' || Array.isArray(accountSplits)) {
+      return res.status(400).json({ error: 'Fordelingen må sendes per konto.' });
+    }
+    for (const [account, value] of Object.entries(accountSplits)) {
+      if (value === null) continue;
+      if (!effectiveBankAccounts.includes(account)) {
+        return res.status(400).json({ error: `Kontoen «${account}» finnes ikke.` });
+      }
+      const split = normalizeSplit(value);
+      if (!split) {
+        return res.status(400).json({ error: 'Ugyldig fordelingsmåte.' });
+      }
+      const invalid = validateSplit(split);
+      if (invalid) {
+        return res.status(400).json({ error: `${account}: ${invalid}` });
+      }
+    }
+    update.accountSplits = accountSplits;
+  }
+
   if (bankModeEnabled === false) {
     update.defaultFixedExpensesBankAccount = '';
     const sourceProfiles = Array.isArray(update.ownerProfiles)
@@ -847,6 +1874,33 @@ app.post('/api/bank-accounts/rename', (req, res) => {
   });
 });
 
+const currentNetWorth = () => {
+  const totalsByPage = db.getPageTotals();
+  const entries = db.getPages().map((page) => ({
+    page,
+    worth: pageWorth(page, {
+      balance: totalsByPage.get(page.id)?.balance || 0,
+      loanSummary: page.type === 'loan' ? scheduleForLoanPage(page).summary : null,
+      investmentSummary: page.type === 'investment' ? reportForInvestmentPage(page) : null
+    })
+  }));
+  return netWorthSnapshot(entries);
+};
+
+// Historikken med inneværende måned regnet på nytt, så grafen alltid ender i dagens tall.
+app.get('/api/formue', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  const current = currentNetWorth();
+  const history = [...db.getNetWorthSnapshots().filter((item) => item.month !== current.month), current];
+  history.sort((a, b) => a.month.localeCompare(b.month));
+  res.json({ current, history, classes: NET_WORTH_CLASSES });
+});
+
+app.post('/api/formue/oversikt', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  res.status(201).json(db.recordNetWorthSnapshot(currentNetWorth()));
+});
+
 app.get('/api/dashboard', (req, res) => {
   if (!enforceAdmin(req, res)) return;
   const transactions = db.getTransactions();
@@ -864,41 +1918,15 @@ app.get('/api/dashboard', (req, res) => {
 
   const fixedExpenseTotal = fixedExpenses.reduce((sum, expense) => sum + (expense.amountPerMonth || 0), 0);
 
-  const ownerProfiles = settings.ownerProfiles || [];
-  const ownerIncomeMap = ownerProfiles.reduce((map, profile) => {
-    if (profile?.name) {
-      const income = Number(profile.monthlyNetIncome);
-      if (Number.isFinite(income)) {
-        map.set(profile.name, income);
-      }
-    }
-    return map;
-  }, new Map());
-  const ownerContributionMap = ownerProfiles.reduce((map, profile) => {
-    if (profile?.name) {
-      const contribution = Number(profile.sharedContribution);
-      if (Number.isFinite(contribution)) {
-        map.set(profile.name, contribution);
-      }
-    }
-    return map;
-  }, new Map());
-  const defaultOwners = Array.isArray(settings.defaultFixedExpensesOwners)
-    ? settings.defaultFixedExpensesOwners.filter(Boolean)
-    : [];
-  const bankModeEnabled = Boolean(settings.bankModeEnabled);
-  const participatingOwners = defaultOwners.length
-    ? defaultOwners
-    : Array.from(new Set(ownerProfiles.map((profile) => profile.name).filter(Boolean)));
-  const filteredFixedExpenses = defaultOwners.length
-    ? fixedExpenses.filter((expense) =>
-        (expense.owners || []).some((owner) => defaultOwners.includes(owner))
-      )
-    : fixedExpenses;
-  const effectiveFixedExpenseTotal = filteredFixedExpenses.reduce(
-    (sum, expense) => sum + (expense.amountPerMonth || 0),
-    0
-  );
+  const {
+    filteredFixedExpenses,
+    effectiveFixedExpenseTotal,
+    monthlyNetIncome,
+    activeMonthlyNetIncome,
+    freeAfterFixed,
+    owners: ownerStats,
+    bankMode
+  } = householdBudget(fixedExpenses, settings);
 
   const categoryColorMap = categories.reduce((map, category) => {
     map[category.name] = category.color;
@@ -936,13 +1964,16 @@ app.get('/api/dashboard', (req, res) => {
     .map((expense) => {
       const bindingTime = new Date(expense.bindingEndDate).getTime();
       const daysLeft = Math.ceil((bindingTime - now) / (1000 * 60 * 60 * 24));
+      const { lastNoticeDate, daysUntilDeadline } = cancellationInfo(expense);
       return {
         id: expense.id,
         name: expense.name,
         bindingEndDate: expense.bindingEndDate,
         category: expense.category,
         amountPerMonth: expense.amountPerMonth,
-        daysLeft
+        daysLeft,
+        lastNoticeDate,
+        daysUntilNotice: daysUntilDeadline
       };
     })
     .filter((item) => item.daysLeft >= 0 && item.daysLeft <= 90)
@@ -964,47 +1995,13 @@ app.get('/api/dashboard', (req, res) => {
     }))
     .filter((item) => item.priceHistory.length > 1);
 
-  const monthlyNetIncome = Number(settings.monthlyNetIncome) || 0;
-  const ownersHaveCompleteIncome = defaultOwners.every((owner) => ownerIncomeMap.has(owner));
-  const ownerIncome = defaultOwners.reduce(
-    (sum, owner) => sum + (ownerIncomeMap.get(owner) || 0),
-    0
-  );
-  const bankModeOwnerStats = participatingOwners.map((owner) => {
-    const monthlyNetIncome = ownerIncomeMap.get(owner) || 0;
-    const sharedContribution = ownerContributionMap.get(owner) || 0;
-    return {
-      name: owner,
-      monthlyNetIncome,
-      sharedContribution,
-      remainingPersonal: monthlyNetIncome - sharedContribution
-    };
-  });
-  const bankModeTotalIncome = bankModeOwnerStats.reduce(
-    (sum, owner) => sum + (owner.monthlyNetIncome || 0),
-    0
-  );
-  const bankModeTotalContribution = bankModeOwnerStats.reduce(
-    (sum, owner) => sum + (owner.sharedContribution || 0),
-    0
-  );
-  const activeMonthlyNetIncome = bankModeEnabled
-    ? bankModeTotalContribution
-    : defaultOwners.length && ownersHaveCompleteIncome
-    ? ownerIncome
-    : monthlyNetIncome;
-  const freeAfterFixed = activeMonthlyNetIncome - effectiveFixedExpenseTotal;
-  const bankModeFreeAfterFixed = bankModeTotalContribution - effectiveFixedExpenseTotal;
-  const bankModeRemainingPersonal = bankModeOwnerStats.reduce(
-    (sum, owner) => sum + (owner.remainingPersonal || 0),
-    0
-  );
-
+  // Oppdelte transaksjoner fordeles på kategorier og tagger etter linjene sine.
+  const transactionLineItems = transactions.flatMap(transactionLines);
   const categoryTotals = categories.map((category) => ({
     ...category,
-    total: transactions
-      .filter((tx) => tx.categoryId === category.id && tx.type === 'expense')
-      .reduce((sum, tx) => sum + tx.amount, 0)
+    total: transactionLineItems
+      .filter((line) => line.categoryId === category.id && line.type === 'expense')
+      .reduce((sum, line) => sum + line.amount, 0)
   }));
 
   const monthlyMap = {};
@@ -1017,31 +2014,18 @@ app.get('/api/dashboard', (req, res) => {
   const monthly = Object.values(monthlyMap).sort((a, b) => a.period.localeCompare(b.period));
 
   const tagTotals = {};
-  transactions.forEach((tx) => {
-    (tx.tags || []).forEach((tag) => {
+  transactionLineItems.forEach((line) => {
+    line.tags.forEach((tag) => {
       if (!tagTotals[tag]) tagTotals[tag] = 0;
-      tagTotals[tag] += tx.type === 'expense' ? -tx.amount : tx.amount;
+      tagTotals[tag] += line.type === 'expense' ? -line.amount : line.amount;
     });
   });
 
-  const pageBalances = pages.map((page) => {
-    const totals = transactions
-      .filter((tx) => tx.pageId === page.id)
-      .reduce(
-        (acc, tx) => {
-          if (tx.type === 'income') {
-            acc.totalIncome += tx.amount;
-            acc.balance += tx.amount;
-          } else {
-            acc.totalExpense += tx.amount;
-            acc.balance -= tx.amount;
-          }
-          return acc;
-        },
-        { balance: 0, totalIncome: 0, totalExpense: 0 }
-      );
-    return { name: page.name, ...totals };
-  });
+  const totalsByPage = db.getPageTotals();
+  const pageBalances = pages.map((page) => ({
+    name: page.name,
+    ...(totalsByPage.get(page.id) || { balance: 0, totalIncome: 0, totalExpense: 0 })
+  }));
 
   res.json({
     totalIncome,
@@ -1057,14 +2041,7 @@ app.get('/api/dashboard', (req, res) => {
     monthlyNetIncome,
     activeMonthlyNetIncome,
     freeAfterFixed,
-    bankModeSummary: {
-      enabled: bankModeEnabled,
-      totalIncome: bankModeTotalIncome,
-      totalContribution: bankModeTotalContribution,
-      freeAfterFixed: bankModeFreeAfterFixed,
-      remainingPersonal: bankModeRemainingPersonal,
-      owners: bankModeOwnerStats
-    },
+    bankModeSummary: { ...bankMode, owners: ownerStats },
     effectiveFixedExpenseTotal,
     bindingExpirations,
     fixedExpensesCount: fixedExpenses.length,
@@ -1107,13 +2084,29 @@ app.post('/api/owners/delete', (req, res) => {
   res.json(result);
 });
 
+// Eksporten er en full sikkerhetskopi som skal kunne gjenopprettes uendret, så den tar med
+// varslingshemmeligheter, passordhasher og kalendernøkler. Derfor er både eksport og import bare for administrator.
 app.get('/api/export', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
   const state = db.getState();
   const payload = {
+    schemaVersion: state.schemaVersion,
     categories: state.categories,
     pages: state.pages,
     transactions: state.transactions,
     fixedExpenses: state.fixedExpenses || [],
+    importProfiles: state.importProfiles || [],
+    rules: state.rules || [],
+    duplicateDismissals: state.duplicateDismissals || [],
+    calendarFeeds: state.calendarFeeds || [],
+    reminders: state.reminders || [],
+    notificationSettings: state.notificationSettings,
+    pushSubscriptions: state.pushSubscriptions || [],
+    deliveryLog: state.deliveryLog || [],
+    scenarios: state.scenarios || [],
+    settlements: state.settlements || [],
+    savingsGoals: state.savingsGoals || [],
+    netWorthSnapshots: state.netWorthSnapshots || [],
     settings: state.settings || {},
     counters: state.counters
   };
@@ -1121,27 +2114,24 @@ app.get('/api/export', (req, res) => {
 });
 
 app.post('/api/import', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
   try {
-    const { categories = [], pages = [], transactions = [], fixedExpenses = [], settings = {}, counters = null } = req.body;
-    const payload = {
-      categories,
-      pages,
-      transactions,
-      fixedExpenses,
-      settings,
-      counters: counters || undefined
-    };
-    db.replaceAll(payload);
-    if (typeof db.ensureDefaults === 'function') {
-      db.ensureDefaults();
-    }
-    res.json({ status: 'ok' });
+    const report = db.importData(req.body || {});
+    res.json({ status: 'ok', schemaVersion: report.toVersion, migrations: report.applied });
   } catch (error) {
+    if (error instanceof SchemaVersionError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error(error);
     res.status(400).json({ error: 'Import feilet', details: error.message });
   }
 });
 
+app.get('/api/schema', (req, res) => {
+  if (!enforceAdmin(req, res)) return;
+  res.json(db.getSchemaStatus());
+});
+
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
 });
@@ -1154,6 +2144,40 @@ if (fs.existsSync(clientDir)) {
   });
 }
 
+const runFixedExpensePosting = () => {
+  try {
+    const created = db.postFixedExpenses();
+    if (created.length) {
+      console.log(`Bokførte ${created.length} faste utgifter som transaksjoner.`);
+    }
+  } catch (error) {
+    console.error('Bokføring av faste utgifter feilet', error);
+  }
+};
+
+const runNetWorthSnapshot = () => {
+  try {
+    db.recordNetWorthSnapshot(currentNetWorth());
+  } catch (error) {
+    console.error('Lagring av formuesoversikt feilet', error);
+  }
+};
+
+const runScheduledReminders = () =>
+  runReminders()
+    .then(({ sent, failed }) => {
+      if (sent || failed) {
+        console.log(`Påminnelser: ${sent} sendt, ${failed} feilet.`);
+      }
+    })
+    .catch((error) => console.error('Utsending av påminnelser feilet', error));
+
 app.listen(PORT, () => {
   console.log(`Budsjett-server kjører på port ${PORT}`);
+  runFixedExpensePosting();
+  setInterval(runFixedExpensePosting, FIXED_EXPENSE_POSTING_INTERVAL_MS).unref();
+  runScheduledReminders();
+  setInterval(runScheduledReminders, REMINDER_INTERVAL_MS).unref();
+  runNetWorthSnapshot();
+  setInterval(runNetWorthSnapshot, NET_WORTH_INTERVAL_MS).unref();
 });
@@ -0,0 +1,243 @@
+// Investeringssider: beholdninger (fond eller aksjer) med antall og kostpris, og kursbilder som vi
+// legger inn selv eller leser fra fil. Ingenting hentes fra nettet. Innskudd og uttak er
+// transaksjonene på siden: en utgift er penger inn i porteføljen, en inntekt er penger ut.
+// Hvert kursbilde lagrer antallet som gjaldt da, så historiske verdier ikke endres ved nye kjøp.
+
+const { detectDelimiter, parseAmount, parseCsv, parseDate } = require('./importers/csv');
+const { pageAmount } = require('./splits');
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const roundPercent = (value) => Math.round(value * 10000) / 100;
+
+const toNumber = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const DAYS_PER_YEAR = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeHolding = (raw = {}, fallbackId = null) => ({
+  id: Number(raw.id) || fallbackId,
+  name: toText(raw.name),
+  ticker: toText(raw.ticker).toUpperCase(),
+  units: toNumber(raw.units),
+  costBasis: roundAmount(raw.costBasis)
+});
+
+const normalizeSnapshot = (raw = {}, fallbackId = null) => ({
+  id: Number(raw.id) || fallbackId,
+  date: typeof raw.date === 'string' ? raw.date.slice(0, 10) : '',
+  positions: (Array.isArray(raw.positions) ? raw.positions : [])
+    .map((position) => ({
+      holdingId: Number(position?.holdingId) || null,
+      units: toNumber(position?.units),
+      price: toNumber(position?.price)
+    }))
+    .filter((position) => position.holdingId)
+});
+
+const nextId = (items) => Math.max(0, ...items.map((item) => item.id || 0)) + 1;
+
+// Beholdninger uten id får neste ledige, og posisjoner for beholdninger som er fjernet faller bort.
+const normalizeInvestment = (raw = {}) => {
+  const holdings = (Array.isArray(raw?.holdings) ? raw.holdings : []).map((item) => normalizeHolding(item));
+  holdings.forEach((holding) => {
+    if (!holding.id) holding.id = nextId(holdings);
+  });
+  const holdingIds = new Set(holdings.map((holding) => holding.id));
+  const snapshots = (Array.isArray(raw?.snapshots) ? raw.snapshots : [])
+    .map((snapshot, index) => normalizeSnapshot(snapshot, index + 1))
+    .map((snapshot) => ({
+      ...snapshot,
+      positions: snapshot.positions.filter((position) => holdingIds.has(position.holdingId))
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  return { holdings, snapshots };
+};
+
+const validateInvestment = (investment) => {
+  if (investment.holdings.some((holding) => !holding.name && !holding.ticker)) {
+    return 'Hver beholdning må ha et navn eller en ticker.';
+  }
+  if (investment.holdings.some((holding) => holding.units < 0 || holding.costBasis < 0)) {
+    return 'Antall og kostpris kan ikke være negative.';
+  }
+  if (new Set(investment.holdings.map((holding) => holding.id)).size !== investment.holdings.length) {
+    return 'To beholdninger har samme id.';
+  }
+  return validateSnapshots(investment.snapshots);
+};
+
+const validateSnapshots = (snapshots) => {
+  if (snapshots.some((snapshot) => !isDate(snapshot.date))) return 'Kursdato må være på formatet ÅÅÅÅ-MM-DD.';
+  if (snapshots.some((snapshot) => !snapshot.positions.length)) return 'Et kursbilde må ha minst én kurs.';
+  if (snapshots.some((snapshot) => snapshot.positions.some((position) => position.price < 0 || position.units < 0))) {
+    return 'Kurs og antall kan ikke være negative.';
+  }
+  return null;
+};
+
+// Nye kurser på en dato som allerede har et kursbilde slås sammen med det, per beholdning.
+// Mangler antallet, brukes antallet beholdningen har nå.
+const mergeSnapshots = (investment, incoming) => {
+  const snapshots = investment.snapshots.map((snapshot) => ({ ...snapshot, positions: [...snapshot.positions] }));
+  incoming.forEach((raw) => {
+    const positions = raw.positions.map((position) => ({
+      ...position,
+      units:
+        position.units || investment.holdings.find((holding) => holding.id === position.holdingId)?.units || 0
+    }));
+    const existing = snapshots.find((snapshot) => snapshot.date === raw.date);
+    if (existing) {
+      existing.positions = [
+        ...existing.positions.filter((position) => !positions.some((item) => item.holdingId === position.holdingId)),
+        ...positions
+      ];
+    } else {
+      snapshots.push({ id: nextId(snapshots), date: raw.date, positions });
+    }
+  });
+  return { ...investment, snapshots: snapshots.sort((a, b) => a.date.localeCompare(b.date)) };
+};
+
+const HEADER_ALIASES = {
+  date: ['dato', 'date', 'kursdato'],
+  holding: ['verdipapir', 'navn', 'name', 'fond', 'aksje', 'ticker', 'isin'],
+  price: ['kurs', 'pris', 'price', 'nav'],
+  units: ['antall', 'andeler', 'units']
+};
+
+const matchHolding = (holdings, value) => {
+  const text = toText(value).toLowerCase();
+  return holdings.find((holding) => holding.ticker.toLowerCase() === text || holding.name.toLowerCase() === text);
+};
+
+// Kursfil med kolonnene dato, verdipapir (ticker eller navn), kurs og eventuelt antall. Uten
+// overskriftsrad antas den rekkefølgen. Rader som ikke kan leses listes opp i stedet for å stoppe importen.
+const parseValuationFile = (content, holdings) => {
+  const records = parseCsv(content, detectDelimiter(content));
+  if (!records.length) return { snapshots: [], errors: ['Filen er tom.'] };
+  const header = records[0].map((value) => value.trim().toLowerCase());
+  const hasHeader = !parseDate(records[0][0]);
+  const indexOf = (field, fallback) => {
+    if (!hasHeader) return fallback;
+    return header.findIndex((value) => HEADER_ALIASES[field].includes(value));
+  };
+  const columns = { date: indexOf('date', 0), holding: indexOf('holding', 1), price: indexOf('price', 2), units: indexOf('units', 3) };
+  if (columns.date < 0 || columns.holding < 0 || columns.price < 0) {
+    return { snapshots: [], errors: ['Fant ikke kolonnene dato, verdipapir og kurs.'] };
+  }
+
+  const byDate = new Map();
+  const errors = [];
+  records.slice(hasHeader ? 1 : 0).forEach((record, index) => {
+    const line = index + (hasHeader ? 2 : 1);
+    const date = parseDate(record[columns.date]);
+    const holding = matchHolding(holdings, record[columns.holding]);
+    const price = parseAmount(record[columns.price]);
+    const units = columns.units >= 0 ? parseAmount(record[columns.units]) : null;
+    if (!date) return errors.push(`Linje ${line}: ugyldig dato.`);
+    if (!holding) return errors.push(`Linje ${line}: fant ingen beholdning «${toText(record[columns.holding])}».`);
+    if (price === null || price < 0) return errors.push(`Linje ${line}: ugyldig kurs.`);
+    const positions = byDate.get(date) || [];
+    byDate.set(date, [
+      ...positions.filter((position) => position.holdingId !== holding.id),
+      { holdingId: holding.id, units: units ?? 0, price }
+    ]);
+    return null;
+  });
+  return {
+    snapshots: Array.from(byDate.entries()).map(([date, positions]) => ({ date, positions })),
+    errors
+  };
+};
+
+const snapshotValue = (snapshot) =>
+  snapshot.positions.reduce((sum, position) => sum + position.units * position.price, 0);
+
+// Tidsvektet avkastning: avkastningen mellom hvert kursbilde justert for innskudd og uttak i
+// perioden, lenket sammen. Strømmene regnes som skjedd på slutten av perioden.
+const timeWeightedReturn = (snapshots, flows) => {
+  let growth = 1;
+  let periods = 0;
+  for (let i = 1; i < snapshots.length; i += 1) {
+    const start = snapshotValue(snapshots[i - 1]);
+    if (start <= 0) continue;
+    const flow = flows
+      .filter((item) => item.date > snapshots[i - 1].date && item.date <= snapshots[i].date)
+      .reduce((sum, item) => sum + item.amount, 0);
+    growth *= (snapshotValue(snapshots[i]) - flow) / start;
+    periods += 1;
+  }
+  return periods ? growth - 1 : null;
+};
+
+const investmentReport = (investment, { transactions = [], pageId = null } = {}) => {
+  const { holdings, snapshots } = investment;
+  const flows = transactions
+    .map((tx) => ({ date: String(tx.occurredOn || '').slice(0, 10), amount: -pageAmount(tx, pageId) }))
+    .filter((flow) => flow.amount);
+
+  const latestPosition = (holdingId) => {
+    for (let i = snapshots.length - 1; i >= 0; i -= 1) {
+      const position = snapshots[i].positions.find((item) => item.holdingId === holdingId);
+      if (position) return { ...position, date: snapshots[i].date };
+    }
+    return null;
+  };
+
+  const rows = holdings.map((holding) => {
+    const position = latestPosition(holding.id);
+    const value = position ? holding.units * position.price : null;
+    return {
+      ...holding,
+      price: position ? position.price : null,
+      priceDate: position ? position.date : null,
+      value: value === null ? null : roundAmount(value),
+      gain: value === null ? null : roundAmount(value - holding.costBasis),
+      gainPercent: value === null || !holding.costBasis ? null : roundPercent((value - holding.costBasis) / holding.costBasis)
+    };
+  });
+  const priced = rows.filter((row) => row.value !== null);
+  const value = priced.reduce((sum, row) => sum + row.value, 0);
+  const costBasis = priced.reduce((sum, row) => sum + row.costBasis, 0);
+
+  const twr = timeWeightedReturn(snapshots, flows);
+  const spanDays = snapshots.length > 1
+    ? (new Date(snapshots[snapshots.length - 1].date) - new Date(snapshots[0].date)) / DAY_MS
+    : 0;
+
+  return {
+    holdings: rows,
+    value: roundAmount(value),
+    costBasis: roundAmount(costBasis),
+    gain: roundAmount(value - costBasis),
+    gainPercent: costBasis ? roundPercent((value - costBasis) / costBasis) : null,
+    timeWeightedReturn: twr === null ? null : roundPercent(twr),
+    annualizedReturn:
+      twr === null || spanDays < DAYS_PER_YEAR ? null : roundPercent(Math.pow(1 + twr, DAYS_PER_YEAR / spanDays) - 1),
+    lastValuationDate: snapshots.length ? snapshots[snapshots.length - 1].date : null,
+    series: snapshots.map((snapshot) => ({
+      id: snapshot.id,
+      date: snapshot.date,
+      value: roundAmount(snapshotValue(snapshot)),
+      invested: flows.length
+        ? roundAmount(flows.filter((flow) => flow.date <= snapshot.date).reduce((sum, flow) => sum + flow.amount, 0))
+        : null,
+      positions: snapshot.positions
+    }))
+  };
+};
+
+module.exports = {
+  investmentReport,
+  mergeSnapshots,
+  normalizeInvestment,
+  normalizeSnapshot,
+  parseValuationFile,
+  validateInvestment,
+  validateSnapshots
+};
@@ -0,0 +1,180 @@
+// Oppgjør mellom personene i husholdningen. En utgift kan merkes med hvem som betalte og hvem den
+// var for, med en andel per person. Saldoen til en person er det hen har lagt ut for andre minus
+// det andre har lagt ut for hen, justert for oppgjør (overføringer mellom personene).
+
+const TOLERANCE = 0.005;
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toName = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Andeler uten beløp deles likt; øresavrundingen havner på den siste.
+const equalShares = (owners, amount) => {
+  const base = Math.floor((amount / owners.length) * 100) / 100;
+  return owners.map((owner, index) => ({
+    owner,
+    amount: index === owners.length - 1 ? roundAmount(amount - base * (owners.length - 1)) : base
+  }));
+};
+
+const normalizeSharing = (raw, amount) => {
+  const paidBy = toName(raw?.paidBy);
+  if (!paidBy) return null;
+  const entries = (Array.isArray(raw.shares) ? raw.shares : [])
+    .map((share) => (typeof share === 'string' ? { owner: share } : share || {}))
+    .map((share) => ({ owner: toName(share.owner), amount: share.amount }))
+    .filter((share) => share.owner);
+  const unique = entries.filter((share, index) => entries.findIndex((item) => item.owner === share.owner) === index);
+  const hasAmounts = unique.some((share) => share.amount !== undefined && share.amount !== null && share.amount !== '');
+  return {
+    paidBy,
+    shares:
+      hasAmounts || !unique.length
+        ? unique.map((share) => ({ owner: share.owner, amount: roundAmount(share.amount) }))
+        : equalShares(
+            unique.map((share) => share.owner),
+            Number(amount) || 0
+          )
+  };
+};
+
+const validateSharing = (sharing, { type, amount }, owners) => {
+  if (!sharing) return null;
+  if (type !== 'expense') return 'Bare utgifter kan deles mellom personer.';
+  if (!owners.includes(sharing.paidBy)) return `«${sharing.paidBy}» finnes ikke blant personene.`;
+  if (!sharing.shares.length) return 'Velg hvem utgiften var for.';
+  const unknown = sharing.shares.find((share) => !owners.includes(share.owner));
+  if (unknown) return `«${unknown.owner}» finnes ikke blant personene.`;
+  if (sharing.shares.some((share) => share.amount < 0)) return 'Andelene kan ikke være negative.';
+  const total = sharing.shares.reduce((sum, share) => sum + share.amount, 0);
+  if (Math.abs(total - Number(amount)) > TOLERANCE) {
+    return `Andelene summerer til ${roundAmount(total)}, men utgiften er på ${roundAmount(amount)}.`;
+  }
+  return null;
+};
+
+const renameSharingOwner = (sharing, from, to) => {
+  if (!sharing || (sharing.paidBy !== from && !sharing.shares.some((share) => share.owner === from))) {
+    return sharing;
+  }
+  return {
+    paidBy: sharing.paidBy === from ? to : sharing.paidBy,
+    shares: sharing.shares.map((share) => (share.owner === from ? { ...share, owner: to } : share))
+  };
+};
+
+const normalizeSettlement = (raw = {}, fallbackId = null) => ({
+  id: raw.id ?? fallbackId,
+  from: toName(raw.from),
+  to: toName(raw.to),
+  amount: roundAmount(raw.amount),
+  occurredOn: typeof raw.occurredOn === 'string' ? raw.occurredOn.slice(0, 10) : '',
+  note: typeof raw.note === 'string' ? raw.note.trim() : '',
+  createdAt: raw.createdAt || new Date().toISOString()
+});
+
+const validateSettlement = (settlement, owners) => {
+  if (!owners.includes(settlement.from) || !owners.includes(settlement.to)) {
+    return 'Velg hvem som betalte og hvem som fikk pengene.';
+  }
+  if (settlement.from === settlement.to) return 'Et oppgjør må være mellom to personer.';
+  if (!(settlement.amount > 0)) return 'Beløpet må være større enn null.';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(settlement.occurredOn)) return 'Dato må være på formatet ÅÅÅÅ-MM-DD.';
+  return null;
+};
+
+// Hvem som bør betale hvem for å gå i null, med så få overføringer som mulig for et par eller tre.
+const suggestTransfers = (balances) => {
+  const creditors = balances.filter((item) => item.balance > TOLERANCE).map((item) => ({ ...item }));
+  const debtors = balances.filter((item) => item.balance < -TOLERANCE).map((item) => ({ ...item }));
+  const transfers = [];
+  creditors.sort((a, b) => b.balance - a.balance);
+  debtors.sort((a, b) => a.balance - b.balance);
+  while (creditors.length && debtors.length) {
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const amount = Math.min(creditor.balance, -debtor.balance);
+    transfers.push({ from: debtor.owner, to: creditor.owner, amount: roundAmount(amount) });
+    creditor.balance -= amount;
+    debtor.balance += amount;
+    if (creditor.balance <= TOLERANCE) creditors.shift();
+    if (debtor.balance >= -TOLERANCE) debtors.shift();
+  }
+  return transfers;
+};
+
+const settleUpLedger = (transactions, settlements, owners) => {
+  const entries = [
+    ...transactions
+      .filter((tx) => tx.sharing)
+      .map((tx) => ({
+        kind: 'expense',
+        id: tx.id,
+        occurredOn: String(tx.occurredOn || '').slice(0, 10),
+        title: tx.title,
+        amount: Number(tx.amount) || 0,
+        paidBy: tx.sharing.paidBy,
+        shares: tx.sharing.shares
+      })),
+    ...settlements.map((settlement) => ({ kind: 'settlement', ...settlement }))
+  ].sort((a, b) => a.occurredOn.localeCompare(b.occurredOn) || a.kind.localeCompare(b.kind) || a.id - b.id);
+
+  const names = Array.from(
+    new Set([
+      ...owners,
+      ...entries.flatMap((entry) =>
+        entry.kind === 'expense' ? [entry.paidBy, ...entry.shares.map((share) => share.owner)] : [entry.from, entry.to]
+      )
+    ])
+  );
+  const totals = new Map(names.map((owner) => [owner, { paidForOthers: 0, paidByOthers: 0, settled: 0 }]));
+  const balance = (owner) => {
+    const item = totals.get(owner);
+    return item.paidForOthers - item.paidByOthers + item.settled;
+  };
+
+  const ledger = entries.map((entry) => {
+    if (entry.kind === 'expense') {
+      entry.shares
+        .filter((share) => share.owner !== entry.paidBy)
+        .forEach((share) => {
+          totals.get(entry.paidBy).paidForOthers += share.amount;
+          totals.get(share.owner).paidByOthers += share.amount;
+        });
+    } else {
+      totals.get(entry.from).settled += entry.amount;
+      totals.get(entry.to).settled -= entry.amount;
+    }
+    return {
+      ...entry,
+      balances: Object.fromEntries(names.map((owner) => [owner, roundAmount(balance(owner))]))
+    };
+  });
+
+  const balances = names.map((owner) => {
+    const item = totals.get(owner);
+    return {
+      owner,
+      paidForOthers: roundAmount(item.paidForOthers),
+      paidByOthers: roundAmount(item.paidByOthers),
+      settled: roundAmount(item.settled),
+      balance: roundAmount(balance(owner))
+    };
+  });
+
+  return {
+    owners: names,
+    balances,
+    suggestions: suggestTransfers(balances),
+    entries: ledger.reverse()
+  };
+};
+
+module.exports = {
+  normalizeSettlement,
+  normalizeSharing,
+  renameSharingOwner,
+  settleUpLedger,
+  validateSettlement,
+  validateSharing
+};
@@ -0,0 +1,140 @@
+// Lånesider: hovedstol, nominell rente, løpetid, termingebyr og annuitet eller serielån, med
+// rentendringer fra en gitt dato. Nedbetalingsplanen regnes måned for måned fra utbetalingen.
+// Betalingene er transaksjoner på siden; måneder uten transaksjoner regnes som betalt etter planen
+// når de er passert. Ekstra innbetalinger går til avdrag, så lånet blir nedbetalt tidligere.
+
+const { addMonths, monthOf, toDateString } = require('./recurring');
+const { pageAmount } = require('./splits');
+
+const REPAYMENT_TYPES = {
+  annuity: 'Annuitetslån',
+  serial: 'Serielån'
+};
+
+const MAX_TERM_MONTHS = 600;
+const MAX_RATE = 30;
+const TOLERANCE = 0.005;
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toNumber = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+
+const toDate = (value) => (typeof value === 'string' ? value.slice(0, 10) : '');
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const normalizeLoan = (raw = {}) => ({
+  principal: roundAmount(raw.principal),
+  nominalRate: toNumber(raw.nominalRate),
+  termMonths: Math.round(toNumber(raw.termMonths)),
+  monthlyFee: roundAmount(raw.monthlyFee),
+  repaymentType: REPAYMENT_TYPES[raw.repaymentType] ? raw.repaymentType : 'annuity',
+  startDate: toDate(raw.startDate),
+  rateChanges: (Array.isArray(raw.rateChanges) ? raw.rateChanges : [])
+    .map((change) => ({ from: toDate(change?.from), rate: toNumber(change?.rate) }))
+    .filter((change) => change.from)
+    .sort((a, b) => a.from.localeCompare(b.from))
+});
+
+const validateRate = (rate) => rate >= 0 && rate <= MAX_RATE;
+
+const validateLoan = (loan) => {
+  if (!(loan.principal > 0)) return 'Lånebeløpet må være større enn null.';
+  if (!validateRate(loan.nominalRate)) return `Renten må være mellom 0 og ${MAX_RATE} %.`;
+  if (!(loan.termMonths >= 1 && loan.termMonths <= MAX_TERM_MONTHS)) {
+    return `Løpetiden må være mellom 1 og ${MAX_TERM_MONTHS} måneder.`;
+  }
+  if (loan.monthlyFee < 0) return 'Termingebyret kan ikke være negativt.';
+  if (!isDate(loan.startDate)) return 'Startdato må være på formatet ÅÅÅÅ-MM-DD.';
+  if (loan.rateChanges.some((change) => !isDate(change.from))) return 'Rentendringer må ha en gyldig dato.';
+  if (loan.rateChanges.some((change) => !validateRate(change.rate))) {
+    return `Renten må være mellom 0 og ${MAX_RATE} %.`;
+  }
+  return null;
+};
+
+const rateFor = (loan, month) =>
+  loan.rateChanges.reduce((rate, change) => (monthOf(change.from) <= month ? change.rate : rate), loan.nominalRate);
+
+const annuityPayment = (balance, monthlyRate, periods) =>
+  monthlyRate ? (balance * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -periods)) : balance / periods;
+
+// Betalt per måned ut fra transaksjonene på siden (utgifter er innbetalinger på lånet).
+const paymentsByMonth = (transactions, pageId) =>
+  transactions.reduce((map, tx) => {
+    const amount = -pageAmount(tx, pageId);
+    if (!amount) return map;
+    const month = monthOf(tx.occurredOn);
+    map.set(month, (map.get(month) || 0) + amount);
+    return map;
+  }, new Map());
+
+// Annuiteten regnes på nytt over gjenværende løpetid når renten endres. Terminer frem i tid og
+// terminer uten registrert betaling følger planen.
+const loanSchedule = (loan, { transactions = [], pageId = null, today = new Date() } = {}) => {
+  const currentMonth = toDateString(today).slice(0, 7);
+  const paid = paymentsByMonth(transactions, pageId);
+  const startMonth = monthOf(loan.startDate);
+  const installment = loan.principal / loan.termMonths;
+  const rows = [];
+  let balance = loan.principal;
+  let rate = null;
+  let payment = 0;
+
+  for (let period = 1; balance > TOLERANCE && period <= MAX_TERM_MONTHS * 2; period += 1) {
+    const month = addMonths(startMonth, period);
+    const periodRate = rateFor(loan, month);
+    if (periodRate !== rate) {
+      rate = periodRate;
+      const remaining = Math.max(1, loan.termMonths - period + 1);
+      payment = annuityPayment(balance, rate / 1200, remaining);
+    }
+    const interest = (balance * rate) / 1200;
+    const plannedPrincipal = Math.min(balance, loan.repaymentType === 'serial' ? installment : payment - interest);
+    const planned = plannedPrincipal + interest + loan.monthlyFee;
+    const actual = month <= currentMonth ? paid.get(month) : undefined;
+    const principal =
+      actual === undefined ? plannedPrincipal : Math.min(balance, Math.max(0, actual - interest - loan.monthlyFee));
+    let status = 'planned';
+    if (actual !== undefined) status = actual + TOLERANCE >= planned ? 'paid' : 'partial';
+    else if (month < currentMonth) status = 'assumed';
+    balance -= principal;
+    rows.push({
+      period,
+      month,
+      rate,
+      payment: roundAmount(planned),
+      interest: roundAmount(interest),
+      principal: roundAmount(principal),
+      fee: loan.monthlyFee,
+      paid: actual === undefined ? null : roundAmount(actual),
+      status,
+      balance: roundAmount(Math.max(0, balance))
+    });
+  }
+
+  // Inneværende måned regnes som betalt først når betalingen er registrert.
+  const passed = rows.filter((row) => row.status !== 'planned');
+  const thisYear = currentMonth.slice(0, 4);
+  const nextPayment = rows.find((row) => row.month > currentMonth || (row.month === currentMonth && !row.paid));
+  return {
+    summary: {
+      remainingBalance: passed.length ? passed[passed.length - 1].balance : loan.principal,
+      interestPaidThisYear: roundAmount(
+        passed.filter((row) => row.month.startsWith(thisYear)).reduce((sum, row) => sum + row.interest, 0)
+      ),
+      totalInterest: roundAmount(rows.reduce((sum, row) => sum + row.interest, 0)),
+      currentRate: rateFor(loan, currentMonth),
+      payoffMonth: rows.length ? rows[rows.length - 1].month : null,
+      nextPayment: nextPayment ? { month: nextPayment.month, amount: nextPayment.payment } : null
+    },
+    rows
+  };
+};
+
+module.exports = {
+  REPAYMENT_TYPES,
+  loanSchedule,
+  normalizeLoan,
+  validateLoan
+};
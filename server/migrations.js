@@ -0,0 +1,188 @@
+// Ordnet liste over skjemaendringer. Hver migrering kjøres én gang på data som har
+// lavere schemaVersion, både ved oppstart og når en eldre sikkerhetskopi importeres.
+// Nye migreringer legges til nederst med neste versjonsnummer.
+
+const pick = (source, keys) => {
+  for (const key of keys) {
+    if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+      return source[key];
+    }
+  }
+  return undefined;
+};
+
+const withoutKeys = (source, keys) => {
+  const copy = { ...source };
+  keys.forEach((key) => delete copy[key]);
+  return copy;
+};
+
+const LEGACY_FIXED_EXPENSE_FIELDS = {
+  amountPerMonth: ['amountPerMonth', 'beløp_per_mnd', 'amount_per_mnd', 'amount'],
+  name: ['name', 'navn'],
+  category: ['category', 'kategori'],
+  owners: ['owners', 'eier', 'eiere'],
+  level: ['level', 'nivå'],
+  startDate: ['startDate', 'startdato'],
+  bindingEndDate: ['bindingEndDate', 'binding_utløper', 'sluttdato'],
+  noticePeriodMonths: ['noticePeriodMonths', 'oppsigelsestid_mnd'],
+  note: ['note', 'notat']
+};
+
+const migrateLegacyFixedExpense = (raw) => {
+  if (!raw || typeof raw !== 'object') return raw;
+  const legacyKeys = new Set(Object.values(LEGACY_FIXED_EXPENSE_FIELDS).flat());
+  const expense = {};
+  Object.entries(raw).forEach(([key, value]) => {
+    if (!legacyKeys.has(key)) expense[key] = value;
+  });
+  Object.entries(LEGACY_FIXED_EXPENSE_FIELDS).forEach(([field, keys]) => {
+    const value = pick(raw, keys);
+    if (value !== undefined) expense[field] = value;
+  });
+  if (Array.isArray(raw.priceHistory)) {
+    expense.priceHistory = raw.priceHistory.map((entry) => ({
+      amount: entry?.amount ?? entry?.price ?? entry?.beløp ?? entry?.value,
+      changedAt: entry?.changedAt || entry?.date || entry?.timestamp
+    }));
+  }
+  return expense;
+};
+
+const migrations = [
+  {
+    version: 1,
+    name: 'fixed-expenses-legacy-fields',
+    description: 'Gjør om norske og eldre feltnavn på faste utgifter og prishistorikk.',
+    up: (data) => {
+      const source = data.fixedExpenses || data.faste_utgifter || [];
+      const fixedExpenses = (Array.isArray(source) ? source : []).map(migrateLegacyFixedExpense);
+      return { ...withoutKeys(data, ['faste_utgifter']), fixedExpenses };
+    }
+  },
+  {
+    version: 2,
+    name: 'settings-default-owner-list',
+    description: 'Flytter defaultFixedExpensesOwner over til listen defaultFixedExpensesOwners.',
+    up: (data) => {
+      if (!data.settings) return data;
+      const settings = { ...data.settings };
+      const list = Array.isArray(settings.defaultFixedExpensesOwners)
+        ? settings.defaultFixedExpensesOwners.filter((owner) => typeof owner === 'string' && owner.trim())
+        : [];
+      const legacy =
+        typeof settings.defaultFixedExpensesOwner === 'string' ? settings.defaultFixedExpensesOwner.trim() : '';
+      settings.defaultFixedExpensesOwners = list.length ? list : [legacy].filter(Boolean);
+      settings.defaultFixedExpensesOwner = settings.defaultFixedExpensesOwners[0] || '';
+      return { ...data, settings };
+    }
+  },
+  {
+    version: 3,
+    name: 'settings-owner-profiles',
+    description: 'Retter opp feltnavn på personer og bankkontoer fra eldre eksporter.',
+    up: (data) => {
+      if (!data.settings) return data;
+      const settings = { ...data.settings };
+      if (!settings.ownerProfiles && settings.ownerprofiles) {
+        settings.ownerProfiles = settings.ownerprofiles;
+      }
+      if (!settings.bankAccounts && settings.bankaccounts) {
+        settings.bankAccounts = settings.bankaccounts;
+      }
+      if (Array.isArray(settings.ownerProfiles)) {
+        settings.ownerProfiles = settings.ownerProfiles.map((profile) => {
+          if (!profile || typeof profile !== 'object') return profile;
+          const { sharedContributionPerMonth, ...rest } = profile;
+          return {
+            ...rest,
+            sharedContribution: profile.sharedContribution ?? sharedContributionPerMonth
+          };
+        });
+      }
+      return { ...data, settings: withoutKeys(settings, ['ownerprofiles', 'bankaccounts']) };
+    }
+  },
+  {
+    version: 4,
+    name: 'transactions-camel-case',
+    description: 'Gjør om category_id, page_id og occurred_on på transaksjoner.',
+    up: (data) => {
+      if (!Array.isArray(data.transactions)) return data;
+      const transactions = data.transactions.map((tx) => {
+        if (!tx || typeof tx !== 'object') return tx;
+        const next = withoutKeys(tx, ['category_id', 'page_id', 'occurred_on']);
+        next.categoryId = tx.categoryId ?? tx.category_id ?? null;
+        next.pageId = tx.pageId ?? tx.page_id ?? null;
+        next.occurredOn = tx.occurredOn || tx.occurred_on;
+        return next;
+      });
+      return { ...data, transactions };
+    }
+  },
+  {
+    version: 5,
+    name: 'fixed-expenses-billing-interval',
+    description: 'Gir faste utgifter betalingsintervall og trukket beløp; eksisterende utgifter blir månedlige.',
+    up: (data) => {
+      if (!Array.isArray(data.fixedExpenses)) return data;
+      const fixedExpenses = data.fixedExpenses.map((expense) => {
+        if (!expense || typeof expense !== 'object' || expense.billingInterval) return expense;
+        return {
+          ...expense,
+          billingInterval: 'monthly',
+          intervalMonths: 1,
+          chargedAmount: Number(expense.amountPerMonth) || 0
+        };
+      });
+      return { ...data, fixedExpenses };
+    }
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+class SchemaVersionError extends Error {
+  constructor(version) {
+    super(
+      `Dataene har skjemaversjon ${version}, men serveren støtter bare opp til ${CURRENT_SCHEMA_VERSION}. ` +
+        'Oppdater appen før du importerer.'
+    );
+    this.name = 'SchemaVersionError';
+    this.version = version;
+  }
+}
+
+const readSchemaVersion = (data) => {
+  const version = Number(data?.schemaVersion);
+  return Number.isInteger(version) && version >= 0 ? version : 0;
+};
+
+const pendingMigrations = (data) => {
+  const version = readSchemaVersion(data);
+  return migrations.filter((migration) => migration.version > version);
+};
+
+const runMigrations = (input = {}) => {
+  const fromVersion = readSchemaVersion(input);
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new SchemaVersionError(fromVersion);
+  }
+  let data = { ...input };
+  const applied = [];
+  pendingMigrations(input).forEach((migration) => {
+    data = migration.up(data);
+    data.schemaVersion = migration.version;
+    applied.push({ version: migration.version, name: migration.name, description: migration.description });
+  });
+  data.schemaVersion = Math.max(fromVersion, data.schemaVersion || 0);
+  return { data, applied, fromVersion, toVersion: data.schemaVersion };
+};
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  SchemaVersionError,
+  migrations,
+  pendingMigrations,
+  runMigrations
+};
@@ -0,0 +1,76 @@
+// Formue på tvers av sidene. Hver side er en eiendel, gjeld eller holdes utenfor. Verdien kommer fra
+// sidetypen: restgjelden for lån, siste kursverdi for investeringer og saldoen for egne sider.
+// Én oversikt lagres per måned; den overskrives gjennom måneden, så den siste gjelder når måneden er over.
+
+const { isMonth, toDateString } = require('./recurring');
+
+const NET_WORTH_CLASSES = {
+  asset: 'Eiendel',
+  liability: 'Gjeld',
+  none: 'Telles ikke med'
+};
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Lån er gjeld og investeringer eiendeler. Egne sider kan være hva som helst, så de telles ikke
+// med før de er klassifisert.
+const defaultNetWorthClass = (type) => {
+  if (type === 'loan') return 'liability';
+  if (type === 'investment') return 'asset';
+  return 'none';
+};
+
+// Det siden er verdt med fortegn: positivt for det vi eier, negativt for det vi skylder.
+const pageWorth = (page, { balance = 0, loanSummary = null, investmentSummary = null } = {}) => {
+  if (page.type === 'loan' && loanSummary) return -loanSummary.remainingBalance;
+  if (page.type === 'investment' && investmentSummary) return investmentSummary.value;
+  return balance;
+};
+
+// Gjeld vises som et positivt beløp. En egen side med negativ saldo blir da gjeld, og en gjeldsside
+// med positiv saldo trekker fra gjelden.
+const netWorthSnapshot = (entries, today = new Date()) => {
+  const pages = entries
+    .filter(({ page }) => page.netWorthClass !== 'none')
+    .map(({ page, worth }) => ({
+      pageId: page.id,
+      name: page.name,
+      type: page.type,
+      netWorthClass: page.netWorthClass,
+      amount: roundAmount(page.netWorthClass === 'liability' ? -worth : worth)
+    }));
+  const sum = (netWorthClass) =>
+    roundAmount(
+      pages.filter((item) => item.netWorthClass === netWorthClass).reduce((total, item) => total + item.amount, 0)
+    );
+  const assets = sum('asset');
+  const liabilities = sum('liability');
+  return {
+    month: toDateString(today).slice(0, 7),
+    assets,
+    liabilities,
+    netWorth: roundAmount(assets - liabilities),
+    pages,
+    recordedAt: new Date().toISOString()
+  };
+};
+
+const normalizeNetWorthSnapshot = (raw = {}) => ({
+  month: typeof raw.month === 'string' ? raw.month.slice(0, 7) : '',
+  assets: roundAmount(raw.assets),
+  liabilities: roundAmount(raw.liabilities),
+  netWorth: roundAmount(raw.netWorth ?? roundAmount(raw.assets) - roundAmount(raw.liabilities)),
+  pages: Array.isArray(raw.pages) ? raw.pages : [],
+  recordedAt: raw.recordedAt || null
+});
+
+const isValidSnapshot = (snapshot) => isMonth(snapshot.month);
+
+module.exports = {
+  NET_WORTH_CLASSES,
+  defaultNetWorthClass,
+  isValidSnapshot,
+  netWorthSnapshot,
+  normalizeNetWorthSnapshot,
+  pageWorth
+};
@@ -0,0 +1,168 @@
+// Kanalene påminnelser sendes gjennom: e-post over SMTP, en vanlig webhook og Web Push til
+// appen installert som PWA. Passord, webhook-hemmelighet og den private VAPID-nøkkelen
+// sendes aldri tilbake til klienten.
+
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const webpush = require('web-push');
+
+const PUSH_TTL_SECONDS = 60 * 60 * 24;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+  email: { enabled: false, host: '', port: 587, secure: false, user: '', pass: '', from: '', to: '' },
+  webhook: { enabled: false, url: '', secret: '' },
+  push: { enabled: false, subject: '', publicKey: '', privateKey: '' }
+};
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Tomme felter for passord og hemmelighet betyr «behold det lagrede».
+const keepSecret = (value, current) => (value === undefined || value === '' ? current || '' : toText(value));
+
+const normalizeNotificationSettings = (payload = {}, current = DEFAULT_NOTIFICATION_SETTINGS) => {
+  const email = { ...DEFAULT_NOTIFICATION_SETTINGS.email, ...current.email, ...(payload.email || {}) };
+  const webhook = { ...DEFAULT_NOTIFICATION_SETTINGS.webhook, ...current.webhook, ...(payload.webhook || {}) };
+  const push = { ...DEFAULT_NOTIFICATION_SETTINGS.push, ...current.push, ...(payload.push || {}) };
+  const port = Number(email.port);
+  return {
+    email: {
+      enabled: Boolean(email.enabled),
+      host: toText(email.host),
+      port: Number.isInteger(port) && port > 0 ? port : DEFAULT_NOTIFICATION_SETTINGS.email.port,
+      secure: Boolean(email.secure),
+      user: toText(email.user),
+      pass: keepSecret(payload.email?.pass, current.email?.pass),
+      from: toText(email.from),
+      to: toText(email.to)
+    },
+    webhook: {
+      enabled: Boolean(webhook.enabled),
+      url: toText(webhook.url),
+      secret: payload.webhook?.clearSecret ? '' : keepSecret(payload.webhook?.secret, current.webhook?.secret)
+    },
+    push: {
+      enabled: Boolean(push.enabled),
+      subject: toText(push.subject),
+      // Nøklene lages av serveren og kan ikke endres fra klienten.
+      publicKey: current.push?.publicKey || '',
+      privateKey: current.push?.privateKey || ''
+    }
+  };
+};
+
+const validateNotificationSettings = ({ email, webhook }) => {
+  if (email.enabled && (!email.host || !email.from || !email.to)) {
+    return 'E-post krever SMTP-server, avsender og mottaker.';
+  }
+  if (webhook.enabled) {
+    try {
+      const url = new URL(webhook.url);
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error('protocol');
+    } catch (error) {
+      return 'Webhook-adressen må være en gyldig http- eller https-adresse.';
+    }
+  }
+  return null;
+};
+
+const publicNotificationSettings = ({ email, webhook, push }) => ({
+  email: { ...email, pass: '', hasPassword: Boolean(email.pass) },
+  webhook: { ...webhook, secret: '', hasSecret: Boolean(webhook.secret) },
+  push: { enabled: push.enabled, subject: push.subject, publicKey: push.publicKey }
+});
+
+const withVapidKeys = (push) => {
+  if (push.publicKey && push.privateKey) return push;
+  const { publicKey, privateKey } = webpush.generateVAPIDKeys();
+  return { ...push, publicKey, privateKey };
+};
+
+const sendEmail = async (email, message) => {
+  const transport = nodemailer.createTransport({
+    host: email.host,
+    port: email.port,
+    secure: email.secure,
+    auth: email.user ? { user: email.user, pass: email.pass } : undefined
+  });
+  const link = message.url && message.baseUrl ? `\n\n${new URL(message.url, message.baseUrl)}` : '';
+  await transport.sendMail({
+    from: email.from,
+    to: email.to,
+    subject: message.title,
+    text: `${message.body}${link}`
+  });
+};
+
+// Med hemmelighet signeres kroppen med HMAC-SHA256 i X-Budsjett-Signature.
+const sendWebhook = async (webhook, message) => {
+  const body = JSON.stringify({
+    key: message.key,
+    title: message.title,
+    body: message.body,
+    url: message.url,
+    sentAt: new Date().toISOString()
+  });
+  const headers = { 'Content-Type': 'application/json' };
+  if (webhook.secret) {
+    headers['X-Budsjett-Signature'] = `sha256=${crypto
+      .createHmac('sha256', webhook.secret)
+      .update(body)
+      .digest('hex')}`;
+  }
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Webhooken svarte ${response.status}.`);
+  }
+};
+
+// Returnerer også abonnementene nettleseren har sagt opp (404/410), så de kan slettes.
+const sendPush = async (push, subscriptions, message) => {
+  const payload = JSON.stringify({ title: message.title, body: message.body, url: message.url });
+  const options = {
+    TTL: PUSH_TTL_SECONDS,
+    vapidDetails: {
+      subject: push.subject || 'mailto:budsjett@localhost',
+      publicKey: push.publicKey,
+      privateKey: push.privateKey
+    }
+  };
+  const results = await Promise.allSettled(
+    subscriptions.map((subscription) => webpush.sendNotification(subscription, payload, options))
+  );
+  const failures = results.filter((result) => result.status === 'rejected').map((result) => result.reason);
+  return {
+    delivered: results.length - failures.length,
+    expired: subscriptions
+      .filter((subscription, index) => [404, 410].includes(results[index].reason?.statusCode))
+      .map((subscription) => subscription.endpoint),
+    error: failures.length ? failures[0].body || failures[0].message || 'Push feilet.' : ''
+  };
+};
+
+const CHANNEL_LABELS = { email: 'E-post', webhook: 'Webhook', push: 'Push' };
+
+const isChannelReady = (settings, channel) => {
+  const config = settings[channel];
+  if (!config?.enabled) return false;
+  if (channel === 'push') return Boolean(config.publicKey && config.privateKey);
+  return true;
+};
+
+module.exports = {
+  CHANNEL_LABELS,
+  DEFAULT_NOTIFICATION_SETTINGS,
+  isChannelReady,
+  normalizeNotificationSettings,
+  publicNotificationSettings,
+  sendEmail,
+  sendPush,
+  sendWebhook,
+  validateNotificationSettings,
+  withVapidKeys
+};
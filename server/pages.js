@@ -0,0 +1,43 @@
+// Sider og sidetyper. En egen side er bare en samling transaksjoner med saldo; de andre typene har
+// egne felt ved siden av metadata, som lånevilkårene på en låneside eller beholdningene på en
+// investeringsside.
+
+const { normalizeInvestment, validateInvestment } = require('./investments');
+const { normalizeLoan, validateLoan } = require('./loans');
+const { NET_WORTH_CLASSES, defaultNetWorthClass } = require('./networth');
+
+const PAGE_TYPES = {
+  custom: 'Egen side',
+  loan: 'Lån',
+  investment: 'Investering'
+};
+
+// Eldre sider hadde typen i metadata (alltid «custom»), så den brukes når typen mangler.
+const normalizePage = (raw = {}, fallbackId = null) => {
+  const requested = raw.type ?? raw.metadata?.type;
+  const type = PAGE_TYPES[requested] ? requested : 'custom';
+  return {
+    id: raw.id ?? fallbackId,
+    name: typeof raw.name === 'string' ? raw.name.trim() : '',
+    description: raw.description || '',
+    color: raw.color || '#059669',
+    type,
+    loan: type === 'loan' ? normalizeLoan(raw.loan) : null,
+    investment: type === 'investment' ? normalizeInvestment(raw.investment) : null,
+    netWorthClass: NET_WORTH_CLASSES[raw.netWorthClass] ? raw.netWorthClass : defaultNetWorthClass(type),
+    metadata: raw.metadata && typeof raw.metadata === 'object' ? raw.metadata : {}
+  };
+};
+
+const validatePage = (page) => {
+  if (!page.name) return 'Navn er påkrevd.';
+  if (page.type === 'loan') return validateLoan(page.loan);
+  if (page.type === 'investment') return validateInvestment(page.investment);
+  return null;
+};
+
+module.exports = {
+  PAGE_TYPES,
+  normalizePage,
+  validatePage
+};
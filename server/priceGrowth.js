@@ -0,0 +1,113 @@
+// Prisutvikling for faste utgifter ut fra priceHistory. Årlig vekst regnes som gjennomsnittlig
+// årlig endring (CAGR) fra første registrerte pris til i dag, og sammenlignes med en
+// KPI-sats i prosent. Merkostnaden er hva dere har betalt utover første pris i hver periode.
+
+const { toDateString } = require('./recurring');
+const { daysBetween } = require('./cancellation');
+
+const DAYS_PER_YEAR = 365.25;
+const DAYS_PER_MONTH = DAYS_PER_YEAR / 12;
+// Kortere historikk gir meningsløse årstall (10 kr mer etter en uke blir flere hundre prosent i året).
+const MIN_DAYS_FOR_GROWTH = 90;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+const roundRate = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+
+const sortedHistory = (expense) =>
+  (expense.priceHistory || [])
+    .map((entry) => ({ amount: Number(entry.amount) || 0, changedOn: String(entry.changedAt || '').slice(0, 10) }))
+    .filter((entry) => /^\d{4}-\d{2}-\d{2}$/.test(entry.changedOn))
+    .sort((a, b) => a.changedOn.localeCompare(b.changedOn));
+
+// Utgifter uten målbar vekst havner nederst.
+const byGrowth = (a, b) => {
+  if (a.annualGrowth === b.annualGrowth) return 0;
+  if (a.annualGrowth === null) return 1;
+  if (b.annualGrowth === null) return -1;
+  return b.annualGrowth - a.annualGrowth;
+};
+
+const annualizedGrowth = (from, to, days) => {
+  if (!(from > 0) || to < 0 || days < MIN_DAYS_FOR_GROWTH) return null;
+  return (to / from) ** (DAYS_PER_YEAR / days) - 1;
+};
+
+const expensePriceGrowth = (expense, inflationRate, today = new Date()) => {
+  const inflation = inflationRate / 100;
+  const todayString = toDateString(today);
+  const history = sortedHistory(expense).filter((entry) => entry.changedOn <= todayString);
+  const first = history[0] || { amount: Number(expense.amountPerMonth) || 0, changedOn: todayString };
+  const current = history.length ? history[history.length - 1].amount : first.amount;
+  const days = daysBetween(first.changedOn, todayString);
+  const growth = annualizedGrowth(first.amount, current, days);
+  const extraCost = history.reduce((sum, entry, index) => {
+    const until = history[index + 1]?.changedOn || todayString;
+    return sum + (entry.amount - first.amount) * (daysBetween(entry.changedOn, until) / DAYS_PER_MONTH);
+  }, 0);
+  const inflationAmount = first.amount * (1 + inflation) ** (days / DAYS_PER_YEAR);
+  return {
+    id: expense.id,
+    name: expense.name,
+    category: expense.category,
+    firstAmount: first.amount,
+    firstRecordedOn: first.changedOn,
+    currentAmount: current,
+    changes: Math.max(0, history.length - 1),
+    totalChange: roundAmount(current - first.amount),
+    annualGrowth: roundRate(growth),
+    aboveInflation: growth !== null && growth > inflation,
+    inflationAdjustedAmount: roundAmount(inflationAmount),
+    monthlyAboveInflation: roundAmount(Math.max(0, current - inflationAmount)),
+    extraCostSinceFirst: roundAmount(extraCost)
+  };
+};
+
+// Kategoriveksten er snittet av utgiftenes vekst vektet med første pris.
+const categoryPriceGrowth = (items, inflationRate) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = item.category || 'Uten kategori';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return Array.from(groups.entries())
+    .map(([category, group]) => {
+      const measured = group.filter((item) => item.annualGrowth !== null);
+      const weight = measured.reduce((sum, item) => sum + item.firstAmount, 0);
+      const growth = weight
+        ? measured.reduce((sum, item) => sum + item.annualGrowth * item.firstAmount, 0) / weight
+        : null;
+      return {
+        category,
+        expenses: group.length,
+        firstAmount: roundAmount(group.reduce((sum, item) => sum + item.firstAmount, 0)),
+        currentAmount: roundAmount(group.reduce((sum, item) => sum + item.currentAmount, 0)),
+        annualGrowth: roundRate(growth),
+        aboveInflation: growth !== null && growth > inflationRate / 100,
+        extraCostSinceFirst: roundAmount(group.reduce((sum, item) => sum + item.extraCostSinceFirst, 0))
+      };
+    })
+    .sort(byGrowth);
+};
+
+const priceGrowthReport = (expenses, { inflationRate = 0, today = new Date() } = {}) => {
+  const items = expenses
+    .map((expense) => expensePriceGrowth(expense, inflationRate, today))
+    .sort(byGrowth);
+  return {
+    inflationRate,
+    expenses: items,
+    categories: categoryPriceGrowth(items, inflationRate),
+    totals: {
+      aboveInflation: items.filter((item) => item.aboveInflation).length,
+      monthlyIncrease: roundAmount(items.reduce((sum, item) => sum + item.totalChange, 0)),
+      monthlyAboveInflation: roundAmount(items.reduce((sum, item) => sum + item.monthlyAboveInflation, 0)),
+      extraCostSinceFirst: roundAmount(items.reduce((sum, item) => sum + item.extraCostSinceFirst, 0))
+    }
+  };
+};
+
+module.exports = {
+  expensePriceGrowth,
+  priceGrowthReport
+};
@@ -0,0 +1,142 @@
+// Bokføring av faste utgifter som transaksjoner. Hver utgift med forfallsdag får én transaksjon
+// i hver måned den trekkes, fra startmåneden, og hver måned kan hoppes over eller få et eget beløp.
+// Kvartalsvise og årlige trekk følger måneden i startdatoen; ukentlige trekk samles per måned.
+// Posteringene lagres på utgiften som { 'YYYY-MM': { transactionId } | { skipped } | { amount } }.
+
+const MONTH_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+const MONTHS_AHEAD = 2;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDateString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const monthOf = (value) => String(value || '').slice(0, 7);
+
+const isMonth = (value) => MONTH_REGEX.test(String(value || ''));
+
+const addMonths = (month, count) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const date = new Date(year, monthIndex - 1 + count, 1);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+};
+
+// Forfallsdag 31 blir siste dag i korte måneder.
+const dueDateFor = (month, dueDay) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const lastDay = new Date(year, monthIndex, 0).getDate();
+  return `${month}-${pad(Math.min(dueDay, lastDay))}`;
+};
+
+const normalizeDueDay = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const day = Number(value);
+  return Number.isInteger(day) && day >= 1 && day <= 31 ? day : null;
+};
+
+const normalizePostings = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+  return Object.entries(raw).reduce((postings, [month, entry]) => {
+    if (!isMonth(month) || !entry || typeof entry !== 'object') return postings;
+    if (Number.isFinite(Number(entry.transactionId)) && entry.transactionId !== null) {
+      postings[month] = { transactionId: Number(entry.transactionId) };
+    } else if (entry.skipped) {
+      postings[month] = { skipped: true };
+    } else if (Number.isFinite(Number(entry.amount)) && entry.amount !== null && entry.amount !== '') {
+      postings[month] = { amount: Number(entry.amount) };
+    }
+    return postings;
+  }, {});
+};
+
+const monthsBetween = (from, to) => {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Antall ukentlige trekk i måneden, regnet fra ukedagen i startdatoen (eller den 1. i måneden).
+const weeklyChargesIn = (month, anchorDate) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+  const anchor = anchorDate ? new Date(`${anchorDate}T00:00:00Z`) : new Date(Date.UTC(year, monthIndex - 1, 1));
+  let count = 0;
+  for (let day = 1; day <= lastDay; day += 1) {
+    const diff = Math.round((Date.UTC(year, monthIndex - 1, day) - anchor.getTime()) / DAY_MS);
+    if (diff >= 0 && diff % 7 === 0) count += 1;
+  }
+  return count;
+};
+
+// Beløpet som trekkes i en måned, eller 0 når utgiften ikke trekkes den måneden.
+const chargeForMonth = (expense, month) => {
+  const charged = Number(expense.chargedAmount ?? expense.amountPerMonth) || 0;
+  const interval = expense.billingInterval || 'monthly';
+  if (interval === 'weekly') {
+    const anchorDate = /^\d{4}-\d{2}-\d{2}/.test(expense.startDate || '') ? expense.startDate.slice(0, 10) : null;
+    return charged * weeklyChargesIn(month, anchorDate);
+  }
+  const every = expense.intervalMonths || 1;
+  if (every === 1) return charged;
+  const anchor = isMonth(monthOf(expense.startDate)) ? monthOf(expense.startDate) : expense.postingStartMonth;
+  if (!isMonth(anchor)) return charged;
+  const diff = monthsBetween(anchor, month);
+  return ((diff % every) + every) % every === 0 ? charged : 0;
+};
+
+const firstPostingMonth = (expense) => {
+  const startMonth = monthOf(expense.startDate);
+  const postingStart = expense.postingStartMonth || '';
+  return [startMonth, postingStart].filter(isMonth).sort().pop() || null;
+};
+
+// Alle måneder fra startmåneden til litt frem i tid, med status for hver av dem.
+const postingSchedule = (expense, today = new Date(), { monthsAhead = MONTHS_AHEAD } = {}) => {
+  if (!expense.dueDay) return [];
+  const first = firstPostingMonth(expense);
+  if (!first) return [];
+  const todayString = toDateString(today);
+  const ahead = monthsAhead ? Math.max(monthsAhead, expense.intervalMonths || 1) : 0;
+  const last = addMonths(monthOf(todayString), ahead);
+  const postings = expense.postings || {};
+  const months = [];
+  for (let month = first; month <= last; month = addMonths(month, 1)) {
+    const entry = postings[month] || {};
+    const charge = chargeForMonth(expense, month);
+    if (!charge && !entry.transactionId) continue;
+    const dueDate = dueDateFor(month, expense.dueDay);
+    let status = dueDate <= todayString ? 'due' : 'planned';
+    if (entry.transactionId) status = 'posted';
+    else if (entry.skipped) status = 'skipped';
+    months.push({
+      month,
+      dueDate,
+      amount: entry.amount ?? charge,
+      status,
+      transactionId: entry.transactionId ?? null
+    });
+  }
+  return months;
+};
+
+const duePostings = (expenses, today = new Date()) =>
+  expenses.flatMap((expense) =>
+    postingSchedule(expense, today, { monthsAhead: 0 })
+      .filter((entry) => entry.status === 'due')
+      .map((entry) => ({ expense, ...entry }))
+  );
+
+module.exports = {
+  addMonths,
+  chargeForMonth,
+  dueDateFor,
+  duePostings,
+  isMonth,
+  monthOf,
+  monthsBetween,
+  normalizeDueDay,
+  normalizePostings,
+  postingSchedule,
+  toDateString
+};
@@ -0,0 +1,204 @@
+// Påminnelser som serveren sender av seg selv. En påminnelse har en type med egne innstillinger
+// og en liste kanaler. evaluateReminders finner meldingene som skal ut akkurat nå; hver melding
+// har en fast nøkkel, slik at samme hendelse bare varsles én gang per kanal.
+
+const { budgetReport } = require('./categoryBudgets');
+const { cancellationInfo, daysBetween } = require('./cancellation');
+const { monthOf, toDateString } = require('./recurring');
+const { transactionLines } = require('./splits');
+
+const REMINDER_TYPES = {
+  'binding-ending': { label: 'Bindingstid utløper', defaultDays: 60 },
+  'price-increased': { label: 'Prisøkning', defaultDays: 7 },
+  'budget-exceeded': { label: 'Forbruk over grense', defaultDays: null },
+  'category-budget': { label: 'Kategoribudsjett', defaultDays: null },
+  'savings-goal-behind': { label: 'Sparemål henger etter', defaultDays: null }
+};
+
+const CHANNELS = ['email', 'webhook', 'push'];
+
+// Sendte nøkler eldre enn dette ryddes bort.
+const SENT_RETENTION_DAYS = 400;
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const formatAmount = (value) =>
+  `${(Number(value) || 0).toLocaleString('no-NO', { maximumFractionDigits: 0 })} kr`;
+
+const normalizeReminder = (raw = {}, fallbackId = null) => {
+  const type = REMINDER_TYPES[raw.type] ? raw.type : 'binding-ending';
+  const days = toNumberOrNull(raw.days);
+  const channels = Array.isArray(raw.channels) ? raw.channels.filter((channel) => CHANNELS.includes(channel)) : [];
+  return {
+    id: raw.id ?? fallbackId,
+    name: toText(raw.name) || REMINDER_TYPES[type].label,
+    type,
+    enabled: raw.enabled !== false,
+    days: REMINDER_TYPES[type].defaultDays === null ? null : days ?? REMINDER_TYPES[type].defaultDays,
+    amount: type === 'budget-exceeded' ? toNumberOrNull(raw.amount) : null,
+    categoryId: type === 'budget-exceeded' ? toNumberOrNull(raw.categoryId) : null,
+    channels: Array.from(new Set(channels)),
+    sent: raw.sent && typeof raw.sent === 'object' && !Array.isArray(raw.sent) ? raw.sent : {}
+  };
+};
+
+const validateReminder = (reminder) => {
+  if (!reminder.channels.length) return 'Velg minst én kanal.';
+  if (reminder.days !== null && (!Number.isInteger(reminder.days) || reminder.days < 0 || reminder.days > 365)) {
+    return 'Antall dager må være et heltall fra 0 til 365.';
+  }
+  if (reminder.type === 'budget-exceeded' && !(reminder.amount > 0)) {
+    return 'Grensen må være et beløp over 0.';
+  }
+  return null;
+};
+
+const bindingEndingMessages = (reminder, { fixedExpenses }, today) => {
+  const todayString = toDateString(today);
+  return fixedExpenses.flatMap((expense) => {
+    const info = cancellationInfo(expense, today);
+    if (!info.bindingEndDate) return [];
+    const daysLeft = daysBetween(todayString, info.bindingEndDate);
+    if (daysLeft < 0 || daysLeft > reminder.days) return [];
+    const notice = info.lastNoticeDate
+      ? info.daysUntilDeadline >= 0
+        ? ` Siste frist for oppsigelse er ${info.lastNoticeDate}.`
+        : ` Fristen for oppsigelse var ${info.lastNoticeDate}.`
+      : '';
+    return [
+      {
+        key: `binding:${expense.id}:${info.bindingEndDate}`,
+        title: `Bindingstiden for ${expense.name} utløper om ${daysLeft} dager`,
+        body: `Bindingen utløper ${info.bindingEndDate}.${notice}`,
+        url: '/oppsigelser',
+        owners: expense.owners || []
+      }
+    ];
+  });
+};
+
+const priceIncreaseMessages = (reminder, { fixedExpenses }, today) => {
+  const todayString = toDateString(today);
+  return fixedExpenses.flatMap((expense) => {
+    const history = (expense.priceHistory || [])
+      .filter((entry) => entry.changedAt)
+      .slice()
+      .sort((a, b) => String(a.changedAt).localeCompare(String(b.changedAt)));
+    return history.slice(1).flatMap((entry, index) => {
+      const previous = Number(history[index].amount) || 0;
+      const amount = Number(entry.amount) || 0;
+      const changedOn = String(entry.changedAt).slice(0, 10);
+      if (amount <= previous || daysBetween(changedOn, todayString) > reminder.days) return [];
+      return [
+        {
+          key: `price:${expense.id}:${entry.changedAt}`,
+          title: `${expense.name} har blitt dyrere`,
+          body: `Prisen gikk opp fra ${formatAmount(previous)} til ${formatAmount(amount)} i måneden (${changedOn}).`,
+          url: '/faste-utgifter',
+          owners: expense.owners || []
+        }
+      ];
+    });
+  });
+};
+
+const budgetExceededMessages = (reminder, { transactions, categories }, today) => {
+  const month = monthOf(toDateString(today));
+  const spent = transactions
+    .filter((tx) => tx.type === 'expense' && monthOf(tx.occurredOn) === month)
+    .flatMap(transactionLines)
+    .filter((line) => !reminder.categoryId || line.categoryId === reminder.categoryId)
+    .reduce((sum, line) => sum + (Number(line.amount) || 0), 0);
+  if (spent <= reminder.amount) return [];
+  const category = categories.find((item) => item.id === reminder.categoryId);
+  const scope = category ? ` i ${category.name}` : '';
+  return [
+    {
+      key: `budget:${month}`,
+      title: `Forbruket${scope} har passert ${formatAmount(reminder.amount)}`,
+      body: `Dere har brukt ${formatAmount(spent)}${scope} så langt i ${month}.`,
+      url: '/transaksjoner',
+      owners: null
+    }
+  ];
+};
+
+// Én melding når en kategori passerer varselgrensen og én når budsjettet er brukt opp, per måned.
+const categoryBudgetMessages = (reminder, { transactions, categories, fixedExpenses }, today) => {
+  const report = budgetReport(categories, { transactions, fixedExpenses, today });
+  return report.categories
+    .filter((row) => row.status !== 'ok')
+    .map((row) => ({
+      key: `category-budget:${row.categoryId}:${report.month}:${row.status}`,
+      title:
+        row.status === 'over'
+          ? `Budsjettet for ${row.name} er brukt opp`
+          : `${row.name} har brukt ${row.percent} % av budsjettet`,
+      body: `Brukt ${formatAmount(row.spent)} av ${formatAmount(row.available)} i ${report.month}.`,
+      url: '/budsjett',
+      owners: null
+    }));
+};
+
+// Sparemålene kommer fra presentSavingsGoal med prognose. Ett varsel per mål og måned så lenge
+// prognosen sier at målet ikke nås innen fristen.
+const savingsGoalBehindMessages = (reminder, { savingsGoals = [] }, today) => {
+  const month = monthOf(toDateString(today));
+  return savingsGoals
+    .filter((goal) => goal.projection?.onTrack === false)
+    .map((goal) => {
+      const { overdue, requiredMonthly } = goal.projection;
+      const saved = `Spart ${formatAmount(goal.savedAmount)} av ${formatAmount(goal.targetAmount)}.`;
+      return {
+        key: `savings-goal:${goal.id}:${month}`,
+        title: overdue ? `Fristen for ${goal.title} er passert` : `${goal.title} henger etter planen`,
+        body: overdue
+          ? `${saved} Fristen var ${goal.dueDate}.`
+          : `${saved} Det trengs ${formatAmount(requiredMonthly)} i måneden for å nå målet innen ${goal.dueDate}.`,
+        url: '/sparemal',
+        owners: goal.owner ? [goal.owner] : null
+      };
+    });
+};
+
+const EVALUATORS = {
+  'binding-ending': bindingEndingMessages,
+  'price-increased': priceIncreaseMessages,
+  'budget-exceeded': budgetExceededMessages,
+  'category-budget': categoryBudgetMessages,
+  'savings-goal-behind': savingsGoalBehindMessages
+};
+
+// Gir én rad per melding og kanal som ikke allerede er sendt.
+const evaluateReminders = (reminders, data, today = new Date()) =>
+  reminders
+    .filter((reminder) => reminder.enabled)
+    .flatMap((reminder) =>
+      EVALUATORS[reminder.type](reminder, data, today).flatMap((message) =>
+        reminder.channels
+          .filter((channel) => !reminder.sent[`${message.key}|${channel}`])
+          .map((channel) => ({ reminderId: reminder.id, channel, message }))
+      )
+    );
+
+const pruneSent = (sent, today = new Date()) => {
+  const todayString = toDateString(today);
+  return Object.fromEntries(
+    Object.entries(sent).filter(([, sentAt]) => daysBetween(String(sentAt).slice(0, 10), todayString) <= SENT_RETENTION_DAYS)
+  );
+};
+
+module.exports = {
+  CHANNELS,
+  REMINDER_TYPES,
+  evaluateReminders,
+  normalizeReminder,
+  pruneSent,
+  validateReminder
+};
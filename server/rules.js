@@ -0,0 +1,167 @@
+// Regler for automatisk kategorisering. En regel har vilkår (tekst, regex, beløp, motpart, type)
+// og handlinger (kategori, side, tagger, notat). Reglene kjøres i prioritert rekkefølge, og den
+// første regelen som setter et felt vinner.
+
+const TRANSACTION_TYPES = ['income', 'expense'];
+const RULE_FIELDS = ['categoryId', 'pageId', 'tags', 'notes'];
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toIdOrNull = (value) => {
+  const id = toNumberOrNull(value);
+  return id && id > 0 ? id : null;
+};
+
+const toTagList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return Array.from(new Set(list.map((tag) => String(tag).trim()).filter(Boolean)));
+};
+
+const normalizeRule = (raw = {}, fallbackId = null) => {
+  const conditions = raw.conditions || {};
+  const actions = raw.actions || {};
+  return {
+    id: raw.id ?? fallbackId,
+    name: toText(raw.name) || 'Regel uten navn',
+    enabled: raw.enabled !== false,
+    priority: toNumberOrNull(raw.priority) ?? 0,
+    conditions: {
+      text: toText(conditions.text),
+      matchMode: conditions.matchMode === 'regex' ? 'regex' : 'contains',
+      counterparty: toText(conditions.counterparty),
+      type: TRANSACTION_TYPES.includes(conditions.type) ? conditions.type : '',
+      minAmount: toNumberOrNull(conditions.minAmount),
+      maxAmount: toNumberOrNull(conditions.maxAmount)
+    },
+    actions: {
+      categoryId: toIdOrNull(actions.categoryId),
+      pageId: toIdOrNull(actions.pageId),
+      tags: toTagList(actions.tags),
+      notes: toText(actions.notes)
+    }
+  };
+};
+
+const validateRule = (rule) => {
+  const { conditions, actions } = rule;
+  const hasCondition =
+    conditions.text ||
+    conditions.counterparty ||
+    conditions.type ||
+    conditions.minAmount !== null ||
+    conditions.maxAmount !== null;
+  if (!hasCondition) return 'Regelen må ha minst ett vilkår.';
+  if (!actions.categoryId && !actions.pageId && !actions.tags.length && !actions.notes) {
+    return 'Regelen må sette kategori, side, tagger eller notat.';
+  }
+  if (conditions.matchMode === 'regex' && conditions.text) {
+    try {
+      new RegExp(conditions.text, 'i');
+    } catch (error) {
+      return `Ugyldig regulært uttrykk: ${error.message}`;
+    }
+  }
+  if (
+    conditions.minAmount !== null &&
+    conditions.maxAmount !== null &&
+    conditions.minAmount > conditions.maxAmount
+  ) {
+    return 'Minstebeløpet kan ikke være høyere enn maksbeløpet.';
+  }
+  return null;
+};
+
+const includesText = (haystack, needle) => String(haystack || '').toLowerCase().includes(needle.toLowerCase());
+
+const matchesRule = (rule, tx) => {
+  const { conditions } = rule;
+  if (conditions.type && tx.type !== conditions.type) return false;
+  const amount = Math.abs(Number(tx.amount) || 0);
+  if (conditions.minAmount !== null && amount < conditions.minAmount) return false;
+  if (conditions.maxAmount !== null && amount > conditions.maxAmount) return false;
+  if (conditions.counterparty) {
+    const counterparty = tx.metadata?.counterparty || tx.title;
+    if (!includesText(counterparty, conditions.counterparty)) return false;
+  }
+  if (conditions.text) {
+    if (conditions.matchMode === 'regex') {
+      const pattern = new RegExp(conditions.text, 'i');
+      if (!pattern.test(tx.title || '') && !pattern.test(tx.notes || '')) return false;
+    } else if (!includesText(tx.title, conditions.text) && !includesText(tx.notes, conditions.text)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+const sortRules = (rules) =>
+  rules
+    .filter((rule) => rule.enabled)
+    .slice()
+    .sort((a, b) => a.priority - b.priority || a.id - b.id);
+
+// Uten overwrite fylles bare felter som er tomme, slik at valg gjort for hånd blir stående.
+const applyRules = (tx, rules, { overwrite = false } = {}) => {
+  const next = { ...tx, tags: [...(tx.tags || [])], metadata: { ...(tx.metadata || {}) } };
+  const assigned = new Set();
+  const matched = [];
+  // En oppdelt transaksjon får kategori og side fra linjene sine, ikke fra regler.
+  const isSplit = Array.isArray(tx.splits) && tx.splits.length > 0;
+  const canSet = (field, isEmpty) => !assigned.has(field) && (overwrite || isEmpty);
+
+  sortRules(rules).forEach((rule) => {
+    if (!matchesRule(rule, tx)) return;
+    const { actions } = rule;
+    let changed = false;
+    if (actions.categoryId && !isSplit && canSet('categoryId', !next.categoryId)) {
+      next.categoryId = actions.categoryId;
+      assigned.add('categoryId');
+      changed = true;
+    }
+    if (actions.pageId && !isSplit && canSet('pageId', !next.pageId)) {
+      next.pageId = actions.pageId;
+      assigned.add('pageId');
+      changed = true;
+    }
+    const newTags = actions.tags.filter((tag) => !next.tags.includes(tag));
+    if (newTags.length) {
+      next.tags = [...next.tags, ...newTags];
+      changed = true;
+    }
+    if (actions.notes && canSet('notes', !next.notes)) {
+      next.notes = actions.notes;
+      assigned.add('notes');
+      changed = true;
+    }
+    if (changed) matched.push(rule.id);
+  });
+
+  if (matched.length) {
+    next.metadata.rules = Array.from(new Set([...(next.metadata.rules || []), ...matched]));
+  }
+  return { transaction: next, matched };
+};
+
+const describeChanges = (before, after) =>
+  RULE_FIELDS.reduce((changes, field) => {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+    return changes;
+  }, {});
+
+module.exports = {
+  applyRules,
+  describeChanges,
+  matchesRule,
+  normalizeRule,
+  validateRule
+};
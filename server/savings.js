@@ -0,0 +1,211 @@
+// Sparemål med innskuddshistorikk. Hvert innskudd (eller uttak, med negativt beløp) lagres som en
+// datert post på målet, og spart beløp er summen av postene. Innskuddene har id-er per mål.
+// Prognosen regner måned for måned med planlagt sparing (eller tempoet så langt) og en valgfri
+// forventet avkastning for mål som står i fond. Et mål kan i stedet følge en side; da er
+// transaksjonene på siden innskuddene, og de manuelle innskuddene ligger urørt til koblingen fjernes.
+
+const { addMonths, monthOf, monthsBetween, toDateString } = require('./recurring');
+const { pageAmount } = require('./splits');
+
+const MAX_PROJECTION_MONTHS = 600;
+const MAX_CHART_MONTHS = 120;
+const MAX_RETURN_RATE = 30;
+const RECENT_PAGE_TRANSACTIONS = 5;
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toDate = (value) => (typeof value === 'string' ? value.slice(0, 10) : '');
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const normalizeContribution = (raw = {}, fallbackId = null) => ({
+  id: Number(raw.id) || fallbackId,
+  amount: roundAmount(raw.amount),
+  occurredOn: toDate(raw.occurredOn),
+  note: toText(raw.note),
+  createdAt: raw.createdAt || new Date().toISOString()
+});
+
+const normalizeSavingsGoal = (raw = {}, fallbackId = null) => ({
+  id: raw.id ?? fallbackId,
+  title: toText(raw.title) || 'Nytt mål',
+  targetAmount: Math.max(0, roundAmount(raw.targetAmount)),
+  monthlyContribution: Math.max(0, roundAmount(raw.monthlyContribution)),
+  dueDate: toDate(raw.dueDate),
+  owner: toText(raw.owner),
+  motivation: toText(raw.motivation),
+  expectedReturnRate: Number(raw.expectedReturnRate) || 0,
+  pageId: Number(raw.pageId) || null,
+  contributions: (Array.isArray(raw.contributions) ? raw.contributions : [])
+    .map((contribution, index) => normalizeContribution(contribution, index + 1))
+    .filter((contribution) => contribution.amount),
+  legacyId: raw.legacyId ? String(raw.legacyId) : null,
+  createdAt: raw.createdAt || null,
+  updatedAt: raw.updatedAt || null
+});
+
+const validateSavingsGoal = (goal, pages = []) => {
+  if (!(goal.targetAmount > 0)) return 'Målbeløpet må være større enn null.';
+  if (goal.pageId && !pages.some((page) => page.id === goal.pageId)) return 'Fant ikke siden målet skal følge.';
+  if (goal.dueDate && !isDate(goal.dueDate)) return 'Frist må være på formatet ÅÅÅÅ-MM-DD.';
+  if (goal.expectedReturnRate < 0 || goal.expectedReturnRate > MAX_RETURN_RATE) {
+    return `Forventet avkastning må være mellom 0 og ${MAX_RETURN_RATE} % i året.`;
+  }
+  return null;
+};
+
+const validateContribution = (contribution) => {
+  if (!contribution.amount) return 'Beløpet kan ikke være null.';
+  if (!isDate(contribution.occurredOn)) return 'Dato må være på formatet ÅÅÅÅ-MM-DD.';
+  return null;
+};
+
+const nextContributionId = (goal) => Math.max(0, ...goal.contributions.map((contribution) => contribution.id)) + 1;
+
+const savedAmount = (goal) => roundAmount(goal.contributions.reduce((sum, item) => sum + item.amount, 0));
+
+const monthlyRate = (annualPercent) => Math.pow(1 + annualPercent / 100, 1 / 12) - 1;
+
+// Tempoet så langt: innskudd etter den første måneden delt på antall måneder siden. Den første
+// måneden regnes som startbeløp, ellers ville et stort startbeløp sett ut som høy månedssparing.
+const observedMonthly = (goal, currentMonth) => {
+  const months = goal.contributions.map((item) => monthOf(item.occurredOn)).sort();
+  if (!months.length) return null;
+  const elapsed = monthsBetween(months[0], currentMonth);
+  if (elapsed < 1) return null;
+  const after = goal.contributions
+    .filter((item) => monthOf(item.occurredOn) > months[0])
+    .reduce((sum, item) => sum + item.amount, 0);
+  return roundAmount(after / elapsed);
+};
+
+// Spart ved utgangen av hver måned fra første innskudd til inneværende måned.
+const actualBalances = (goal, currentMonth) => {
+  const months = goal.contributions.map((item) => monthOf(item.occurredOn)).sort();
+  if (!months.length) return new Map();
+  const balances = new Map();
+  let balance = 0;
+  for (let month = months[0]; month <= currentMonth; month = addMonths(month, 1)) {
+    balance += goal.contributions
+      .filter((item) => monthOf(item.occurredOn) === month)
+      .reduce((sum, item) => sum + item.amount, 0);
+    balances.set(month, roundAmount(balance));
+  }
+  return balances;
+};
+
+const projectSavingsGoal = (goal, today = new Date()) => {
+  const currentMonth = toDateString(today).slice(0, 7);
+  const saved = savedAmount(goal);
+  const rate = monthlyRate(goal.expectedReturnRate);
+  const observed = observedMonthly(goal, currentMonth);
+  const monthlyAmount = goal.monthlyContribution || Math.max(0, observed || 0);
+  const reached = goal.targetAmount > 0 && saved >= goal.targetAmount;
+
+  const projected = [saved];
+  let completionMonth = reached ? currentMonth : null;
+  while (!completionMonth && projected.length <= MAX_PROJECTION_MONTHS && (monthlyAmount > 0 || rate > 0)) {
+    const next = projected[projected.length - 1] * (1 + rate) + monthlyAmount;
+    projected.push(next);
+    if (next >= goal.targetAmount) completionMonth = addMonths(currentMonth, projected.length - 1);
+  }
+
+  const dueMonth = goal.dueDate ? monthOf(goal.dueDate) : null;
+  const monthsLeft = dueMonth ? monthsBetween(currentMonth, dueMonth) : null;
+  let requiredMonthly = null;
+  if (!reached && monthsLeft !== null && monthsLeft > 0) {
+    const growth = Math.pow(1 + rate, monthsLeft);
+    const needed = goal.targetAmount - saved * growth;
+    requiredMonthly = roundAmount(Math.max(0, rate ? (needed * rate) / (growth - 1) : needed / monthsLeft));
+  }
+
+  // Grafen går til målet er nådd eller fristen er passert, men ikke lenger enn ti år frem.
+  const horizon = Math.min(
+    MAX_CHART_MONTHS,
+    Math.max(
+      completionMonth ? monthsBetween(currentMonth, completionMonth) : MAX_CHART_MONTHS,
+      monthsLeft ?? 0,
+      1
+    )
+  );
+  const actual = actualBalances(goal, currentMonth);
+  const firstMonth = actual.size ? actual.keys().next().value : currentMonth;
+  const series = [];
+  for (let month = firstMonth; monthsBetween(currentMonth, month) <= horizon; month = addMonths(month, 1)) {
+    const ahead = monthsBetween(currentMonth, month);
+    let projectedBalance = null;
+    if (ahead >= 0) {
+      projectedBalance = ahead < projected.length ? projected[ahead] : goal.targetAmount;
+    }
+    series.push({
+      month,
+      actual: actual.has(month) ? actual.get(month) : null,
+      projected: projectedBalance === null ? null : roundAmount(projectedBalance)
+    });
+  }
+
+  return {
+    monthlyAmount: roundAmount(monthlyAmount),
+    observedMonthly: observed,
+    reached,
+    completionMonth,
+    monthsLeft,
+    overdue: !reached && monthsLeft !== null && monthsLeft < 0,
+    requiredMonthly,
+    onTrack: dueMonth ? reached || Boolean(completionMonth && completionMonth <= dueMonth) : null,
+    series
+  };
+};
+
+const newestFirst = (contributions) =>
+  [...contributions].sort((a, b) => b.occurredOn.localeCompare(a.occurredOn) || b.id - a.id);
+
+// Transaksjonene på en side som innskudd, med samme fortegn som i sidens saldo.
+const pageContributions = (transactions, pageId) =>
+  transactions
+    .map((tx) => ({
+      id: tx.id,
+      transactionId: tx.id,
+      amount: pageAmount(tx, pageId),
+      occurredOn: toDate(tx.occurredOn),
+      note: tx.title || ''
+    }))
+    .filter((contribution) => contribution.amount);
+
+// Det klienten får: målet med spart beløp, prognose og innskuddene sortert med de nyeste først.
+// For et mål som følger en side følger også de siste transaksjonene på siden med.
+const presentSavingsGoal = (goal, { page = null, pageTransactions = [], today = new Date() } = {}) => {
+  const source = page ? { ...goal, contributions: pageContributions(pageTransactions, page.id) } : goal;
+  return {
+    ...goal,
+    savedAmount: savedAmount(source),
+    projection: projectSavingsGoal(source, today),
+    contributions: newestFirst(goal.contributions),
+    page: page ? { id: page.id, name: page.name, color: page.color } : null,
+    pageTransactions: page ? newestFirst(source.contributions).slice(0, RECENT_PAGE_TRANSACTIONS) : []
+  };
+};
+
+// Mål fra den gamle lagringen i nettleseren hadde bare et spart beløp. Det blir ett innskudd
+// datert i dag, og den gamle id-en tas vare på så samme mål ikke lastes opp to ganger.
+const fromStoredGoal = (raw = {}, today) => {
+  const goal = normalizeSavingsGoal({ ...raw, id: null, contributions: [], legacyId: raw.id });
+  const amount = roundAmount(raw.savedAmount);
+  return {
+    ...goal,
+    contributions: amount ? [normalizeContribution({ amount, occurredOn: today, note: 'Spart før historikk' }, 1)] : []
+  };
+};
+
+module.exports = {
+  fromStoredGoal,
+  nextContributionId,
+  normalizeContribution,
+  normalizeSavingsGoal,
+  presentSavingsGoal,
+  savedAmount,
+  validateContribution,
+  validateSavingsGoal
+};
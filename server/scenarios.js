@@ -0,0 +1,153 @@
+// Lagrede «hva om»-scenarier. Et scenario er en liste endringer oppå dagens tall: faste utgifter
+// som tas bort eller får nytt beløp, tenkte nye utgifter og endret inntekt eller bidrag per
+// person. Scenariet regnes ut med householdBudget og sammenlignes med dagens situasjon.
+
+const { householdBudget } = require('./budget');
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toAmountOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toOwnerList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return Array.from(new Set(list.map((owner) => String(owner).trim()).filter(Boolean)));
+};
+
+const normalizeScenario = (raw = {}, fallbackId = null) => ({
+  id: raw.id ?? fallbackId,
+  name: toText(raw.name) || 'Scenario uten navn',
+  description: toText(raw.description),
+  expenseChanges: (Array.isArray(raw.expenseChanges) ? raw.expenseChanges : [])
+    .map((change) => ({
+      expenseId: Number(change.expenseId),
+      removed: Boolean(change.removed),
+      amountPerMonth: change.removed ? null : toAmountOrNull(change.amountPerMonth)
+    }))
+    .filter((change) => change.expenseId > 0 && (change.removed || change.amountPerMonth !== null)),
+  newExpenses: (Array.isArray(raw.newExpenses) ? raw.newExpenses : [])
+    .map((expense) => ({
+      name: toText(expense.name),
+      category: toText(expense.category) || 'Annet',
+      amountPerMonth: toAmountOrNull(expense.amountPerMonth) ?? 0,
+      owners: toOwnerList(expense.owners)
+    }))
+    .filter((expense) => expense.name || expense.amountPerMonth),
+  incomeChanges: (Array.isArray(raw.incomeChanges) ? raw.incomeChanges : [])
+    .map((change) => ({
+      owner: toText(change.owner),
+      monthlyNetIncome: toAmountOrNull(change.monthlyNetIncome),
+      sharedContribution: toAmountOrNull(change.sharedContribution)
+    }))
+    .filter((change) => change.owner && (change.monthlyNetIncome !== null || change.sharedContribution !== null)),
+  monthlyNetIncome: toAmountOrNull(raw.monthlyNetIncome),
+  createdAt: raw.createdAt || null,
+  updatedAt: raw.updatedAt || null
+});
+
+const validateScenario = (scenario, { fixedExpenses, settings }) => {
+  const expenseIds = new Set(fixedExpenses.map((expense) => expense.id));
+  if (scenario.expenseChanges.some((change) => !expenseIds.has(change.expenseId))) {
+    return 'Scenariet endrer en fast utgift som ikke finnes.';
+  }
+  if (scenario.expenseChanges.some((change) => change.amountPerMonth !== null && change.amountPerMonth < 0)) {
+    return 'Beløp kan ikke være negative.';
+  }
+  if (scenario.newExpenses.some((expense) => !expense.name)) {
+    return 'Nye utgifter må ha et navn.';
+  }
+  if (scenario.newExpenses.some((expense) => expense.amountPerMonth < 0)) {
+    return 'Beløp kan ikke være negative.';
+  }
+  const owners = new Set((settings.ownerProfiles || []).map((profile) => profile.name));
+  if (scenario.incomeChanges.some((change) => !owners.has(change.owner))) {
+    return 'Scenariet endrer inntekten til en person som ikke finnes.';
+  }
+  if (
+    scenario.incomeChanges.some(
+      (change) => (change.monthlyNetIncome ?? 0) < 0 || (change.sharedContribution ?? 0) < 0
+    ) ||
+    (scenario.monthlyNetIncome ?? 0) < 0
+  ) {
+    return 'Inntekt og bidrag kan ikke være negative.';
+  }
+  return null;
+};
+
+// Nye utgifter uten eiere får standardeierne, ellers ville de falt utenfor oversikten.
+const applyScenario = (scenario, { fixedExpenses, settings }) => {
+  const changes = new Map(scenario.expenseChanges.map((change) => [change.expenseId, change]));
+  const defaultOwners = settings.defaultFixedExpensesOwners || [];
+  const expenses = fixedExpenses
+    .filter((expense) => !changes.get(expense.id)?.removed)
+    .map((expense) => {
+      const change = changes.get(expense.id);
+      return change ? { ...expense, amountPerMonth: change.amountPerMonth } : expense;
+    })
+    .concat(
+      scenario.newExpenses.map((expense, index) => ({
+        ...expense,
+        id: `ny-${index + 1}`,
+        owners: expense.owners.length ? expense.owners : defaultOwners
+      }))
+    );
+  const incomeChanges = new Map(scenario.incomeChanges.map((change) => [change.owner, change]));
+  const ownerProfiles = (settings.ownerProfiles || []).map((profile) => {
+    const change = incomeChanges.get(profile.name);
+    if (!change) return profile;
+    return {
+      ...profile,
+      monthlyNetIncome: change.monthlyNetIncome ?? profile.monthlyNetIncome,
+      sharedContribution: change.sharedContribution ?? profile.sharedContribution
+    };
+  });
+  return {
+    fixedExpenses: expenses,
+    settings: {
+      ...settings,
+      ownerProfiles,
+      monthlyNetIncome: scenario.monthlyNetIncome ?? settings.monthlyNetIncome
+    }
+  };
+};
+
+const summarize = (budget) => ({
+  fixedExpenseTotal: budget.effectiveFixedExpenseTotal,
+  income: budget.activeMonthlyNetIncome,
+  freeAfterFixed: budget.freeAfterFixed,
+  owners: budget.owners.map(({ name, monthlyNetIncome, sharedContribution, fixedShare, remaining }) => ({
+    name,
+    monthlyNetIncome,
+    sharedContribution,
+    fixedShare,
+    remaining
+  }))
+});
+
+const compareScenario = (scenario, data) => {
+  const baseline = summarize(householdBudget(data.fixedExpenses, data.settings));
+  const modified = applyScenario(scenario, data);
+  const result = summarize(householdBudget(modified.fixedExpenses, modified.settings));
+  return {
+    baseline,
+    scenario: result,
+    difference: {
+      fixedExpenseTotal: result.fixedExpenseTotal - baseline.fixedExpenseTotal,
+      income: result.income - baseline.income,
+      freeAfterFixed: result.freeAfterFixed - baseline.freeAfterFixed,
+      owners: result.owners.map((owner) => ({
+        name: owner.name,
+        remaining: owner.remaining - (baseline.owners.find((item) => item.name === owner.name)?.remaining || 0)
+      }))
+    }
+  };
+};
+
+module.exports = {
+  compareScenario,
+  normalizeScenario,
+  validateScenario
+};
@@ -0,0 +1,86 @@
+// Oppdeling av en transaksjon i flere linjer, hver med eget beløp, kategori, side og tagger.
+// En oppdelt transaksjon har ingen egen kategori eller side; summer og filtre bruker linjene.
+
+const MIN_SPLIT_LINES = 2;
+const TOLERANCE = 0.005;
+
+const toIdOrNull = (value) => {
+  const id = Number(value);
+  return value !== null && value !== '' && Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const toTagList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return Array.from(new Set(list.map((tag) => String(tag).trim()).filter(Boolean)));
+};
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const normalizeSplits = (raw) =>
+  (Array.isArray(raw) ? raw : []).map((line) => ({
+    amount: roundAmount(line?.amount),
+    categoryId: toIdOrNull(line?.categoryId),
+    pageId: toIdOrNull(line?.pageId),
+    tags: toTagList(line?.tags),
+    notes: typeof line?.notes === 'string' ? line.notes.trim() : ''
+  }));
+
+const validateSplits = (splits, amount) => {
+  if (!splits.length) return null;
+  if (splits.length < MIN_SPLIT_LINES) return 'En oppdeling må ha minst to linjer.';
+  if (splits.some((line) => !(line.amount > 0))) return 'Hver linje må ha et beløp over null.';
+  const total = splits.reduce((sum, line) => sum + line.amount, 0);
+  if (Math.abs(total - Number(amount)) > TOLERANCE) {
+    return `Linjene summerer til ${roundAmount(total)}, men transaksjonen er på ${roundAmount(amount)}.`;
+  }
+  return null;
+};
+
+const isSplit = (tx) => Array.isArray(tx.splits) && tx.splits.length > 0;
+
+// Linjene en transaksjon skal telles som. Uten oppdeling er transaksjonen selv én linje.
+const transactionLines = (tx) =>
+  isSplit(tx)
+    ? tx.splits.map((line) => ({ ...line, type: tx.type }))
+    : [
+        {
+          amount: Number(tx.amount) || 0,
+          categoryId: tx.categoryId ?? null,
+          pageId: tx.pageId ?? null,
+          tags: tx.tags || [],
+          notes: tx.notes || '',
+          type: tx.type
+        }
+      ];
+
+// Det transaksjonen flytter på en side: inntekter teller opp og utgifter ned, som i sidens saldo.
+// Er transaksjonen delt opp, telles bare linjene som hører til siden.
+const pageAmount = (tx, pageId) =>
+  roundAmount(
+    transactionLines(tx)
+      .filter((line) => Number(line.pageId) === Number(pageId))
+      .reduce((sum, line) => sum + (line.type === 'income' ? line.amount : -line.amount), 0)
+  );
+
+const withSplits = (tx, raw) => {
+  const splits = normalizeSplits(raw);
+  return splits.length ? { ...tx, splits, categoryId: null, pageId: null } : { ...tx, splits: [] };
+};
+
+const reassignSplitLines = (tx, field, fromValue, toValue) => {
+  if (!isSplit(tx) || !tx.splits.some((line) => line[field] === fromValue)) return tx;
+  return {
+    ...tx,
+    splits: tx.splits.map((line) => (line[field] === fromValue ? { ...line, [field]: toValue } : line))
+  };
+};
+
+module.exports = {
+  isSplit,
+  normalizeSplits,
+  pageAmount,
+  reassignSplitLines,
+  transactionLines,
+  validateSplits,
+  withSplits
+};
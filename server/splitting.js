@@ -0,0 +1,168 @@
+// Fordeling av faste utgifter mellom personene i husholdningen. Hver bankkonto har en
+// fordelingsmåte (likt, etter inntekt eller egne prosenter), og en fast utgift kan overstyre
+// kontoens. Resultatet er hvor mye hver person bør overføre til hver konto i måneden.
+
+const SPLIT_METHODS = {
+  equal: 'Likt',
+  income: 'Etter inntekt',
+  custom: 'Egne prosenter'
+};
+
+const DEFAULT_SPLIT = { method: 'equal', shares: {} };
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Prosentene lagres bare for egne prosenter; de andre måtene regnes ut fra eiere og inntekt.
+const normalizeSplit = (raw) => {
+  if (!raw || typeof raw !== 'object' || !SPLIT_METHODS[raw.method]) return null;
+  const shares = {};
+  if (raw.method === 'custom') {
+    Object.entries(raw.shares || {}).forEach(([owner, value]) => {
+      const name = String(owner).trim();
+      const percent = Number(value);
+      if (name && Number.isFinite(percent) && percent > 0) shares[name] = percent;
+    });
+  }
+  return { method: raw.method, shares };
+};
+
+const validateSplit = (split) => {
+  if (!split || split.method !== 'custom') return null;
+  const total = Object.values(split.shares).reduce((sum, value) => sum + value, 0);
+  if (!total) return 'Egne prosenter må ha minst én person.';
+  if (Math.abs(total - 100) > 0.01) return 'Prosentene må bli 100 til sammen.';
+  return null;
+};
+
+const normalizeAccountSplits = (raw, accounts = []) =>
+  Object.entries(raw && typeof raw === 'object' ? raw : {}).reduce((splits, [account, value]) => {
+    const split = normalizeSplit(value);
+    if (split && accounts.includes(account)) splits[account] = split;
+    return splits;
+  }, {});
+
+const renameSplitOwner = (split, from, to) => {
+  if (!split || split.shares[from] === undefined) return split;
+  const shares = {};
+  Object.entries(split.shares).forEach(([owner, value]) => {
+    const name = owner === from ? to : owner;
+    shares[name] = (shares[name] || 0) + value;
+  });
+  return { ...split, shares };
+};
+
+// Prosentene til de som er igjen skaleres opp når andelene regnes ut, så de trenger ikke
+// å summere til 100 etter at en person er fjernet. Står ingen igjen, faller fordelingen bort.
+const removeSplitOwner = (split, name) => {
+  if (!split || split.shares[name] === undefined) return split;
+  const { [name]: removed, ...shares } = split.shares;
+  return Object.keys(shares).length ? { ...split, shares } : null;
+};
+
+const fractionsFor = (split, participants, incomes) => {
+  if (split.method === 'custom') {
+    const total = Object.values(split.shares).reduce((sum, value) => sum + value, 0);
+    if (total) {
+      return Object.entries(split.shares).map(([owner, value]) => [owner, value / total]);
+    }
+  }
+  if (!participants.length) return [];
+  if (split.method === 'income') {
+    const total = participants.reduce((sum, owner) => sum + (incomes.get(owner) || 0), 0);
+    if (total > 0) {
+      return participants.map((owner) => [owner, (incomes.get(owner) || 0) / total]);
+    }
+  }
+  return participants.map((owner) => [owner, 1 / participants.length]);
+};
+
+// Utgifter uten eiere deles mellom standardeierne, eller alle med profil hvis det ikke er valgt noen.
+const costSplitReport = (fixedExpenses, settings) => {
+  const profiles = (settings.ownerProfiles || []).filter((profile) => profile?.name);
+  const incomes = new Map(profiles.map((profile) => [profile.name, Number(profile.monthlyNetIncome) || 0]));
+  const defaultOwners = (settings.defaultFixedExpensesOwners || []).filter(Boolean);
+  const household = defaultOwners.length ? defaultOwners : profiles.map((profile) => profile.name);
+  const bankAccounts = settings.bankAccounts || [];
+  const accountSplits = settings.accountSplits || {};
+
+  const accounts = new Map(
+    bankAccounts.map((account) => [account, { account, expenses: [], transfers: new Map(), unassigned: 0 }])
+  );
+  fixedExpenses.forEach((expense) => {
+    const account = bankAccounts.includes(expense.account) ? expense.account : '';
+    if (!accounts.has(account)) {
+      accounts.set(account, { account, expenses: [], transfers: new Map(), unassigned: 0 });
+    }
+    const entry = accounts.get(account);
+    const amount = Number(expense.amountPerMonth) || 0;
+    const split = expense.split || accountSplits[account] || DEFAULT_SPLIT;
+    const owners = (expense.owners || []).length ? expense.owners : household;
+    const shares = fractionsFor(split, owners, incomes).map(([owner, fraction]) => ({
+      owner,
+      amount: amount * fraction
+    }));
+    if (!shares.length) entry.unassigned += amount;
+    shares.forEach((share) => {
+      entry.transfers.set(share.owner, (entry.transfers.get(share.owner) || 0) + share.amount);
+    });
+    entry.expenses.push({
+      id: expense.id,
+      name: expense.name,
+      owners: expense.owners || [],
+      amountPerMonth: amount,
+      split: expense.split || null,
+      method: split.method,
+      shares: shares.map((share) => ({ owner: share.owner, amount: roundAmount(share.amount) }))
+    });
+  });
+
+  const ownerNames = Array.from(
+    new Set([...household, ...Array.from(accounts.values()).flatMap((entry) => Array.from(entry.transfers.keys()))])
+  );
+  const profileFor = (owner) => profiles.find((profile) => profile.name === owner);
+
+  const accountList = Array.from(accounts.values()).map((entry) => ({
+    account: entry.account,
+    split: accountSplits[entry.account] || DEFAULT_SPLIT,
+    total: roundAmount(entry.expenses.reduce((sum, expense) => sum + expense.amountPerMonth, 0)),
+    unassigned: roundAmount(entry.unassigned),
+    expenses: entry.expenses,
+    transfers: ownerNames.map((owner) => ({
+      owner,
+      recommended: roundAmount(entry.transfers.get(owner) || 0),
+      current: entry.account ? profileFor(owner)?.bankContributions?.[entry.account] ?? null : null
+    }))
+  }));
+
+  return {
+    methods: SPLIT_METHODS,
+    accounts: accountList,
+    owners: ownerNames.map((owner) => {
+      const recommended = accountList.reduce(
+        (sum, entry) => sum + entry.transfers.find((transfer) => transfer.owner === owner).recommended,
+        0
+      );
+      const current = Number(profileFor(owner)?.sharedContribution) || 0;
+      const income = incomes.get(owner) || 0;
+      return {
+        name: owner,
+        monthlyNetIncome: income,
+        recommended: roundAmount(recommended),
+        current,
+        difference: roundAmount(recommended - current),
+        shareOfIncome: income ? roundAmount((recommended / income) * 100) : null
+      };
+    }),
+    total: roundAmount(accountList.reduce((sum, entry) => sum + entry.total, 0))
+  };
+};
+
+module.exports = {
+  SPLIT_METHODS,
+  costSplitReport,
+  normalizeAccountSplits,
+  normalizeSplit,
+  removeSplitOwner,
+  renameSplitOwner,
+  validateSplit
+};
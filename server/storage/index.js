@@ -0,0 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+const drivers = {
+  json: () => require('./jsonBackend'),
+  sqlite: () => require('./sqliteBackend')
+};
+
+const createStorage = ({ driver = process.env.BUDSJETT_STORAGE || 'json', dataDir = DEFAULT_DATA_DIR } = {}) => {
+  const name = String(driver).trim().toLowerCase();
+  const loadDriver = drivers[name];
+  if (!loadDriver) {
+    throw new Error(`Ukjent lagringsdriver «${driver}». Gyldige valg: ${Object.keys(drivers).join(', ')}.`);
+  }
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+  const Backend = loadDriver();
+  return new Backend({ dataDir });
+};
+
+module.exports = { createStorage };
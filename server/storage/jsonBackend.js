@@ -0,0 +1,121 @@
+const path = require('path');
+const { Journal, checksum, recoverState, writeFileAtomic } = require('./persistence');
+const { applyTransactionQuery, summarizeTransactionsByPage } = require('./transactionQuery');
+const { reassignSplitLines } = require('../splits');
+
+class JsonBackend {
+  constructor({ dataDir }) {
+    this.name = 'json';
+    this.dataPath = path.join(dataDir, 'store.json');
+    this.journal = new Journal(path.join(dataDir, 'store.journal'));
+    this.documents = {};
+    this.rows = [];
+    this.batchDepth = 0;
+    this.pendingOps = [];
+  }
+
+  load() {
+    const { state, recoveredFrom } = recoverState(this.dataPath, this.journal);
+    if (!state) return null;
+    const { transactions = [], ...documents } = state;
+    this.documents = documents;
+    this.rows = Array.isArray(transactions) ? transactions : [];
+    if (recoveredFrom === 'journal') {
+      writeFileAtomic(this.dataPath, JSON.stringify(state, null, 2));
+    }
+    return documents;
+  }
+
+  persist(op) {
+    if (this.batchDepth > 0) {
+      this.pendingOps.push(op);
+      return;
+    }
+    const state = { ...this.documents, transactions: this.rows };
+    const serialized = JSON.stringify(state, null, 2);
+    const stateChecksum = checksum(serialized);
+    // Lagringer som ikke endrer noe, som planlagte kjøringer uten nye data, skriver verken journal eller fil.
+    if (stateChecksum === this.journal.lastChecksum) return;
+    this.journal.append({ op, state, stateChecksum });
+    writeFileAtomic(this.dataPath, serialized);
+  }
+
+  batch(fn) {
+    this.batchDepth += 1;
+    try {
+      return fn();
+    } finally {
+      this.batchDepth -= 1;
+      if (this.batchDepth === 0 && this.pendingOps.length) {
+        const op = Array.from(new Set(this.pendingOps)).join('+');
+        this.pendingOps = [];
+        this.persist(op);
+      }
+    }
+  }
+
+  saveDocuments(documents, op) {
+    this.documents = documents;
+    this.persist(op);
+  }
+
+  listTransactions(query) {
+    if (!query) return this.rows;
+    return applyTransactionQuery(this.rows, query);
+  }
+
+  getTransaction(id) {
+    return this.rows.find((tx) => tx.id === id) || null;
+  }
+
+  saveTransaction(transaction, op) {
+    const index = this.rows.findIndex((tx) => tx.id === transaction.id);
+    if (index >= 0) {
+      this.rows[index] = transaction;
+    } else {
+      this.rows.push(transaction);
+    }
+    this.persist(op);
+    return transaction;
+  }
+
+  deleteTransaction(id, op) {
+    const originalLength = this.rows.length;
+    this.rows = this.rows.filter((tx) => tx.id !== id);
+    const deleted = originalLength !== this.rows.length;
+    this.persist(op);
+    return deleted;
+  }
+
+  clearTransactions(op) {
+    const deleted = this.rows.length;
+    this.rows = [];
+    this.persist(op);
+    return deleted;
+  }
+
+  replaceTransactions(transactions, op) {
+    this.rows = [...transactions];
+    this.persist(op);
+  }
+
+  reassignTransactions(field, fromValue, toValue, op) {
+    let changed = 0;
+    this.rows = this.rows.map((tx) => {
+      const lines = reassignSplitLines(tx, field, fromValue, toValue);
+      if (tx[field] !== fromValue && lines === tx) return tx;
+      changed += 1;
+      return tx[field] === fromValue ? { ...lines, [field]: toValue } : lines;
+    });
+    this.persist(op);
+    return changed;
+  }
+
+  transactionTotalsByPage() {
+    return summarizeTransactionsByPage(this.rows);
+  }
+
+  close() {}
+}
+
+module.exports = JsonBackend;
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const JOURNAL_LIMIT = 20;
+// Hver oppføring er en full kopi av tilstanden, så journalen begrenses også i størrelse.
+const JOURNAL_MAX_BYTES = 32 * 1024 * 1024;
+
+const checksum = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const fsyncDirectory = (dir) => {
+  let fd;
+  try {
+    fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Enkelte filsystemer (bl.a. på Windows) støtter ikke fsync på mapper.
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+};
+
+const writeFileAtomic = (filePath, contents) => {
+  const tmpPath = `${filePath}.tmp`;
+  let fd;
+  try {
+    fd = fs.openSync(tmpPath, 'w');
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = undefined;
+    fs.renameSync(tmpPath, filePath);
+  } catch (error) {
+    if (fd !== undefined) fs.closeSync(fd);
+    fs.rmSync(tmpPath, { force: true });
+    throw error;
+  }
+  fsyncDirectory(path.dirname(filePath));
+};
+
+const appendFileDurable = (filePath, contents) => {
+  const fd = fs.openSync(filePath, 'a');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+const entryLine = (entry) => `${JSON.stringify(entry)}\n`;
+
+// Oppføringene lagrer hele tilstanden og ikke bare endringen, slik at én gyldig oppføring alene er nok til
+// å gjenopprette en ødelagt datafil.
+class Journal {
+  constructor(journalPath, limit = JOURNAL_LIMIT, maxBytes = JOURNAL_MAX_BYTES) {
+    this.journalPath = journalPath;
+    this.limit = limit;
+    this.maxBytes = maxBytes;
+    const entries = this.readEntries();
+    const latest = entries[entries.length - 1];
+    this.size = entries.length;
+    this.bytes = fs.existsSync(journalPath) ? fs.statSync(journalPath).size : 0;
+    this.seq = latest ? latest.seq : 0;
+    this.lastChecksum = latest ? latest.checksum : null;
+  }
+
+  readEntries() {
+    if (!fs.existsSync(this.journalPath)) return [];
+    const raw = fs.readFileSync(this.journalPath, 'utf8');
+    return raw
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          // Siste linje kan være halvskrevet hvis prosessen krasjet under append.
+          return null;
+        }
+      })
+      .filter((entry) => entry && Number.isFinite(entry.seq) && entry.state && entry.checksum);
+  }
+
+  latestValid() {
+    const entries = this.readEntries();
+    for (let index = entries.length - 1; index >= 0; index -= 1) {
+      const entry = entries[index];
+      if (checksum(JSON.stringify(entry.state, null, 2)) === entry.checksum) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  append({ op, state, stateChecksum }) {
+    this.seq += 1;
+    const entry = {
+      seq: this.seq,
+      op: op || 'save',
+      at: new Date().toISOString(),
+      checksum: stateChecksum,
+      state
+    };
+    const line = entryLine(entry);
+    appendFileDurable(this.journalPath, line);
+    this.size += 1;
+    this.bytes += Buffer.byteLength(line);
+    this.lastChecksum = stateChecksum;
+    if (this.size > this.limit * 2 || this.bytes > this.maxBytes) {
+      this.compact();
+    }
+    return entry;
+  }
+
+  // Beholder de siste oppføringene innenfor antalls- og størrelsesgrensen (halve grensen, så det ikke
+  // komprimeres på hver lagring), men alltid minst den nyeste.
+  compact() {
+    const lines = this.readEntries().slice(-this.limit).map(entryLine);
+    let bytes = 0;
+    let start = lines.length;
+    while (start > 0) {
+      const next = bytes + Buffer.byteLength(lines[start - 1]);
+      if (start < lines.length && next > this.maxBytes / 2) break;
+      bytes = next;
+      start -= 1;
+    }
+    const recent = lines.slice(start);
+    writeFileAtomic(this.journalPath, recent.join(''));
+    this.size = recent.length;
+    this.bytes = bytes;
+  }
+}
+
+class StorageRecoveryError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'StorageRecoveryError';
+    this.cause = cause;
+  }
+}
+
+const readJsonFile = (filePath) => {
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return { ok: true, raw, data: JSON.parse(raw) };
+  } catch (error) {
+    return { ok: false, error };
+  }
+};
+
+const preserveCorruptFile = (filePath) => {
+  const target = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  fs.copyFileSync(filePath, target);
+  return target;
+};
+
+// Finner siste konsistente tilstand ved oppstart. Journalen skrives alltid før selve
+// datafilen, så en nyere journaloppføring betyr at prosessen stoppet midt i en lagring.
+const recoverState = (dataPath, journal) => {
+  fs.rmSync(`${dataPath}.tmp`, { force: true });
+  const latest = journal.latestValid();
+
+  if (!fs.existsSync(dataPath)) {
+    if (latest) {
+      console.warn(`Fant ikke ${path.basename(dataPath)}, gjenoppretter fra journal (#${latest.seq}).`);
+      return { state: latest.state, recoveredFrom: 'journal', entry: latest };
+    }
+    return { state: null, recoveredFrom: null };
+  }
+
+  const file = readJsonFile(dataPath);
+  if (file.ok) {
+    if (latest && latest.checksum !== checksum(file.raw)) {
+      const fileModified = fs.statSync(dataPath).mtime.getTime();
+      if (new Date(latest.at).getTime() > fileModified) {
+        console.warn(
+          `${path.basename(dataPath)} er eldre enn siste journaloppføring, gjenoppretter (#${latest.seq}).`
+        );
+        return { state: latest.state, recoveredFrom: 'journal', entry: latest };
+      }
+    }
+    return { state: file.data, recoveredFrom: null };
+  }
+
+  if (latest) {
+    const backup = preserveCorruptFile(dataPath);
+    console.error(
+      `Klarte ikke å lese ${path.basename(dataPath)}. Ødelagt fil er kopiert til ${path.basename(backup)}, ` +
+        `gjenoppretter fra journal (#${latest.seq}).`,
+      file.error
+    );
+    return { state: latest.state, recoveredFrom: 'journal', entry: latest };
+  }
+
+  throw new StorageRecoveryError(
+    `Klarte ikke å lese ${dataPath}, og journalen har ingen gyldig kopi. ` +
+      'Serveren starter ikke for å unngå å overskrive data. Gjenopprett filen fra en sikkerhetskopi.',
+    file.error
+  );
+};
+
+module.exports = {
+  Journal,
+  StorageRecoveryError,
+  checksum,
+  recoverState,
+  writeFileAtomic
+};
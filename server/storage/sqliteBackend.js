@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const JsonBackend = require('./jsonBackend');
+const { normalizeTransactionQuery } = require('./transactionQuery');
+const { reassignSplitLines } = require('../splits');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS documents (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY,
+    type TEXT,
+    amount REAL NOT NULL DEFAULT 0,
+    title TEXT NOT NULL DEFAULT '',
+    notes TEXT NOT NULL DEFAULT '',
+    category_id INTEGER,
+    page_id INTEGER,
+    occurred_on TEXT,
+    tags TEXT NOT NULL DEFAULT '[]',
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_transactions_occurred_on ON transactions (occurred_on);
+  CREATE INDEX IF NOT EXISTS idx_transactions_category_id ON transactions (category_id);
+  CREATE INDEX IF NOT EXISTS idx_transactions_page_id ON transactions (page_id);
+`;
+
+const REFERENCE_COLUMNS = {
+  categoryId: 'category_id',
+  pageId: 'page_id'
+};
+
+const SORT_COLUMNS = {
+  occurredOn: 'occurred_on',
+  amount: 'amount',
+  title: 'title COLLATE NOCASE'
+};
+
+const toRow = (tx) => ({
+  id: tx.id,
+  type: tx.type ?? null,
+  amount: Number(tx.amount) || 0,
+  title: tx.title || '',
+  notes: tx.notes || '',
+  category_id: tx.categoryId ?? null,
+  page_id: tx.pageId ?? null,
+  occurred_on: tx.occurredOn ?? null,
+  tags: JSON.stringify(Array.isArray(tx.tags) ? tx.tags : []),
+  data: JSON.stringify(tx)
+});
+
+const fromRow = (row) => JSON.parse(row.data);
+
+const splitLineMatches = (field) =>
+  `EXISTS (SELECT 1 FROM json_each(transactions.data, '$.splits') WHERE json_extract(json_each.value, '$.${field}') = ?)`;
+
+class SqliteBackend {
+  constructor({ dataDir }) {
+    this.name = 'sqlite';
+    this.dataDir = dataDir;
+    this.dbPath = path.join(dataDir, 'store.db');
+    this.legacyJsonPath = path.join(dataDir, 'store.json');
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = FULL');
+    this.db.function('lower_nb', (value) => (value === null ? null : String(value).toLowerCase()));
+    this.db.exec(SCHEMA);
+    this.statements = {
+      documents: this.db.prepare('SELECT key, value FROM documents'),
+      upsertDocument: this.db.prepare(
+        'INSERT INTO documents (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+      ),
+      deleteDocument: this.db.prepare('DELETE FROM documents WHERE key = ?'),
+      allTransactions: this.db.prepare('SELECT data FROM transactions ORDER BY id'),
+      getTransaction: this.db.prepare('SELECT data FROM transactions WHERE id = ?'),
+      upsertTransaction: this.db.prepare(`
+        INSERT INTO transactions (id, type, amount, title, notes, category_id, page_id, occurred_on, tags, data)
+        VALUES (@id, @type, @amount, @title, @notes, @category_id, @page_id, @occurred_on, @tags, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          type = excluded.type,
+          amount = excluded.amount,
+          title = excluded.title,
+          notes = excluded.notes,
+          category_id = excluded.category_id,
+          page_id = excluded.page_id,
+          occurred_on = excluded.occurred_on,
+          tags = excluded.tags,
+          data = excluded.data
+      `),
+      deleteTransaction: this.db.prepare('DELETE FROM transactions WHERE id = ?'),
+      clearTransactions: this.db.prepare('DELETE FROM transactions'),
+      // Oppdelte transaksjoner telles per linje i stedet for på selve transaksjonen.
+      pageTotals: this.db.prepare(`
+        SELECT
+          pageId,
+          SUM(CASE WHEN type = 'income' THEN amount ELSE 0 END) AS totalIncome,
+          SUM(CASE WHEN type = 'income' THEN 0 ELSE amount END) AS totalExpense
+        FROM (
+          SELECT page_id AS pageId, type, amount
+          FROM transactions
+          WHERE COALESCE(json_array_length(data, '$.splits'), 0) = 0
+          UNION ALL
+          SELECT json_extract(line.value, '$.pageId') AS pageId, transactions.type, json_extract(line.value, '$.amount') AS amount
+          FROM transactions, json_each(transactions.data, '$.splits') AS line
+        )
+        WHERE pageId IS NOT NULL
+        GROUP BY pageId
+      `)
+    };
+  }
+
+  load() {
+    const rows = this.statements.documents.all();
+    if (!rows.length) {
+      return this.migrateFromJson();
+    }
+    return rows.reduce((documents, row) => {
+      documents[row.key] = JSON.parse(row.value);
+      return documents;
+    }, {});
+  }
+
+  // Engangsmigrering: en eksisterende store.json flyttes inn i en tom database og
+  // beholdes som store.json.migrated slik at den ikke importeres på nytt.
+  migrateFromJson() {
+    if (!fs.existsSync(this.legacyJsonPath)) return null;
+    const legacy = new JsonBackend({ dataDir: this.dataDir });
+    const documents = legacy.load();
+    if (!documents) return null;
+    const transactions = legacy.listTransactions();
+    this.batch(() => {
+      this.replaceTransactions(transactions);
+      this.saveDocuments(documents);
+    });
+    fs.renameSync(this.legacyJsonPath, `${this.legacyJsonPath}.migrated`);
+    console.log(`Migrerte store.json til SQLite (${transactions.length} transaksjoner).`);
+    return documents;
+  }
+
+  batch(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  saveDocuments(documents) {
+    this.batch(() => {
+      const keys = new Set(Object.keys(documents));
+      Object.entries(documents).forEach(([key, value]) => {
+        this.statements.upsertDocument.run(key, JSON.stringify(value));
+      });
+      this.statements.documents.all().forEach((row) => {
+        if (!keys.has(row.key)) this.statements.deleteDocument.run(row.key);
+      });
+    });
+  }
+
+  listTransactions(rawQuery) {
+    if (!rawQuery) {
+      return this.statements.allTransactions.all().map(fromRow);
+    }
+    const query = normalizeTransactionQuery(rawQuery);
+    const where = [];
+    const params = [];
+    if (query.type) {
+      where.push('type = ?');
+      params.push(query.type);
+    }
+    if (query.categoryId) {
+      const value = Number(query.categoryId);
+      if (!Number.isFinite(value)) return [];
+      where.push(`(category_id = ? OR ${splitLineMatches('categoryId')})`);
+      params.push(value, value);
+    }
+    if (query.pageId) {
+      const value = Number(query.pageId);
+      if (!Number.isFinite(value)) return [];
+      where.push(`(page_id = ? OR ${splitLineMatches('pageId')})`);
+      params.push(value, value);
+    }
+    if (query.search) {
+      where.push('(instr(lower_nb(title), ?) > 0 OR instr(lower_nb(notes), ?) > 0)');
+      params.push(query.search, query.search);
+    }
+    if (query.tag) {
+      where.push(`(
+        EXISTS (SELECT 1 FROM json_each(transactions.tags) WHERE instr(json_each.value, ?) > 0)
+        OR EXISTS (
+          SELECT 1 FROM json_each(transactions.data, '$.splits') AS line, json_each(line.value, '$.tags') AS tag
+          WHERE instr(tag.value, ?) > 0
+        )
+      )`);
+      params.push(query.tag, query.tag);
+    }
+    if (query.from) {
+      where.push('substr(occurred_on, 1, 10) >= ?');
+      params.push(query.from);
+    }
+    if (query.to) {
+      where.push('substr(occurred_on, 1, 10) <= ?');
+      params.push(query.to);
+    }
+    const direction = query.order === 'ASC' ? 'ASC' : 'DESC';
+    let sql = 'SELECT data FROM transactions';
+    if (where.length) sql += ` WHERE ${where.join(' AND ')}`;
+    sql += ` ORDER BY ${SORT_COLUMNS[query.sortBy]} ${direction}, id ${direction}`;
+    if (query.limit) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(query.limit, query.offset);
+    } else if (query.offset) {
+      sql += ' LIMIT -1 OFFSET ?';
+      params.push(query.offset);
+    }
+    return this.db.prepare(sql).all(...params).map(fromRow);
+  }
+
+  getTransaction(id) {
+    const row = this.statements.getTransaction.get(id);
+    return row ? fromRow(row) : null;
+  }
+
+  saveTransaction(transaction) {
+    this.statements.upsertTransaction.run(toRow(transaction));
+    return transaction;
+  }
+
+  deleteTransaction(id) {
+    return this.statements.deleteTransaction.run(id).changes > 0;
+  }
+
+  clearTransactions() {
+    return this.statements.clearTransactions.run().changes;
+  }
+
+  replaceTransactions(transactions) {
+    this.batch(() => {
+      this.statements.clearTransactions.run();
+      transactions.forEach((tx) => this.statements.upsertTransaction.run(toRow(tx)));
+    });
+  }
+
+  reassignTransactions(field, fromValue, toValue) {
+    const column = REFERENCE_COLUMNS[field];
+    if (!column) {
+      throw new Error(`Kan ikke flytte transaksjoner på feltet ${field}.`);
+    }
+    return this.batch(() => {
+      const changed = this.db
+        .prepare(
+          `UPDATE transactions SET ${column} = ?, data = json_set(data, '$.${field}', ?) WHERE ${column} = ?`
+        )
+        .run(toValue, toValue, fromValue).changes;
+      const splitRows = this.db
+        .prepare(`SELECT data FROM transactions WHERE ${splitLineMatches(field)}`)
+        .all(fromValue)
+        .map(fromRow);
+      splitRows.forEach((tx) => this.saveTransaction(reassignSplitLines(tx, field, fromValue, toValue)));
+      return changed + splitRows.length;
+    });
+  }
+
+  transactionTotalsByPage() {
+    return this.statements.pageTotals.all().reduce((map, row) => {
+      map.set(row.pageId, {
+        totalIncome: row.totalIncome,
+        totalExpense: row.totalExpense,
+        balance: row.totalIncome - row.totalExpense
+      });
+      return map;
+    }, new Map());
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteBackend;
@@ -0,0 +1,82 @@
+const { transactionLines } = require('../splits');
+
+const SORT_FIELDS = ['occurredOn', 'amount', 'title'];
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+const normalizeTransactionQuery = (query = {}) => {
+  const limit = Number(query.limit);
+  const offset = Number(query.offset);
+  return {
+    type: hasValue(query.type) ? String(query.type) : '',
+    categoryId: hasValue(query.categoryId) ? String(query.categoryId) : '',
+    pageId: hasValue(query.pageId) ? String(query.pageId) : '',
+    tag: hasValue(query.tag) ? String(query.tag) : '',
+    search: hasValue(query.search) ? String(query.search).toLowerCase() : '',
+    from: hasValue(query.from) ? String(query.from).slice(0, 10) : '',
+    to: hasValue(query.to) ? String(query.to).slice(0, 10) : '',
+    sortBy: SORT_FIELDS.includes(query.sortBy) ? query.sortBy : 'occurredOn',
+    order: String(query.order || 'DESC').toUpperCase() === 'ASC' ? 'ASC' : 'DESC',
+    limit: Number.isInteger(limit) && limit > 0 ? limit : null,
+    offset: Number.isInteger(offset) && offset > 0 ? offset : 0
+  };
+};
+
+// Kategori, side og tagger treffer også på linjene i en oppdelt transaksjon.
+const matchesTransactionQuery = (tx, query) => {
+  const lines = transactionLines(tx);
+  if (query.type && tx.type !== query.type) return false;
+  if (query.categoryId && !lines.some((line) => String(line.categoryId) === query.categoryId)) return false;
+  if (query.pageId && !lines.some((line) => String(line.pageId) === query.pageId)) return false;
+  if (query.search) {
+    const title = (tx.title || '').toLowerCase();
+    const notes = (tx.notes || '').toLowerCase();
+    if (!title.includes(query.search) && !notes.includes(query.search)) return false;
+  }
+  if (query.tag) {
+    const tags = [...(tx.tags || []), ...lines.flatMap((line) => line.tags)];
+    if (!tags.some((tag) => tag.includes(query.tag))) return false;
+  }
+  const day = (tx.occurredOn || '').slice(0, 10);
+  if (query.from && day < query.from) return false;
+  if (query.to && day > query.to) return false;
+  return true;
+};
+
+const sorters = {
+  occurredOn: (a, b) => new Date(a.occurredOn) - new Date(b.occurredOn),
+  amount: (a, b) => a.amount - b.amount,
+  title: (a, b) => (a.title || '').localeCompare(b.title || '')
+};
+
+const applyTransactionQuery = (transactions, rawQuery) => {
+  const query = normalizeTransactionQuery(rawQuery);
+  const sorter = sorters[query.sortBy];
+  const direction = query.order === 'DESC' ? -1 : 1;
+  const rows = transactions
+    .filter((tx) => matchesTransactionQuery(tx, query))
+    .sort((a, b) => (sorter(a, b) || a.id - b.id) * direction);
+  const end = query.limit ? query.offset + query.limit : undefined;
+  return rows.slice(query.offset, end);
+};
+
+const summarizeTransactionsByPage = (transactions) =>
+  transactions.flatMap(transactionLines).reduce((map, line) => {
+    if (line.pageId === null || line.pageId === undefined) return map;
+    const totals = map.get(line.pageId) || { totalIncome: 0, totalExpense: 0, balance: 0 };
+    if (line.type === 'income') {
+      totals.totalIncome += line.amount;
+      totals.balance += line.amount;
+    } else {
+      totals.totalExpense += line.amount;
+      totals.balance -= line.amount;
+    }
+    map.set(line.pageId, totals);
+    return map;
+  }, new Map());
+
+module.exports = {
+  applyTransactionQuery,
+  normalizeTransactionQuery,
+  summarizeTransactionsByPage
+};